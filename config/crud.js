@@ -7,6 +7,7 @@
 goog.provide('ydn.db.Storage');
 goog.require('ydn.db.con.exports');
 goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.crud.Storage.encryption');
 goog.require('ydn.db.crud.exports');
 
 
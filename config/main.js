@@ -13,6 +13,8 @@ goog.require('ydn.db.core.exports');
 goog.require('ydn.db.crud.exports');
 goog.require('ydn.db.query.exports');
 goog.require('ydn.db.sql.exports');
+goog.require('ydn.db.sync.exports');
+goog.require('ydn.db.text.exports');
 goog.require('ydn.db.tr.events.exports');
 goog.require('ydn.debug.exports');
 
@@ -122,6 +122,72 @@ StorageOptions.prototype.connectionTimeout;
 StorageOptions.prototype.Encryption;
 
 
+/**
+ * Dispatch record events of changes made by other tabs. A change log store
+ * is added to the schema, so that database version must be changed if fixed
+ * version schema is used.
+ * @type {boolean|undefined}
+ */
+StorageOptions.prototype.remoteEvents;
+
+
+/**
+ * Storage mechanisms, of lower preference than the connected one, to copy
+ * data of the same database name from. The old database is deleted after
+ * copying. Progress is dispatched as 'migration' event.
+ * @type {!Array.<string>|undefined}
+ */
+StorageOptions.prototype.migrateFrom;
+
+
+/**
+ * Maximum size in bytes of records in stores, which are accounted for by
+ * the quota meta data store. Least recently accessed records of lower
+ * priority are evicted to keep the database within this size.
+ * @type {number|undefined}
+ */
+StorageOptions.prototype.maxSize;
+
+
+/**
+ * Replay transactions failing for a transient reason. Progress is dispatched
+ * as 'retry' event.
+ * @type {RetryOptions|undefined}
+ */
+StorageOptions.prototype.retry;
+
+
+
+/**
+ * Retry policy for transactions failing for a transient reason.
+ * @constructor
+ */
+function RetryOptions() {}
+
+
+/**
+ * Maximum number of attempts, including the first one. Default to 3.
+ * @type {number|undefined}
+ */
+RetryOptions.prototype.maxAttempts;
+
+
+/**
+ * Delay in milliseconds before the first replay, doubling on each attempt.
+ * Default to 50.
+ * @type {number|undefined}
+ */
+RetryOptions.prototype.backoff;
+
+
+/**
+ * Error codes of retryable failures. Default to 'abort', 'invalid_state' and
+ * 'timeout'.
+ * @type {!Array.<string>|undefined}
+ */
+RetryOptions.prototype.retryOn;
+
+
 
 /**
  * @constructor
@@ -305,3 +371,167 @@ DbFullTextSearchResult.prototype.record;
 
 
 
+
+
+
+/**
+ * Record hooks registered by db.addHook().
+ * @constructor
+ */
+var DbRecordHooks = function() {};
+
+
+/**
+ * Invoked with record value, primary key and method name before writing a
+ * record. A returned value other than undefined replaces the record value.
+ * A thrown exception or a rejected promise aborts the write.
+ * @type {(function(*, *, string): *)|undefined}
+ */
+DbRecordHooks.prototype.before;
+
+
+/**
+ * Invoked with record value, primary key and method name after the
+ * transaction of the write is committed.
+ * @type {(function(*, *, string))|undefined}
+ */
+DbRecordHooks.prototype.after;
+
+
+
+/**
+ * @constructor
+ */
+var DbRecordHookOptions = function() {};
+
+
+/**
+ * Methods to hook, any of 'add', 'put', 'remove', 'clear' and 'patch'.
+ * Default to all methods.
+ * @type {Array.<string>|undefined}
+ */
+DbRecordHookOptions.prototype.methods;
+
+
+
+/**
+ * History entry of a record, returned by db.getHistory().
+ * @constructor
+ */
+var DbHistoryEntry = function() {};
+
+
+/**
+ * Sequence number of the entry, increasing in the order of changes.
+ * @type {number}
+ */
+DbHistoryEntry.prototype.sequence;
+
+
+/**
+ * Store name of the record.
+ * @type {string}
+ */
+DbHistoryEntry.prototype.entity;
+
+
+/**
+ * Primary key of the record.
+ * @type {*}
+ */
+DbHistoryEntry.prototype.id;
+
+
+/**
+ * Either 'put' or 'remove'.
+ * @type {string}
+ */
+DbHistoryEntry.prototype.action;
+
+
+/**
+ * Record value as written, or as it was before removal.
+ * @type {*}
+ */
+DbHistoryEntry.prototype.value;
+
+
+/**
+ * Time of the change in milliseconds since epoch.
+ * @type {number}
+ */
+DbHistoryEntry.prototype.date;
+
+
+
+/**
+ * Options of query stream.
+ * @constructor
+ */
+var DbQueryStreamOptions = function() {};
+
+
+/**
+ * Number of results read in a transaction. Default to 100.
+ * @type {number|undefined}
+ */
+DbQueryStreamOptions.prototype.batch;
+
+
+
+/**
+ * Error of a database request, normalized for all storage mechanisms.
+ * @constructor
+ * @extends {Error}
+ */
+var DbError = function() {};
+
+
+/**
+ * Stable error code, such as 'constraint', 'not_found' or 'quota'.
+ * @type {string}
+ */
+DbError.prototype.code;
+
+
+/**
+ * Name of the store involved, if known.
+ * @type {string|undefined}
+ */
+DbError.prototype.storeName;
+
+
+/**
+ * Key of the record involved, if known.
+ * @type {*}
+ */
+DbError.prototype.key;
+
+
+/**
+ * Method of the request.
+ * @type {string}
+ */
+DbError.prototype.method;
+
+
+/**
+ * Storage mechanism, such as 'indexeddb' or 'websql'.
+ * @type {string}
+ */
+DbError.prototype.mechanism;
+
+
+/**
+ * Original error raised by the storage mechanism, or null.
+ * @type {*}
+ */
+DbError.prototype.cause;
+
+
+/**
+ * Failed records of a request removing multiple records, each having
+ * `storeName`, `key`, `code` and `message`.
+ * @type {Array.<!Object>|undefined}
+ */
+DbError.prototype.failures;
@@ -166,6 +166,34 @@ IndexSchema.prototype.multiEntry;
 IndexSchema.prototype.generator;
 
 
+/**
+ * Collation for case and accent insensitive search by '~=' operator.
+ * @type {CollationSchema}
+ */
+IndexSchema.prototype.collation;
+
+
+
+/**
+ * @constructor
+ */
+function CollationSchema() {}
+
+
+/**
+ * BCP 47 language tag. For 'tr' and 'az', dotted and dotless i are distinct.
+ * @type {string|undefined}
+ */
+CollationSchema.prototype.locale;
+
+
+/**
+ * Matching mode, 'prefix', 'suffix' or 'contains'. Defaults to 'prefix'.
+ * @type {string|undefined}
+ */
+CollationSchema.prototype.mode;
+
+
 
 /**
  * @constructor
@@ -401,6 +429,15 @@ StoreSyncOptionJson.prototype.prefetchRefractoryPeriod;
 StoreSyncOptionJson.prototype.Options;
 
 
+/**
+ * Conflict resolution strategy. Valid values are 'server-wins' (default) and
+ * 'client-wins'. A merge function receiving client record, server record and
+ * primary key, and returning merged record can also be used.
+ * @type {string|function(*, *, IDBKey): *|undefined}
+ */
+StoreSyncOptionJson.prototype.conflict;
+
+
 /**
  * Entry list fetch strategy. Supported method are
  * ['last-updated', 'descending-key']
@@ -446,6 +483,68 @@ StoreSchema.prototype.type;
 StoreSchema.prototype.encrypted;
 
 
+/**
+ * Time-to-live of records in milliseconds since they are written.
+ * @type {number|undefined}
+ */
+StoreSchema.prototype.ttl;
+
+
+/**
+ * Key path of record expiry time, given as Date, milliseconds since epoch
+ * or date string. Default to `expires` of `Sync.metaData`.
+ * @type {string|undefined}
+ */
+StoreSchema.prototype.expiresKeyPath;
+
+
+/**
+ * Maximum size of records in bytes. Least recently accessed records of lower
+ * priority are evicted to keep the store within this size.
+ * @type {number|undefined}
+ */
+StoreSchema.prototype.maxSize;
+
+
+/**
+ * Key path of numeric eviction priority. Records of lower priority are
+ * evicted first. Default priority is 0.
+ * @type {string|undefined}
+ */
+StoreSchema.prototype.priorityKeyPath;
+
+
+/**
+ * Validate record values against types of primary key and indexes before
+ * writing.
+ * @type {boolean|undefined}
+ */
+StoreSchema.prototype.validate;
+
+
+/**
+ * Field definitions by key path to validate record values against before
+ * writing.
+ * @type {Object.<FieldSchema>|undefined}
+ */
+StoreSchema.prototype.fields;
+
+
+/**
+ * Log every put and remove of records into the history store, so that
+ * previous versions and removed records can be restored.
+ * @type {boolean|undefined}
+ */
+StoreSchema.prototype.history;
+
+
+/**
+ * Maximum number of history entries kept for a record. Default to 10.
+ * @type {number|undefined}
+ */
+StoreSchema.prototype.historyLimit;
+
+
 /**
  * @type {Array.<!IndexSchema>}
  */
@@ -473,6 +572,56 @@ StoreSchema.prototype.Sync;
 
 
 
+/**
+ * Definition of a record field.
+ * @constructor
+ */
+function FieldSchema() {}
+
+
+/**
+ * Data type, one of 'BLOB', 'DATE', 'INTEGER', 'NUMERIC' and 'TEXT'.
+ * @type {string|undefined}
+ */
+FieldSchema.prototype.type;
+
+
+/**
+ * Field value must not be undefined or null.
+ * @type {boolean|undefined}
+ */
+FieldSchema.prototype.required;
+
+
+
+/**
+ * A field of a record value failing validation.
+ * @constructor
+ */
+function ValidationViolation() {}
+
+
+/**
+ * @type {string}
+ */
+ValidationViolation.prototype.keyPath;
+
+
+/**
+ * Expected data type.
+ * @type {string}
+ */
+ValidationViolation.prototype.expected;
+
+
+/**
+ * Type of the field value.
+ * @type {string}
+ */
+ValidationViolation.prototype.actual;
+
+
+
 /**
  * @constructor
  */
@@ -533,3 +682,11 @@ DatabaseSchema.prototype.fullTextCatalogs;
  */
 DatabaseSchema.prototype.stores;
 
+
+/**
+ * Migration script by version. The script is invoked with a migration
+ * operator, existing database version and its version.
+ * @type {Object.<function(!Object, number, number)>}
+ */
+DatabaseSchema.prototype.migrations;
+
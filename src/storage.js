@@ -19,6 +19,15 @@
 
 goog.provide('ydn.db.Storage');
 goog.require('ydn.db.core.Storage.inject_executor');
+goog.require('ydn.db.crud.Storage.encryption');
+goog.require('ydn.db.crud.Storage.expiry');
+goog.require('ydn.db.crud.Storage.history');
+goog.require('ydn.db.crud.Storage.migration');
+goog.require('ydn.db.crud.Storage.quota');
+goog.require('ydn.db.crud.Storage.remote');
+goog.require('ydn.db.crud.Storage.snapshot');
+goog.require('ydn.db.crud.Storage.sync');
+goog.require('ydn.db.crud.Storage.text');
 goog.require('ydn.db.sql.Storage');
 goog.require('ydn.db.sql.Storage.inject');
 goog.require('ydn.db.tr.Storage.inject_db');
@@ -32,6 +32,8 @@ goog.require('ydn.db.algo.AbstractSolver');
  * @param {number=} opt_limit limit.
  * @constructor
  * @extends {ydn.db.algo.AbstractSolver}
+ * @deprecated use '~=' operator of ydn.db.Query on an index having collation
+ * option.
  */
 ydn.db.algo.CaseInsensitiveSearch = function(q, out, opt_limit) {
   goog.base(this, out, opt_limit);
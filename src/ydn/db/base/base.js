@@ -263,9 +263,37 @@ ydn.db.base.Transaction;
 ydn.db.base.SN_ENTITY_HISTORY = '_ydn_sync_history';
 
 
+/**
+ * @define {string} Store name for synchronization meta data, such as dirty
+ * record markers, record validators and pull cursors.
+ */
+ydn.db.base.SN_SYNC_META = '_ydn_sync_meta';
+
+
+/**
+ * @define {string} Store name for salts and key check values of encryption
+ * secrets, used by encrypted stores.
+ */
+ydn.db.base.SN_CRYPT_META = '_ydn_crypt_meta';
+
+
+/**
+ * @define {string} Store name for record changes read by other tabs, used
+ * with remoteEvents option.
+ */
+ydn.db.base.SN_CHANGE_LOG = '_ydn_change_log';
+
+
+/**
+ * @define {string} Store name for record size and access time, used with
+ * maxSize option.
+ */
+ydn.db.base.SN_QUOTA = '_ydn_quota';
+
+
 /**
  * Store schema for storing history log for recovery.
- * This is used in ydn-db-sync module.
+ * This is used in ydn-db-sync module and by stores having `history` option.
  * @const
  * @type {StoreSchema}
  */
@@ -0,0 +1,365 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Record level cipher for encrypted stores.
+ *
+ * Each secret is stretched with PBKDF2-HMAC-SHA256 and a random salt into an
+ * AES-256 key and a HMAC-SHA256 key. The salt is generated when the secret is
+ * first used and persisted with a key check value, a MAC of a constant, so
+ * that a wrong secret is detected when the database is opened. A record is
+ * serialized to JSON, encrypted in CBC mode with a random IV and
+ * authenticated with encrypt-then-MAC.
+ */
+
+
+goog.provide('ydn.db.Crypt');
+goog.require('goog.array');
+goog.require('goog.crypt');
+goog.require('goog.crypt.Aes');
+goog.require('goog.crypt.Cbc');
+goog.require('goog.crypt.Hmac');
+goog.require('goog.crypt.Sha256');
+goog.require('goog.crypt.base64');
+goog.require('ydn.db.SecurityError');
+goog.require('ydn.debug.error.ArgumentException');
+goog.require('ydn.json');
+
+
+
+/**
+ * Create a cipher from encryption option.
+ * @param {!EncryptionOption} option encryption option.
+ * @constructor
+ * @struct
+ */
+ydn.db.Crypt = function(option) {
+  var secrets = option.secrets || [];
+  if (goog.DEBUG) {
+    if (secrets.length == 0) {
+      throw new ydn.debug.error.ArgumentException('at least one secret is ' +
+          'required in encryption option');
+    }
+    for (var i = 0; i < secrets.length; i++) {
+      if (!goog.isString(secrets[i].name) || !secrets[i].name) {
+        throw new ydn.debug.error.ArgumentException('secret name is ' +
+            'required at ' + i);
+      }
+      if (!goog.isString(secrets[i].key) || !secrets[i].key) {
+        throw new ydn.debug.error.ArgumentException('key is required for ' +
+            'secret "' + secrets[i].name + '"');
+      }
+    }
+    var method = option.method || ydn.db.Crypt.METHOD;
+    if (method != ydn.db.Crypt.METHOD) {
+      throw new ydn.debug.error.ArgumentException('encryption method "' +
+          method + '" is not supported, use "' + ydn.db.Crypt.METHOD + '"');
+    }
+  }
+  /**
+   * @final
+   * @private
+   * @type {!Array.<!EncryptionOptionSecret>}
+   */
+  this.secrets_ = secrets;
+  if (!ydn.db.Crypt.getRandomSource_()) {
+    throw new ydn.db.SecurityError(new Error('crypto.getRandomValues is ' +
+        'not available'), 'encryption requires a secure random source');
+  }
+  /**
+   * Derived keys by secret name, set by {@link #setup}.
+   * @final
+   * @private
+   * @type {!Object.<!Array.<!Array.<number>>>}
+   */
+  this.keys_ = {};
+};
+
+
+/**
+ * @const
+ * @type {string} supported cipher method.
+ */
+ydn.db.Crypt.METHOD = 'aes-cbc';
+
+
+/**
+ * @const
+ * @type {string} record field holding the cipher envelope.
+ */
+ydn.db.Crypt.FIELD = '_ydn_crypt';
+
+
+/**
+ * @const
+ * @type {number} envelope format version.
+ */
+ydn.db.Crypt.VERSION = 1;
+
+
+/**
+ * @const
+ * @type {number} PBKDF2 iteration count.
+ */
+ydn.db.Crypt.ITERATIONS = 10000;
+
+
+/**
+ * @const
+ * @type {number} salt size in bytes.
+ */
+ydn.db.Crypt.SALT_SIZE = 16;
+
+
+/**
+ * @const
+ * @type {string} constant authenticated by the key check value.
+ */
+ydn.db.Crypt.CHECK = 'ydn.db.Crypt';
+
+
+/**
+ * @const
+ * @type {number} AES block size in bytes.
+ */
+ydn.db.Crypt.BLOCK_SIZE = 16;
+
+
+/**
+ * Derive a key from a password with PBKDF2, using HMAC-SHA256 as the
+ * pseudo random function.
+ * @param {!Array.<number>} password password.
+ * @param {!Array.<number>} salt salt.
+ * @param {number} iterations iteration count.
+ * @param {number} size key size in bytes.
+ * @return {!Array.<number>} derived key.
+ * @private
+ */
+ydn.db.Crypt.pbkdf2_ = function(password, salt, iterations, size) {
+  var hmac = new goog.crypt.Hmac(new goog.crypt.Sha256(), password);
+  var key = [];
+  for (var block = 1; key.length < size; block++) {
+    var u = hmac.getHmac(salt.concat([block >>> 24 & 0xff,
+      block >>> 16 & 0xff, block >>> 8 & 0xff, block & 0xff]));
+    var t = u.slice();
+    for (var i = 1; i < iterations; i++) {
+      u = hmac.getHmac(u);
+      for (var j = 0; j < t.length; j++) {
+        t[j] ^= u[j];
+      }
+    }
+    key = key.concat(t);
+  }
+  return key.slice(0, size);
+};
+
+
+/**
+ * Compare two byte arrays in constant time.
+ * @param {!Array.<number>} a byte array.
+ * @param {!Array.<number>} b byte array.
+ * @return {boolean} true if equal.
+ * @private
+ */
+ydn.db.Crypt.equals_ = function(a, b) {
+  var diff = a.length ^ b.length;
+  for (var i = 0; i < b.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff == 0;
+};
+
+
+/**
+ * Derive keys of all secrets. A secret having a key record is derived with
+ * the stored salt and verified against the stored key check value. A new key
+ * record with a random salt is created for a secret used for the first time.
+ * @param {!Array.<Object>} metas stored key records, as returned by this
+ * method, in the order of secrets returned by {@link #getNames}. An entry is
+ * undefined if the secret has no key record.
+ * @return {!Array.<!Object>} new key records to be stored.
+ * @throws {ydn.db.SecurityError} if a secret does not match its key check
+ * value.
+ */
+ydn.db.Crypt.prototype.setup = function(metas) {
+  var created = [];
+  for (var i = 0; i < this.secrets_.length; i++) {
+    var name = this.secrets_[i].name;
+    var meta = metas[i];
+    var salt = meta ? goog.crypt.base64.decodeStringToByteArray(meta['salt']) :
+        ydn.db.Crypt.randomBytes_(ydn.db.Crypt.SALT_SIZE);
+    var bytes = ydn.db.Crypt.pbkdf2_(
+        goog.crypt.stringToUtf8ByteArray(this.secrets_[i].key), salt,
+        ydn.db.Crypt.ITERATIONS, 64);
+    var keys = [bytes.slice(0, 32), bytes.slice(32, 64)];
+    var check = ydn.db.Crypt.mac_(keys[1], salt,
+        goog.crypt.stringToUtf8ByteArray(ydn.db.Crypt.CHECK));
+    if (!meta) {
+      created.push({
+        'name': name,
+        'salt': goog.crypt.base64.encodeByteArray(salt),
+        'check': goog.crypt.base64.encodeByteArray(check)
+      });
+    } else if (!ydn.db.Crypt.equals_(check,
+        goog.crypt.base64.decodeStringToByteArray(meta['check']))) {
+      throw new ydn.db.SecurityError(new Error('key check failed'),
+          'wrong encryption key for secret "' + name + '"');
+    }
+    this.keys_[name] = keys;
+  }
+  return created;
+};
+
+
+/**
+ * @return {!Array.<string>} secret names.
+ */
+ydn.db.Crypt.prototype.getNames = function() {
+  return goog.array.map(this.secrets_, function(x) {
+    return x.name;
+  });
+};
+
+
+/**
+ * Get derived encryption and authentication keys of a secret.
+ * @param {string} name secret name.
+ * @return {Array.<!Array.<number>>} pair of AES key and HMAC key. null if
+ * secret is not defined.
+ * @private
+ */
+ydn.db.Crypt.prototype.getKeys_ = function(name) {
+  return this.keys_[name] || null;
+};
+
+
+/**
+ * @return {Object} web crypto object with getRandomValues, or null if not
+ * available.
+ * @private
+ */
+ydn.db.Crypt.getRandomSource_ = function() {
+  var crypto = goog.global['crypto'] || goog.global['msCrypto'];
+  return crypto && crypto['getRandomValues'] ? crypto : null;
+};
+
+
+/**
+ * @param {number} n number of bytes.
+ * @return {!Array.<number>} random bytes.
+ * @throws {ydn.db.SecurityError} if secure random source is not available.
+ * @private
+ */
+ydn.db.Crypt.randomBytes_ = function(n) {
+  var crypto = ydn.db.Crypt.getRandomSource_();
+  if (!crypto) {
+    throw new ydn.db.SecurityError(new Error('crypto.getRandomValues is ' +
+        'not available'), 'cannot generate initial vector');
+  }
+  var arr = new Uint8Array(n);
+  crypto['getRandomValues'](arr);
+  var out = [];
+  for (var i = 0; i < n; i++) {
+    out[i] = arr[i];
+  }
+  return out;
+};
+
+
+/**
+ * @param {!Array.<number>} key HMAC key.
+ * @param {!Array.<number>} iv initial vector.
+ * @param {!Array.<number>} cipher_text cipher text.
+ * @return {!Array.<number>} message authentication code.
+ * @private
+ */
+ydn.db.Crypt.mac_ = function(key, iv, cipher_text) {
+  var hmac = new goog.crypt.Hmac(new goog.crypt.Sha256(), key);
+  return hmac.getHmac(iv.concat(cipher_text));
+};
+
+
+/**
+ * Encrypt a record value.
+ * @param {*} value record value.
+ * @return {!Object} cipher envelope.
+ */
+ydn.db.Crypt.prototype.encrypt = function(value) {
+  var name = this.secrets_[0].name;
+  var keys = this.getKeys_(name);
+  if (!keys) {
+    throw new ydn.db.SecurityError(new Error('keys not derived'),
+        'cannot encrypt before the database is opened');
+  }
+  var plain = goog.crypt.stringToUtf8ByteArray(ydn.json.stringify(value));
+  // PKCS#7 padding
+  var pad = ydn.db.Crypt.BLOCK_SIZE - plain.length % ydn.db.Crypt.BLOCK_SIZE;
+  for (var i = 0; i < pad; i++) {
+    plain.push(pad);
+  }
+  var iv = ydn.db.Crypt.randomBytes_(ydn.db.Crypt.BLOCK_SIZE);
+  var cbc = new goog.crypt.Cbc(new goog.crypt.Aes(keys[0]));
+  var cipher_text = cbc.encrypt(plain, iv);
+  return {
+    'v': ydn.db.Crypt.VERSION,
+    'n': name,
+    'iv': goog.crypt.base64.encodeByteArray(iv),
+    'ct': goog.crypt.base64.encodeByteArray(cipher_text),
+    'mac': goog.crypt.base64.encodeByteArray(
+        ydn.db.Crypt.mac_(keys[1], iv, cipher_text))
+  };
+};
+
+
+/**
+ * Decrypt a cipher envelope.
+ * @param {!Object} envelope cipher envelope as return by encrypt.
+ * @param {string=} opt_label record label for error message.
+ * @return {*} record value.
+ * @throws {ydn.db.SecurityError} if the envelope was not encrypted by a known
+ * secret or it has been tampered.
+ */
+ydn.db.Crypt.prototype.decrypt = function(envelope, opt_label) {
+  var label = opt_label ? ' of ' + opt_label : '';
+  var name = envelope['n'];
+  var keys = goog.isString(name) ? this.getKeys_(name) : null;
+  if (!keys) {
+    throw new ydn.db.SecurityError(new Error('secret "' + name +
+        '" not defined'), 'cannot decrypt record' + label);
+  }
+  if (envelope['v'] != ydn.db.Crypt.VERSION) {
+    throw new ydn.db.SecurityError(new Error('unknown envelope version ' +
+        envelope['v']), 'cannot decrypt record' + label);
+  }
+  var iv = goog.crypt.base64.decodeStringToByteArray(envelope['iv']);
+  var cipher_text = goog.crypt.base64.decodeStringToByteArray(envelope['ct']);
+  var mac = goog.crypt.base64.decodeStringToByteArray(envelope['mac']);
+  if (!ydn.db.Crypt.equals_(mac,
+      ydn.db.Crypt.mac_(keys[1], iv, cipher_text))) {
+    throw new ydn.db.SecurityError(new Error('authentication failed'),
+        'wrong encryption key for secret "' + name + '"' + label);
+  }
+  var cbc = new goog.crypt.Cbc(new goog.crypt.Aes(keys[0]));
+  var plain = cbc.decrypt(cipher_text, iv);
+  plain.length -= plain[plain.length - 1];
+  return ydn.json.parse(goog.crypt.utf8ByteArrayToString(plain));
+};
+
+
+/**
+ * @param {*} value record value as stored in the database.
+ * @return {boolean} true if the value is a cipher envelope.
+ */
+ydn.db.Crypt.isEncrypted = function(value) {
+  return goog.isObject(value) && goog.isObject(value[ydn.db.Crypt.FIELD]);
+};
@@ -2,17 +2,59 @@
  *
  * @fileoverview Error classes for the database module.
  *
+ * Failures of database requests are normalized into these classes by
+ * ydn.db.error.normalize, so that errors of all storage mechanisms are
+ * handled alike by their stable code.
+ *
  */
 
 goog.provide('ydn.db.ConstraintError');
+goog.provide('ydn.db.DataCloneError');
 goog.provide('ydn.db.InternalError');
+goog.provide('ydn.db.InvalidAccessError');
 goog.provide('ydn.db.InvalidKeyException');
 goog.provide('ydn.db.InvalidStateError');
 goog.provide('ydn.db.NotFoundError');
+goog.provide('ydn.db.QuotaError');
+goog.provide('ydn.db.SQLError');
 goog.provide('ydn.db.ScopeError');
 goog.provide('ydn.db.SecurityError');
+goog.provide('ydn.db.SqlParseError');
+goog.provide('ydn.db.SyncError');
 goog.provide('ydn.db.TimeoutError');
+goog.provide('ydn.db.TxAbortedError');
+goog.provide('ydn.db.TxError');
+goog.provide('ydn.db.ValidationError');
 goog.provide('ydn.db.VersionError');
+goog.provide('ydn.db.error');
+goog.provide('ydn.db.error.Code');
+
+
+/**
+ * Stable code of database errors, independent of storage mechanism and of
+ * compilation.
+ * @enum {string}
+ */
+ydn.db.error.Code = {
+  ABORT: 'abort',
+  CONSTRAINT: 'constraint',
+  DATA_CLONE: 'data_clone',
+  INTERNAL: 'internal',
+  INVALID_ACCESS: 'invalid_access',
+  INVALID_KEY: 'invalid_key',
+  INVALID_STATE: 'invalid_state',
+  NOT_FOUND: 'not_found',
+  QUOTA: 'quota',
+  SCOPE: 'scope',
+  SECURITY: 'security',
+  SQL: 'sql',
+  SQL_PARSE: 'sql_parse',
+  SYNC: 'sync',
+  TIMEOUT: 'timeout',
+  TRANSACTION: 'transaction',
+  VALIDATION: 'validation',
+  VERSION: 'version'
+};
 
 
 
@@ -39,6 +81,12 @@ ydn.db.ConstraintError = function(opt_msg) {
 goog.inherits(ydn.db.ConstraintError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.ConstraintError.prototype.code = ydn.db.error.Code.CONSTRAINT;
+
+
 /**
  *
  * @type {string}
@@ -80,6 +128,12 @@ ydn.db.InvalidKeyException = function(opt_msg) {
 goog.inherits(ydn.db.InvalidKeyException, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.InvalidKeyException.prototype.code = ydn.db.error.Code.INVALID_KEY;
+
+
 if (goog.DEBUG) {
   /**
    * @inheritDoc
@@ -114,6 +168,12 @@ ydn.db.VersionError = function(opt_msg) {
 goog.inherits(ydn.db.VersionError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.VersionError.prototype.code = ydn.db.error.Code.VERSION;
+
+
 /**
  * @type {string} name of error.
  */
@@ -153,6 +213,12 @@ ydn.db.InternalError = function(opt_msg) {
 goog.inherits(ydn.db.InternalError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.InternalError.prototype.code = ydn.db.error.Code.INTERNAL;
+
+
 /**
  * @type {string} name of error.
  */
@@ -183,6 +249,12 @@ ydn.db.ScopeError = function(opt_msg) {
 goog.inherits(ydn.db.ScopeError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.ScopeError.prototype.code = ydn.db.error.Code.SCOPE;
+
+
 
 /**
  * Base class for custom error objects.
@@ -207,6 +279,12 @@ ydn.db.InvalidStateError = function(opt_msg) {
 goog.inherits(ydn.db.InvalidStateError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.InvalidStateError.prototype.code = ydn.db.error.Code.INVALID_STATE;
+
+
 
 /**
  * Base class for custom error objects.
@@ -231,6 +309,12 @@ ydn.db.InvalidAccessError = function(opt_msg) {
 goog.inherits(ydn.db.InvalidAccessError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.InvalidAccessError.prototype.code = ydn.db.error.Code.INVALID_ACCESS;
+
+
 
 /**
  * Base class for custom error objects.
@@ -255,6 +339,12 @@ ydn.db.NotFoundError = function(opt_msg) {
 goog.inherits(ydn.db.NotFoundError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.NotFoundError.prototype.code = ydn.db.error.Code.NOT_FOUND;
+
+
 /**
 * @type {string} name of error.
 */
@@ -295,6 +385,12 @@ ydn.db.DataCloneError = function(opt_msg) {
 goog.inherits(ydn.db.DataCloneError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.DataCloneError.prototype.code = ydn.db.error.Code.DATA_CLONE;
+
+
 if (goog.DEBUG) {
   /**
    * @inheritDoc
@@ -331,6 +427,12 @@ ydn.db.SQLError = function(e, opt_msg) {
 goog.inherits(ydn.db.SQLError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.SQLError.prototype.code = ydn.db.error.Code.SQL;
+
+
 
 if (goog.DEBUG) {
   /**
@@ -368,6 +470,12 @@ ydn.db.SecurityError = function(e, opt_msg) {
 goog.inherits(ydn.db.SecurityError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.SecurityError.prototype.code = ydn.db.error.Code.SECURITY;
+
+
 if (goog.DEBUG) {
   /**
    * @inheritDoc
@@ -402,6 +510,12 @@ ydn.db.SqlParseError = function(opt_msg) {
 goog.inherits(ydn.db.SqlParseError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.SqlParseError.prototype.code = ydn.db.error.Code.SQL_PARSE;
+
+
 
 /**
  *
@@ -426,6 +540,12 @@ ydn.db.TimeoutError = function(opt_msg) {
 goog.inherits(ydn.db.TimeoutError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.TimeoutError.prototype.code = ydn.db.error.Code.TIMEOUT;
+
+
 
 /**
  * @param {*} result request result.
@@ -451,6 +571,12 @@ ydn.db.TxError = function(result, opt_msg) {
 goog.inherits(ydn.db.TxError, Error);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.TxError.prototype.code = ydn.db.error.Code.TRANSACTION;
+
+
 /**
  * @type {*}
  */
@@ -480,4 +606,282 @@ ydn.db.TxAbortedError = function(result, opt_msg) {
 goog.inherits(ydn.db.TxAbortedError, ydn.db.TxError);
 
 
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.TxAbortedError.prototype.code = ydn.db.error.Code.ABORT;
+
+
+
+
+
+
+/**
+ * Error response from synchronization server.
+ * @param {number} status HTTP status code, 0 if the server is unreachable.
+ * @param {*=} opt_msg optional message.
+ * @constructor
+ * @extends {Error}
+ */
+ydn.db.SyncError = function(status, opt_msg) {
+
+  // Ensure there is a stack trace.
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ydn.db.SyncError);
+  } else {
+    this.stack = new Error().stack || '';
+  }
+
+  if (opt_msg) {
+    this.message = String(opt_msg);
+  }
+  this.name = 'SyncError';
+  this.status = status;
+};
+goog.inherits(ydn.db.SyncError, Error);
+
+
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.SyncError.prototype.code = ydn.db.error.Code.SYNC;
+
+
+/**
+ * @type {number}
+ */
+ydn.db.SyncError.prototype.status;
+
+
+
+/**
+ * Writing records exceeds maxSize option or storage quota of the browser.
+ * @param {string} store_name name of the store written to.
+ * @param {number} requested requested size in bytes.
+ * @param {*=} opt_msg optional message.
+ * @constructor
+ * @extends {Error}
+ */
+ydn.db.QuotaError = function(store_name, requested, opt_msg) {
+
+  // Ensure there is a stack trace.
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ydn.db.QuotaError);
+  } else {
+    this.stack = new Error().stack || '';
+  }
+
+  this.message = opt_msg ? String(opt_msg) : 'writing ' + requested +
+      ' bytes to store "' + store_name + '" exceeds quota';
+  this.name = 'QuotaError';
+  this.storeName = store_name;
+  this.requested = requested;
+};
+goog.inherits(ydn.db.QuotaError, Error);
+
+
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.QuotaError.prototype.code = ydn.db.error.Code.QUOTA;
+
+
+/**
+ * @type {string}
+ */
+ydn.db.QuotaError.prototype.storeName;
+
+
+/**
+ * @type {number}
+ */
+ydn.db.QuotaError.prototype.requested;
+
+
+
+/**
+ * A record value to be written is invalid for the store schema.
+ * @param {string} store_name store name.
+ * @param {IDBKey|undefined} key primary key of the record, if known.
+ * @param {!Array.<!ValidationViolation>} violations invalid fields.
+ * @param {*=} opt_msg optional message.
+ * @constructor
+ * @extends {Error}
+ */
+ydn.db.ValidationError = function(store_name, key, violations, opt_msg) {
+
+  // Ensure there is a stack trace.
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ydn.db.ValidationError);
+  } else {
+    this.stack = new Error().stack || '';
+  }
+
+  if (opt_msg) {
+    this.message = String(opt_msg);
+  } else {
+    var fields = [];
+    for (var i = 0; i < violations.length; i++) {
+      fields.push(violations[i]['keyPath'] + ' must be ' +
+          violations[i]['expected'] + ', but ' + violations[i]['actual'] +
+          ' found');
+    }
+    this.message = 'record ' + (goog.isDef(key) ? key + ' ' : '') +
+        'of store "' + store_name + '" is invalid: ' + fields.join('; ');
+  }
+  this.name = 'ValidationError';
+  this.storeName = store_name;
+  this.key = key;
+  this.violations = violations;
+};
+goog.inherits(ydn.db.ValidationError, Error);
+
+
+/**
+ * @type {ydn.db.error.Code}
+ */
+ydn.db.ValidationError.prototype.code = ydn.db.error.Code.VALIDATION;
+
+
+/**
+ * @type {string}
+ */
+ydn.db.ValidationError.prototype.storeName;
+
+
+/**
+ * @type {IDBKey|undefined}
+ */
+ydn.db.ValidationError.prototype.key;
+
+
+/**
+ * @type {!Array.<!ValidationViolation>}
+ */
+ydn.db.ValidationError.prototype.violations;
+
+
 
+/**
+ * Normalize a failure of a database request into an error of this module.
+ * Errors raised by the storage mechanism, such as DOMException of IndexedDB
+ * and SQLError of WebSQL, are wrapped into the corresponding error class.
+ * Errors of this module are annotated in place. The normalized error has
+ * `code`, `storeName`, `key`, `method`, `mechanism` and `cause`, the
+ * original error if wrapped, otherwise null.
+ * @param {*} cause error of the request.
+ * @param {string} mechanism storage mechanism type.
+ * @param {ydn.db.Request.Method} method request method.
+ * @param {string=} opt_store_name store name involved.
+ * @param {*=} opt_key key of the record involved, if known.
+ * @return {!Error} normalized error.
+ */
+ydn.db.error.normalize = function(cause, mechanism, method, opt_store_name,
+                                  opt_key) {
+  var e;
+  if (ydn.db.error.isNormalized(cause)) {
+    e = /** @type {!Error} */ (cause);
+    if (!goog.isDef(e.cause)) {
+      e.cause = null;
+    }
+  } else {
+    e = ydn.db.error.wrap_(cause, opt_store_name);
+    e.cause = cause;
+  }
+  // store name and key given by the error itself are more specific.
+  if (!goog.isDef(e.storeName)) {
+    e.storeName = opt_store_name;
+  }
+  if (!goog.isDef(e.key)) {
+    e.key = opt_key;
+  }
+  if (!goog.isDef(e.method)) {
+    e.method = method;
+  }
+  if (!goog.isDef(e.mechanism)) {
+    e.mechanism = mechanism;
+  }
+  return e;
+};
+
+
+/**
+ * @param {*} e an error.
+ * @return {boolean} true if the error is an error of this module.
+ */
+ydn.db.error.isNormalized = function(e) {
+  return e instanceof Error && goog.isString(e.code);
+};
+
+
+/**
+ * @param {*} x result of a request.
+ * @return {boolean} true if the result is an error, rather than a key.
+ */
+ydn.db.error.isError = function(x) {
+  return x instanceof Error || (goog.isObject(x) && !goog.isArray(x) &&
+      goog.isString(x.message));
+};
+
+
+/**
+ * Wrap an error of the storage mechanism.
+ * @param {*} cause error raised by the storage mechanism.
+ * @param {string=} opt_store_name store name.
+ * @return {!Error} error of this module.
+ * @private
+ */
+ydn.db.error.wrap_ = function(cause, opt_store_name) {
+  var name = goog.isObject(cause) ? cause.name : undefined;
+  var msg = goog.isObject(cause) && cause.message ? cause.message :
+      String(cause);
+  switch (name) {
+    case 'AbortError':
+      return new ydn.db.TxAbortedError(undefined, msg);
+    case 'ConstraintError':
+      return new ydn.db.ConstraintError(msg);
+    case 'DataCloneError':
+      return new ydn.db.DataCloneError(msg);
+    case 'DataError':
+      return new ydn.db.InvalidKeyException(msg);
+    case 'InvalidAccessError':
+    case 'ReadOnlyError':
+      return new ydn.db.InvalidAccessError(msg);
+    case 'InvalidStateError':
+    case 'TransactionInactiveError':
+      return new ydn.db.InvalidStateError(msg);
+    case 'NotFoundError':
+      return new ydn.db.NotFoundError(msg);
+    case 'QuotaExceededError':
+      return new ydn.db.QuotaError(opt_store_name || '', 0, msg);
+    case 'SecurityError':
+      return new ydn.db.SecurityError(/** @type {Error} */ (cause));
+    case 'TimeoutError':
+      return new ydn.db.TimeoutError(msg);
+    case 'VersionError':
+      return new ydn.db.VersionError(msg);
+  }
+  if (goog.isObject(cause) && !goog.isString(name) &&
+      goog.isNumber(cause.code)) {
+    // SQLError of WebSQL, which does not have name.
+    switch (cause.code) {
+      case 2: // VERSION_ERR
+        return new ydn.db.VersionError(msg);
+      case 4: // QUOTA_ERR
+        return new ydn.db.QuotaError(opt_store_name || '', 0, msg);
+      case 5: // SYNTAX_ERR
+        return new ydn.db.SqlParseError(msg);
+      case 6: // CONSTRAINT_ERR
+        return new ydn.db.ConstraintError(msg);
+      case 7: // TIMEOUT_ERR
+        return new ydn.db.TimeoutError(msg);
+      default: // UNKNOWN_ERR, DATABASE_ERR and TOO_LARGE_ERR
+        if (/database is locked/i.test(msg)) {
+          // SQLITE_BUSY of a competing connection, reported as DATABASE_ERR.
+          return new ydn.db.TimeoutError(msg);
+        }
+        return new ydn.db.SQLError(/** @type {SQLError} */ (cause));
+    }
+  }
+  return new ydn.db.InternalError(msg);
+};
@@ -6,9 +6,12 @@
  */
 
 
+goog.provide('ydn.db.events.MigrationEvent');
 goog.provide('ydn.db.events.RecordEvent');
+goog.provide('ydn.db.events.RetryEvent');
 goog.provide('ydn.db.events.StorageEvent');
 goog.provide('ydn.db.events.StoreEvent');
+goog.provide('ydn.db.events.SyncEvent');
 goog.provide('ydn.db.events.Types');
 goog.require('goog.events.Event');
 
@@ -25,7 +28,10 @@ ydn.db.events.Types = {
   FAIL: 'fail',
   CREATED: 'created',
   DELETED: 'deleted',
-  UPDATED: 'updated'
+  UPDATED: 'updated',
+  SYNC: 'sync',
+  MIGRATION: 'migration',
+  RETRY: 'retry'
 };
 
 
@@ -60,6 +66,21 @@ ydn.db.events.Event.prototype.getStoreName = function() {
 };
 
 
+/**
+ * True if the change was made by other tab.
+ * @type {boolean}
+ */
+ydn.db.events.Event.prototype.remote = false;
+
+
+/**
+ * @return {boolean} true if the change was made by other tab or window.
+ */
+ydn.db.events.Event.prototype.isRemote = function() {
+  return this.remote;
+};
+
+
 
 /**
  *
@@ -213,16 +234,18 @@ ydn.db.events.StorageFailEvent.prototype.name = 'FailEvent';
  * @param {string} store_name source.
  * @param {*} key source.
  * @param {*} value source.
+ * @param {boolean=} opt_remote true if the change was made by other tab.
  * @extends {ydn.db.events.Event}
  * @constructor
  * @struct
  */
 ydn.db.events.RecordEvent = function(event_type, event_target, store_name, key,
-                                     value) {
+                                     value, opt_remote) {
   goog.base(this, event_type, event_target);
   this.store_name = store_name;
   this.key = key;
   this.value = value;
+  this.remote = !!opt_remote;
 };
 goog.inherits(ydn.db.events.RecordEvent, ydn.db.events.Event);
 
@@ -274,16 +297,18 @@ ydn.db.events.RecordEvent.prototype.getValue = function() {
  * @param {string} store_name source.
  * @param {Array} keys source.
  * @param {Array=} opt_values source.
+ * @param {boolean=} opt_remote true if the change was made by other tab.
  * @extends {ydn.db.events.Event}
  * @constructor
  * @struct
  */
 ydn.db.events.StoreEvent = function(event_type, event_target, store_name, keys,
-                                    opt_values) {
+                                    opt_values, opt_remote) {
   goog.base(this, event_type, event_target);
   this.store_name = store_name;
   this.keys = keys;
   this.values = opt_values;
+  this.remote = !!opt_remote;
 };
 goog.inherits(ydn.db.events.StoreEvent, ydn.db.events.Event);
 
@@ -327,3 +352,272 @@ ydn.db.events.StoreEvent.prototype.getValues = function() {
 };
 
 
+
+
+
+/**
+ * Synchronization progress of a store.
+ * @param {Object} event_target target.
+ * @param {string} store_name store being synchronized.
+ * @param {ydn.db.events.SyncEvent.Phase} phase synchronization phase.
+ * @param {number} count number of records processed in the phase.
+ * @param {Error=} opt_error error, if the phase failed.
+ * @extends {ydn.db.events.Event}
+ * @constructor
+ * @struct
+ */
+ydn.db.events.SyncEvent = function(event_target, store_name, phase, count,
+                                   opt_error) {
+  goog.base(this, ydn.db.events.Types.SYNC, event_target);
+  this.store_name = store_name;
+  this.phase = phase;
+  this.count = count;
+  this.error = opt_error || null;
+};
+goog.inherits(ydn.db.events.SyncEvent, ydn.db.events.Event);
+
+
+/**
+ * Synchronization phase.
+ * @enum {string}
+ */
+ydn.db.events.SyncEvent.Phase = {
+  PULLED: 'pulled',
+  PUSHED: 'pushed',
+  CONFLICT: 'conflict',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+
+/**
+ * @final
+ * @type {string}
+ */
+ydn.db.events.SyncEvent.prototype.name = 'SyncEvent';
+
+
+/**
+ * @type {ydn.db.events.SyncEvent.Phase}
+ */
+ydn.db.events.SyncEvent.prototype.phase;
+
+
+/**
+ * @type {number}
+ */
+ydn.db.events.SyncEvent.prototype.count;
+
+
+/**
+ * @type {Error}
+ */
+ydn.db.events.SyncEvent.prototype.error;
+
+
+/**
+ * @return {ydn.db.events.SyncEvent.Phase} synchronization phase.
+ */
+ydn.db.events.SyncEvent.prototype.getPhase = function() {
+  return this.phase;
+};
+
+
+/**
+ * @return {number} number of records processed in the phase.
+ */
+ydn.db.events.SyncEvent.prototype.getCount = function() {
+  return this.count;
+};
+
+
+/**
+ * @return {Error} error if the phase failed.
+ */
+ydn.db.events.SyncEvent.prototype.getError = function() {
+  return this.error;
+};
+
+
+
+/**
+ * Progress of copying data from other storage mechanism.
+ * @param {Object} event_target target.
+ * @param {string} mechanism storage mechanism data are copied from.
+ * @param {ydn.db.events.MigrationEvent.Phase} phase migration phase.
+ * @param {number} count number of records copied.
+ * @param {Error=} opt_error error, if the migration failed.
+ * @extends {ydn.db.events.Event}
+ * @constructor
+ * @struct
+ */
+ydn.db.events.MigrationEvent = function(event_target, mechanism, phase, count,
+                                        opt_error) {
+  goog.base(this, ydn.db.events.Types.MIGRATION, event_target);
+  this.mechanism = mechanism;
+  this.phase = phase;
+  this.count = count;
+  this.error = opt_error || null;
+};
+goog.inherits(ydn.db.events.MigrationEvent, ydn.db.events.Event);
+
+
+/**
+ * Migration phase.
+ * @enum {string}
+ */
+ydn.db.events.MigrationEvent.Phase = {
+  STARTED: 'started',
+  COPIED: 'copied',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+
+/**
+ * @final
+ * @type {string}
+ */
+ydn.db.events.MigrationEvent.prototype.name = 'MigrationEvent';
+
+
+/**
+ * @type {string}
+ */
+ydn.db.events.MigrationEvent.prototype.mechanism;
+
+
+/**
+ * @type {ydn.db.events.MigrationEvent.Phase}
+ */
+ydn.db.events.MigrationEvent.prototype.phase;
+
+
+/**
+ * @type {number}
+ */
+ydn.db.events.MigrationEvent.prototype.count;
+
+
+/**
+ * @type {Error}
+ */
+ydn.db.events.MigrationEvent.prototype.error;
+
+
+/**
+ * @return {string} storage mechanism data are copied from.
+ */
+ydn.db.events.MigrationEvent.prototype.getMechanism = function() {
+  return this.mechanism;
+};
+
+
+/**
+ * @return {ydn.db.events.MigrationEvent.Phase} migration phase.
+ */
+ydn.db.events.MigrationEvent.prototype.getPhase = function() {
+  return this.phase;
+};
+
+
+/**
+ * @return {number} number of records copied.
+ */
+ydn.db.events.MigrationEvent.prototype.getCount = function() {
+  return this.count;
+};
+
+
+/**
+ * @return {Error} error if the migration failed.
+ */
+ydn.db.events.MigrationEvent.prototype.getError = function() {
+  return this.error;
+};
+
+
+
+/**
+ * A failed attempt of a request or transaction is about to be replayed.
+ * @param {Object} event_target target.
+ * @param {ydn.db.Request.Method} method method of the failed request.
+ * @param {number} attempt number of the failed attempt, starting from 1.
+ * @param {number} delay delay in milliseconds before the next attempt.
+ * @param {*} error error of the failed attempt.
+ * @extends {ydn.db.events.Event}
+ * @constructor
+ * @struct
+ */
+ydn.db.events.RetryEvent = function(event_target, method, attempt, delay,
+                                    error) {
+  goog.base(this, ydn.db.events.Types.RETRY, event_target);
+  this.method = method;
+  this.attempt = attempt;
+  this.delay = delay;
+  this.error = error;
+};
+goog.inherits(ydn.db.events.RetryEvent, ydn.db.events.Event);
+
+
+/**
+ * @final
+ * @type {string}
+ */
+ydn.db.events.RetryEvent.prototype.name = 'RetryEvent';
+
+
+/**
+ * @type {ydn.db.Request.Method}
+ */
+ydn.db.events.RetryEvent.prototype.method;
+
+
+/**
+ * @type {number}
+ */
+ydn.db.events.RetryEvent.prototype.attempt;
+
+
+/**
+ * @type {number}
+ */
+ydn.db.events.RetryEvent.prototype.delay;
+
+
+/**
+ * @type {*}
+ */
+ydn.db.events.RetryEvent.prototype.error;
+
+
+/**
+ * @return {ydn.db.Request.Method} method of the failed request.
+ */
+ydn.db.events.RetryEvent.prototype.getMethod = function() {
+  return this.method;
+};
+
+
+/**
+ * @return {number} number of the failed attempt, starting from 1.
+ */
+ydn.db.events.RetryEvent.prototype.getAttempt = function() {
+  return this.attempt;
+};
+
+
+/**
+ * @return {number} delay in milliseconds before the next attempt.
+ */
+ydn.db.events.RetryEvent.prototype.getDelay = function() {
+  return this.delay;
+};
+
+
+/**
+ * @return {*} error of the failed attempt.
+ */
+ydn.db.events.RetryEvent.prototype.getError = function() {
+  return this.error;
+};
@@ -77,12 +77,31 @@ ydn.db.Request = function(method, opt_onCancelFunction, opt_defaultScope) {
    * @private
    */
   this.txbacks_ = [];
+  /**
+   * transaction ready listener callbacks invoked, to be invoked again when
+   * the request is replayed.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.replays_ = [];
+  /**
+   * Handler deciding to replay the request on failure.
+   * @type {?function(*): boolean}
+   * @private
+   */
+  this.retry_handler_ = null;
   /**
    * request branches.
    * @type {!Array.<!Array>}
    * @private
    */
   this.transformers_ = [];
+  /**
+   * transaction completed listener callbacks.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.completebacks_ = [];
   this.tx_ = null;
   this.tx_label_ = '';
   this.copy_count_ = 0;
@@ -141,11 +160,36 @@ ydn.db.Request.prototype.setTx = function(tx, label) {
       var scope = this.txbacks_[i][1];
       tx_callback.call(scope, tx);
     }
+    this.replays_ = this.replays_.concat(this.txbacks_);
     this.txbacks_.length = 0;
   }
 };
 
 
+/**
+ * Set a handler deciding to replay the request when it fails. If the handler
+ * return true, the failure is not delivered and the request is expected to
+ * be replayed by {@link #retry}.
+ * @param {?function(*): boolean} handler receive the failure.
+ */
+ydn.db.Request.prototype.setRetryHandler = function(handler) {
+  this.retry_handler_ = handler;
+};
+
+
+/**
+ * Release the transaction of a failed attempt, so that tx listener callbacks
+ * are invoked again on the next active transaction.
+ */
+ydn.db.Request.prototype.retry = function() {
+  goog.asserts.assert(!this.hasFired(), 'resolved request cannot be retried');
+  goog.log.finer(this.logger, this + ' RETRY');
+  this.tx_ = null;
+  this.txbacks_ = this.replays_.concat(this.txbacks_);
+  this.replays_ = [];
+};
+
+
 /**
  * @return {!ydn.db.Request} active tx copy of this request.
  */
@@ -159,11 +203,19 @@ ydn.db.Request.prototype.copy = function() {
 
 
 /**
- * Remove tx when tx is inactive.
+ * Remove tx when tx is inactive. This will invoke tx completed listener
+ * callbacks.
+ * @param {ydn.db.base.TxEventTypes=} opt_type transaction completed event
+ * type.
  */
-ydn.db.Request.prototype.removeTx = function() {
+ydn.db.Request.prototype.removeTx = function(opt_type) {
   goog.log.finer(this.logger, this + ' END');
   this.tx_ = null;
+  var completebacks = this.completebacks_;
+  this.completebacks_ = [];
+  for (var i = 0; i < completebacks.length; i++) {
+    completebacks[i][0].call(completebacks[i][1], opt_type);
+  }
 };
 
 
@@ -244,14 +296,28 @@ ydn.db.Request.prototype.abort = function() {
  * @final
  */
 ydn.db.Request.prototype.setDbValue = function(value, opt_failed) {
+  if (opt_failed && this.retry_handler_ && this.retry_handler_(value)) {
+    goog.log.finer(this.logger, this + ' failed attempt');
+    return;
+  }
+  this.transform_(value, !!opt_failed);
+};
+
+
+/**
+ * Invoke awaiting transformers and finally resolve the request.
+ * @param {*} value result from database request.
+ * @param {boolean} failed true if request fail.
+ * @private
+ */
+ydn.db.Request.prototype.transform_ = function(value, failed) {
   var tr = this.transformers_.shift();
-  var failed = !!opt_failed;
   if (tr) {
     var me = this;
     var fn = tr[0];
     var scope = tr[1];
     fn.call(scope, value, failed, function(tx_value, f2) {
-      me.setDbValue(tx_value, f2);
+      me.transform_(tx_value, !!f2);
     });
   } else {
     if (ydn.db.Request.DEBUG) {
@@ -291,6 +357,7 @@ ydn.db.Request.prototype.await = function(tr, opt_scope) {
  */
 ydn.db.Request.prototype.addTxback = function(fun, opt_scope) {
   if (this.tx_) {
+    this.replays_.push([fun, opt_scope]);
     fun.call(opt_scope, this.tx_);
   } else {
     this.txbacks_.push([fun, opt_scope]);
@@ -299,6 +366,21 @@ ydn.db.Request.prototype.addTxback = function(fun, opt_scope) {
 };
 
 
+/**
+ * Register a callback function to be called when the transaction of the
+ * request is completed, committed or not.
+ * @param {function(this:T, (ydn.db.base.TxEventTypes|undefined))} fun The
+ * function to be called with transaction completed event type.
+ * @param {T=} opt_scope An optional scope to call the function in.
+ * @return {!ydn.db.Request} This request.
+ * @template T
+ */
+ydn.db.Request.prototype.addCompleteback = function(fun, opt_scope) {
+  this.completebacks_.push([fun, opt_scope]);
+  return this;
+};
+
+
 /**
 * @inheritDoc
 */
@@ -381,6 +463,18 @@ ydn.db.Request.succeed = function(method, value) {
 };
 
 
+/**
+ * @param {ydn.db.Request.Method} method method.
+ * @param {*} error error value.
+ * @return {!ydn.db.Request} failed request.
+ */
+ydn.db.Request.fail = function(method, error) {
+  var req = new ydn.db.Request(method);
+  req.setDbValue(error, true);
+  return req;
+};
+
+
 /**
  * @inheritDoc
  */
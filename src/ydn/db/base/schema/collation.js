@@ -0,0 +1,305 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Collation of a text index for case and accent insensitive
+ * search.
+ *
+ * Text is folded to lower case base letters, with German sharp s expanded to
+ * 'ss'. For Turkish and Azerbaijani locales, capital I folds to dotless i,
+ * which is kept distinct from i. Folding does not depend on locale support of
+ * the browser, so that generated index keys are the same on all browsers.
+ *
+ * An index having collation option has a generated index of folded keys:
+ * folded text for prefix mode, reversed folded text for suffix mode and
+ * substrings up to GRAM_LENGTH letters for contains mode.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.schema.Collation');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+
+/**
+ * Create a collation.
+ * @param {string=} opt_locale BCP 47 language tag.
+ * @param {ydn.db.schema.Collation.Mode|string=} opt_mode matching mode.
+ * Defaults to prefix.
+ * @constructor
+ * @struct
+ */
+ydn.db.schema.Collation = function(opt_locale, opt_mode) {
+  if (goog.isDefAndNotNull(opt_locale) && !goog.isString(opt_locale)) {
+    throw new ydn.debug.error.ArgumentException('collation locale must be ' +
+        'a string, but ' + typeof opt_locale + ' found');
+  }
+  if (goog.isDefAndNotNull(opt_mode) && !goog.object.containsValue(
+      ydn.db.schema.Collation.Mode, opt_mode)) {
+    throw new ydn.debug.error.ArgumentException('invalid collation mode: ' +
+        opt_mode);
+  }
+  /**
+   * @final
+   * @type {string}
+   */
+  this.locale = opt_locale || '';
+  /**
+   * @final
+   * @type {ydn.db.schema.Collation.Mode}
+   */
+  this.mode = /** @type {ydn.db.schema.Collation.Mode} */ (opt_mode ||
+      ydn.db.schema.Collation.Mode.PREFIX);
+};
+
+
+/**
+ * Matching mode of a collation.
+ * @enum {string}
+ */
+ydn.db.schema.Collation.Mode = {
+  CONTAINS: 'contains',
+  PREFIX: 'prefix',
+  SUFFIX: 'suffix'
+};
+
+
+/**
+ * Maximum length of substrings generated for contains mode. Longer search
+ * terms are looked up by their leading substring and tested on record values.
+ * @const
+ * @type {number}
+ */
+ydn.db.schema.Collation.GRAM_LENGTH = 3;
+
+
+/**
+ * Folding of characters, which are not decomposed by canonical
+ * decomposition.
+ * @const
+ * @type {!Object.<string>}
+ * @private
+ */
+ydn.db.schema.Collation.LIGATURES_ = {
+  '\u00df': 'ss',
+  '\u00e6': 'ae',
+  '\u00f0': 'd',
+  '\u00f8': 'o',
+  '\u0131': 'i',
+  '\u0142': 'l',
+  '\u0153': 'oe',
+  '\u00fe': 'th'
+};
+
+
+/**
+ * Folding of accented latin letters, used when String#normalize is not
+ * available.
+ * @const
+ * @type {!Object.<string>}
+ * @private
+ */
+ydn.db.schema.Collation.ACCENTS_ = {
+  'a': '\u00e0\u00e1\u00e2\u00e3\u00e4\u00e5',
+  'c': '\u00e7',
+  'e': '\u00e8\u00e9\u00ea\u00eb',
+  'i': '\u00ec\u00ed\u00ee\u00ef',
+  'n': '\u00f1',
+  'o': '\u00f2\u00f3\u00f4\u00f5\u00f6',
+  'u': '\u00f9\u00fa\u00fb\u00fc',
+  'y': '\u00fd\u00ff'
+};
+
+
+/**
+ * Languages having dotted and dotless i as distinct letters.
+ * @const
+ * @type {!Array.<string>}
+ * @private
+ */
+ydn.db.schema.Collation.DOTLESS_I_LANGS_ = ['az', 'tr'];
+
+
+/**
+ * Lower case and fold diacritics into base letters.
+ * @param {string} text text.
+ * @param {string=} opt_locale BCP 47 language tag.
+ * @return {string} folded text.
+ */
+ydn.db.schema.Collation.fold = function(text, opt_locale) {
+  var lang = (opt_locale || '').toLowerCase().split(/[-_]/)[0];
+  var dotless = ydn.db.schema.Collation.DOTLESS_I_LANGS_.indexOf(lang) >= 0;
+  if (dotless) {
+    text = text.replace(/I/g, '\u0131').replace(/\u0130/g, 'i');
+  }
+  text = text.toLowerCase();
+  if (goog.isFunction(text['normalize'])) {
+    text = text['normalize']('NFD');
+  } else {
+    text = text.replace(/[\u00e0-\u00ff]/g, function(ch) {
+      for (var base in ydn.db.schema.Collation.ACCENTS_) {
+        if (ydn.db.schema.Collation.ACCENTS_[base].indexOf(ch) >= 0) {
+          return base;
+        }
+      }
+      return ch;
+    });
+  }
+  // dot above of capital I lower cased in other locales is also removed.
+  text = text.replace(/[\u0300-\u036f]/g, '');
+  var ligatures = dotless ?
+      /[\u00df\u00e6\u00f0\u00f8\u00fe\u0142\u0153]/g :
+      /[\u00df\u00e6\u00f0\u00f8\u00fe\u0131\u0142\u0153]/g;
+  return text.replace(ligatures, function(ch) {
+    return ydn.db.schema.Collation.LIGATURES_[ch];
+  });
+};
+
+
+/**
+ * @param {string} text text.
+ * @return {string} text folded in the locale of this collation.
+ */
+ydn.db.schema.Collation.prototype.fold = function(text) {
+  return ydn.db.schema.Collation.fold(text, this.locale);
+};
+
+
+/**
+ * @param {string} text folded text.
+ * @return {string} reversed text.
+ * @private
+ */
+ydn.db.schema.Collation.reverse_ = function(text) {
+  return text.split('').reverse().join('');
+};
+
+
+/**
+ * @return {boolean} true if the generated index is multiEntry.
+ */
+ydn.db.schema.Collation.prototype.isMultiEntry = function() {
+  return this.mode == ydn.db.schema.Collation.Mode.CONTAINS;
+};
+
+
+/**
+ * Generate index key of a field value.
+ * @param {*} value field value.
+ * @return {string|!Array.<string>|undefined} folded key, or substrings for
+ * contains mode. Undefined if the value is not a string.
+ */
+ydn.db.schema.Collation.prototype.generate = function(value) {
+  if (!goog.isString(value)) {
+    return undefined;
+  }
+  var folded = this.fold(value);
+  if (this.mode == ydn.db.schema.Collation.Mode.SUFFIX) {
+    return ydn.db.schema.Collation.reverse_(folded);
+  } else if (this.mode == ydn.db.schema.Collation.Mode.CONTAINS) {
+    var grams = {};
+    for (var i = 0; i < folded.length; i++) {
+      for (var n = 1; n <= ydn.db.schema.Collation.GRAM_LENGTH &&
+          i + n <= folded.length; n++) {
+        grams[folded.substr(i, n)] = true;
+      }
+    }
+    return goog.object.getKeys(grams);
+  }
+  return folded;
+};
+
+
+/**
+ * Key range of the generated index for a search term.
+ * @param {string} term search term.
+ * @return {!ydn.db.KeyRange} key range.
+ */
+ydn.db.schema.Collation.prototype.keyRange = function(term) {
+  var folded = this.fold(term);
+  if (!folded) {
+    throw new ydn.debug.error.ArgumentException('search term "' + term +
+        '" is empty after folding');
+  }
+  if (this.mode == ydn.db.schema.Collation.Mode.SUFFIX) {
+    return ydn.db.KeyRange.starts(ydn.db.schema.Collation.reverse_(folded));
+  } else if (this.mode == ydn.db.schema.Collation.Mode.CONTAINS) {
+    return ydn.db.KeyRange.only(
+        folded.substr(0, ydn.db.schema.Collation.GRAM_LENGTH));
+  }
+  return ydn.db.KeyRange.starts(folded);
+};
+
+
+/**
+ * @param {string} term search term.
+ * @return {boolean} true if records in the key range of the search term
+ * all match, otherwise they have to be tested.
+ */
+ydn.db.schema.Collation.prototype.isExact = function(term) {
+  return this.mode != ydn.db.schema.Collation.Mode.CONTAINS ||
+      this.fold(term).length <= ydn.db.schema.Collation.GRAM_LENGTH;
+};
+
+
+/**
+ * Test a field value match a search term.
+ * @param {*} value field value.
+ * @param {string} term search term.
+ * @return {boolean} true if the value match.
+ */
+ydn.db.schema.Collation.prototype.match = function(value, term) {
+  if (!goog.isString(value)) {
+    return false;
+  }
+  var folded = this.fold(value);
+  var q = this.fold(term);
+  if (this.mode == ydn.db.schema.Collation.Mode.SUFFIX) {
+    return goog.string.endsWith(folded, q);
+  } else if (this.mode == ydn.db.schema.Collation.Mode.CONTAINS) {
+    return folded.indexOf(q) >= 0;
+  }
+  return goog.string.startsWith(folded, q);
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.schema.Collation.prototype.toJSON = function() {
+  var json = {
+    'mode': this.mode
+  };
+  if (this.locale) {
+    json['locale'] = this.locale;
+  }
+  return json;
+};
+
+
+/**
+ * @param {!CollationSchema} json collation in json format.
+ * @return {!ydn.db.schema.Collation} collation.
+ */
+ydn.db.schema.Collation.fromJSON = function(json) {
+  if (!goog.isObject(json)) {
+    throw new ydn.debug.error.ArgumentException('collation must be an ' +
+        'object, but ' + typeof json + ' found');
+  }
+  return new ydn.db.schema.Collation(json.locale, json.mode);
+};
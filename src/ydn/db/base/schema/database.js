@@ -22,9 +22,11 @@
 
 goog.provide('ydn.db.schema.Database');
 goog.require('ydn.db.Key');
+goog.require('ydn.db.base');
 goog.require('ydn.db.schema.Store');
 goog.require('ydn.db.schema.fulltext.Catalog');
 goog.require('goog.array');
+goog.require('ydn.debug.error.ArgumentException');
 
 
 
@@ -50,7 +52,7 @@ ydn.db.schema.Database = function(opt_version, opt_stores) {
   if (goog.isObject(opt_version)) {
     json = opt_version;
     if (goog.DEBUG) {
-      var fields = ['version', 'stores', 'fullTextCatalogs'];
+      var fields = ['version', 'stores', 'fullTextCatalogs', 'migrations'];
       for (var key in json) {
         if (json.hasOwnProperty(key) && goog.array.indexOf(fields, key) == -1) {
           throw new ydn.debug.error.ArgumentException('Unknown field: ' + key +
@@ -84,6 +86,35 @@ ydn.db.schema.Database = function(opt_version, opt_stores) {
       }
       stores.push(store);
     }
+    var has_sync = goog.array.some(stores_json, function(x) {
+      return !!x.Sync;
+    });
+    if (has_sync && !goog.array.some(stores, function(x) {
+      return x.getName() == ydn.db.base.SN_SYNC_META;
+    })) {
+      // synchronizer keep track of dirty records in a meta data store.
+      var meta_indexes = [
+        new ydn.db.schema.Index('pending', ydn.db.schema.DataType.TEXT)
+      ];
+      stores.push(new ydn.db.schema.Store(ydn.db.base.SN_SYNC_META, 'id',
+          false, ydn.db.schema.DataType.TEXT, meta_indexes));
+    }
+    var has_quota = goog.array.some(stores, function(x) {
+      return goog.isDef(x.maxSize);
+    });
+    if (has_quota && !goog.array.some(stores, function(x) {
+      return x.getName() == ydn.db.base.SN_QUOTA;
+    })) {
+      stores.push(ydn.db.schema.Database.createQuotaStore());
+    }
+    var has_history = goog.array.some(stores, function(x) {
+      return x.history;
+    });
+    if (has_history && !goog.array.some(stores, function(x) {
+      return x.getName() == ydn.db.base.SN_ENTITY_HISTORY;
+    })) {
+      stores.push(ydn.db.schema.Store.fromJSON(ydn.db.base.entitySchema));
+    }
   } else if (goog.isString(opt_version)) {
     ver = opt_version.length == 0 ?
         undefined : parseFloat(opt_version);
@@ -118,6 +149,13 @@ ydn.db.schema.Database = function(opt_version, opt_stores) {
    * @type {!Array.<!ydn.db.schema.Store>}
    */
   this.stores = stores || [];
+  if (goog.array.some(this.stores, function(x) {
+    return x.isEncrypted();
+  }) && !this.getStore(ydn.db.base.SN_CRYPT_META)) {
+    // encryption keep a salt and a key check value for each secret.
+    this.stores.push(new ydn.db.schema.Store(ydn.db.base.SN_CRYPT_META, 'name',
+        false, ydn.db.schema.DataType.TEXT));
+  }
   var full_text_indexes = [];
   if (json && json.fullTextCatalogs) {
     goog.asserts.assertArray(json.fullTextCatalogs, 'fullTextCatalogs');
@@ -143,6 +181,87 @@ ydn.db.schema.Database = function(opt_version, opt_stores) {
    * @private
    */
   this.full_text_schema_ = full_text_indexes;
+  /**
+   * @final
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.migrations_ = json && json['migrations'] ?
+      this.parseMigrations_(json['migrations']) : [];
+};
+
+
+/**
+ * Create schema of the store keeping size, eviction priority and access time
+ * of records in stores having maxSize option. Primary key of a meta data
+ * record is an array of store name and primary key of the record.
+ * @return {!ydn.db.schema.Store} quota meta data store schema.
+ */
+ydn.db.schema.Database.createQuotaStore = function() {
+  var indexes = [
+    new ydn.db.schema.Index('store', ydn.db.schema.DataType.TEXT),
+    new ydn.db.schema.Index(['priority', 'accessed'], undefined, false, false,
+        'evict'),
+    new ydn.db.schema.Index(['store', 'priority', 'accessed'], undefined,
+        false, false, 'store_evict')
+  ];
+  return new ydn.db.schema.Store(ydn.db.base.SN_QUOTA, 'id', false,
+      undefined, indexes);
+};
+
+
+/**
+ * Validate migration scripts and sort them by version.
+ * @param {!Object.<Function>} migrations migration script by version.
+ * @return {!Array.<!Array>} list of version and migration script pairs.
+ * @private
+ */
+ydn.db.schema.Database.prototype.parseMigrations_ = function(migrations) {
+  if (this.is_auto_version_) {
+    throw new ydn.debug.error.ArgumentException('migrations require a ' +
+        'database version.');
+  }
+  var list = [];
+  for (var key in migrations) {
+    if (!migrations.hasOwnProperty(key)) {
+      continue;
+    }
+    var ver = Number(key);
+    if (!(ver > 0) || ver != Math.floor(ver) || ver > this.version) {
+      throw new ydn.debug.error.ArgumentException('Invalid migration ' +
+          'version: ' + key + ' for database version ' + this.version);
+    }
+    if (!goog.isFunction(migrations[key])) {
+      throw new ydn.debug.error.ArgumentException('migration for version ' +
+          key + ' must be a function.');
+    }
+    list.push([ver, migrations[key]]);
+  }
+  goog.array.sort(list, function(a, b) {
+    return a[0] - b[0];
+  });
+  return list;
+};
+
+
+/**
+ * Migration scripts to run when upgrading an existing database. A newly
+ * created database does not have data to migrate.
+ * @param {number} old_version version of existing database, NaN or 0 for
+ * a new database.
+ * @param {number} new_version version upgrading to.
+ * @return {!Array.<!Array>} list of version and migration script pairs, with
+ * version larger than old version and not larger than new version, in
+ * ascending order.
+ */
+ydn.db.schema.Database.prototype.getMigrations = function(old_version,
+                                                          new_version) {
+  if (!(old_version > 0)) {
+    return [];
+  }
+  return goog.array.filter(this.migrations_, function(x) {
+    return x[0] > old_version && x[0] <= new_version;
+  });
 };
 
 
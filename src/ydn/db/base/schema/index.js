@@ -22,6 +22,7 @@
 goog.provide('ydn.db.schema.DataType');
 goog.provide('ydn.db.schema.Index');
 goog.require('ydn.db.base');
+goog.require('ydn.db.schema.Collation');
 goog.require('ydn.db.utils');
 goog.require('ydn.debug.error.ArgumentException');
 
@@ -38,12 +39,14 @@ goog.require('ydn.debug.error.ArgumentException');
  * flag is set.
  * @param {string=} opt_index_name index name.
  * @param {Function=} opt_generator index key generator.
+ * @param {ydn.db.schema.Collation=} opt_collation collation for case and
+ * accent insensitive search.
  * @constructor
  * @struct
  */
 ydn.db.schema.Index = function(
     keyPath, opt_type, opt_unique, opt_multi_entry, opt_index_name,
-    opt_generator) {
+    opt_generator, opt_collation) {
 
   if (!goog.isDef(opt_index_name)) {
     if (goog.isArray(keyPath)) {
@@ -141,6 +144,15 @@ ydn.db.schema.Index = function(
    * @private
    */
   this.index_generator_ = opt_generator || null;
+  if (opt_collation && (this.is_composite_ || this.multiEntry)) {
+    throw new ydn.debug.error.ArgumentException('collation of index "' +
+        this.index_name_ + '" requires a simple index');
+  }
+  /**
+   * @final
+   * @type {ydn.db.schema.Collation}
+   */
+  this.collation = opt_collation || null;
 };
 
 
@@ -434,13 +446,17 @@ ydn.db.schema.Index.prototype.isUnique = function() {
  * @inheritDoc
  */
 ydn.db.schema.Index.prototype.toJSON = function() {
-  return {
+  var json = {
     'name': this.index_name_,
     'keyPath': this.keyPath,
     'type': this.type,
     'unique': this.unique,
     'multiEntry': this.multiEntry
   };
+  if (this.collation) {
+    json['collation'] = this.collation.toJSON();
+  }
+  return json;
 };
 
 
@@ -459,7 +475,8 @@ ydn.db.schema.Index.prototype.clone = function() {
       this.unique,
       this.multiEntry,
       this.index_name_,
-      this.index_generator_);
+      this.index_generator_,
+      this.collation || undefined);
 };
 
 
@@ -681,7 +698,7 @@ ydn.db.schema.Index.prototype.isGeneratorIndex = function() {
 ydn.db.schema.Index.fromJSON = function(json) {
   if (goog.DEBUG) {
     var fields = ['name', 'unique', 'type', 'keyPath', 'multiEntry',
-      'generator'];
+      'generator', 'collation'];
     for (var key in json) {
       if (json.hasOwnProperty(key) && goog.array.indexOf(fields, key) == -1) {
         throw new ydn.debug.error.ArgumentException('Unknown field: ' + key +
@@ -689,8 +706,10 @@ ydn.db.schema.Index.fromJSON = function(json) {
       }
     }
   }
+  var collation = goog.isDefAndNotNull(json.collation) ?
+      ydn.db.schema.Collation.fromJSON(json.collation) : undefined;
   return new ydn.db.schema.Index(json.keyPath, json.type, json.unique,
-      json.multiEntry, json.name, json.generator);
+      json.multiEntry, json.name, json.generator, collation);
 };
 
 
@@ -19,6 +19,7 @@
  */
 
 goog.provide('ydn.db.schema.Store');
+goog.require('goog.array');
 goog.require('goog.array.ArrayLike');
 goog.require('ydn.db.KeyRange');
 goog.require('ydn.db.Request.Method');
@@ -44,12 +45,28 @@ goog.require('ydn.db.schema.Index');
  * default column to store JSON stringify data. A fixed store schema TABLE,
  * do not hae that default column.
  * @param {boolean=} opt_encrypted store is encrypted.
+ * @param {number=} opt_ttl time-to-live of records in milliseconds since
+ * they are written.
+ * @param {string=} opt_expires_key_path key path of record expiry time.
+ * @param {number=} opt_max_size maximum size of records in bytes.
+ * @param {string=} opt_priority_key_path key path of record eviction
+ * priority.
+ * @param {boolean=} opt_validate validate record values against types of
+ * primary key and indexes before writing.
+ * @param {Object.<FieldSchema>=} opt_fields field definitions by key path
+ * to validate record values against.
+ * @param {boolean=} opt_history log record changes into the history store.
+ * @param {number=} opt_history_limit maximum number of history entries kept
+ * for a record.
  * @constructor
  * @struct
  */
 ydn.db.schema.Store = function(name, opt_key_path, opt_autoIncrement, opt_type,
                                opt_indexes, opt_dispatch_events, opt_is_fixed,
-                               opt_encrypted) {
+                               opt_encrypted, opt_ttl, opt_expires_key_path,
+                               opt_max_size, opt_priority_key_path,
+                               opt_validate, opt_fields, opt_history,
+                               opt_history_limit) {
 
   if (!goog.isString(name)) {
     throw new ydn.debug.error.ArgumentException('store name must be a string');
@@ -117,11 +134,105 @@ ydn.db.schema.Store = function(name, opt_key_path, opt_autoIncrement, opt_type,
    * @type {!Array<string>}
    */
   this.keyPaths = goog.isString(this.keyPath) ? this.keyPath.split('.') : [];
+  if (goog.isDefAndNotNull(opt_ttl) &&
+      (!goog.isNumber(opt_ttl) || !(opt_ttl > 0))) {
+    throw new ydn.debug.error.ArgumentException('ttl of store "' + name +
+        '" must be a positive number');
+  }
+  if (goog.isDefAndNotNull(opt_expires_key_path) &&
+      !goog.isString(opt_expires_key_path)) {
+    throw new ydn.debug.error.ArgumentException('expiresKeyPath of store "' +
+        name + '" must be a string');
+  }
+  /**
+   * @final
+   * @type {number|undefined}
+   */
+  this.ttl = goog.isDefAndNotNull(opt_ttl) ? opt_ttl : undefined;
+  /**
+   * @final
+   * @type {string|undefined}
+   */
+  this.expiresKeyPath = goog.isDefAndNotNull(opt_expires_key_path) ?
+      opt_expires_key_path : undefined;
+  if (goog.isDefAndNotNull(opt_max_size) &&
+      (!goog.isNumber(opt_max_size) || !(opt_max_size > 0))) {
+    throw new ydn.debug.error.ArgumentException('maxSize of store "' + name +
+        '" must be a positive number');
+  }
+  /**
+   * @final
+   * @type {number|undefined}
+   */
+  this.maxSize = goog.isDefAndNotNull(opt_max_size) ? opt_max_size : undefined;
+  /**
+   * @final
+   * @type {string|undefined}
+   */
+  this.priorityKeyPath = goog.isDefAndNotNull(opt_priority_key_path) ?
+      opt_priority_key_path : undefined;
+  /**
+   * @final
+   * @type {boolean}
+   */
+  this.validate = !!opt_validate;
+  /**
+   * @final
+   * @type {Object.<FieldSchema>|undefined}
+   */
+  this.fields = opt_fields || undefined;
+  if (this.fields) {
+    for (var key_path in this.fields) {
+      var field = this.fields[key_path];
+      if (!goog.isObject(field) || (goog.isDefAndNotNull(field.type) &&
+          !goog.isDef(ydn.db.schema.Index.toType(field.type)))) {
+        throw new ydn.debug.error.ArgumentException('field "' + key_path +
+            '" of store "' + name + '" has invalid type');
+      }
+    }
+  }
+  if (goog.isDefAndNotNull(opt_history_limit) &&
+      (!goog.isNumber(opt_history_limit) || !(opt_history_limit >= 1))) {
+    throw new ydn.debug.error.ArgumentException('historyLimit of store "' +
+        name + '" must be a positive number');
+  }
+  /**
+   * @final
+   * @type {boolean}
+   */
+  this.history = !!opt_history;
+  /**
+   * @final
+   * @type {number}
+   */
+  this.historyLimit = goog.isDefAndNotNull(opt_history_limit) ?
+      opt_history_limit : ydn.db.schema.Store.DEFAULT_HISTORY_LIMIT;
+  var indexes = opt_indexes || [];
+  if (this.hasExpiry()) {
+    // expiry index from a serialized schema does not have the generator.
+    indexes = goog.array.filter(indexes, function(index) {
+      return index.getName() != ydn.db.schema.Store.EXPIRES_INDEX;
+    });
+    indexes.push(this.createExpiryIndex_());
+  }
+  var collated = goog.array.filter(indexes, function(index) {
+    return !!index.collation;
+  });
+  if (collated.length > 0) {
+    // collation index from a serialized schema does not have the generator.
+    var generated = goog.array.map(collated,
+        ydn.db.schema.Store.createCollationIndex_);
+    indexes = goog.array.filter(indexes, function(index) {
+      return !goog.array.some(generated, function(g) {
+        return g.getName() == index.getName();
+      });
+    }).concat(generated);
+  }
   /**
    * @final
    * @type {!Array.<!ydn.db.schema.Index>}
    */
-  this.indexes = opt_indexes || [];
+  this.indexes = indexes;
   var names = [];
   for (var i = 0; i < this.indexes.length; i++) {
     var i_name = this.indexes[i].getName();
@@ -173,16 +284,6 @@ ydn.db.schema.Store = function(name, opt_key_path, opt_autoIncrement, opt_type,
    * @private
    */
   this.is_encrypted_ = !!opt_encrypted;
-  if (goog.DEBUG && this.is_encrypted_) {
-    if (this.keyPath) {
-      throw new ydn.debug.error.ArgumentException('encrypted store "' +
-          this.name_ + '" must not use inline key');
-    }
-    if (this.isAutoIncrement()) {
-      throw new ydn.debug.error.ArgumentException('encrypted store "' +
-          this.name_ + '" must not use key generator');
-    }
-  }
 
   /**
    * @final
@@ -191,6 +292,21 @@ ydn.db.schema.Store = function(name, opt_key_path, opt_autoIncrement, opt_type,
    */
   this.hooks_ = [];
 
+  /**
+   * Stores written by hooks in the transaction of a write request.
+   * @final
+   * @type {!Array.<string>}
+   * @private
+   */
+  this.hook_scope_ = [];
+
+  /**
+   * @final
+   * @type {!Array.<!ydn.db.schema.Store.RecordHook>} record hooks.
+   * @private
+   */
+  this.record_hooks_ = [];
+
 };
 
 
@@ -274,6 +390,243 @@ ydn.db.schema.Store.prototype.dispatch_events = false;
 ydn.db.schema.Store.prototype.fixed = false;
 
 
+/**
+ * Name and key path of the generated index of record expiry time, in
+ * milliseconds since epoch, for stores having `ttl` or `expiresKeyPath`.
+ * @const
+ * @type {string}
+ */
+ydn.db.schema.Store.EXPIRES_INDEX = '_ydn_expires';
+
+
+/**
+ * Prefix of name and key path of the generated index of folded keys, for
+ * indexes having `collation` option.
+ * @const
+ * @type {string}
+ */
+ydn.db.schema.Store.COLLATION_INDEX_PREFIX = '_ydn_collate_';
+
+
+/**
+ * Default maximum number of history entries kept for a record of stores
+ * having `history` option.
+ * @const
+ * @type {number}
+ */
+ydn.db.schema.Store.DEFAULT_HISTORY_LIMIT = 10;
+
+
+/**
+ * @return {!ydn.db.schema.Index} generated index of record expiry time.
+ * @private
+ */
+ydn.db.schema.Store.prototype.createExpiryIndex_ = function() {
+  var ttl = this.ttl;
+  var key_path = this.expiresKeyPath;
+  var generator = function(obj) {
+    if (key_path) {
+      var expires = ydn.db.utils.getValueByKeys(obj, key_path);
+      if (expires instanceof Date) {
+        expires = expires.getTime();
+      } else if (goog.isString(expires)) {
+        expires = Date.parse(expires);
+      }
+      if (goog.isNumber(expires) && !isNaN(expires)) {
+        return expires;
+      }
+    }
+    return goog.isDef(ttl) ? goog.now() + ttl : undefined;
+  };
+  return new ydn.db.schema.Index(ydn.db.schema.Store.EXPIRES_INDEX,
+      ydn.db.schema.DataType.NUMERIC, false, false,
+      ydn.db.schema.Store.EXPIRES_INDEX, generator);
+};
+
+
+/**
+ * @param {!ydn.db.schema.Index} index index having collation.
+ * @return {!ydn.db.schema.Index} generated index of folded keys of the index.
+ * @private
+ */
+ydn.db.schema.Store.createCollationIndex_ = function(index) {
+  var collation = index.collation;
+  goog.asserts.assert(collation, 'index "' + index.getName() +
+      '" has no collation');
+  var generator = function(obj) {
+    return collation.generate(index.extractKey(obj));
+  };
+  var name = ydn.db.schema.Store.COLLATION_INDEX_PREFIX +
+      index.getName().replace(/\W/g, '_');
+  return new ydn.db.schema.Index(name, ydn.db.schema.DataType.TEXT, false,
+      collation.isMultiEntry(), name, generator);
+};
+
+
+/**
+ * @param {string} name name of an index having collation option.
+ * @return {ydn.db.schema.Index} generated index of folded keys of the index.
+ */
+ydn.db.schema.Store.prototype.getCollationIndex = function(name) {
+  return this.getIndex(ydn.db.schema.Store.COLLATION_INDEX_PREFIX +
+      name.replace(/\W/g, '_'));
+};
+
+
+/**
+ * @return {boolean} true if records of the store expire.
+ */
+ydn.db.schema.Store.prototype.hasExpiry = function() {
+  return goog.isDef(this.ttl) || goog.isDef(this.expiresKeyPath);
+};
+
+
+/**
+ * Eviction priority of a record. Records of lower priority are evicted
+ * first.
+ * @param {*} value record value.
+ * @return {number} priority given by priorityKeyPath, default to 0.
+ */
+ydn.db.schema.Store.prototype.getPriority = function(value) {
+  var priority = this.priorityKeyPath && goog.isObject(value) ?
+      ydn.db.utils.getValueByKeys(value, this.priorityKeyPath) : undefined;
+  return goog.isNumber(priority) ? priority : 0;
+};
+
+
+/**
+ * @return {boolean} true if record values are validated before writing.
+ */
+ydn.db.schema.Store.prototype.hasValidation = function() {
+  return this.validate || !!this.fields;
+};
+
+
+/**
+ * Name the type of a value for validation errors.
+ * @param {*} value value.
+ * @return {string} type name.
+ * @private
+ */
+ydn.db.schema.Store.typeName_ = function(value) {
+  if (value instanceof Date) {
+    return 'Date';
+  } else if (ydn.db.schema.Store.isBlob_(value)) {
+    return 'Blob';
+  }
+  return goog.typeOf(value);
+};
+
+
+/**
+ * @param {*} value value.
+ * @return {boolean} true if the value is binary data.
+ * @private
+ */
+ydn.db.schema.Store.isBlob_ = function(value) {
+  return (goog.isDef(goog.global['Blob']) && value instanceof Blob) ||
+      (goog.isDef(goog.global['ArrayBuffer']) && value instanceof ArrayBuffer);
+};
+
+
+/**
+ * @param {*} value value.
+ * @param {ydn.db.schema.DataType} type data type.
+ * @return {boolean} true if the value is of the data type.
+ * @private
+ */
+ydn.db.schema.Store.isType_ = function(value, type) {
+  var DataType = ydn.db.schema.DataType;
+  if (type == DataType.TEXT) {
+    return goog.isString(value);
+  } else if (type == DataType.NUMERIC) {
+    return goog.isNumber(value) && !isNaN(value);
+  } else if (type == DataType.INTEGER) {
+    return goog.isNumber(value) && isFinite(value) && value % 1 == 0;
+  } else if (type == DataType.DATE) {
+    return value instanceof Date && !isNaN(value.getTime());
+  } else {
+    return ydn.db.schema.Store.isBlob_(value);
+  }
+};
+
+
+/**
+ * Validate a record value against `fields` definitions and, for `validate`
+ * option, types of primary key and indexes. Generated index values are not
+ * validated.
+ * @param {*} value record value.
+ * @return {!Array.<!ValidationViolation>} violations, empty if the value is
+ * valid.
+ */
+ydn.db.schema.Store.prototype.validateRecord = function(value) {
+  var violations = [];
+  var check = function(key_path, type, required, multi_entry) {
+    var x = goog.isObject(value) ?
+        ydn.db.utils.getValueByKeys(value, key_path) : undefined;
+    if (!goog.isDefAndNotNull(x)) {
+      if (required) {
+        violations.push({
+          'keyPath': key_path,
+          'expected': type || 'value',
+          'actual': goog.typeOf(x)
+        });
+      }
+      return;
+    }
+    if (!type) {
+      return;
+    }
+    var items = multi_entry && goog.isArray(x) ? x : [x];
+    for (var i = 0; i < items.length; i++) {
+      if (!ydn.db.schema.Store.isType_(items[i], type)) {
+        violations.push({
+          'keyPath': key_path,
+          'expected': type,
+          'actual': ydn.db.schema.Store.typeName_(items[i])
+        });
+        return;
+      }
+    }
+  };
+  if (this.validate) {
+    if (goog.isString(this.keyPath) && this.type) {
+      check(this.keyPath, this.type, false, false);
+    }
+    for (var i = 0; i < this.indexes.length; i++) {
+      var index = this.indexes[i];
+      var key_path = index.getKeyPath();
+      if (goog.isString(key_path) && index.getType() &&
+          !index.isGeneratorIndex()) {
+        check(key_path, index.getType(), false, index.isMultiEntry());
+      }
+    }
+  }
+  for (var key_path in this.fields) {
+    var field = this.fields[key_path];
+    check(key_path, ydn.db.schema.Index.toType(field.type),
+        !!field.required, false);
+  }
+  return violations;
+};
+
+
+/**
+ * Records written before expiry option was added to the store never expire.
+ * @param {*} value record value.
+ * @param {number=} opt_now current time, default to now.
+ * @return {boolean} true if the record has expired.
+ */
+ydn.db.schema.Store.prototype.isExpired = function(value, opt_now) {
+  if (!this.hasExpiry() || !goog.isObject(value)) {
+    return false;
+  }
+  var expires = value[ydn.db.schema.Store.EXPIRES_INDEX];
+  var now = goog.isDef(opt_now) ? opt_now : goog.now();
+  return goog.isNumber(expires) && expires <= now;
+};
+
+
 /**
  * @inheritDoc
  */
@@ -284,13 +637,36 @@ ydn.db.schema.Store.prototype.toJSON = function() {
     indexes.push(this.indexes[i].toJSON());
   }
 
-  return {
+  var json = {
     'name': this.name_,
     'keyPath': this.keyPath,
     'autoIncrement': this.autoIncrement,
     'type': this.type,
     'indexes': indexes
   };
+  if (goog.isDef(this.ttl)) {
+    json['ttl'] = this.ttl;
+  }
+  if (goog.isDef(this.expiresKeyPath)) {
+    json['expiresKeyPath'] = this.expiresKeyPath;
+  }
+  if (goog.isDef(this.maxSize)) {
+    json['maxSize'] = this.maxSize;
+  }
+  if (goog.isDef(this.priorityKeyPath)) {
+    json['priorityKeyPath'] = this.priorityKeyPath;
+  }
+  if (this.validate) {
+    json['validate'] = true;
+  }
+  if (this.fields) {
+    json['fields'] = this.fields;
+  }
+  if (this.history) {
+    json['history'] = true;
+    json['historyLimit'] = this.historyLimit;
+  }
+  return json;
 };
 
 
@@ -302,7 +678,9 @@ ydn.db.schema.Store.prototype.toJSON = function() {
 ydn.db.schema.Store.fromJSON = function(json) {
   if (goog.DEBUG) {
     var fields = ['name', 'keyPath', 'autoIncrement', 'type', 'indexes',
-      'dispatchEvents', 'fixed', 'Sync', 'encrypted'];
+      'dispatchEvents', 'fixed', 'Sync', 'encrypted', 'ttl',
+      'expiresKeyPath', 'maxSize', 'priorityKeyPath', 'validate', 'fields',
+      'history', 'historyLimit'];
     for (var key in json) {
       if (json.hasOwnProperty(key) && goog.array.indexOf(fields, key) == -1) {
         throw new ydn.debug.error.ArgumentException('Unknown attribute "' +
@@ -323,8 +701,16 @@ ydn.db.schema.Store.fromJSON = function(json) {
   }
   var type = json.type === 'undefined' || json.type === 'null' ?
       undefined : json.type;
+  var expires_key_path = json.expiresKeyPath;
+  if (!goog.isDefAndNotNull(expires_key_path) && json.Sync &&
+      json.Sync.metaData) {
+    // expiry time given by the server.
+    expires_key_path = json.Sync.metaData.expires;
+  }
   return new ydn.db.schema.Store(json.name, json.keyPath, json.autoIncrement,
-      type, indexes, json.dispatchEvents, json.fixed, json.encrypted);
+      type, indexes, json.dispatchEvents, json.fixed, json.encrypted,
+      json.ttl, expires_key_path, json.maxSize, json.priorityKeyPath,
+      json.validate, json.fields, json.history, json.historyLimit);
 };
 
 
@@ -1169,6 +1555,70 @@ ydn.db.schema.Store.prototype.sqlNamesValues = function(obj, opt_key,
 };
 
 
+/**
+ * Parse a row of WebSQL table into original object as it 'put' into the
+ * database.
+ * @param {!Object} row row.
+ * @return {!Object} parse value.
+ */
+ydn.db.schema.Store.prototype.parseRow = function(row) {
+
+  if (this.isFixed() && !this.usedInlineKey() && this.countIndex() == 0 &&
+      row[ydn.db.base.DEFAULT_BLOB_COLUMN]) {
+    // check for blob or file
+    var s = row[ydn.db.base.DEFAULT_BLOB_COLUMN];
+    var BASE64_MARKER = ';base64,';
+    if (s.indexOf(BASE64_MARKER) == -1) {
+      return ydn.json.parse(s);
+    } else {
+      if (s.charAt(0) == '"' && s.charAt(s.length - 1) == '"') {
+        s = s.substr(1, s.length - 2);
+      }
+      var parts = s.split(BASE64_MARKER);
+      var contentType = parts[0].split(':')[1];
+      var raw = window.atob(parts[1]);
+      var rawLength = raw.length;
+
+      var uInt8Array = new Uint8Array(rawLength);
+
+      for (var i = 0; i < rawLength; ++i) {
+        uInt8Array[i] = raw.charCodeAt(i);
+      }
+
+      return new Blob([uInt8Array.buffer], {type: contentType});
+    }
+  }
+  var value = row[ydn.db.base.DEFAULT_BLOB_COLUMN] ?
+      ydn.json.parse(row[ydn.db.base.DEFAULT_BLOB_COLUMN]) : {};
+  if (goog.isDefAndNotNull(this.keyPath)) {
+    var key = ydn.db.schema.Index.sql2js(row[this.keyPath], this.getType());
+    if (goog.isDefAndNotNull(key)) {
+      this.setKeyValue(value, key);
+    }
+  }
+
+  for (var j = 0; j < this.countIndex(); j++) {
+    var index = this.index(j);
+    var column_name = index.getSQLIndexColumnName();
+    if (column_name == ydn.db.base.DEFAULT_BLOB_COLUMN ||
+        index.isComposite() || index.isMultiEntry()) {
+      continue;
+    }
+    if (index.getType() == ydn.db.schema.DataType.DATE ||
+        this.isFixed()) { // fixed schema does not stored data in default blob
+      // in JSON serialization, date lost type.
+      var x = row[column_name];
+      var v = ydn.db.schema.Index.sql2js(x, index.getType());
+      if (goog.isDef(v)) {
+        index.applyValue(value, v);
+      }
+    }
+  }
+
+  return value;
+};
+
+
 /**
  * Compare two stores.
  * @see #similar
@@ -1261,14 +1711,75 @@ ydn.db.schema.Store.prototype.generateIndex = function(obj) {
 /**
  * @param {function(!ydn.db.Request, goog.array.ArrayLike)} hook database
  * pre-hook function.
+ * @param {!Array.<string>=} opt_store_names stores written by the hook in the
+ * transaction of the request, which are included in the transaction scope of
+ * write requests to this store.
  * @return {number} internal hook index.
  */
-ydn.db.schema.Store.prototype.addHook = function(hook) {
+ydn.db.schema.Store.prototype.addHook = function(hook, opt_store_names) {
+  if (opt_store_names) {
+    for (var i = 0; i < opt_store_names.length; i++) {
+      goog.array.insert(this.hook_scope_, opt_store_names[i]);
+    }
+  }
   this.hooks_.push(hook);
   return this.hooks_.length - 1;
 };
 
 
+/**
+ * @return {!Array.<string>} stores written by hooks in the transaction of a
+ * write request.
+ */
+ydn.db.schema.Store.prototype.getHookScope = function() {
+  return this.hook_scope_;
+};
+
+
+/**
+ * Write methods of record hooks.
+ * @enum {string}
+ */
+ydn.db.schema.Store.HookMethod = {
+  ADD: 'add',
+  CLEAR: 'clear',
+  PATCH: 'patch',
+  PUT: 'put',
+  REMOVE: 'remove'
+};
+
+
+/**
+ * Record hook registered by ydn.db.crud.Storage#addHook.
+ * @typedef {{
+ *   before: (function(*, *, string): *|undefined),
+ *   after: (function(*, *, string)|undefined),
+ *   methods: !Array.<ydn.db.schema.Store.HookMethod>
+ * }}
+ */
+ydn.db.schema.Store.RecordHook;
+
+
+/**
+ * @param {!ydn.db.schema.Store.RecordHook} hook record hook.
+ */
+ydn.db.schema.Store.prototype.addRecordHook = function(hook) {
+  this.record_hooks_.push(hook);
+};
+
+
+/**
+ * @param {ydn.db.schema.Store.HookMethod} method write method.
+ * @return {!Array.<!ydn.db.schema.Store.RecordHook>} record hooks for the
+ * method.
+ */
+ydn.db.schema.Store.prototype.getRecordHooks = function(method) {
+  return goog.array.filter(this.record_hooks_, function(hook) {
+    return goog.array.contains(hook.methods, method);
+  });
+};
+
+
 /**
  * Invoke hook functions.
  * Database hook to call before persisting into the database.
@@ -4,8 +4,11 @@
 
 
 goog.provide('ydn.db.Where');
+goog.require('goog.asserts');
 goog.require('goog.string');
+goog.require('ydn.db');
 goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.schema.Collation');
 goog.require('ydn.db.utils');
 goog.require('ydn.debug.error.ArgumentException');
 
@@ -35,6 +38,49 @@ ydn.db.Where = function(field, op, opt_value, opt_op2, opt_value2) {
    * @type {string}
    */
   this.field = field;
+  /**
+   * Collation of a '~=' clause.
+   * @private
+   * @type {ydn.db.schema.Collation}
+   */
+  this.collation_ = null;
+  /**
+   * Key path of the field folded by the collation.
+   * @private
+   * @type {string}
+   */
+  this.source_ = '';
+  /**
+   * Search term of a '~=' clause.
+   * @private
+   * @type {string}
+   */
+  this.term_ = '';
+};
+
+
+/**
+ * Create a case and accent insensitive where clause of '~=' operator, on the
+ * generated index of an index having collation option.
+ * @param {!ydn.db.schema.Index} index index having collation.
+ * @param {!ydn.db.schema.Index} generated generated index of folded keys.
+ * @param {*} term search term.
+ * @return {!ydn.db.Where} where clause on the generated index.
+ */
+ydn.db.Where.collate = function(index, generated, term) {
+  var collation = index.collation;
+  goog.asserts.assert(collation, 'index "' + index.getName() +
+      '" does not have collation option');
+  if (!goog.isString(term)) {
+    throw new ydn.debug.error.ArgumentException('search term must be a ' +
+        'string, but ' + typeof term + ' found');
+  }
+  var where = new ydn.db.Where(/** @type {string} */ (generated.getKeyPath()),
+      collation.keyRange(term));
+  where.collation_ = collation;
+  where.source_ = /** @type {string} */ (index.getKeyPath());
+  where.term_ = term;
+  return where;
 };
 
 
@@ -103,7 +149,7 @@ ydn.db.Where.resolvedStartsWith = function(keyRange) {
  * @return {ydn.db.Where} return null if fail.
  */
 ydn.db.Where.prototype.and = function(that) {
-  if (this.field != that.field) {
+  if (this.field != that.field || this.collation_ || that.collation_) {
     return null;
   }
 
@@ -115,4 +161,106 @@ ydn.db.Where.prototype.and = function(that) {
 };
 
 
+/**
+ * @return {boolean} true if the condition is equality of a single value.
+ */
+ydn.db.Where.prototype.isEqual = function() {
+  var kr = this.key_range_;
+  return !!kr && !kr.lowerOpen && !kr.upperOpen &&
+      goog.isDefAndNotNull(kr.lower) && goog.isDefAndNotNull(kr.upper) &&
+      ydn.db.cmp(kr.lower, kr.upper) == 0;
+};
+
+
+/**
+ * @return {boolean} true if records in the key range satisfy the condition,
+ * otherwise they have to be tested even if the key range is used.
+ */
+ydn.db.Where.prototype.isExact = function() {
+  return !this.collation_ || this.collation_.isExact(this.term_);
+};
+
+
+/**
+ * Test a key is in a key range.
+ * @param {ydn.db.KeyRange} kr key range, null for all keys.
+ * @param {*} key key to test.
+ * @return {boolean} true if the key is in the key range.
+ */
+ydn.db.Where.inKeyRange = function(kr, key) {
+  if (!kr) {
+    return true;
+  }
+  try {
+    if (goog.isDefAndNotNull(kr.lower)) {
+      var cmp = ydn.db.cmp(key, kr.lower);
+      if (cmp < 0 || (cmp == 0 && kr.lowerOpen)) {
+        return false;
+      }
+    }
+    if (goog.isDefAndNotNull(kr.upper)) {
+      var cmp = ydn.db.cmp(key, kr.upper);
+      if (cmp > 0 || (cmp == 0 && kr.upperOpen)) {
+        return false;
+      }
+    }
+  } catch (e) {
+    // not a valid key.
+    return false;
+  }
+  return true;
+};
+
+
+/**
+ * Test a key is in the key range of the condition.
+ * @param {*} key key to test.
+ * @return {boolean} true if the key is in the key range.
+ * @private
+ */
+ydn.db.Where.prototype.inRange_ = function(key) {
+  return ydn.db.Where.inKeyRange(this.key_range_, key);
+};
+
+
+/**
+ * Test a record satisfy the condition. As in multiEntry index, an array field
+ * value satisfy if any of its element is in the key range.
+ * @param {Object} obj record value.
+ * @return {boolean} true if the record satisfy the condition.
+ */
+ydn.db.Where.prototype.test = function(obj) {
+  if (!goog.isObject(obj)) {
+    return false;
+  }
+  if (this.collation_) {
+    return this.collation_.match(
+        ydn.db.utils.getValueByKeys(obj, this.source_), this.term_);
+  }
+  var value = ydn.db.utils.getValueByKeys(obj, this.field);
+  if (!goog.isDefAndNotNull(value)) {
+    return false;
+  }
+  if (this.inRange_(value)) {
+    return true;
+  }
+  if (goog.isArray(value)) {
+    for (var i = 0; i < value.length; i++) {
+      if (this.inRange_(value[i])) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
 
+/**
+ * @override
+ */
+ydn.db.Where.prototype.toString = function() {
+  if (this.collation_) {
+    return this.source_ + ' ~= ' + this.term_;
+  }
+  return this.field + ' in ' + ydn.db.KeyRange.toString(this.key_range_);
+};
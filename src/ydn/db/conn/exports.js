@@ -10,6 +10,7 @@
 goog.provide('ydn.db.con.exports');
 goog.require('ydn.base.exports');
 goog.require('ydn.db');
+goog.require('ydn.db.con.Migrator');
 goog.require('ydn.db.con.Storage');
 
 
@@ -50,6 +51,21 @@ goog.exportProperty(ydn.db.events.StorageEvent.prototype, 'getOldSchema',
 goog.exportProperty(ydn.db.events.StorageErrorEvent.prototype, 'getError',
     ydn.db.events.StorageErrorEvent.prototype.getError);
 
+goog.exportProperty(ydn.db.con.Migrator.prototype, 'get',
+    ydn.db.con.Migrator.prototype.get);
+goog.exportProperty(ydn.db.con.Migrator.prototype, 'values',
+    ydn.db.con.Migrator.prototype.values);
+goog.exportProperty(ydn.db.con.Migrator.prototype, 'keys',
+    ydn.db.con.Migrator.prototype.keys);
+goog.exportProperty(ydn.db.con.Migrator.prototype, 'put',
+    ydn.db.con.Migrator.prototype.put);
+goog.exportProperty(ydn.db.con.Migrator.prototype, 'remove',
+    ydn.db.con.Migrator.prototype.remove);
+goog.exportProperty(ydn.db.con.Migrator.prototype, 'clear',
+    ydn.db.con.Migrator.prototype.clear);
+goog.exportProperty(ydn.db.con.Migrator.prototype, 'count',
+    ydn.db.con.Migrator.prototype.count);
+
 goog.exportProperty(ydn.db.Request.prototype, 'abort',
     ydn.db.Request.prototype.abort);
 goog.exportProperty(ydn.db.Request.prototype, 'canAbort',
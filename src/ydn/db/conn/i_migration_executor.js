@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Interface for executing record operations in a version change
+ * transaction.
+ *
+ * Implementation invoke the callback with the result, or with an error and
+ * true as second argument on failure. An error should not abort the
+ * transaction, it is up to the migration script to handle it.
+ */
+
+
+goog.provide('ydn.db.con.IMigrationExecutor');
+
+
+
+/**
+ * @interface
+ */
+ydn.db.con.IMigrationExecutor = function() {};
+
+
+/**
+ * Retrieve a record by primary key.
+ * @param {string} store_name store name.
+ * @param {!IDBKey} key primary key.
+ * @param {function(*, boolean=)} callback receive the record or undefined.
+ */
+ydn.db.con.IMigrationExecutor.prototype.get = function(store_name, key,
+                                                       callback) {};
+
+
+/**
+ * List all records or primary keys of a store in primary key order.
+ * @param {string} store_name store name.
+ * @param {boolean} key_only list primary keys instead of records.
+ * @param {function(*, boolean=)} callback receive list of records or keys.
+ */
+ydn.db.con.IMigrationExecutor.prototype.list = function(store_name, key_only,
+                                                        callback) {};
+
+
+/**
+ * Insert or replace a record.
+ * @param {string} store_name store name.
+ * @param {*} value record.
+ * @param {IDBKey|undefined} key out-of-line key.
+ * @param {function(*, boolean=)} callback receive primary key of the record.
+ */
+ydn.db.con.IMigrationExecutor.prototype.put = function(store_name, value, key,
+                                                       callback) {};
+
+
+/**
+ * Delete a record.
+ * @param {string} store_name store name.
+ * @param {!IDBKey} key primary key.
+ * @param {function(*, boolean=)} callback invoke on completed.
+ */
+ydn.db.con.IMigrationExecutor.prototype.remove = function(store_name, key,
+                                                          callback) {};
+
+
+/**
+ * Delete all records of a store.
+ * @param {string} store_name store name.
+ * @param {function(*, boolean=)} callback invoke on completed.
+ */
+ydn.db.con.IMigrationExecutor.prototype.clear = function(store_name,
+                                                         callback) {};
+
+
+/**
+ * Count records of a store.
+ * @param {string} store_name store name.
+ * @param {function(*, boolean=)} callback receive number of records.
+ */
+ydn.db.con.IMigrationExecutor.prototype.count = function(store_name,
+                                                         callback) {};
@@ -29,6 +29,7 @@ ydn.db.con.IStorage.prototype.close = goog.abstractMethod;
  * @param {ydn.db.base.TransactionMode=} mode mode, default to 'readonly'.
  * @param {function(ydn.db.base.TxEventTypes, *)=}
   * completed_event_handler handler for completed event.
+ * @param {Object=} opt_requester requester of the transaction.
  */
 ydn.db.con.IStorage.prototype.transaction = goog.abstractMethod;
 
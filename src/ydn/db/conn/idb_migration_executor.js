@@ -0,0 +1,164 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Execute migration operations in IndexedDB versionchange
+ * transaction.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.con.IdbMigrationExecutor');
+goog.require('ydn.db.con.IMigrationExecutor');
+
+
+
+/**
+ * @param {!IDBTransaction} tx versionchange transaction.
+ * @constructor
+ * @implements {ydn.db.con.IMigrationExecutor}
+ * @struct
+ */
+ydn.db.con.IdbMigrationExecutor = function(tx) {
+  /**
+   * @final
+   * @private
+   * @type {!IDBTransaction}
+   */
+  this.tx_ = tx;
+};
+
+
+/**
+ * Listen a request. Error event is prevented from aborting the transaction.
+ * @param {!IDBRequest} req request.
+ * @param {function(*, boolean=)} callback callback.
+ * @private
+ */
+ydn.db.con.IdbMigrationExecutor.listen_ = function(req, callback) {
+  req.onsuccess = function(ev) {
+    callback(ev.target.result);
+  };
+  req.onerror = function(ev) {
+    ev.preventDefault();
+    callback(req.error, true);
+  };
+};
+
+
+/**
+ * Invoke a request on an object store. Store not found error is thrown
+ * synchronously by the transaction, which is passed to the callback.
+ * @param {string} store_name store name.
+ * @param {function(*, boolean=)} callback callback.
+ * @param {function(!IDBObjectStore): !IDBRequest} fn create request.
+ * @private
+ */
+ydn.db.con.IdbMigrationExecutor.prototype.request_ = function(store_name,
+    callback, fn) {
+  var req;
+  try {
+    req = fn(this.tx_.objectStore(store_name));
+  } catch (e) {
+    callback(e, true);
+    return;
+  }
+  ydn.db.con.IdbMigrationExecutor.listen_(req, callback);
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.IdbMigrationExecutor.prototype.get = function(store_name, key,
+                                                          callback) {
+  this.request_(store_name, callback, function(store) {
+    return store.get(key);
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.IdbMigrationExecutor.prototype.list = function(store_name,
+    key_only, callback) {
+  var store;
+  try {
+    store = this.tx_.objectStore(store_name);
+  } catch (e) {
+    callback(e, true);
+    return;
+  }
+  var results = [];
+  var req = store.openCursor();
+  req.onsuccess = function(ev) {
+    var cursor = ev.target.result;
+    if (cursor) {
+      results.push(key_only ? cursor.primaryKey : cursor.value);
+      cursor['continue']();
+    } else {
+      callback(results);
+    }
+  };
+  req.onerror = function(ev) {
+    ev.preventDefault();
+    callback(req.error, true);
+  };
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.IdbMigrationExecutor.prototype.put = function(store_name, value,
+    key, callback) {
+  this.request_(store_name, callback, function(store) {
+    return goog.isDefAndNotNull(store.keyPath) || !goog.isDef(key) ?
+        store.put(value) : store.put(value, key);
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.IdbMigrationExecutor.prototype.remove = function(store_name, key,
+                                                             callback) {
+  this.request_(store_name, callback, function(store) {
+    return store['delete'](key);
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.IdbMigrationExecutor.prototype.clear = function(store_name,
+                                                            callback) {
+  this.request_(store_name, callback, function(store) {
+    return store.clear();
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.IdbMigrationExecutor.prototype.count = function(store_name,
+                                                            callback) {
+  this.request_(store_name, callback, function(store) {
+    return store.count();
+  });
+};
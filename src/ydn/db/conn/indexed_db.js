@@ -23,6 +23,8 @@ goog.require('goog.async.DeferredList');
 goog.require('ydn.db');
 goog.require('ydn.db.base');
 goog.require('ydn.db.con.IDatabase');
+goog.require('ydn.db.con.IdbMigrationExecutor');
+goog.require('ydn.db.con.Migrator');
 goog.require('ydn.db.schema.Database');
 goog.require('ydn.error.ConstraintError');
 goog.require('ydn.json');
@@ -143,18 +145,26 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
   };
 
 
+  /**
+   * Error of a failed migration script, which aborted the version change.
+   * @type {*}
+   */
+  var migration_error = null;
+
   /**
    * Migrate from current version to the given version.
    * @protected
    * @param {IDBDatabase} db database instance.
    * @param {IDBTransaction} trans transaction.
    * @param {boolean} is_caller_setversion call from set version.
+   * @param {number} ex_version version of existing database, 0 for new
+   * database.
    */
-  var updateSchema = function(db, trans, is_caller_setversion) {
+  var updateSchema = function(db, trans, is_caller_setversion, ex_version) {
 
     var action = is_caller_setversion ? 'changing' : 'upgrading';
     goog.log.finer(me.logger, action + ' version to ' + db.version +
-        ' from ' + old_version);
+        ' from ' + ex_version);
 
     // create store that we don't have previously
     for (var i = 0; i < schema.stores.length; i++) {
@@ -162,14 +172,24 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
       me.update_store_(db, trans, schema.stores[i]);
     }
 
-    // delete stores
-    var storeNames = /** @type {DOMStringList} */ (db.objectStoreNames);
-    for (var n = storeNames.length, i = 0; i < n; i++) {
-      if (!schema.hasStore(storeNames[i])) {
-        db.deleteObjectStore(storeNames[i]);
-        goog.log.finer(me.logger, 'store: ' + storeNames[i] + ' deleted.');
-      }
-    }
+    // migration scripts still can read stores to be deleted.
+    var migrator = new ydn.db.con.Migrator(
+        new ydn.db.con.IdbMigrationExecutor(trans));
+    migrator.migrate(schema, ex_version, parseFloat(db.version)).addCallbacks(
+        function() {
+          // delete stores
+          var storeNames = /** @type {DOMStringList} */ (db.objectStoreNames);
+          for (var n = storeNames.length, i = n - 1; i >= 0; i--) {
+            if (!schema.hasStore(storeNames[i])) {
+              var name = storeNames[i];
+              db.deleteObjectStore(name);
+              goog.log.finer(me.logger, 'store: ' + name + ' deleted.');
+            }
+          }
+        }, function(e) {
+          migration_error = e;
+          trans.abort();
+        });
   };
 
   var version = schema.getVersion();
@@ -249,7 +269,7 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
             req.onupgradeneeded = function(ev) {
               var db = ev.target.result;
               goog.log.log(me.logger, goog.log.Level.FINER, 're-open for version ' + db.version);
-              updateSchema(db, req['transaction'], false);
+              updateSchema(db, req['transaction'], false, ev.oldVersion);
 
             };
             req.onsuccess = function(ev) {
@@ -260,6 +280,7 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
               setDb(null);
             };
           } else if (ydn.db.base.OLD_INDEXEDDB_SUPPORT) {
+            var ex_version = db.version;
             var ver_request = db.setVersion(next_version + '');
 
             ver_request.onfailure = function(e) {
@@ -274,7 +295,8 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
 
               ver_request['transaction'].oncomplete = tr_on_complete;
 
-              updateSchema(db, ver_request['transaction'], true);
+              updateSchema(db, ver_request['transaction'], true,
+                  parseFloat(ex_version));
             };
 
             var tr_on_complete = function(e) {
@@ -317,6 +339,7 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
       goog.asserts.assertFunction(db['setVersion'],
           'Expecting IDBDatabase in old format');
       var version = /** @type {*} */ (schema.getVersion());
+      var ex_version = parseFloat(db.version) || 0;
       var ver_request = db.setVersion(/** @type {string} */ (version));
 
       ver_request.onfailure = function(e) {
@@ -325,7 +348,7 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
         setDb(null, e);
       };
       ver_request.onsuccess = function(e) {
-        updateSchema(db, ver_request['transaction'], true);
+        updateSchema(db, ver_request['transaction'], true, ex_version);
       };
     } else {
       if (schema.getVersion() == db.version) {
@@ -360,7 +383,7 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
     var db = ev.target.result;
     old_version = NaN;
     goog.log.log(this.logger, goog.log.Level.FINER, 'upgrade needed for version ' + db.version);
-    updateSchema(db, openRequest['transaction'], false);
+    updateSchema(db, openRequest['transaction'], false, ev.oldVersion);
   };
 
   openRequest.onerror = function(ev) {
@@ -372,7 +395,7 @@ ydn.db.con.IndexedDb.prototype.connect = function(dbname, schema) {
       goog.global.console.log([ev, openRequest]);
     }
     goog.log.error(me.logger, msg);
-    setDb(null, ev);
+    setDb(null, migration_error || ev);
   };
 
   openRequest.onblocked = function(ev) {
@@ -769,7 +792,19 @@ ydn.db.con.IndexedDb.prototype.doTransaction = function(fnc, scopes, mode,
     // opening without object store name will cause InvalidAccessError
   }
 
-  var tx = db.transaction(scopes, /** @type {number} */ (mode));
+  var tx;
+  try {
+    tx = db.transaction(scopes, /** @type {number} */ (mode));
+  } catch (e) {
+    if (e.name != 'InvalidStateError') {
+      throw e;
+    }
+    // the connection is closing, as it was lost or closed on version change.
+    goog.log.warning(this.logger, this + ': transaction not created, ' +
+        e.message);
+    on_completed(ydn.db.base.TxEventTypes.ABORT, e);
+    return;
+  }
 
   tx.oncomplete = function(event) {
     on_completed(ydn.db.base.TxEventTypes.COMPLETE, event);
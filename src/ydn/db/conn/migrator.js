@@ -0,0 +1,247 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Operator given to schema migration scripts.
+ *
+ * Migration scripts are declared in the database schema by version:
+ * <pre>
+ *   migrations: {
+ *     2: function(op, old_version, version) {
+ *       return op.values('contact').addCallback(function(list) {...});
+ *     }
+ *   }
+ * </pre>
+ * When an existing database is upgraded, scripts of versions larger than the
+ * existing version are run in ascending order inside the version change
+ * transaction, after new stores and indexes are created and before removed
+ * stores are deleted, so that data can be moved out of removed stores. If a
+ * script returns a deferred or a promise, next script wait for it. The
+ * transaction must be kept alive, hence a script should only wait for
+ * requests of the operator. If a script throws or the returned deferred or
+ * promise fail, the version change is aborted and the connection fail.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.con.Migrator');
+goog.require('goog.async.Deferred');
+goog.require('goog.log');
+goog.require('ydn.db.con.IMigrationExecutor');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+
+/**
+ * Create a migration operator.
+ * @param {!ydn.db.con.IMigrationExecutor} executor record operation executor
+ * of the version change transaction.
+ * @constructor
+ * @struct
+ */
+ydn.db.con.Migrator = function(executor) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.con.IMigrationExecutor}
+   */
+  this.executor_ = executor;
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.con.Migrator.prototype.logger =
+    goog.log.getLogger('ydn.db.con.Migrator');
+
+
+/**
+ * @param {*} store_name store name.
+ * @private
+ */
+ydn.db.con.Migrator.checkStoreName_ = function(store_name) {
+  if (!goog.isString(store_name)) {
+    throw new ydn.debug.error.ArgumentException('store name must be a ' +
+        'string, but ' + store_name + ' found.');
+  }
+};
+
+
+/**
+ * @param {!goog.async.Deferred} df deferred to resolve.
+ * @return {function(*, boolean=)} executor callback resolving the deferred.
+ * @private
+ */
+ydn.db.con.Migrator.toCallback_ = function(df) {
+  return function(x, opt_is_error) {
+    if (opt_is_error) {
+      df.errback(x);
+    } else {
+      df.callback(x);
+    }
+  };
+};
+
+
+/**
+ * Retrieve a record.
+ * @param {string} store_name store name.
+ * @param {!IDBKey} key primary key.
+ * @return {!goog.async.Deferred} resolve to the record or undefined.
+ */
+ydn.db.con.Migrator.prototype.get = function(store_name, key) {
+  ydn.db.con.Migrator.checkStoreName_(store_name);
+  var df = new goog.async.Deferred();
+  this.executor_.get(store_name, key, ydn.db.con.Migrator.toCallback_(df));
+  return df;
+};
+
+
+/**
+ * List all records of a store in primary key order.
+ * @param {string} store_name store name.
+ * @return {!goog.async.Deferred} resolve to list of records.
+ */
+ydn.db.con.Migrator.prototype.values = function(store_name) {
+  ydn.db.con.Migrator.checkStoreName_(store_name);
+  var df = new goog.async.Deferred();
+  this.executor_.list(store_name, false, ydn.db.con.Migrator.toCallback_(df));
+  return df;
+};
+
+
+/**
+ * List all primary keys of a store in order. Together with values, records
+ * of out-of-line key store can be moved.
+ * @param {string} store_name store name.
+ * @return {!goog.async.Deferred} resolve to list of primary keys.
+ */
+ydn.db.con.Migrator.prototype.keys = function(store_name) {
+  ydn.db.con.Migrator.checkStoreName_(store_name);
+  var df = new goog.async.Deferred();
+  this.executor_.list(store_name, true, ydn.db.con.Migrator.toCallback_(df));
+  return df;
+};
+
+
+/**
+ * Insert or replace a record.
+ * @param {string} store_name store name.
+ * @param {*} value record.
+ * @param {IDBKey=} opt_key out-of-line key.
+ * @return {!goog.async.Deferred} resolve to primary key of the record.
+ */
+ydn.db.con.Migrator.prototype.put = function(store_name, value, opt_key) {
+  ydn.db.con.Migrator.checkStoreName_(store_name);
+  var df = new goog.async.Deferred();
+  this.executor_.put(store_name, value, opt_key,
+      ydn.db.con.Migrator.toCallback_(df));
+  return df;
+};
+
+
+/**
+ * Delete a record.
+ * @param {string} store_name store name.
+ * @param {!IDBKey} key primary key.
+ * @return {!goog.async.Deferred} resolve on deleted.
+ */
+ydn.db.con.Migrator.prototype.remove = function(store_name, key) {
+  ydn.db.con.Migrator.checkStoreName_(store_name);
+  var df = new goog.async.Deferred();
+  this.executor_.remove(store_name, key, ydn.db.con.Migrator.toCallback_(df));
+  return df;
+};
+
+
+/**
+ * Delete all records of a store.
+ * @param {string} store_name store name.
+ * @return {!goog.async.Deferred} resolve on cleared.
+ */
+ydn.db.con.Migrator.prototype.clear = function(store_name) {
+  ydn.db.con.Migrator.checkStoreName_(store_name);
+  var df = new goog.async.Deferred();
+  this.executor_.clear(store_name, ydn.db.con.Migrator.toCallback_(df));
+  return df;
+};
+
+
+/**
+ * Count records of a store.
+ * @param {string} store_name store name.
+ * @return {!goog.async.Deferred} resolve to number of records.
+ */
+ydn.db.con.Migrator.prototype.count = function(store_name) {
+  ydn.db.con.Migrator.checkStoreName_(store_name);
+  var df = new goog.async.Deferred();
+  this.executor_.count(store_name, ydn.db.con.Migrator.toCallback_(df));
+  return df;
+};
+
+
+/**
+ * Run migration scripts of the schema in order. If there is no script to
+ * run, the returned deferred is already resolved, so that caller continue
+ * in the same tick.
+ * @param {!ydn.db.schema.Database} schema database schema.
+ * @param {number} old_version version of existing database.
+ * @param {number} new_version version upgrading to.
+ * @return {!goog.async.Deferred} resolve when all scripts are done.
+ */
+ydn.db.con.Migrator.prototype.migrate = function(schema, old_version,
+                                                 new_version) {
+  var migrations = schema.getMigrations(old_version, new_version);
+  var df = new goog.async.Deferred();
+  var me = this;
+  var next = function(i) {
+    if (i == migrations.length) {
+      df.callback(migrations.length);
+      return;
+    }
+    var version = migrations[i][0];
+    goog.log.fine(me.logger, 'migrating to version ' + version + ' from ' +
+        old_version);
+    var result;
+    try {
+      result = migrations[i][1](me, old_version, new_version);
+    } catch (e) {
+      goog.log.warning(me.logger, 'migration to version ' + version +
+          ' failed: ' + e);
+      df.errback(e);
+      return;
+    }
+    var fail = function(e) {
+      goog.log.warning(me.logger, 'migration to version ' + version +
+          ' failed: ' + e);
+      df.errback(e);
+    };
+    if (result instanceof goog.async.Deferred) {
+      result.addCallbacks(function() {
+        next(i + 1);
+      }, fail);
+    } else if (goog.isObject(result) && goog.isFunction(result.then)) {
+      // native promise or other thenable.
+      result.then(function() {
+        next(i + 1);
+      }, fail);
+    } else {
+      next(i + 1);
+    }
+  };
+  next(0);
+  return df;
+};
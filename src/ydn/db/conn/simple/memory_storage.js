@@ -84,7 +84,7 @@ ydn.db.req.InMemoryStorage.prototype.key = function(i) {
 
   var key = this.keys[i];
 
-  return goog.isDef(key) ? this.memoryStorage[key] : null;
+  return goog.isDef(key) ? key : null;
 };
 
 
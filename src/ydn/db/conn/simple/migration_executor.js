@@ -0,0 +1,137 @@
+// Copyright 2012 YDN Authors. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Execute migration operations on simple storage.
+ *
+ * Simple storage does not have transaction, operations are applied
+ * immediately. If a migration script fail, schema of the storage is not
+ * updated, but changes already made by the scripts remain.
+ */
+
+
+goog.provide('ydn.db.con.simple.MigrationExecutor');
+goog.require('ydn.db.con.IMigrationExecutor');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+
+/**
+ * @param {function(string): ydn.db.con.simple.Store} get_store return simple
+ * store of given store name, including stores to be removed.
+ * @constructor
+ * @implements {ydn.db.con.IMigrationExecutor}
+ * @struct
+ */
+ydn.db.con.simple.MigrationExecutor = function(get_store) {
+  /**
+   * @final
+   * @private
+   * @type {function(string): ydn.db.con.simple.Store}
+   */
+  this.get_store_ = get_store;
+};
+
+
+/**
+ * Run an operation on a simple store.
+ * @param {string} store_name store name.
+ * @param {function(*, boolean=)} callback callback.
+ * @param {function(!ydn.db.con.simple.Store): *} fn operation.
+ * @private
+ */
+ydn.db.con.simple.MigrationExecutor.prototype.run_ = function(store_name,
+    callback, fn) {
+  var store = this.get_store_(store_name);
+  if (!store) {
+    callback(new ydn.debug.error.ArgumentException('store "' + store_name +
+        '" not found.'), true);
+    return;
+  }
+  var result;
+  try {
+    result = fn(store);
+  } catch (e) {
+    callback(e, true);
+    return;
+  }
+  callback(result);
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.simple.MigrationExecutor.prototype.get = function(store_name, key,
+                                                             callback) {
+  this.run_(store_name, callback, function(store) {
+    return store.getRecord(null, key);
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.simple.MigrationExecutor.prototype.list = function(store_name,
+    key_only, callback) {
+  this.run_(store_name, callback, function(store) {
+    return key_only ? store.getKeys() : store.getRecords();
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.simple.MigrationExecutor.prototype.put = function(store_name,
+    value, key, callback) {
+  this.run_(store_name, callback, function(store) {
+    return store.addRecord(key, /** @type {!Object} */ (value));
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.simple.MigrationExecutor.prototype.remove = function(store_name,
+    key, callback) {
+  this.run_(store_name, callback, function(store) {
+    store.removeRecord(key);
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.simple.MigrationExecutor.prototype.clear = function(store_name,
+                                                               callback) {
+  this.run_(store_name, callback, function(store) {
+    store.clear();
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.simple.MigrationExecutor.prototype.count = function(store_name,
+                                                               callback) {
+  this.run_(store_name, callback, function(store) {
+    return store.countRecords();
+  });
+};
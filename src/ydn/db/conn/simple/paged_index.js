@@ -0,0 +1,587 @@
+// Copyright 2012 YDN Authors. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Sorted index persisted in web storage as chunked pages.
+ *
+ * Index nodes are kept in ascending order in pages of at most PAGE_SIZE
+ * nodes. Each page is stored in a storage item. A directory item lists pages
+ * with their first node, node count and checksum. The directory is read on
+ * every operation, but a page is read only when it is traversed or updated,
+ * so that cost of a query is proportional to number of nodes it visits.
+ *
+ * An index is built by scanning all records on first use. If the directory
+ * or a page does not match its checksum, because of failed write or a write
+ * by other version of the library, the index is rebuilt. If the directory is
+ * changed by another tab, loaded pages are discarded.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.con.simple.PagedIndex');
+goog.require('goog.array');
+goog.require('goog.log');
+goog.require('goog.string');
+goog.require('ydn.db.con.simple.Node');
+goog.require('ydn.db.utils');
+goog.require('ydn.json');
+
+
+
+/**
+ * Create a persisted index.
+ * @param {!Storage} storage web storage.
+ * @param {string} key_base storage key of the index.
+ * @param {string} signature index definition. Persisted index of different
+ * definition is rebuilt.
+ * @param {function(): !Array.<!ydn.db.con.simple.Node>} build collect nodes
+ * by scanning records.
+ * @constructor
+ * @struct
+ */
+ydn.db.con.simple.PagedIndex = function(storage, key_base, signature, build) {
+  /**
+   * @final
+   * @private
+   * @type {!Storage}
+   */
+  this.storage_ = storage;
+  /**
+   * Key of directory item. Page items are suffixed with page id.
+   * @final
+   * @private
+   * @type {string}
+   */
+  this.dir_key_ = key_base + ydn.db.con.simple.PagedIndex.SEP;
+  /**
+   * @final
+   * @private
+   * @type {string}
+   */
+  this.signature_ = signature;
+  /**
+   * @final
+   * @private
+   * @type {function(): !Array.<!ydn.db.con.simple.Node>}
+   */
+  this.build_ = build;
+  /**
+   * Directory item as last read or written.
+   * @private
+   * @type {?string}
+   */
+  this.dir_str_ = null;
+  /**
+   * Loaded directory. Null if not loaded or not valid.
+   * @private
+   * @type {Array.<!ydn.db.con.simple.PagedIndex.PageInfo_>}
+   */
+  this.pages_ = null;
+  /**
+   * @private
+   * @type {number}
+   */
+  this.next_id_ = 0;
+  /**
+   * Loaded pages by page id.
+   * @private
+   * @type {!Object.<!Array.<!ydn.db.con.simple.Node>>}
+   */
+  this.cache_ = {};
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.con.simple.PagedIndex.prototype.logger =
+    goog.log.getLogger('ydn.db.con.simple.PagedIndex');
+
+
+/**
+ * Separator between key base and page id. It is different from separator of
+ * record keys, so that index items are not taken as records.
+ * @const
+ * @type {string}
+ */
+ydn.db.con.simple.PagedIndex.SEP = '^#';
+
+
+/**
+ * Maximum number of nodes in a page. A full page is split into two.
+ * @const
+ * @type {number}
+ */
+ydn.db.con.simple.PagedIndex.PAGE_SIZE = 100;
+
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   first: !ydn.db.con.simple.Node,
+ *   count: number,
+ *   sum: number
+ * }}
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.PageInfo_;
+
+
+/**
+ * @param {!ydn.db.con.simple.Node} node index node.
+ * @return {!Array.<?string>} node in stored format.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.encode_ = function(node) {
+  var primary_key = node.getPrimaryKey();
+  return [ydn.db.utils.encodeKey(node.getKey()),
+    goog.isDefAndNotNull(primary_key) ?
+        ydn.db.utils.encodeKey(primary_key) : null];
+};
+
+
+/**
+ * @param {!Array.<?string>} entry node in stored format.
+ * @return {!ydn.db.con.simple.Node} index node.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.decode_ = function(entry) {
+  var key = /** @type {!IDBKey} */ (ydn.db.utils.decodeKey(
+      /** @type {string} */ (entry[0])));
+  if (goog.isNull(entry[1])) {
+    return new ydn.db.con.simple.Node(key);
+  }
+  return new ydn.db.con.simple.Node(key, /** @type {IDBKey} */ (
+      ydn.db.utils.decodeKey(entry[1])));
+};
+
+
+/**
+ * Read the directory, if changed.
+ * @param {boolean} build build the index if not valid.
+ * @return {boolean} true if the index is valid.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.load_ = function(build) {
+  var str = this.storage_.getItem(this.dir_key_);
+  if (this.pages_ && str === this.dir_str_) {
+    return true;
+  }
+  this.dir_str_ = str;
+  this.pages_ = null;
+  this.cache_ = {};
+  if (!goog.isNull(str)) {
+    try {
+      var dir = ydn.json.parse(str);
+      var pages = dir['pages'];
+      if (dir['signature'] === this.signature_ &&
+          goog.string.hashCode(ydn.json.stringify(pages)) === dir['sum']) {
+        this.pages_ = [];
+        for (var i = 0; i < pages.length; i++) {
+          this.pages_[i] = {
+            id: pages[i][0],
+            first: ydn.db.con.simple.PagedIndex.decode_(pages[i][1]),
+            count: pages[i][2],
+            sum: pages[i][3]
+          };
+        }
+        this.next_id_ = dir['next'];
+      }
+    } catch (e) {
+      this.pages_ = null;
+    }
+    if (!this.pages_) {
+      goog.log.warning(this.logger, 'invalid index ' + this.dir_key_);
+    }
+  }
+  if (!this.pages_ && build) {
+    this.rebuild_();
+  }
+  return !!this.pages_;
+};
+
+
+/**
+ * Read a page.
+ * @param {number} i page index in the directory.
+ * @return {Array.<!ydn.db.con.simple.Node>} nodes of the page, null if the
+ * page is not valid.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.loadPage_ = function(i) {
+  var info = this.pages_[i];
+  if (this.cache_[info.id]) {
+    return this.cache_[info.id];
+  }
+  var str = this.storage_.getItem(this.dir_key_ + info.id);
+  if (goog.isNull(str) || goog.string.hashCode(str) !== info.sum) {
+    goog.log.warning(this.logger, 'invalid page ' + info.id + ' of ' +
+        this.dir_key_);
+    return null;
+  }
+  var entries = ydn.json.parse(str);
+  var page = [];
+  for (var j = 0; j < entries.length; j++) {
+    page[j] = ydn.db.con.simple.PagedIndex.decode_(entries[j]);
+  }
+  this.cache_[info.id] = page;
+  return page;
+};
+
+
+/**
+ * Write a page, or remove it if empty. The directory must be saved
+ * afterward.
+ * @param {number} i page index in the directory.
+ * @param {!Array.<!ydn.db.con.simple.Node>} page nodes of the page.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.savePage_ = function(i, page) {
+  var info = this.pages_[i];
+  if (page.length == 0) {
+    this.storage_.removeItem(this.dir_key_ + info.id);
+    delete this.cache_[info.id];
+    this.pages_.splice(i, 1);
+    return;
+  }
+  var str = ydn.json.stringify(goog.array.map(page,
+      ydn.db.con.simple.PagedIndex.encode_));
+  this.storage_.setItem(this.dir_key_ + info.id, str);
+  this.cache_[info.id] = page;
+  info.first = page[0];
+  info.count = page.length;
+  info.sum = goog.string.hashCode(str);
+};
+
+
+/**
+ * Write the directory.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.saveDir_ = function() {
+  var pages = goog.array.map(this.pages_, function(info) {
+    return [info.id, ydn.db.con.simple.PagedIndex.encode_(info.first),
+      info.count, info.sum];
+  });
+  var str = ydn.json.stringify({
+    'signature': this.signature_,
+    'next': this.next_id_,
+    'pages': pages,
+    'sum': goog.string.hashCode(ydn.json.stringify(pages))
+  });
+  this.storage_.setItem(this.dir_key_, str);
+  this.dir_str_ = str;
+};
+
+
+/**
+ * Insert a new page at the given page index.
+ * @param {number} i page index in the directory.
+ * @param {!Array.<!ydn.db.con.simple.Node>} page nodes of the page.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.insertPage_ = function(i, page) {
+  var info = {id: this.next_id_++, first: page[0], count: 0, sum: 0};
+  this.pages_.splice(i, 0, info);
+  this.savePage_(i, page);
+};
+
+
+/**
+ * Build the index from records and write it. If writing fails, the index is
+ * kept in memory.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.rebuild_ = function() {
+  this.removeItems_();
+  var nodes = this.build_();
+  nodes.sort(ydn.db.con.simple.Node.cmp);
+  this.pages_ = [];
+  this.next_id_ = 0;
+  this.cache_ = {};
+  var unique = goog.array.filter(nodes, function(node, i) {
+    return i == 0 || ydn.db.con.simple.Node.cmp(nodes[i - 1], node) != 0;
+  });
+  var size = ydn.db.con.simple.PagedIndex.PAGE_SIZE;
+  for (var i = 0; i < unique.length; i += size) {
+    var id = this.next_id_++;
+    var page = unique.slice(i, i + size);
+    this.pages_.push({id: id, first: page[0], count: page.length, sum: 0});
+    this.cache_[id] = page;
+  }
+  try {
+    for (var i = 0; i < this.pages_.length; i++) {
+      this.savePage_(i, this.cache_[this.pages_[i].id]);
+    }
+    this.saveDir_();
+  } catch (e) {
+    goog.log.warning(this.logger, 'writing index ' + this.dir_key_ +
+        ' failed: ' + e);
+    this.removeItems_();
+    this.dir_str_ = null;
+  }
+  goog.log.fine(this.logger, 'index ' + this.dir_key_ + ' built for ' +
+      nodes.length + ' nodes.');
+};
+
+
+/**
+ * Remove all items of the index, including pages not listed in the
+ * directory.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.removeItems_ = function() {
+  var keys = [];
+  for (var i = 0, n = this.storage_.length; i < n; i++) {
+    var key = this.storage_.key(i);
+    if (!goog.isNull(key) && goog.string.startsWith(key, this.dir_key_)) {
+      keys.push(key);
+    }
+  }
+  for (var i = 0; i < keys.length; i++) {
+    this.storage_.removeItem(keys[i]);
+  }
+};
+
+
+/**
+ * Find the page to start iteration.
+ * @param {ydn.db.con.simple.Node} node start node, null for the first or the
+ * last page.
+ * @param {boolean} reverse reverse direction.
+ * @return {number} page index, out of range if no page.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.findPage_ = function(node, reverse) {
+  if (!node) {
+    return reverse ? this.pages_.length - 1 : 0;
+  }
+  // last page whose first node is not larger than the node.
+  var lo = 0;
+  var hi = this.pages_.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >> 1;
+    if (ydn.db.con.simple.Node.cmp(this.pages_[mid].first, node) <= 0) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return reverse ? lo - 1 : Math.max(lo - 1, 0);
+};
+
+
+/**
+ * Find the node position to start iteration in a page.
+ * @param {!Array.<!ydn.db.con.simple.Node>} page nodes of the page.
+ * @param {!ydn.db.con.simple.Node} node start node.
+ * @param {boolean} reverse reverse direction.
+ * @param {boolean} exclusive exclude the start node.
+ * @return {number} position, out of range if no node in the page.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.findNode_ = function(page, node, reverse,
+                                                  exclusive) {
+  // first position whose node is larger than (or equal to) the node.
+  var lo = 0;
+  var hi = page.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >> 1;
+    var cmp = ydn.db.con.simple.Node.cmp(page[mid], node);
+    if (cmp < 0 || (cmp == 0 && (exclusive != reverse))) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return reverse ? lo - 1 : lo;
+};
+
+
+/**
+ * Iterate nodes in order. The function is called with null after the last
+ * node.
+ * @param {function(ydn.db.con.simple.Node): (boolean|undefined)} fn return
+ * true to stop.
+ * @param {ydn.db.con.simple.Node} start start node.
+ * @param {boolean} reverse reverse direction.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.iterate_ = function(fn, start,
+                                                           reverse) {
+  this.load_(true);
+  var step = reverse ? -1 : 1;
+  var last = null;
+  var i = this.findPage_(start, reverse);
+  var seek = !!start;
+  while (i >= 0 && i < this.pages_.length) {
+    var page = this.loadPage_(i);
+    if (!page) {
+      this.rebuild_();
+      // resume after the last visited node.
+      i = this.findPage_(last || start, reverse);
+      seek = !!(last || start);
+      continue;
+    }
+    var j = reverse ? page.length - 1 : 0;
+    if (seek) {
+      j = ydn.db.con.simple.PagedIndex.findNode_(page,
+          /** @type {!ydn.db.con.simple.Node} */ (last || start), reverse,
+          !!last);
+    }
+    for (; j >= 0 && j < page.length; j += step) {
+      last = page[j];
+      if (fn(page[j])) {
+        return;
+      }
+    }
+    i += step;
+    seek = false;
+  }
+  fn(null);
+};
+
+
+/**
+ * Traverse nodes in ascending order, starting from the first node not
+ * smaller than the start node. The function is called with null at the end.
+ * @param {function(ydn.db.con.simple.Node): (boolean|undefined)} fn return
+ * true to stop.
+ * @param {ydn.db.con.simple.Node=} opt_start start node.
+ */
+ydn.db.con.simple.PagedIndex.prototype.traverse = function(fn, opt_start) {
+  this.iterate_(fn, opt_start || null, false);
+};
+
+
+/**
+ * Traverse nodes in descending order, starting from the last node not
+ * larger than the end node. The function is called with null at the end.
+ * @param {function(ydn.db.con.simple.Node): (boolean|undefined)} fn return
+ * true to stop.
+ * @param {ydn.db.con.simple.Node=} opt_end end node.
+ */
+ydn.db.con.simple.PagedIndex.prototype.reverseTraverse = function(fn,
+                                                                  opt_end) {
+  this.iterate_(fn, opt_end || null, true);
+};
+
+
+/**
+ * @return {number} number of nodes.
+ */
+ydn.db.con.simple.PagedIndex.prototype.getCount = function() {
+  this.load_(true);
+  var count = 0;
+  for (var i = 0; i < this.pages_.length; i++) {
+    count += this.pages_[i].count;
+  }
+  return count;
+};
+
+
+/**
+ * Update a page containing the node. Nothing is done if the index is not
+ * built, since it will be built from records.
+ * @param {!ydn.db.con.simple.Node} node index node.
+ * @param {function(!Array.<!ydn.db.con.simple.Node>, number): boolean} fn
+ * receive nodes of the page and position of the node, return true if the
+ * page is modified.
+ * @private
+ */
+ydn.db.con.simple.PagedIndex.prototype.update_ = function(node, fn) {
+  if (!this.load_(false)) {
+    return;
+  }
+  var i = this.findPage_(node, false);
+  var page = [];
+  if (this.pages_.length > 0) {
+    page = this.loadPage_(i);
+    if (!page) {
+      this.drop();
+      return;
+    }
+    page = page.slice();
+  }
+  var j = ydn.db.con.simple.PagedIndex.findNode_(page, node, false, false);
+  if (!fn(page, j)) {
+    return;
+  }
+  try {
+    var size = ydn.db.con.simple.PagedIndex.PAGE_SIZE;
+    if (this.pages_.length == 0) {
+      this.insertPage_(0, page);
+    } else {
+      if (page.length > size) {
+        this.insertPage_(i + 1, page.splice(page.length >> 1, size));
+      }
+      this.savePage_(i, page);
+    }
+    this.saveDir_();
+  } catch (e) {
+    // index will be rebuilt from records.
+    goog.log.warning(this.logger, 'writing index ' + this.dir_key_ +
+        ' failed: ' + e);
+    this.drop();
+  }
+};
+
+
+/**
+ * Add a node.
+ * @param {!ydn.db.con.simple.Node} node index node.
+ */
+ydn.db.con.simple.PagedIndex.prototype.add = function(node) {
+  this.update_(node, function(page, j) {
+    if (j < page.length && ydn.db.con.simple.Node.cmp(page[j], node) == 0) {
+      return false;
+    }
+    page.splice(j, 0, node);
+    return true;
+  });
+};
+
+
+/**
+ * Remove a node.
+ * @param {!ydn.db.con.simple.Node} node index node.
+ */
+ydn.db.con.simple.PagedIndex.prototype.remove = function(node) {
+  this.update_(node, function(page, j) {
+    if (j < page.length && ydn.db.con.simple.Node.cmp(page[j], node) == 0) {
+      page.splice(j, 1);
+      return true;
+    }
+    return false;
+  });
+};
+
+
+/**
+ * Remove the index from the storage. It will be built again on next use.
+ */
+ydn.db.con.simple.PagedIndex.prototype.drop = function() {
+  if (this.load_(false)) {
+    for (var i = 0; i < this.pages_.length; i++) {
+      this.storage_.removeItem(this.dir_key_ + this.pages_[i].id);
+    }
+  }
+  this.storage_.removeItem(this.dir_key_);
+  this.dir_str_ = null;
+  this.pages_ = null;
+  this.cache_ = {};
+};
@@ -24,8 +24,10 @@ goog.require('goog.async.Deferred');
 goog.require('ydn.db.Key');
 goog.require('ydn.db.VersionError');
 goog.require('ydn.db.con.IDatabase');
+goog.require('ydn.db.con.Migrator');
 goog.require('ydn.db.con.simple');
 goog.require('ydn.db.con.simple.IStorageProvider');
+goog.require('ydn.db.con.simple.MigrationExecutor');
 goog.require('ydn.db.con.simple.Store');
 goog.require('ydn.db.con.simple.TxStorage');
 goog.require('ydn.db.req.InMemoryStorage');
@@ -156,20 +158,20 @@ ydn.db.con.SimpleStorage.prototype.connect = function(dbname, schema) {
     var ex_schema = new ydn.db.schema.Database(ex_schema_json);
 
     var diff_msg = this.schema.difference(ex_schema, false, false);
-    if (diff_msg) {
+    var has_migration = !this.schema.isAutoVersion() &&
+        this.schema.getMigrations(ex_schema.getVersion(),
+            /** @type {number} */ (this.schema.getVersion())).length > 0;
+    if (diff_msg || has_migration) {
       if (!this.schema.isAutoVersion() &&
           !isNaN(ex_schema.getVersion()) &&
-          this.schema.getVersion() > ex_schema.getVersion()) {
+          this.schema.getVersion() < ex_schema.getVersion()) {
         var msg = goog.DEBUG ? 'existing version ' + ex_schema.getVersion() +
             ' is larger than ' + this.schema.getVersion() : '';
         callDf(NaN, new ydn.db.VersionError(msg));
       } else {
         // upgrade schema
         var v = this.schema.getVersion();
-        this.version_ = goog.isDef(v) ? v : (ex_schema.getVersion() + 1);
-        for (var i = 0; i < this.schema.count(); i++) {
-          var store = this.schema.store(i);
-        }
+        var version = goog.isDef(v) ? v : (ex_schema.getVersion() + 1);
         if (this.schema instanceof ydn.db.schema.EditableDatabase) {
           for (var i = 0; i < ex_schema.count(); i++) {
             var store = ex_schema.store(i);
@@ -178,10 +180,28 @@ ydn.db.con.SimpleStorage.prototype.connect = function(dbname, schema) {
             this.schema.addStore(store);
           }
         }
-        var schema_json = this.schema.toJSON();
-        schema_json.version = this.version_ || NaN;
-        this.storage_.setItem(db_key, ydn.json.stringify(schema_json));
-        callDf(ex_schema.getVersion() || NaN);
+        var executor = new ydn.db.con.simple.MigrationExecutor(
+            function(name) {
+              if (me.schema.hasStore(name)) {
+                return me.getSimpleStore(name);
+              }
+              // data of removed store are still in the storage.
+              var ex_store = ex_schema.getStore(name);
+              return ex_store ? new ydn.db.con.simple.Store(me.dbname,
+                  me.storage_, ex_store) : null;
+            });
+        var migrator = new ydn.db.con.Migrator(executor);
+        // schema is updated only after all migration scripts succeed.
+        migrator.migrate(this.schema, ex_schema.getVersion(), version)
+            .addCallbacks(function() {
+              me.version_ = version;
+              var schema_json = me.schema.toJSON();
+              schema_json.version = me.version_ || NaN;
+              me.storage_.setItem(db_key, ydn.json.stringify(schema_json));
+              callDf(ex_schema.getVersion() || NaN);
+            }, function(e) {
+              callDf(NaN, e);
+            });
       }
     } else {
       for (var i = 0; i < this.schema.count(); i++) {
@@ -19,10 +19,13 @@
  */
 
 goog.provide('ydn.db.con.simple.Store');
+goog.require('goog.array');
+goog.require('ydn.db.Key');
+goog.require('ydn.db.QuotaError');
 goog.require('ydn.db.base');
 goog.require('ydn.db.con.simple');
 goog.require('ydn.db.con.simple.Node');
-goog.require('ydn.structs.Buffer');
+goog.require('ydn.db.con.simple.PagedIndex');
 
 
 
@@ -60,8 +63,6 @@ ydn.db.con.simple.Store = function(db_name, storage, store_schema) {
   this.primary_index = goog.isArray(kp) ? kp.join(',') :
       kp || ydn.db.base.SQLITE_SPECIAL_COLUNM_NAME;
 
-  this.key_indexes[this.primary_index] = null;
-
   /**
    * @final
    * @type {string}
@@ -108,8 +109,8 @@ ydn.db.con.simple.Store.prototype.primary_index;
 
 
 /**
- * List of ascending ordered key for each index and primary key.
- * @type {!Object.<!ydn.structs.Buffer>}
+ * Persisted ascending ordered keys for each index and primary key.
+ * @type {!Object.<!ydn.db.con.simple.PagedIndex>}
  * @private
  */
 ydn.db.con.simple.Store.prototype.key_indexes;
@@ -164,128 +165,246 @@ ydn.db.con.simple.Store.prototype.generateKey = function() {
 };
 
 
+/**
+ * Extract index keys of a record value. A record is not indexed if it does
+ * not have a valid key, including all components of a composite key. A
+ * multiEntry index takes each valid element of an array key.
+ * @param {!ydn.db.schema.Index} index index schema.
+ * @param {Object} value record value.
+ * @return {!Array.<!IDBKey>} index keys.
+ * @private
+ */
+ydn.db.con.simple.Store.prototype.getIndexKeys_ = function(index, value) {
+  if (!goog.isObject(value)) {
+    return [];
+  }
+  var key_path = index.getKeyPath();
+  var key;
+  if (goog.isArray(key_path)) {
+    key = goog.array.map(key_path, function(path) {
+      return ydn.db.utils.getValueByKeys(value, path);
+    });
+  } else {
+    key = ydn.db.utils.getValueByKeys(value, key_path);
+  }
+  if (index.isMultiEntry() && goog.isArray(key)) {
+    var keys = [];
+    var seen = {};
+    for (var i = 0; i < key.length; i++) {
+      if (ydn.db.Key.isValidKey(key[i])) {
+        var e_key = ydn.db.utils.encodeKey(key[i]);
+        if (!seen[e_key]) {
+          seen[e_key] = true;
+          keys.push(key[i]);
+        }
+      }
+    }
+    return keys;
+  }
+  return ydn.db.Key.isValidKey(key) ? [/** @type {!IDBKey} */ (key)] : [];
+};
+
+
+/**
+ * Index nodes of a record.
+ * @param {string} index_name index name.
+ * @param {!IDBKey} key primary key.
+ * @param {Object} value record value.
+ * @return {!Array.<!ydn.db.con.simple.Node>} index nodes.
+ * @private
+ */
+ydn.db.con.simple.Store.prototype.getIndexNodes_ = function(index_name, key,
+                                                            value) {
+  if (index_name == this.primary_index) {
+    return [new ydn.db.con.simple.Node(key)];
+  }
+  var index_keys = this.getIndexKeys_(this.schema.getIndex(index_name), value);
+  return goog.array.map(index_keys, function(index_key) {
+    return new ydn.db.con.simple.Node(index_key, key);
+  });
+};
+
+
+/**
+ * Collect index nodes by scanning all records.
+ * @param {string} index_name index name.
+ * @return {!Array.<!ydn.db.con.simple.Node>} index nodes.
+ * @private
+ */
+ydn.db.con.simple.Store.prototype.scanIndex_ = function(index_name) {
+  var nodes = [];
+  var n = this.storage.length;
+  for (var i = 0; i < n; i++) {
+    var key_str = this.storage.key(i);
+    if (!goog.isNull(key_str)) {
+      if (goog.string.startsWith(key_str, this.key_prefix)) {
+        var key = this.extractKey(key_str);
+        var value = null;
+        if (index_name != this.primary_index) {
+          var obj_str = this.storage.getItem(key_str);
+          if (goog.isNull(obj_str)) {
+            continue;
+          }
+          value = /** @type {Object} */ (ydn.json.parse(obj_str));
+        }
+        goog.array.extend(nodes, this.getIndexNodes_(index_name, key, value));
+      }
+    }
+  }
+  if (ydn.db.con.simple.Store.DEBUG) {
+    goog.global.console.log('index ' + index_name + ' of ' +
+        this.schema.getName() + ' for ' + nodes.length + ' records.');
+  }
+  return nodes;
+};
+
+
+/**
+ * @return {!Array.<string>} name of primary key index and all indexes.
+ * @private
+ */
+ydn.db.con.simple.Store.prototype.getIndexNames_ = function() {
+  return [this.primary_index].concat(this.schema.getIndexNames());
+};
+
+
 /**
  *
  * @param {string=} opt_index_name index name, default to primary key index.
- * @return {!ydn.structs.Buffer}
+ * @return {!ydn.db.con.simple.PagedIndex}
  */
 ydn.db.con.simple.Store.prototype.getIndexCache = function(opt_index_name) {
   var index_name = opt_index_name || this.primary_index;
   if (!this.key_indexes[index_name]) {
-    this.key_indexes[index_name] =
-        new ydn.structs.Buffer(ydn.db.con.simple.Node.cmp);
-    var n = this.storage.length;
-    for (var i = 0; i < n; i++) {
-      var key_str = this.storage.key(i);
-      if (!goog.isNull(key_str)) {
-        if (goog.string.startsWith(key_str, this.key_prefix)) {
-          var key = this.extractKey(key_str);
-          if (index_name == this.primary_index) {
-            var node = new ydn.db.con.simple.Node(key);
-            this.key_indexes[index_name].add(node);
-          } else {
-            var obj_str = this.storage.getItem(key_str);
-            if (!goog.isNull(obj_str)) {
-              var index = this.schema.getIndex(index_name);
-              var obj = ydn.json.parse(obj_str);
-              var index_key = /** @type {IDBKey} */ (index.extractKey(obj));
-              if (index_key) {
-                if (index.isMultiEntry()) {
-                  if (goog.isArray(index_key)) {
-                    for (var k = 0; k < index_key.length; k++) {
-                      var i_node = new ydn.db.con.simple.Node(index_key[k], key);
-                      this.key_indexes[index_name].add(i_node);
-                    }
-                  }
-                } else {
-                  var index_node = new ydn.db.con.simple.Node(index_key, key);
-                  this.key_indexes[index_name].add(index_node);
-                }
-              }
-            }
-          }
-        }
-      }
+    var signature = index_name == this.primary_index ?
+        ydn.json.stringify(this.schema.getKeyPath() || null) :
+        ydn.json.stringify(this.schema.getIndex(index_name).toJSON());
+    this.key_indexes[index_name] = new ydn.db.con.simple.PagedIndex(
+        this.storage, ydn.db.con.simple.makeKey(this.db_name,
+            this.schema.getName(), index_name), signature,
+        goog.bind(this.scanIndex_, this, index_name));
+  }
+  return this.key_indexes[index_name];
+};
+
+
+/**
+ * Test unique index constraint of a record.
+ * @param {!IDBKey} key primary key.
+ * @param {!Object} value record value.
+ * @return {boolean} true if a unique index key of the record is used by
+ * another record.
+ * @private
+ */
+ydn.db.con.simple.Store.prototype.violateUnique_ = function(key, value) {
+  var found = false;
+  for (var i = 0, n = this.schema.countIndex(); i < n && !found; i++) {
+    var index = this.schema.index(i);
+    if (!index.isUnique()) {
+      continue;
     }
-    if (ydn.db.con.simple.Store.DEBUG) {
-      goog.global.console.log('index ' + index_name + ' of ' +
-          this.schema.getName() + ' for ' +
-          this.key_indexes[index_name].getCount() + ' records.');
+    var cache = this.getIndexCache(index.getName());
+    var index_keys = this.getIndexKeys_(index, value);
+    for (var j = 0; j < index_keys.length && !found; j++) {
+      var index_key = index_keys[j];
+      cache.traverse(function(node) {
+        if (!node || ydn.db.cmp(node.getKey(), index_key) != 0) {
+          return true;
+        }
+        if (ydn.db.cmp(node.getPrimaryKey(), key) != 0) {
+          found = true;
+          return true;
+        }
+      }, new ydn.db.con.simple.Node(index_key));
     }
   }
-  return this.key_indexes[index_name];
+  return found;
 };
 
 
 /**
- *
+ * Update indexes for a record.
  * @param {!IDBKey} key  primary key.
  * @param {!Object} value  record value.
+ * @param {Object=} opt_old previous record value, if the record is replaced.
  */
-ydn.db.con.simple.Store.prototype.updateIndex = function(key, value) {
-  for (var idx in this.key_indexes) {
-    var cache = this.key_indexes[idx];
-    if (cache) {
-      if (ydn.db.con.simple.Store.DEBUG) {
-        goog.global.console.log('updating ' + key + ' in index ' + idx + ' of ' +
-            this.schema.getName());
-      }
-      if (idx == this.primary_index) {
-        cache.add(new ydn.db.con.simple.Node(key));
-      } else {
-        var index = this.schema.getIndex(idx);
-        var index_key = ydn.db.utils.getValueByKeys(value, index.getKeyPath());
-        if (goog.isDefAndNotNull(index_key)) {
-          var node = new ydn.db.con.simple.Node(key, index_key);
-          cache.add(node);
+ydn.db.con.simple.Store.prototype.updateIndex = function(key, value,
+                                                         opt_old) {
+  var names = this.getIndexNames_();
+  for (var i = 0; i < names.length; i++) {
+    var idx = names[i];
+    var cache = this.getIndexCache(idx);
+    if (ydn.db.con.simple.Store.DEBUG) {
+      goog.global.console.log('updating ' + key + ' in index ' + idx + ' of ' +
+          this.schema.getName());
+    }
+    var nodes = this.getIndexNodes_(idx, key, value);
+    if (opt_old && idx != this.primary_index) {
+      var old_nodes = this.getIndexNodes_(idx, key, opt_old);
+      for (var j = 0; j < old_nodes.length; j++) {
+        var old_node = old_nodes[j];
+        var kept = goog.array.some(nodes, function(node) {
+          return ydn.db.con.simple.Node.cmp(node, old_node) == 0;
+        });
+        if (!kept) {
+          cache.remove(old_node);
         }
       }
     }
+    for (var j = 0; j < nodes.length; j++) {
+      cache.add(nodes[j]);
+    }
   }
 };
 
 
 /**
- *
+ * Remove a record from indexes.
  * @param {!IDBKey} key primary key.
  * @param {!Object} value record value.
  */
 ydn.db.con.simple.Store.prototype.removeIndex = function(key, value) {
-  for (var idx in this.key_indexes) {
-    var cache = this.key_indexes[idx];
-    if (cache) {
-      if (ydn.db.con.simple.Store.DEBUG) {
-        goog.global.console.log('removing ' + key + ' in index ' + idx + ' of ' +
-            this.schema.getName());
-      }
-      if (idx == this.primary_index) {
-        cache.remove(new ydn.db.con.simple.Node(key));
-      } else {
-        var index = this.schema.getIndex(idx);
-        var index_key = ydn.db.utils.getValueByKeys(value, index.getKeyPath());
-        var node = new ydn.db.con.simple.Node(key, index_key);
-        cache.remove(node);
-      }
+  var names = this.getIndexNames_();
+  for (var i = 0; i < names.length; i++) {
+    var idx = names[i];
+    var cache = this.getIndexCache(idx);
+    if (ydn.db.con.simple.Store.DEBUG) {
+      goog.global.console.log('removing ' + key + ' in index ' + idx + ' of ' +
+          this.schema.getName());
+    }
+    var nodes = this.getIndexNodes_(idx, key, value);
+    for (var j = 0; j < nodes.length; j++) {
+      cache.remove(nodes[j]);
     }
   }
 };
 
 
 /**
+ * Remove persisted indexes. They are built again on next use.
  * @protected
  */
 ydn.db.con.simple.Store.prototype.clearIndexCache = function() {
-  for (var idx in this.key_indexes) {
-    var cache = this.key_indexes[idx];
-    if (cache) {
-      cache.clear();
-      if (ydn.db.con.simple.Store.DEBUG) {
-        goog.global.console.log('index ' + idx + ' of ' +
-            this.schema.getName() + ' cleared.');
-      }
+  var names = this.getIndexNames_();
+  for (var i = 0; i < names.length; i++) {
+    this.getIndexCache(names[i]).drop();
+    if (ydn.db.con.simple.Store.DEBUG) {
+      goog.global.console.log('index ' + names[i] + ' of ' +
+          this.schema.getName() + ' cleared.');
     }
   }
-  this.key_indexes = {};
+};
+
+
+/**
+ * @param {*} e error thrown by web storage.
+ * @return {boolean} true if the error is due to storage quota.
+ * @private
+ */
+ydn.db.con.simple.Store.isQuotaExceeded_ = function(e) {
+  return !!e && (e.name == 'QuotaExceededError' ||
+      e.name == 'NS_ERROR_DOM_QUOTA_REACHED' || e.code == 22 ||
+      e.code == 1014);
 };
 
 
@@ -295,9 +414,13 @@ ydn.db.con.simple.Store.prototype.clearIndexCache = function() {
  * @param {!Object} value
  * @param {boolean=} opt_is_add for add method, the key must not already exist.
  * @return {IDBKey?} key in case of unique key constraint, return null.
+ * @throws {ydn.db.QuotaError} if storage quota is exceeded.
  */
 ydn.db.con.simple.Store.prototype.addRecord = function(key, value, opt_is_add) {
 
+  // records written by cursor or migration scripts are not generated yet.
+  this.schema.generateIndex(value);
+
   if (!goog.isDefAndNotNull(key)) {
     if (this.schema.usedInlineKey()) {
       key = this.schema.extractKey(value);
@@ -313,24 +436,32 @@ ydn.db.con.simple.Store.prototype.addRecord = function(key, value, opt_is_add) {
   if (ydn.db.con.simple.Store.DEBUG) {
     goog.global.console.log('add ' + key);
   }
-  if (opt_is_add) {
-    /*
-    if (this.key_indexes[this.primary_index]) {
-      var cache = this.key_indexes[this.primary_index];
-      var node = new ydn.db.con.simple.Node(key);
-      if (cache.contains(node)) {
-        return null; // primary key constraint
-      }
-    } else {   */
-      if (!goog.isNull(this.storage.getItem(this.makeKey(key)))) {
-        return null;
-      }
-    // }
+  var e_key = this.makeKey(key);
+  var old_str = this.storage.getItem(e_key);
+  if (opt_is_add && !goog.isNull(old_str)) {
+    return null;
+  }
+  var str = ydn.json.stringify(value);
+  // index keys are taken from serialized value, as they are when the index
+  // is built from the storage.
+  var stored = /** @type {!Object} */ (ydn.json.parse(str));
+  if (this.violateUnique_(key, stored)) {
+    return null;
+  }
+  try {
+    this.storage.setItem(e_key, str);
+  } catch (e) {
+    if (ydn.db.con.simple.Store.isQuotaExceeded_(e)) {
+      // web storage keep strings in UTF-16.
+      throw new ydn.db.QuotaError(this.schema.getName(),
+          2 * (e_key.length + str.length));
+    }
+    throw e;
   }
-  this.storage.setItem(this.makeKey(key),
-      ydn.json.stringify(value));
 
-  this.updateIndex(key, value);
+  var old_value = goog.isNull(old_str) ? undefined :
+      /** @type {Object} */ (ydn.json.parse(old_str));
+  this.updateIndex(key, stored, old_value);
   return key;
 };
 
@@ -361,8 +492,8 @@ ydn.db.con.simple.Store.prototype.removeRecord = function(key) {
  * Clear all record in stores.
  */
 ydn.db.con.simple.Store.prototype.clear = function() {
-  this.clearIndexCache();
   this.removeRecords();
+  this.clearIndexCache();
 };
 
 
@@ -447,14 +578,13 @@ ydn.db.con.simple.Store.prototype.countRecords = function(opt_index_name,
 
   /**
    *
-   * @param {goog.structs.AvlTree.Node} node
+   * @param {ydn.db.con.simple.Node} x
    * @return {boolean|undefined}
    */
-  var tr_fn = function(node) {
-    if (!goog.isDefAndNotNull(node)) {
+  var tr_fn = function(x) {
+    if (!x) {
       return;
     }
-    var x = /** @type {ydn.db.con.simple.Node} */ (node.value);
     if (lowerOpen && goog.isDefAndNotNull(start) &&
         ydn.db.cmp(x.getKey(), start.getKey()) == 0) {
       return;
@@ -513,14 +643,13 @@ ydn.db.con.simple.Store.prototype.removeRecords = function(opt_key_range) {
 
   /**
    *
-   * @param {goog.structs.AvlTree.Node} node
+   * @param {ydn.db.con.simple.Node} x
    * @return {boolean|undefined}
    */
-  var tr_fn = function(node) {
-    if (!goog.isDefAndNotNull(node)) {
+  var tr_fn = function(x) {
+    if (!x) {
       return;
     }
-    var x = /** @type {ydn.db.con.simple.Node} */ (node.value);
     if (lowerOpen && goog.isDefAndNotNull(start) &&
         ydn.db.con.simple.Node.cmp(x, start) == 0) {
       return;
@@ -652,18 +781,17 @@ ydn.db.con.simple.Store.prototype.getItems = function(mth,
   var me = this;
 
   /**
-   * @param {goog.structs.AvlTree.Node} node
+   * @param {ydn.db.con.simple.Node} x
    * @return {boolean|undefined}
    */
-  var tr_fn = function(node) {
-    if (!node) {
+  var tr_fn = function(x) {
+    if (!x) {
       return;
     }
     offsetted++;
     if (offsetted < opt_offset) {
       return;
     }
-    var x = /** @type {ydn.db.con.simple.Node} */ (node.value);
     // console.log(x + ' ' + start + ' ' + end)
     if (opt_reverse) {
       if (upperOpen && goog.isDefAndNotNull(end)) {
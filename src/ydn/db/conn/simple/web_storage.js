@@ -19,6 +19,7 @@
 goog.provide('ydn.db.con.LocalStorage');
 goog.provide('ydn.db.con.SessionStorage');
 goog.require('ydn.db.con.SimpleStorage');
+goog.require('ydn.db.con.simple');
 
 
 
@@ -78,6 +79,7 @@ ydn.db.con.LocalStorage.deleteDatabase = function(db_name, opt_type) {
       var store = db.getSimpleStore(sch.stores[i].getName());
       store.clear();
     }
+    goog.global.localStorage.removeItem(ydn.db.con.simple.makeKey(db_name));
   });
 };
 ydn.db.databaseDeletors.push(ydn.db.con.LocalStorage.deleteDatabase);
@@ -140,6 +142,7 @@ ydn.db.con.SessionStorage.deleteDatabase = function(db_name, opt_type) {
       var store = db.getSimpleStore(sch.stores[i].getName());
       store.clear();
     }
+    goog.global.sessionStorage.removeItem(ydn.db.con.simple.makeKey(db_name));
   });
 };
 ydn.db.databaseDeletors.push(ydn.db.con.SessionStorage.deleteDatabase);
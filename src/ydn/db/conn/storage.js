@@ -28,12 +28,14 @@
 goog.provide('ydn.db.con.Storage');
 goog.require('goog.userAgent.product');
 goog.require('goog.labs.userAgent.platform');
+goog.require('goog.object');
 goog.require('ydn.db');
 goog.require('ydn.db.base');
 goog.require('ydn.db.con.IDatabase');
 goog.require('ydn.db.con.IStorage');
 goog.require('ydn.db.events.StorageEvent');
 goog.require('ydn.db.schema.EditableDatabase');
+goog.require('ydn.db.schema.Store');
 goog.require('ydn.debug.error.ArgumentException');
 goog.require('ydn.error.ConstraintError');
 goog.require('ydn.object');
@@ -71,7 +73,8 @@ ydn.db.con.Storage = function(opt_dbname, opt_schema, opt_options) {
 
   if (goog.DEBUG) {
     var fields = ['autoSchema', 'connectionTimeout', 'size', 'mechanisms',
-      'policy', 'isSerial', 'Encryption'];
+      'policy', 'isSerial', 'Encryption', 'remoteEvents', 'migrateFrom',
+      'maxSize', 'retry'];
     for (var key in options) {
       if (options.hasOwnProperty(key) &&
           goog.array.indexOf(fields, key) == -1) {
@@ -93,6 +96,20 @@ ydn.db.con.Storage = function(opt_dbname, opt_schema, opt_options) {
         }
       }
     }
+    if (goog.isDefAndNotNull(options.maxSize) &&
+        !(options.maxSize > 0)) {
+      throw new ydn.debug.error.ArgumentException('maxSize must be a ' +
+          'positive number');
+    }
+    if (options.migrateFrom) {
+      for (var i = 0; i < options.migrateFrom.length; i++) {
+        if (!goog.array.contains(ydn.db.con.Storage.PREFERENCE,
+            options.migrateFrom[i])) {
+          throw new ydn.debug.error.ArgumentException('Invalid mechanism "' +
+              options.migrateFrom[i] + '" in migrateFrom');
+        }
+      }
+    }
   }
 
   /**
@@ -135,13 +152,22 @@ ydn.db.con.Storage = function(opt_dbname, opt_schema, opt_options) {
    *    fnc: Function,
    *    scopes: Array.<string>,
    *    mode: ydn.db.base.TransactionMode,
-   *    oncompleted: (function(ydn.db.base.TxEventTypes, *)|undefined)
+   *    oncompleted: (function(ydn.db.base.TxEventTypes, *)|undefined),
+   *    requester: (Object|undefined)
    *  }>}
    */
   this.txQueue_ = [];
 
   this.in_version_change_tx_ = false;
 
+  /**
+   * While the transaction queue is held, only transactions of this requester
+   * are run.
+   * @private
+   * @type {Object}
+   */
+  this.tx_holder_ = null;
+
   var schema;
   if (opt_schema instanceof ydn.db.schema.Database) {
     schema = opt_schema;
@@ -153,6 +179,16 @@ ydn.db.con.Storage = function(opt_dbname, opt_schema, opt_options) {
     if (options.autoSchema || !goog.isDef(schema_json.stores)) {
       schema = new ydn.db.schema.EditableDatabase(schema_json);
     } else {
+      if (options.remoteEvents) {
+        schema_json = /** @type {!DatabaseSchema} */ (
+            goog.object.clone(schema_json));
+        // change log is shared with other tabs.
+        schema_json.stores = schema_json.stores.concat([{
+          name: ydn.db.base.SN_CHANGE_LOG,
+          keyPath: 'id',
+          autoIncrement: true
+        }]);
+      }
       schema = new ydn.db.schema.Database(schema_json);
     }
 
@@ -167,6 +203,25 @@ ydn.db.con.Storage = function(opt_dbname, opt_schema, opt_options) {
     schema = new ydn.db.schema.EditableDatabase();
   }
 
+  if (options.remoteEvents && !schema.hasStore(ydn.db.base.SN_CHANGE_LOG)) {
+    if (schema instanceof ydn.db.schema.EditableDatabase) {
+      schema.addStore(new ydn.db.schema.Store(ydn.db.base.SN_CHANGE_LOG, 'id',
+          true));
+    } else {
+      throw new ydn.debug.error.ArgumentException('remoteEvents option ' +
+          'require store "' + ydn.db.base.SN_CHANGE_LOG + '" in the schema');
+    }
+  }
+
+  if (options.maxSize && !schema.hasStore(ydn.db.base.SN_QUOTA)) {
+    if (schema instanceof ydn.db.schema.EditableDatabase) {
+      schema.addStore(ydn.db.schema.Database.createQuotaStore());
+    } else {
+      throw new ydn.debug.error.ArgumentException('maxSize option ' +
+          'require store "' + ydn.db.base.SN_QUOTA + '" in the schema');
+    }
+  }
+
   var has_valid_encryption = this.setEncryption(options.Encryption);
   /**
    * @final
@@ -181,6 +236,9 @@ ydn.db.con.Storage = function(opt_dbname, opt_schema, opt_options) {
       }
       this.addEncryption(this.schema.store(i));
     }
+    if (this.schema.store(i).hasExpiry()) {
+      this.addExpiry(this.schema.store(i));
+    }
   }
 
   if (goog.isDef(opt_dbname)) {
@@ -199,6 +257,13 @@ ydn.db.con.Storage = function(opt_dbname, opt_schema, opt_options) {
    * @private
    */
   this.df_on_ready_ = new goog.async.Deferred();
+
+  if (options.remoteEvents) {
+    this.addChangeChannel();
+  }
+  if (this.schema.hasStore(ydn.db.base.SN_QUOTA)) {
+    this.addQuota(options.maxSize);
+  }
 };
 
 
@@ -498,10 +563,17 @@ ydn.db.con.Storage.prototype.connectDatabase = function() {
     this.init(); // let super class to initialize.
 
     db.connect(this.db_name, this.schema).addCallbacks(function(old_version) {
-      this.db_ = db;
-      var event = new ydn.db.events.StorageEvent(ydn.db.events.Types.READY,
-          this, parseFloat(db.getVersion()), parseFloat(old_version), null);
-      resolve(true, event);
+      // encryption keys are verified before the connection is used.
+      this.verifyEncryption(db).addCallbacks(function() {
+        this.db_ = db;
+        var event = new ydn.db.events.StorageEvent(ydn.db.events.Types.READY,
+            this, parseFloat(db.getVersion()), parseFloat(old_version), null);
+        resolve(true, event);
+      }, function(e) {
+        goog.log.warning(this.logger, this + ': ' + e);
+        db.close();
+        resolve(false, e);
+      }, this);
     }, function(e) {
       goog.log.warning(this.logger, this + ': opening fail');
       resolve(false, e);
@@ -590,6 +662,31 @@ ydn.db.con.Storage.prototype.close = function() {
     this.db_ = null;
     goog.log.finest(this.logger, this + ' closed');
   }
+  if (this.broadcast_) {
+    this.broadcast_.close();
+    this.broadcast_ = null;
+  }
+};
+
+
+/**
+ * @type {BroadcastChannel}
+ * @private
+ */
+ydn.db.con.Storage.prototype.broadcast_ = null;
+
+
+/**
+ * Get broadcast channel to other tabs of the same database. The channel is
+ * shared by all modules of the storage, which tell their messages apart by
+ * `type` field of the message object. It is closed with the storage.
+ * @return {BroadcastChannel} null if BroadcastChannel is not available.
+ */
+ydn.db.con.Storage.prototype.getBroadcastChannel = function() {
+  if (!this.broadcast_ && goog.global['BroadcastChannel']) {
+    this.broadcast_ = new BroadcastChannel('ydn.db.' + this.getName());
+  }
+  return this.broadcast_;
 };
 
 
@@ -632,16 +729,48 @@ ydn.db.con.Storage.prototype.countTxQueue = function() {
  */
 ydn.db.con.Storage.prototype.popTxQueue_ = function() {
 
-  var task = this.txQueue_.shift();
+  var holder = this.tx_holder_;
+  var idx = holder ? goog.array.findIndex(this.txQueue_, function(task) {
+    return task.requester === holder;
+  }) : 0;
+  var task = idx >= 0 ? this.txQueue_[idx] : null;
   if (task) {
+    goog.array.removeAt(this.txQueue_, idx);
     goog.log.finest(this.logger, 'pop tx queue[' +
         (this.txQueue_.length + 1) + ']');
-    this.transaction(task.fnc, task.scopes, task.mode, task.oncompleted);
+    this.transaction(task.fnc, task.scopes, task.mode, task.oncompleted,
+        task.requester);
   }
   this.last_queue_checkin_ = goog.now();
 };
 
 
+/**
+ * Hold the transaction queue, so that only transactions of the given
+ * requester are run. Other transactions are queued until the queue is
+ * released.
+ * @param {!Object} requester the requester, a transaction thread.
+ * @protected
+ */
+ydn.db.con.Storage.prototype.holdTxQueue = function(requester) {
+  goog.asserts.assert(!this.tx_holder_, 'transaction queue already held');
+  this.tx_holder_ = requester;
+};
+
+
+/**
+ * Release the transaction queue held by {@link #holdTxQueue} and run the
+ * queued transactions.
+ * @protected
+ */
+ydn.db.con.Storage.prototype.releaseTxQueue = function() {
+  this.tx_holder_ = null;
+  if (this.isReady()) {
+    this.popTxQueue_();
+  }
+};
+
+
 /**
  * Push a transaction job to the queue.
  * @param {Function} trFn function that invoke in the transaction.
@@ -649,16 +778,18 @@ ydn.db.con.Storage.prototype.popTxQueue_ = function() {
  * store name involved in the transaction.
  * @param {ydn.db.base.TransactionMode=} opt_mode mode, default to 'readonly'.
  * @param {function(ydn.db.base.TxEventTypes, *)=} opt_on_completed handler.
+ * @param {Object=} opt_requester requester of the transaction.
  * @private
  */
 ydn.db.con.Storage.prototype.pushTxQueue_ = function(trFn, store_names,
-    opt_mode, opt_on_completed) {
+    opt_mode, opt_on_completed, opt_requester) {
   goog.log.finest(this.logger, 'push tx queue[' + this.txQueue_.length + ']');
   this.txQueue_.push({
     fnc: trFn,
     scopes: store_names,
     mode: opt_mode || ydn.db.base.TransactionMode.READ_ONLY,
-    oncompleted: opt_on_completed
+    oncompleted: opt_on_completed,
+    requester: opt_requester
   });
 
   if (goog.DEBUG && this.txQueue_.length > ydn.db.con.Storage.QUEUE_LIMIT &&
@@ -706,10 +837,12 @@ ydn.db.con.Storage.prototype.in_version_change_tx_ = false;
  * store name involved in the transaction.
  * @param {ydn.db.base.TransactionMode=} opt_mode mode, default to 'readonly'.
  * @param {function(ydn.db.base.TxEventTypes, *)=} opt_on_completed handler.
+ * @param {Object=} opt_requester requester of the transaction. While the
+ * queue is held, transactions of other requesters are queued.
  * @final
  */
 ydn.db.con.Storage.prototype.transaction = function(trFn, store_names,
-    opt_mode, opt_on_completed) {
+    opt_mode, opt_on_completed, opt_requester) {
 
   var names = store_names;
 
@@ -737,10 +870,11 @@ ydn.db.con.Storage.prototype.transaction = function(trFn, store_names,
   }
 
   var is_ready = !!this.db_ && this.db_.isReady();
-  if (!is_ready || this.in_version_change_tx_) {
+  if (!is_ready || this.in_version_change_tx_ ||
+      (this.tx_holder_ && this.tx_holder_ !== opt_requester)) {
     // a "versionchange" transaction is still running, a InvalidStateError
     // exception will be thrown
-    this.pushTxQueue_(trFn, names, opt_mode, opt_on_completed);
+    this.pushTxQueue_(trFn, names, opt_mode, opt_on_completed, opt_requester);
     return;
   }
 
@@ -792,7 +926,8 @@ ydn.db.con.Storage.prototype.isAutoSchema = function() {
 
 
 /**
- * ydn.db.sync module will override this method to inject sync functions.
+ * ydn.db.crud.Storage.sync module will override this method to install
+ * synchronizer on the store.
  * @param {ydn.db.schema.Store} store store object.
  * @param {StoreSyncOptionJson} option synchronization options.
  * @protected
@@ -804,7 +939,64 @@ ydn.db.con.Storage.prototype.addSynchronizer = function(store, option) {
 
 
 /**
- * ydn.db.sync module will override this method to inject sync functions.
+ * ydn.db.crud.Storage.remote module will override this method to dispatch
+ * changes made by other tabs.
+ * @protected
+ */
+ydn.db.con.Storage.prototype.addChangeChannel = function() {
+  goog.log.warning(this.logger, 'remoteEvents option ignored.');
+};
+
+
+/**
+ * ydn.db.crud.Storage.migration module will override this method to copy
+ * data from other storage mechanisms.
+ * @param {!Array.<string>} mechanisms storage mechanisms to copy from.
+ * @protected
+ */
+ydn.db.con.Storage.prototype.addMigration = function(mechanisms) {
+  goog.log.warning(this.logger, 'migrateFrom option ignored.');
+};
+
+
+/**
+ * ydn.db.crud.Storage.quota module will override this method to account
+ * record sizes and evict records of stores having maxSize option.
+ * @param {number|undefined} max_size maximum size of the database in bytes.
+ * @protected
+ */
+ydn.db.con.Storage.prototype.addQuota = function(max_size) {
+  goog.log.warning(this.logger, 'maxSize option ignored.');
+};
+
+
+/**
+ * ydn.db.crud.Storage.quota module will override this method to reject
+ * writes larger than the quota, before they are requested.
+ * @param {string} store_name store name.
+ * @param {!Array} values record values to be written.
+ * @return {Error} error if the records cannot fit in the quota.
+ */
+ydn.db.con.Storage.prototype.checkQuota = function(store_name, values) {
+  return null;
+};
+
+
+/**
+ * ydn.db.crud.Storage.expiry module will override this method to hide and
+ * delete expired records of the store.
+ * @param {!ydn.db.schema.Store} store store object.
+ * @protected
+ */
+ydn.db.con.Storage.prototype.addExpiry = function(store) {
+  goog.log.warning(this.logger, 'Expiry option for ' + store.getName() +
+      ' ignored.');
+};
+
+
+/**
+ * ydn.db.crud.Storage.encryption module will override this method to install
+ * encryption hook on the store.
  * @param {ydn.db.schema.Store} store store object.
  * @protected
  */
@@ -815,8 +1007,10 @@ ydn.db.con.Storage.prototype.addEncryption = function(store) {
 
 
 /**
+ * ydn.db.crud.Storage.encryption module will override this method to derive
+ * encryption keys from the secrets.
  * @param {EncryptionOption} encryption secret name.
- * @return {boolean}
+ * @return {boolean} true if encryption is supported and option is valid.
  */
 ydn.db.con.Storage.prototype.setEncryption = function(encryption) {
   return false;
@@ -824,9 +1018,35 @@ ydn.db.con.Storage.prototype.setEncryption = function(encryption) {
 
 
 /**
- * ydn.db.sync module will override this method to inject sync functions.
- * @param {!ydn.db.schema.Store} store store object.
- * @param {!ydn.db.schema.fulltext.Catalog} option synchronization options.
+ * ydn.db.crud.Storage.encryption module will override this method to derive
+ * encryption keys and verify them against key check values stored in the
+ * database.
+ * @param {!ydn.db.con.IDatabase} db connected database, not yet in use.
+ * @return {!goog.async.Deferred} fail if a secret does not match.
+ * @protected
+ */
+ydn.db.con.Storage.prototype.verifyEncryption = function(db) {
+  return goog.async.Deferred.succeed(null);
+};
+
+
+/**
+ * ydn.db.crud.Storage.encryption module will override this method to decrypt
+ * record values read without request transformer, such as history entries.
+ * @param {string} store_name store name.
+ * @param {*} value record value as stored.
+ * @return {*} record value.
+ */
+ydn.db.con.Storage.prototype.decryptRecord = function(store_name, value) {
+  return value;
+};
+
+
+/**
+ * ydn.db.crud.Storage.text module will override this method to maintain
+ * inverted index of the full text catalog.
+ * @param {!ydn.db.schema.Store} store source store object.
+ * @param {!ydn.db.schema.fulltext.Catalog} option full text catalog.
  * @protected
  */
 ydn.db.con.Storage.prototype.addFullTextIndexer = function(store, option) {
@@ -841,7 +1061,7 @@ ydn.db.con.Storage.prototype.addFullTextIndexer = function(store, option) {
  */
 ydn.db.con.Storage.prototype.getEventTypes = function() {
   return ['created', 'error', 'fail', 'ready', 'deleted', 'updated',
-    'versionchange'];
+    'versionchange', 'sync', 'migration', 'retry'];
 };
 
 
@@ -28,6 +28,8 @@ goog.require('goog.log');
 goog.require('ydn.db.SecurityError');
 goog.require('ydn.db.base');
 goog.require('ydn.db.con.IDatabase');
+goog.require('ydn.db.con.Migrator');
+goog.require('ydn.db.con.WebSqlMigrationExecutor');
 goog.require('ydn.debug.error.NotImplementedException');
 goog.require('ydn.json');
 goog.require('ydn.string');
@@ -112,6 +114,11 @@ ydn.db.con.WebSql.prototype.connect = function(dbname, schema) {
 
     var executed = false;
     var updated_count = 0;
+    /**
+     * Error of a failed migration script, which rolled back the version change.
+     * @type {*}
+     */
+    var migration_error = null;
 
     /**
      * SQLTransactionCallback
@@ -136,9 +143,16 @@ ydn.db.con.WebSql.prototype.connect = function(dbname, schema) {
               hinted_store_schema);
         }
 
+        var removed_stores = [];
         for (var j = 0; j < existing_schema.count(); j++) {
-          var info_store = existing_schema.store(j);
-          if (!schema.hasStore(info_store.getName())) {
+          if (!schema.hasStore(existing_schema.store(j).getName())) {
+            removed_stores.push(existing_schema.store(j));
+          }
+        }
+
+        var drop_stores = function() {
+          for (var j = 0; j < removed_stores.length; j++) {
+            var info_store = removed_stores[j];
             if (schema instanceof ydn.db.schema.EditableDatabase) {
               var edited_schema = schema;
               edited_schema.addStore(info_store);
@@ -156,7 +170,22 @@ ydn.db.con.WebSql.prototype.connect = function(dbname, schema) {
               }
             }
           }
-        }
+        };
+
+        // migration scripts run before dropping tables, so that data can be
+        // moved out of removed stores.
+        var tx_schema = new ydn.db.schema.Database(new_version,
+            schema.stores.concat(removed_stores));
+        var migrator = new ydn.db.con.Migrator(
+            new ydn.db.con.WebSqlMigrationExecutor(tx, tx_schema));
+        migrator.migrate(schema, current_version, new_version).addCallbacks(
+            drop_stores, function(e) {
+              migration_error = e;
+              // ROLLBACK statement is not allowed, its error roll back.
+              tx.executeSql('ROLLBACK', [], null, function(tr, err) {
+                return true;
+              });
+            });
 
       }, tx, db);
     };
@@ -189,6 +218,10 @@ ydn.db.con.WebSql.prototype.connect = function(dbname, schema) {
      * @param {SQLError} e error.
      */
     var error_callback = function(e) {
+      if (migration_error) {
+        setDb(null, /** @type {Error} */ (migration_error));
+        return;
+      }
       goog.log.error(me.logger, 'SQLError ' + e + ' ' + e.code + '(' + e.message + ') ' +
           'while changing version from ' + db.version + ' to ' + new_version +
           ' on ' + dbname);
@@ -320,7 +353,9 @@ ydn.db.con.WebSql.prototype.connect = function(dbname, schema) {
       // require upgrade check
       this.getSchema(function(existing_schema) {
         var msg = schema.difference(existing_schema, true, false);
-        if (msg) {
+        var ex_version = parseFloat(old_version);
+        if (msg || (!schema.isAutoVersion() &&
+            schema.getMigrations(ex_version, schema.version).length > 0)) {
           if (old_version == 0) {
             goog.log.fine(me.logger, 'New ' + db_info + ' created.');
 
@@ -0,0 +1,268 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Execute migration operations in WebSQL version change
+ * transaction.
+ *
+ * Records are encoded into table rows in the same way as
+ * ydn.db.crud.req.WebSql does.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.con.WebSqlMigrationExecutor');
+goog.require('goog.log');
+goog.require('goog.string');
+goog.require('ydn.db.base');
+goog.require('ydn.db.con.IMigrationExecutor');
+goog.require('ydn.db.schema.Index');
+goog.require('ydn.db.utils');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+
+/**
+ * @param {!SQLTransaction} tx version change transaction.
+ * @param {!ydn.db.schema.Database} schema schema of tables in the
+ * transaction, including tables to be dropped.
+ * @constructor
+ * @implements {ydn.db.con.IMigrationExecutor}
+ * @struct
+ */
+ydn.db.con.WebSqlMigrationExecutor = function(tx, schema) {
+  /**
+   * @final
+   * @private
+   * @type {!SQLTransaction}
+   */
+  this.tx_ = tx;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.Database}
+   */
+  this.schema_ = schema;
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.logger =
+    goog.log.getLogger('ydn.db.con.WebSqlMigrationExecutor');
+
+
+/**
+ * Execute a statement.
+ * @param {string} sql SQL statement.
+ * @param {!Array} params parameters.
+ * @param {function(*, boolean=)} callback receive error on failure.
+ * @param {function(!SQLResultSet)=} opt_success receive result.
+ * @private
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.execute_ = function(sql, params,
+    callback, opt_success) {
+  var me = this;
+  goog.log.finest(this.logger, 'SQL: ' + sql + ' PARAMS: ' + params);
+  this.tx_.executeSql(sql, params, function(tr, rs) {
+    if (opt_success) {
+      opt_success(rs);
+    }
+  }, function(tr, e) {
+    goog.log.warning(me.logger, 'SQLError ' + e.message + ' for ' + sql);
+    callback(e, true);
+    return false; // migration script decide to roll back.
+  });
+};
+
+
+/**
+ * @param {string} store_name store name.
+ * @param {function(*, boolean=)} callback receive error if store not found.
+ * @return {ydn.db.schema.Store} store schema.
+ * @private
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.getStore_ = function(store_name,
+    callback) {
+  var store = this.schema_.getStore(store_name);
+  if (!store) {
+    callback(new ydn.debug.error.ArgumentException('store "' + store_name +
+        '" not found.'), true);
+  }
+  return store;
+};
+
+
+/**
+ * Execute a statement for each multiEntry index table of the store. Error of
+ * these statements are only logged, as ydn.db.crud.req.WebSql does.
+ * @param {!ydn.db.schema.Store} store store schema.
+ * @param {function(!ydn.db.schema.Index, string)} fn receive index and
+ * quoted table name of the index.
+ * @private
+ */
+ydn.db.con.WebSqlMigrationExecutor.forEachMultiEntry_ = function(store, fn) {
+  for (var i = 0, n = store.countIndex(); i < n; i++) {
+    var index = store.index(i);
+    if (index.isMultiEntry()) {
+      fn(index, goog.string.quote(ydn.db.base.PREFIX_MULTIENTRY +
+          store.getName() + ':' + index.getName()));
+    }
+  }
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.get = function(store_name, key,
+                                                            callback) {
+  var store = this.getStore_(store_name, callback);
+  if (!store) {
+    return;
+  }
+  var sql = 'SELECT * FROM ' + store.getQuotedName() + ' WHERE ' +
+      store.getSQLKeyColumnNameQuoted() + ' = ?';
+  var params = [ydn.db.schema.Index.js2sql(key, store.getType())];
+  this.execute_(sql, params, callback, function(rs) {
+    callback(rs.rows.length > 0 ? store.parseRow(rs.rows.item(0)) :
+        undefined);
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.list = function(store_name,
+    key_only, callback) {
+  var store = this.getStore_(store_name, callback);
+  if (!store) {
+    return;
+  }
+  var key_column = store.getSQLKeyColumnName();
+  var sql = 'SELECT ' + (key_only ? store.getSQLKeyColumnNameQuoted() : '*') +
+      ' FROM ' + store.getQuotedName() + ' ORDER BY ' +
+      store.getSQLKeyColumnNameQuoted();
+  this.execute_(sql, [], callback, function(rs) {
+    var results = [];
+    for (var i = 0; i < rs.rows.length; i++) {
+      var row = rs.rows.item(i);
+      results[i] = key_only ?
+          ydn.db.schema.Index.sql2js(row[key_column], store.getType()) :
+          store.parseRow(row);
+    }
+    callback(results);
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.put = function(store_name, value,
+    key, callback) {
+  var store = this.getStore_(store_name, callback);
+  if (!store) {
+    return;
+  }
+  var me = this;
+  var out = store.sqlNamesValues(/** @type {!Object} */ (value), key);
+  var sql = 'INSERT OR REPLACE INTO ' + store.getQuotedName() +
+      ' (' + out.columns.join(', ') + ') VALUES (' +
+      out.slots.join(', ') + ')';
+  this.execute_(sql, out.values, callback, function(rs) {
+    var p_key = goog.isDef(out.key) ? out.key : rs.insertId;
+    var sql_key = ydn.db.schema.Index.js2sql(p_key, store.getType());
+    var where = ' WHERE ' + store.getSQLKeyColumnNameQuoted() + ' = ?';
+    ydn.db.con.WebSqlMigrationExecutor.forEachMultiEntry_(store,
+        function(index, table) {
+          me.execute_('DELETE FROM ' + table + where, [sql_key],
+              goog.nullFunction);
+          var values = ydn.db.utils.getValueByKeys(value,
+              index.getKeyPath()) || [];
+          for (var i = 0; i < values.length; i++) {
+            me.execute_('INSERT OR REPLACE INTO ' + table + ' (' +
+                store.getSQLKeyColumnNameQuoted() + ', ' +
+                index.getSQLIndexColumnNameQuoted() + ') VALUES (?, ?)',
+                [sql_key, ydn.db.schema.Index.js2sql(values[i],
+                    index.getType())], goog.nullFunction);
+          }
+        });
+    callback(p_key);
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.remove = function(store_name,
+    key, callback) {
+  var store = this.getStore_(store_name, callback);
+  if (!store) {
+    return;
+  }
+  var me = this;
+  var where = ' WHERE ' + store.getSQLKeyColumnNameQuoted() + ' = ?';
+  var params = [ydn.db.schema.Index.js2sql(key, store.getType())];
+  ydn.db.con.WebSqlMigrationExecutor.forEachMultiEntry_(store,
+      function(index, table) {
+        me.execute_('DELETE FROM ' + table + where, params,
+            goog.nullFunction);
+      });
+  this.execute_('DELETE FROM ' + store.getQuotedName() + where, params,
+      callback, function(rs) {
+        callback(undefined);
+      });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.clear = function(store_name,
+                                                              callback) {
+  var store = this.getStore_(store_name, callback);
+  if (!store) {
+    return;
+  }
+  var me = this;
+  ydn.db.con.WebSqlMigrationExecutor.forEachMultiEntry_(store,
+      function(index, table) {
+        me.execute_('DELETE FROM ' + table, [], goog.nullFunction);
+      });
+  this.execute_('DELETE FROM ' + store.getQuotedName(), [], callback,
+      function(rs) {
+        callback(undefined);
+      });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.con.WebSqlMigrationExecutor.prototype.count = function(store_name,
+                                                              callback) {
+  var store = this.getStore_(store_name, callback);
+  if (!store) {
+    return;
+  }
+  var sql = 'SELECT COUNT(*) FROM ' + store.getQuotedName();
+  this.execute_(sql, [], callback, function(rs) {
+    callback(parseInt(rs.rows.item(0)['COUNT(*)'], 10));
+  });
+};
@@ -92,6 +92,7 @@ ydn.db.core.DbOperator.prototype.get = function(arg1, arg2) {
     goog.log.finer(this.logger, 'getByIterator:' + q);
     var df = this.tx_thread.request(ydn.db.Request.Method.GET_ITER,
         [q_store_name]);
+    store.hook(df, arguments, undefined, this);
     df.addTxback(function() {
       this.iterate(ydn.db.base.QueryMethod.GET, df, q, 1);
     }, this);
@@ -218,6 +219,7 @@ ydn.db.core.DbOperator.prototype.valuesOf = function (q, arg2) {
   goog.log.finer(this.logger, 'listByIterator:' + q);
   var df = this.tx_thread.request(ydn.db.Request.Method.VALUES_ITER,
       [q.getStoreName()]);
+  this.schema.getStore(q.getStoreName()).hook(df, arguments, undefined, this);
   df.addTxback(function () {
     if (q.isKeyIterator()) {
       this.iterate(ydn.db.base.QueryMethod.LIST_PRIMARY_KEY, df, q, limit);
@@ -614,6 +616,14 @@ ydn.db.core.DbOperator.prototype.open = function(callback, iter, opt_mode,
   var df = this.tx_thread.request(ydn.db.Request.Method.OPEN, iter.stores(),
       tr_mode);
   goog.log.finer(this.logger, 'open:' + tr_mode + ' ' + iter);
+  if (tr_mode == ydn.db.base.TransactionMode.READ_WRITE) {
+    // records may be updated or deleted through the cursor.
+    var hook_stores = iter.stores();
+    for (var hi = 0; hi < hook_stores.length; hi++) {
+      this.schema.getStore(hook_stores[hi]).hook(df, arguments, undefined,
+          this);
+    }
+  }
   df.addTxback(function(tx) {
     var tx_no = df.getLabel();
     var lbl = tx_no + ' iterating ' + iter;
@@ -689,7 +699,14 @@ ydn.db.core.DbOperator.prototype.listIter = function(mth, iter,
       (opt_offset ? ' offset=' + offset : ''));
   var method = ydn.db.Request.Method.VALUES_INDEX;
   var req = this.tx_thread.request(method, [store_name]);
-  // store.hook(req, arguments);
+  this.schema.getStore(store_name).hook(req, arguments, undefined, this);
+  if (this.schema.getStore(store_name).hasExpiry()) {
+    // expired records are skipped while iterating.
+    req.addTxback(function() {
+      this.iterate(mth, req, iter, limit, offset);
+    }, this);
+    return req;
+  }
   var cursor_position =
       (iter.getState() == ydn.db.Iterator.State.COMPLETED ||
           iter.getState() == ydn.db.Iterator.State.INITIAL) ?
@@ -739,12 +756,28 @@ ydn.db.core.DbOperator.prototype.iterate = function(mth, rq, iter,
   for (var i = 0; i < store_names.length; i++) {
     cursors[i] = executor.getCursor(tx, tx_no, store_names[i]);
   }
-  var cursor = iter.load(cursors);
-  cursor.onFail = function(e) {
+  var store = store_names.length == 1 ?
+      this.schema.getStore(store_names[0]) : null;
+  var expiry = !!store && store.hasExpiry();
+  var it = iter;
+  if (expiry && iter instanceof ydn.db.Iterator && iter.isKeyIterator()) {
+    // record values are required to test expiry.
+    it = iter.asValueIterator();
+    it.reset(iter.getState(), iter.getKey(), iter.getPrimaryKey());
+  }
+  var cursor = it.load(cursors);
+  var exit = function() {
     cursor.exit();
+    if (it !== iter) {
+      iter.reset(it.getState(), it.getKey(), it.getPrimaryKey());
+    }
+  };
+  cursor.onFail = function(e) {
+    exit();
     rq.setDbValue(e, true);
   };
   var count = 0;
+  var skipped = 0;
   var cued = false;
   var displayed = false;
   /**
@@ -757,7 +790,15 @@ ydn.db.core.DbOperator.prototype.iterate = function(mth, rq, iter,
     }
     if (goog.isDefAndNotNull(opt_key)) {
       var primary_key = cursor.getPrimaryKey();
-      if (!cued && opt_offset > 0) {
+      if (expiry) {
+        // expired records are skipped and not counted for offset.
+        var expired = store.isExpired(cursor.getValue());
+        if (expired || skipped < opt_offset) {
+          skipped += expired ? 0 : 1;
+          cursor.continueEffectiveKey();
+          return;
+        }
+      } else if (!cued && opt_offset > 0) {
         cursor.advance(opt_offset);
         cued = true;
         return;
@@ -777,7 +818,7 @@ ydn.db.core.DbOperator.prototype.iterate = function(mth, rq, iter,
       }
       // console.log(count, cursor);
       if (mth == ydn.db.base.QueryMethod.GET) {
-        cursor.exit();
+        exit();
         rq.setDbValue(arr[0]);
       } else if (mth == ydn.db.base.QueryMethod.COUNT ||
           !goog.isDef(opt_limit) || count < opt_limit) {
@@ -785,12 +826,12 @@ ydn.db.core.DbOperator.prototype.iterate = function(mth, rq, iter,
       } else {
         goog.log.finer(me.logger, 'success:' + msg + ' yields ' + arr.length +
             ' records');
-        cursor.exit();
+        exit();
         rq.setDbValue(arr);
       }
     } else {
       goog.log.finer(me.logger, 'success:' + msg + ' yields ' + arr.length + ' records');
-      cursor.exit();
+      exit();
       var result =
           mth == ydn.db.base.QueryMethod.GET ? arr[0] :
               mth == ydn.db.base.QueryMethod.COUNT ? count : arr;
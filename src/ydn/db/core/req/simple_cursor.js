@@ -33,7 +33,7 @@ ydn.db.core.req.SimpleCursor = function(tx, tx_no, store_schema, opt_mth) {
   this.result_ready_ = new ydn.db.base.Mutex();
 
   /**
-   * @type {ydn.structs.Buffer}
+   * @type {ydn.db.con.simple.PagedIndex}
    * @private
    */
   this.buffer_ = null;
@@ -94,7 +94,7 @@ ydn.db.core.req.SimpleCursor.prototype.value_;
 
 
 /**
- * @type {goog.structs.AvlTree.Node}
+ * @type {ydn.db.con.simple.Node}
  * @private
  */
 ydn.db.core.req.SimpleCursor.prototype.current_;
@@ -149,14 +149,14 @@ ydn.db.core.req.SimpleCursor.prototype.advance = function(step) {
   }
   /**
    * Node traversal function.
-   * @param {goog.structs.AvlTree.Node} node
+   * @param {ydn.db.con.simple.Node} node
    * @return {boolean|undefined} continuation.
    */
   var tr_fn = function(node) {
     cnt++;
     if (!node || cnt >= step) {
       if (ydn.db.core.req.SimpleCursor.DEBUG) {
-        goog.global.console.log('advance to ' + (node ? node.value : 'null'));
+        goog.global.console.log('advance to ' + (node ? node : 'null'));
       }
       return me.defaultOnSuccess_(node);
     }
@@ -180,7 +180,7 @@ ydn.db.core.req.SimpleCursor.prototype.continueEffectiveKey = function(key) {
     var start_node = new ydn.db.con.simple.Node(key);
     /**
      * Node traversal function.
-     * @param {goog.structs.AvlTree.Node} node
+     * @param {ydn.db.con.simple.Node} node
      * @return {boolean|undefined} continuation.
      */
     var tr_fn = function(node) {
@@ -188,8 +188,7 @@ ydn.db.core.req.SimpleCursor.prototype.continueEffectiveKey = function(key) {
       if (!node) {
         return me.defaultOnSuccess_(node);
       }
-      var x = /** @type {ydn.db.con.simple.Node} */ (node.value);
-      var e_key = x.getKey();
+      var e_key = node.getKey();
       var cmp = ydn.db.cmp(e_key, key);
       if (me.reverse) {
         if (cmp != 1) {
@@ -247,7 +246,7 @@ ydn.db.core.req.SimpleCursor.prototype.dispatchOnSuccess_ = function() {
 
 /**
  * Node traversal function.
- * @param {goog.structs.AvlTree.Node} node
+ * @param {ydn.db.con.simple.Node} node
  * @return {boolean|undefined} continuation.
  * @private
  */
@@ -257,17 +256,16 @@ ydn.db.core.req.SimpleCursor.prototype.defaultOnSuccess_ = function(node) {
   this.current_ = node;
 
   if (node) {
-    var x = /** @type {ydn.db.con.simple.Node} */ (node.value);
 
     // check upper bound of key range.
     if (this.key_range) {
       if (!this.reverse && goog.isDefAndNotNull(this.key_range.upper)) {
-        var cmp = ydn.db.cmp(x.getKey(), this.key_range.upper);
+        var cmp = ydn.db.cmp(node.getKey(), this.key_range.upper);
         if (cmp == 1 || (cmp == 0 && this.key_range.upperOpen)) {
           this.current_ = null;
         }
       } else if (this.reverse && goog.isDefAndNotNull(this.key_range.lower)) {
-        var cmp = ydn.db.cmp(x.getKey(), this.key_range.lower);
+        var cmp = ydn.db.cmp(node.getKey(), this.key_range.lower);
         if (cmp == -1 || (cmp == 0 && this.key_range.lowerOpen)) {
           this.current_ = null;
         }
@@ -277,14 +275,14 @@ ydn.db.core.req.SimpleCursor.prototype.defaultOnSuccess_ = function(node) {
     if (this.current_) {
 
       if (this.unique && goog.isDefAndNotNull(this.key_) &&
-          goog.isDefAndNotNull(x.getKey())) {
-        if (ydn.db.cmp(this.key_, x.getKey()) == 0) {
+          goog.isDefAndNotNull(node.getKey())) {
+        if (ydn.db.cmp(this.key_, node.getKey()) == 0) {
           return; // skip non-unique key.
         }
       }
 
-      this.key_ = x.getKey();
-      this.primary_key_ = this.is_index ? x.getPrimaryKey() : this.key_;
+      this.key_ = node.getKey();
+      this.primary_key_ = this.is_index ? node.getPrimaryKey() : this.key_;
       if (this.query_method == ydn.db.base.QueryMethod.LIST_VALUE) {
         if (!this.isValueCursor()) {
           this.value_ = this.primary_key_;
@@ -361,7 +359,7 @@ ydn.db.core.req.SimpleCursor.prototype.openCursor = function(
   this.onCursorComplete_ = this.tx.getStorage(function(storage) {
 
     /**
-     * @param {goog.structs.AvlTree.Node} node
+     * @param {ydn.db.con.simple.Node} node
      * @this {ydn.db.core.req.SimpleCursor}
      * @return {boolean|undefined} continuation.
      */
@@ -369,12 +367,11 @@ ydn.db.core.req.SimpleCursor.prototype.openCursor = function(
       if (!node) {
         return this.defaultOnSuccess_(node);
       }
-      var x = /** @type {ydn.db.con.simple.Node} */ (node.value);
-      var key = x.getKey();
-      // console.log('on ', x);
+      var key = node.getKey();
+      // console.log('on ', node);
       if (node && goog.isDefAndNotNull(key)) {
         if (goog.isDefAndNotNull(opt_key)) {
-          if ((ydn.db.con.simple.Node.cmp(start_node, x) == 0)) {
+          if ((ydn.db.con.simple.Node.cmp(start_node, node) == 0)) {
             return; // skip
           }
         } else if (this.key_range) {
@@ -27,11 +27,12 @@ goog.require('ydn.db.crud.req.SimpleStore');
  * @extends {ydn.db.crud.req.SimpleStore}
  * @param {string} dbname database name.
  * @param {!ydn.db.schema.Database} schema schema.
+ * @param {string=} opt_mechanism storage mechanism type.
  * @constructor
  * @implements {ydn.db.core.req.IRequestExecutor}
  */
-ydn.db.core.req.SimpleStore = function(dbname, schema) {
-  goog.base(this, dbname, schema);
+ydn.db.core.req.SimpleStore = function(dbname, schema, opt_mechanism) {
+  goog.base(this, dbname, schema, opt_mechanism);
 };
 goog.inherits(ydn.db.core.req.SimpleStore, ydn.db.crud.req.SimpleStore);
 
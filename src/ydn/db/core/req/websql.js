@@ -35,11 +35,12 @@ goog.require('ydn.json');
  * @extends {ydn.db.crud.req.WebSql}
  * @param {string} dbname database name.
  * @param {!ydn.db.schema.Database} schema schema.
+ * @param {string=} opt_mechanism storage mechanism type.
  * @constructor
  * @implements {ydn.db.core.req.IRequestExecutor}
  */
-ydn.db.core.req.WebSql = function(dbname, schema) {
-  goog.base(this, dbname, schema);
+ydn.db.core.req.WebSql = function(dbname, schema, opt_mechanism) {
+  goog.base(this, dbname, schema, opt_mechanism);
 };
 goog.inherits(ydn.db.core.req.WebSql, ydn.db.crud.req.WebSql);
 
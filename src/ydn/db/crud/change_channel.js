@@ -0,0 +1,352 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Share record events with other tabs of the same database.
+ *
+ * Record events dispatched in this tab are appended to the change log store.
+ * With localStorage, other tabs receive the log record through `storage`
+ * event of the window. With IndexedDB and WebSQL, other tabs poll the change
+ * log, and poll immediately when signalled through the broadcast channel of
+ * the storage, where it is available. Changes read from the log are
+ * dispatched again as remote events. Session and memory storages are not
+ * shared, hence nothing is logged.
+ *
+ * Only primary keys are shared. The change log keeps about LOG_SIZE latest
+ * changes, so that a tab may miss changes if it is too far behind.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.ChangeChannel');
+goog.require('goog.Timer');
+goog.require('goog.events');
+goog.require('goog.log');
+goog.require('goog.string');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.base');
+goog.require('ydn.db.con.simple');
+goog.require('ydn.db.events.RecordEvent');
+goog.require('ydn.db.events.StoreEvent');
+goog.require('ydn.db.events.Types');
+goog.require('ydn.db.tr.events');
+goog.require('ydn.json');
+
+
+
+/**
+ * Create a change channel for a storage.
+ * @param {!ydn.db.crud.Storage} storage storage.
+ * @constructor
+ * @struct
+ */
+ydn.db.crud.ChangeChannel = function(storage) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.crud.Storage}
+   */
+  this.storage_ = storage;
+  /**
+   * Identify changes made by this storage instance.
+   * @final
+   * @private
+   * @type {string}
+   */
+  this.source_ = goog.string.getRandomString();
+  /**
+   * Primary key of the last read log record.
+   * @private
+   * @type {IDBKey|undefined}
+   */
+  this.last_id_ = undefined;
+  /**
+   * Storage key prefix of log records in localStorage.
+   * @private
+   * @type {string}
+   */
+  this.prefix_ = '';
+  /**
+   * @private
+   * @type {?number}
+   */
+  this.timer_ = null;
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.polling_ = false;
+  /**
+   * @private
+   * @type {goog.events.Key}
+   */
+  this.storage_listener_ = null;
+  /**
+   * Broadcast channel of the storage, while listening to it.
+   * @private
+   * @type {BroadcastChannel}
+   */
+  this.signal_ = null;
+  /**
+   * @private
+   * @type {?function(!MessageEvent)}
+   */
+  this.signal_listener_ = null;
+  /**
+   * Number of changes logged by this instance.
+   * @private
+   * @type {number}
+   */
+  this.logged_ = 0;
+
+  goog.events.listen(storage.getEventTarget(), [
+    ydn.db.events.Types.CREATED,
+    ydn.db.events.Types.UPDATED,
+    ydn.db.events.Types.DELETED
+  ], this.onLocalEvent_, false, this);
+  storage.onReady(function(e) {
+    if (!e) {
+      this.start_();
+    }
+  }, this);
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.crud.ChangeChannel.prototype.logger =
+    goog.log.getLogger('ydn.db.crud.ChangeChannel');
+
+
+/**
+ * Polling interval in milliseconds.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.ChangeChannel.POLL_INTERVAL = 1000;
+
+
+/**
+ * Approximate number of log records kept in the change log.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.ChangeChannel.LOG_SIZE = 100;
+
+
+/**
+ * Type of broadcast message signalling that the change log is appended.
+ * @const
+ * @type {string}
+ */
+ydn.db.crud.ChangeChannel.MESSAGE_TYPE = 'change_log';
+
+
+/**
+ * @return {boolean} true if the database is shared with other tabs.
+ * @private
+ */
+ydn.db.crud.ChangeChannel.prototype.isShared_ = function() {
+  var type = this.storage_.getType();
+  return type == ydn.db.base.Mechanisms.LOCAL_STORAGE ||
+      type == ydn.db.base.Mechanisms.IDB ||
+      type == ydn.db.base.Mechanisms.WEBSQL;
+};
+
+
+/**
+ * Start receiving changes of other tabs.
+ * @private
+ */
+ydn.db.crud.ChangeChannel.prototype.start_ = function() {
+  var type = this.storage_.getType();
+  if (type == ydn.db.base.Mechanisms.LOCAL_STORAGE) {
+    this.prefix_ = ydn.db.con.simple.makeKey(this.storage_.getName(),
+        ydn.db.base.SN_CHANGE_LOG, 'id') + ydn.db.con.simple.SEP;
+    this.storage_listener_ = goog.events.listen(goog.global, 'storage',
+        this.onStorage_, false, this);
+  } else if (this.isShared_()) {
+    var channel = this.storage_.getBroadcastChannel();
+    if (channel) {
+      var me = this;
+      this.signal_ = channel;
+      this.signal_listener_ = function(ev) {
+        if (goog.isObject(ev.data) &&
+            ev.data['type'] == ydn.db.crud.ChangeChannel.MESSAGE_TYPE) {
+          me.poll_();
+        }
+      };
+      channel.addEventListener('message', this.signal_listener_);
+    }
+    // changes made before this tab opened are not dispatched.
+    var op = this.storage_.getCoreOperator();
+    op.keysInternal(ydn.db.base.SN_CHANGE_LOG, null, null, 1, 0, true, false)
+        .addBoth(function(keys) {
+          if (goog.isArray(keys) && keys.length > 0) {
+            this.last_id_ = keys[0];
+          }
+          this.schedule_();
+        }, this);
+  }
+};
+
+
+/**
+ * Stop receiving changes, after the storage is closed.
+ * @private
+ */
+ydn.db.crud.ChangeChannel.prototype.stop_ = function() {
+  goog.log.fine(this.logger, 'change channel of ' + this.storage_.getName() +
+      ' stopped');
+  if (goog.isDefAndNotNull(this.timer_)) {
+    goog.Timer.clear(this.timer_);
+    this.timer_ = null;
+  }
+  if (this.storage_listener_) {
+    goog.events.unlistenByKey(this.storage_listener_);
+    this.storage_listener_ = null;
+  }
+  if (this.signal_) {
+    // the channel is closed by the storage.
+    this.signal_.removeEventListener('message', this.signal_listener_);
+    this.signal_ = null;
+    this.signal_listener_ = null;
+  }
+};
+
+
+/**
+ * Schedule next polling.
+ * @private
+ */
+ydn.db.crud.ChangeChannel.prototype.schedule_ = function() {
+  if (goog.isDefAndNotNull(this.timer_)) {
+    goog.Timer.clear(this.timer_);
+  }
+  this.timer_ = goog.Timer.callOnce(this.poll_,
+      ydn.db.crud.ChangeChannel.POLL_INTERVAL, this);
+};
+
+
+/**
+ * Read new log records and dispatch them.
+ * @private
+ */
+ydn.db.crud.ChangeChannel.prototype.poll_ = function() {
+  if (!this.storage_.getType()) {
+    this.stop_();
+    return;
+  }
+  if (this.polling_) {
+    return;
+  }
+  this.polling_ = true;
+  var kr = goog.isDef(this.last_id_) ?
+      ydn.db.KeyRange.lowerBound(this.last_id_, true) : null;
+  var op = this.storage_.getCoreOperator();
+  op.listInternal(ydn.db.base.SN_CHANGE_LOG, null, kr, false,
+      ydn.db.crud.ChangeChannel.LOG_SIZE).addBoth(function(records) {
+    this.polling_ = false;
+    if (goog.isArray(records)) {
+      for (var i = 0; i < records.length; i++) {
+        this.last_id_ = records[i]['id'];
+        this.dispatch_(records[i]);
+      }
+    } else {
+      goog.log.warning(this.logger, 'reading change log failed: ' + records);
+    }
+    if (this.storage_.getType()) {
+      this.schedule_();
+    }
+  }, this);
+};
+
+
+/**
+ * Handle `storage` event of the window.
+ * @param {goog.events.BrowserEvent} e event.
+ * @private
+ */
+ydn.db.crud.ChangeChannel.prototype.onStorage_ = function(e) {
+  if (!this.storage_.getType()) {
+    this.stop_();
+    return;
+  }
+  var ev = /** @type {StorageEvent} */ (e.getBrowserEvent());
+  if (ev.key && ev.newValue && goog.string.startsWith(ev.key, this.prefix_)) {
+    this.dispatch_(/** @type {!Object} */ (ydn.json.parse(ev.newValue)));
+  }
+};
+
+
+/**
+ * Dispatch a log record as remote event.
+ * @param {!Object} record log record.
+ * @private
+ */
+ydn.db.crud.ChangeChannel.prototype.dispatch_ = function(record) {
+  if (record['source'] == this.source_) {
+    return;
+  }
+  var type = /** @type {ydn.db.events.Types} */ (record['type']);
+  var store_name = record['store'];
+  var keys = record['keys'];
+  var event;
+  if (record['single']) {
+    event = new ydn.db.events.RecordEvent(type, this.storage_, store_name,
+        keys[0], undefined, true);
+  } else {
+    event = new ydn.db.events.StoreEvent(type, this.storage_, store_name,
+        keys, undefined, true);
+  }
+  this.storage_.dispatchDbEvent(event);
+};
+
+
+/**
+ * Log record events of this storage.
+ * @param {goog.events.Event} e event.
+ * @private
+ */
+ydn.db.crud.ChangeChannel.prototype.onLocalEvent_ = function(e) {
+  var single = e instanceof ydn.db.events.RecordEvent;
+  if (!(single || e instanceof ydn.db.events.StoreEvent) ||
+      e.isRemote() || !this.isShared_()) {
+    return;
+  }
+  var record = {
+    'source': this.source_,
+    'type': e.type,
+    'store': e.getStoreName(),
+    'single': single,
+    'keys': single ? [e.getKey()] : e.getKeys()
+  };
+  var op = this.storage_.getCoreOperator();
+  op.dumpInternal(ydn.db.base.SN_CHANGE_LOG, [record]).addCallback(
+      function(keys) {
+        if (this.signal_ && this.storage_.getType()) {
+          this.signal_.postMessage({
+            'type': ydn.db.crud.ChangeChannel.MESSAGE_TYPE
+          });
+        }
+        var size = ydn.db.crud.ChangeChannel.LOG_SIZE;
+        if (++this.logged_ % size == 0 && goog.isNumber(keys[0])) {
+          // remove old log records.
+          op.removeInternal(ydn.db.base.SN_CHANGE_LOG,
+              ydn.db.KeyRange.parseIDBKeyRange(
+                  ydn.db.KeyRange.upperBound(keys[0] - size)));
+        }
+      }, this);
+};
@@ -0,0 +1,242 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Install store level encryption.
+ *
+ * Records of an encrypted store are replaced by a cipher envelope in a store
+ * hook, before reaching request executors, and decrypted in a request
+ * transformer on read. Values of the in-line primary key and declared indexes
+ * are copied in clear text into the stored record, so that key generation and
+ * index queries continue to work. Hence these values are not confidential,
+ * and sensitive fields should not be indexed.
+ *
+ * Keys are derived and verified against key check values in the database
+ * before the connection is used, so that opening with a wrong secret fails
+ * the connection with SecurityError.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.encryption');
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.async.Deferred');
+goog.require('ydn.db.Crypt');
+goog.require('ydn.db.Request');
+goog.require('ydn.db.base');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.utils');
+
+
+/**
+ * @type {ydn.db.Crypt}
+ * @private
+ */
+ydn.db.crud.Storage.prototype.crypt_ = null;
+
+
+/**
+ * Record decryption functions of encrypted stores by store name.
+ * @type {Object.<function(*): *>}
+ * @private
+ */
+ydn.db.crud.Storage.prototype.unwraps_ = null;
+
+
+/**
+ * @param {EncryptionOption} encryption encryption option.
+ * @return {boolean} true if encryption option is valid.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.setEncryption = function(encryption) {
+  if (!encryption) {
+    return false;
+  }
+  this.crypt_ = new ydn.db.Crypt(encryption);
+  return true;
+};
+
+
+/**
+ * @param {!ydn.db.con.IDatabase} db connected database.
+ * @return {!goog.async.Deferred} fail with SecurityError if a secret does not
+ * match its key check value.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.verifyEncryption = function(db) {
+  if (!this.crypt_) {
+    return goog.async.Deferred.succeed(null);
+  }
+  var crypt = this.crypt_;
+  var executor = this.newExecutor();
+  var Method = ydn.db.Request.Method;
+  var store_name = ydn.db.base.SN_CRYPT_META;
+  var df = new goog.async.Deferred();
+  var error = null;
+  db.doTransaction(function(tx) {
+    var rq = new ydn.db.Request(Method.VALUES_IDS);
+    rq.setTx(tx, 'crypt');
+    rq.addCallbacks(function(metas) {
+      var created;
+      try {
+        created = crypt.setup(metas);
+      } catch (e) {
+        error = e;
+        return;
+      }
+      if (created.length > 0) {
+        var w_rq = new ydn.db.Request(Method.PUTS);
+        w_rq.setTx(tx, 'crypt');
+        w_rq.addErrback(function(e) {
+          error = e;
+        });
+        executor.insertObjects(w_rq, true, false, store_name, created);
+      }
+    }, function(e) {
+      error = e;
+    });
+    executor.listByIds(rq, store_name, crypt.getNames());
+  }, [store_name], ydn.db.base.TransactionMode.READ_WRITE, function(type, ev) {
+    if (!error && type != ydn.db.base.TxEventTypes.COMPLETE) {
+      error = ev instanceof Error ? ev :
+          new Error('key check values not stored: ' + type);
+    }
+    if (error) {
+      df.errback(error);
+    } else {
+      df.callback(null);
+    }
+  });
+  return df;
+};
+
+
+/**
+ * @param {string} store_name store name.
+ * @param {*} value record value as stored.
+ * @return {*} record value.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.decryptRecord = function(store_name, value) {
+  var unwrap = this.unwraps_ ? this.unwraps_[store_name] : null;
+  return unwrap ? unwrap(value) : value;
+};
+
+
+/**
+ * @param {ydn.db.schema.Store} store store object.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.addEncryption = function(store) {
+  goog.asserts.assert(this.crypt_, 'encryption option required');
+  var crypt = this.crypt_;
+  var store_name = store.getName();
+  var Method = ydn.db.Request.Method;
+  var primary_key_path = store.getKeyPath();
+  var primary_paths = !primary_key_path ? [] :
+      goog.isArray(primary_key_path) ? primary_key_path : [primary_key_path];
+
+  /**
+   * Copy values of key paths from one record to another.
+   * @param {!Object} from source record.
+   * @param {!Object} to target record.
+   * @param {Array.<string>|string} key_path key path.
+   */
+  var copyPaths = function(from, to, key_path) {
+    var paths = goog.isArray(key_path) ? key_path : [key_path];
+    for (var j = 0; j < paths.length; j++) {
+      var value = ydn.db.utils.getValueByKeys(from, paths[j]);
+      if (goog.isDef(value)) {
+        ydn.db.utils.setValueByKeys(to, paths[j], value);
+      }
+    }
+  };
+
+  /**
+   * @param {*} value record value.
+   * @return {!Object} record to be stored.
+   */
+  var wrap = function(value) {
+    var record = {};
+    record[ydn.db.Crypt.FIELD] = crypt.encrypt(value);
+    if (!goog.isObject(value)) {
+      return record;
+    }
+    copyPaths(/** @type {!Object} */ (value), record, primary_paths);
+    for (var i = 0, n = store.countIndex(); i < n; i++) {
+      copyPaths(/** @type {!Object} */ (value), record,
+          store.index(i).getKeyPath());
+    }
+    return record;
+  };
+
+  /**
+   * @param {*} value record value as stored.
+   * @return {*} record value.
+   */
+  var unwrap = function(value) {
+    if (!ydn.db.Crypt.isEncrypted(value)) {
+      return value;
+    }
+    var record = crypt.decrypt(value[ydn.db.Crypt.FIELD], store_name);
+    if (primary_paths.length > 0 && goog.isObject(record)) {
+      // key generated by the store on the envelope is not in the cipher text.
+      for (var i = 0; i < primary_paths.length; i++) {
+        if (!goog.isDef(ydn.db.utils.getValueByKeys(record,
+            primary_paths[i]))) {
+          copyPaths(value, /** @type {!Object} */ (record), primary_paths[i]);
+        }
+      }
+    }
+    return record;
+  };
+
+  if (!this.unwraps_) {
+    this.unwraps_ = {};
+  }
+  this.unwraps_[store_name] = unwrap;
+
+  store.addHook(function(req, args) {
+    var method = req.getMethod();
+    if (method == Method.PUT || method == Method.ADD) {
+      args[1] = wrap(args[1]);
+    } else if (method == Method.PUTS || method == Method.ADDS) {
+      args[1] = goog.array.map(args[1], wrap);
+    } else if (method == Method.PUT_KEYS) {
+      var db_keys = args[0];
+      args[1] = goog.array.map(args[1], function(value, i) {
+        return db_keys[i].getStoreName() == store_name ? wrap(value) : value;
+      });
+    } else if (method == Method.GET || method == Method.GET_BY_KEY ||
+        method == Method.GET_ITER || method == Method.VALUES ||
+        method == Method.VALUES_IDS || method == Method.VALUES_INDEX ||
+        method == Method.VALUES_ITER || method == Method.VALUES_KEYS) {
+      req.await(function(value, is_error, cb) {
+        if (is_error) {
+          cb(value, true);
+          return;
+        }
+        var result;
+        try {
+          result = goog.isArray(value) ?
+              goog.array.map(value, unwrap) : unwrap(value);
+        } catch (e) {
+          cb(e, true);
+          return;
+        }
+        cb(result);
+      });
+    }
+  });
+};
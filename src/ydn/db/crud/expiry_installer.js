@@ -0,0 +1,350 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Hide and delete expired records of stores having `ttl` or
+ * `expiresKeyPath` option.
+ *
+ * Until the sweeper deletes them, expired records are removed from results
+ * in a request transformer. If a list has expired records, it is read again
+ * skipping expired records until the limit is met, so that offset and limit
+ * count only unexpired records. Iterators skip expired records while
+ * iterating.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.expiry');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('ydn.db.Key');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.Request');
+goog.require('ydn.db.Where');
+goog.require('ydn.db.base');
+goog.require('ydn.db.crud.ExpirySweeper');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.schema.Store');
+
+
+/**
+ * @type {ydn.db.crud.ExpirySweeper}
+ * @private
+ */
+ydn.db.crud.Storage.prototype.expiry_sweeper_ = null;
+
+
+/**
+ * @param {!ydn.db.schema.Store} store store object.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.addExpiry = function(store) {
+  var store_name = store.getName();
+  var Method = ydn.db.Request.Method;
+  var me = this;
+  if (!this.expiry_sweeper_) {
+    this.expiry_sweeper_ = new ydn.db.crud.ExpirySweeper(this);
+  }
+  this.expiry_sweeper_.add(store_name);
+
+  /**
+   * @param {function(*, number): *} tr transform result with current time.
+   * @return {function(*, boolean, function(*, boolean=))} transformer.
+   */
+  var transformer = function(tr) {
+    return function(value, is_error, cb) {
+      cb(is_error ? value : tr(value, goog.now()), is_error);
+    };
+  };
+
+  store.addHook(function(req, args) {
+    var method = req.getMethod();
+    if (method == Method.GET || method == Method.GET_BY_KEY) {
+      req.await(transformer(function(value, now) {
+        return store.isExpired(value, now) ? undefined : value;
+      }));
+    } else if (method == Method.VALUES_IDS) {
+      // results are in the order of the requested keys.
+      req.await(transformer(function(values, now) {
+        return goog.array.map(/** @type {!Array} */ (values), function(value) {
+          return store.isExpired(value, now) ? undefined : value;
+        });
+      }));
+    } else if (method == Method.VALUES || method == Method.KEYS) {
+      req.await(me.expiryListFilter_(store, method == Method.KEYS, null,
+          args[1], args[2], args[3], args[4], false));
+    } else if ((method == Method.VALUES_INDEX && !goog.isNumber(args[0])) ||
+        method == Method.KEYS_INDEX) {
+      // VALUES_INDEX with a query method is listed by an iterator.
+      req.await(me.expiryListFilter_(store, method == Method.KEYS_INDEX,
+          args[1], args[2], args[3], args[4], args[5], args[6]));
+    } else if (method == Method.COUNT) {
+      var unique_index = args[3] && goog.isString(args[1]) ? args[1] : null;
+      req.await(function(cnt, is_error, cb) {
+        if (is_error) {
+          cb(cnt, true);
+          return;
+        }
+        me.countExpired_(store, args[1], args[2]).addCallback(function(n) {
+          if (!unique_index) {
+            return cnt - n;
+          } else if (n == 0) {
+            return cnt;
+          }
+          // an index key is counted if any of its records is not expired.
+          return me.listUnexpired_(store, true, unique_index, args[2], false,
+              true, 0, Infinity).addCallback(function(keys) {
+            return keys.length;
+          });
+        }).addCallbacks(function(x) {
+          cb(x);
+        }, function(e) {
+          cb(e, true);
+        });
+      });
+    }
+  });
+};
+
+
+/**
+ * Test expiry of listed records.
+ * @param {!ydn.db.schema.Store} store store schema.
+ * @param {boolean} key_only results are primary keys.
+ * @param {!Array} results primary keys or record values.
+ * @return {!goog.async.Deferred} resolve to expiry of each result.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.expiredOf_ = function(store, key_only,
+                                                   results) {
+  var now = goog.now();
+  var isExpired = function(value) {
+    return store.isExpired(value, now);
+  };
+  if (!key_only || results.length == 0) {
+    return goog.async.Deferred.succeed(goog.array.map(results, isExpired));
+  }
+  var db_keys = goog.array.map(results, function(key) {
+    return new ydn.db.Key(store.getName(), key);
+  });
+  return this.getCoreOperator().valuesInternal(db_keys).addCallback(
+      function(values) {
+        return goog.array.map(values, isExpired);
+      });
+};
+
+
+/**
+ * Create a request transformer for a list request. If the result has expired
+ * records, or records before the offset may have expired, the list is read
+ * again skipping expired records.
+ * @param {!ydn.db.schema.Store} store store schema.
+ * @param {boolean} key_only list primary keys instead of record values.
+ * @param {?string} index_name index name.
+ * @param {*} key_range key range.
+ * @param {number|undefined} limit limit.
+ * @param {number|undefined} offset offset.
+ * @param {boolean|undefined} reverse reverse.
+ * @param {boolean|undefined} unique unique.
+ * @return {function(*, boolean, function(*, boolean=))} transformer.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.expiryListFilter_ = function(store, key_only,
+    index_name, key_range, limit, offset, reverse, unique) {
+  var me = this;
+  var n = goog.isNumber(limit) ? limit : ydn.db.base.DEFAULT_RESULT_LIMIT;
+  var skip = offset || 0;
+  return function(results, is_error, cb) {
+    if (is_error) {
+      cb(results, true);
+      return;
+    }
+    me.expiredOf_(store, key_only, results).addCallback(function(expired) {
+      if (goog.array.contains(expired, true)) {
+        return true;
+      } else if (skip == 0) {
+        return false;
+      }
+      return me.countExpired_(store, index_name || key_range,
+          index_name ? key_range : undefined).addCallback(function(cnt) {
+        return cnt > 0;
+      });
+    }).addCallback(function(reread) {
+      return !reread ? results : me.listUnexpired_(store, key_only,
+          index_name, key_range, !!reverse, !!unique, skip, n);
+    }).addCallbacks(function(x) {
+      cb(x);
+    }, function(e) {
+      cb(e, true);
+    });
+  };
+};
+
+
+/**
+ * List records, skipping expired records, until the limit is met. For unique
+ * listing, the first unexpired record of each index key is listed.
+ * @param {!ydn.db.schema.Store} store store schema.
+ * @param {boolean} key_only list primary keys instead of record values.
+ * @param {?string} index_name index name.
+ * @param {*} key_range key range.
+ * @param {boolean} reverse reverse.
+ * @param {boolean} unique unique.
+ * @param {number} offset number of unexpired records to skip.
+ * @param {number} limit limit.
+ * @return {!goog.async.Deferred} resolve to primary keys or record values.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.listUnexpired_ = function(store, key_only,
+    index_name, key_range, reverse, unique, offset, limit) {
+  var me = this;
+  var store_name = store.getName();
+  var op = this.getCoreOperator();
+  var QueryMethod = ydn.db.base.QueryMethod;
+  var size = Math.min(offset + limit, ydn.db.crud.ExpirySweeper.BATCH_SIZE);
+  var position = [];
+  var out = [];
+  var skipped = 0;
+  var df = new goog.async.Deferred();
+  var onError = function(e) {
+    df.errback(e);
+  };
+  /**
+   * @param {*} x primary key or record value of an unexpired record.
+   * @return {boolean} true if the limit is met.
+   */
+  var push = function(x) {
+    if (skipped < offset) {
+      skipped++;
+    } else {
+      out.push(x);
+    }
+    return out.length >= limit;
+  };
+  var nextUnique = function() {
+    op.list(QueryMethod.LIST_KEY, store_name, index_name, key_range, size, 0,
+        reverse, true, position).addCallbacks(function(keys) {
+      var i = 0;
+      var nextKey = function() {
+        if (i >= keys.length) {
+          if (keys.length < size) {
+            df.callback(out);
+          } else {
+            nextUnique();
+          }
+          return;
+        }
+        var kr = ydn.db.KeyRange.only(keys[i++]);
+        me.listUnexpired_(store, key_only, index_name, kr, false, false, 0,
+            1).addCallbacks(function(x) {
+          if (x.length > 0 && push(x[0])) {
+            df.callback(out);
+          } else {
+            nextKey();
+          }
+        }, onError);
+      };
+      nextKey();
+    }, onError);
+  };
+  var next = function() {
+    var mth = key_only ? QueryMethod.LIST_PRIMARY_KEY : QueryMethod.LIST_VALUE;
+    op.list(mth, store_name, index_name, key_range, size, 0, reverse, false,
+        position).addCallbacks(function(results) {
+      me.expiredOf_(store, key_only, results).addCallbacks(function(expired) {
+        for (var i = 0; i < results.length; i++) {
+          if (!expired[i] && push(results[i])) {
+            df.callback(out);
+            return;
+          }
+        }
+        if (results.length < size) {
+          df.callback(out);
+        } else {
+          next();
+        }
+      }, onError);
+    }, onError);
+  };
+  if (unique) {
+    nextUnique();
+  } else {
+    next();
+  }
+  return df;
+};
+
+
+/**
+ * Count expired records, which are not yet deleted, in the range of a count
+ * request.
+ * @param {!ydn.db.schema.Store} store store schema.
+ * @param {string|KeyRangeJson|ydn.db.KeyRange|IDBKeyRange|undefined}
+ * index_or_range index name or primary key range.
+ * @param {KeyRangeJson|ydn.db.KeyRange|IDBKeyRange|undefined} index_range
+ * index key range.
+ * @return {!goog.async.Deferred} resolve to number of expired records.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.countExpired_ = function(store, index_or_range,
+                                                      index_range) {
+  var store_name = store.getName();
+  var index = goog.isString(index_or_range) ?
+      store.getIndex(index_or_range) : null;
+  var kr = /** @type {ydn.db.KeyRange} */ (goog.isString(index_or_range) ?
+      index_range : index_or_range) || null;
+  var op = this.getCoreOperator();
+  var size = ydn.db.crud.ExpirySweeper.BATCH_SIZE;
+  var expires = ydn.db.KeyRange.upperBound(goog.now());
+  var df = new goog.async.Deferred();
+  var count = 0;
+  var onError = function(e) {
+    df.errback(e);
+  };
+  var next = function(offset) {
+    var idb_kr = ydn.db.KeyRange.parseIDBKeyRange(expires);
+    op.keysInternal(store_name, ydn.db.schema.Store.EXPIRES_INDEX, idb_kr,
+        size, offset, false, false).addCallbacks(function(keys) {
+      var db_keys = goog.array.map(keys, function(key) {
+        return new ydn.db.Key(store_name, key);
+      });
+      op.valuesInternal(db_keys).addCallbacks(function(values) {
+        for (var i = 0; i < keys.length; i++) {
+          if (!goog.isDef(values[i])) {
+            continue; // deleted in between
+          }
+          if (!index) {
+            count += ydn.db.Where.inKeyRange(kr, keys[i]) ? 1 : 0;
+            continue;
+          }
+          var key = index.extractKey(/** @type {!Object} */ (values[i]));
+          var index_keys = index.isMultiEntry() && goog.isArray(key) ?
+              key : [key];
+          for (var j = 0; j < index_keys.length; j++) {
+            if (goog.isDefAndNotNull(index_keys[j]) &&
+                ydn.db.Where.inKeyRange(kr, index_keys[j])) {
+              count++;
+            }
+          }
+        }
+        if (keys.length < size) {
+          df.callback(count);
+        } else {
+          next(offset + size);
+        }
+      }, onError);
+    }, onError);
+  };
+  next(0);
+  return df;
+};
@@ -0,0 +1,188 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Delete expired records in the background.
+ *
+ * Stores having `ttl` or `expiresKeyPath` option are swept after the storage
+ * is connected and then every SWEEP_INTERVAL. Expired records are found by
+ * the generated expiry index and deleted in batches of BATCH_SIZE records.
+ * Deletion does not dispatch record events, nor is it synchronized.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.ExpirySweeper');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.log');
+goog.require('ydn.db.Key');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.schema.Store');
+
+
+
+/**
+ * Create an expiry sweeper for a storage.
+ * @param {!ydn.db.crud.Storage} storage storage.
+ * @constructor
+ * @struct
+ */
+ydn.db.crud.ExpirySweeper = function(storage) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.crud.Storage}
+   */
+  this.storage_ = storage;
+  /**
+   * @final
+   * @private
+   * @type {!Array.<string>}
+   */
+  this.store_names_ = [];
+  /**
+   * @private
+   * @type {?number}
+   */
+  this.timer_ = null;
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.sweeping_ = false;
+
+  storage.onReady(function(e) {
+    if (!e) {
+      this.sweep_();
+    }
+  }, this);
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.crud.ExpirySweeper.prototype.logger =
+    goog.log.getLogger('ydn.db.crud.ExpirySweeper');
+
+
+/**
+ * Sweeping interval in milliseconds.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.ExpirySweeper.SWEEP_INTERVAL = 60 * 1000;
+
+
+/**
+ * Number of records deleted in a transaction.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.ExpirySweeper.BATCH_SIZE = 100;
+
+
+/**
+ * Sweep a store.
+ * @param {string} store_name name of store having expiry option.
+ */
+ydn.db.crud.ExpirySweeper.prototype.add = function(store_name) {
+  if (!goog.array.contains(this.store_names_, store_name)) {
+    this.store_names_.push(store_name);
+  }
+};
+
+
+/**
+ * Delete expired records of all stores and schedule next sweep.
+ * @private
+ */
+ydn.db.crud.ExpirySweeper.prototype.sweep_ = function() {
+  this.timer_ = null;
+  if (!this.storage_.getType()) {
+    // storage closed.
+    return;
+  }
+  if (this.sweeping_) {
+    return;
+  }
+  this.sweeping_ = true;
+  var now = goog.now();
+  var df = goog.async.Deferred.succeed();
+  goog.array.forEach(this.store_names_, function(store_name) {
+    df.addCallback(function() {
+      return this.sweepStore_(store_name, now);
+    }, this);
+  }, this);
+  df.addBoth(function(e) {
+    if (e instanceof Error) {
+      goog.log.warning(this.logger, 'sweeping expired records of ' +
+          this.storage_.getName() + ' failed: ' + e);
+    }
+    this.sweeping_ = false;
+    if (this.storage_.getType()) {
+      this.timer_ = goog.Timer.callOnce(this.sweep_,
+          ydn.db.crud.ExpirySweeper.SWEEP_INTERVAL, this);
+    }
+  }, this);
+};
+
+
+/**
+ * Delete records of a store expired by the given time.
+ * @param {string} store_name store name.
+ * @param {number} now expiry time.
+ * @return {!goog.async.Deferred} resolve to number of deleted records.
+ * @private
+ */
+ydn.db.crud.ExpirySweeper.prototype.sweepStore_ = function(store_name, now) {
+  var op = this.storage_.getCoreOperator();
+  var size = ydn.db.crud.ExpirySweeper.BATCH_SIZE;
+  var kr = ydn.db.KeyRange.parseIDBKeyRange(ydn.db.KeyRange.upperBound(now));
+  var df = new goog.async.Deferred();
+  var count = 0;
+  var onError = function(e) {
+    df.errback(e);
+  };
+  var next = function() {
+    op.keysInternal(store_name, ydn.db.schema.Store.EXPIRES_INDEX, kr, size,
+        0, false, false).addCallbacks(function(keys) {
+      if (keys.length == 0) {
+        df.callback(count);
+        return;
+      }
+      var db_keys = goog.array.map(keys, function(key) {
+        return new ydn.db.Key(store_name, key);
+      });
+      op.removeInternalByKeys(db_keys).addCallbacks(function() {
+        count += keys.length;
+        if (keys.length < size) {
+          df.callback(count);
+        } else {
+          next();
+        }
+      }, onError);
+    }, onError);
+  };
+  next();
+  return df.addCallback(function(n) {
+    if (n > 0) {
+      goog.log.fine(this.logger, n + ' expired records deleted from ' +
+          store_name);
+    }
+    return n;
+  }, this);
+};
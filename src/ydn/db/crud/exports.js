@@ -7,11 +7,28 @@ goog.provide('ydn.db.crud.exports');
 goog.require('ydn.db.Key');
 goog.require('ydn.db.KeyRange');
 goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.crud.Storage.history');
+goog.require('ydn.db.crud.Storage.quota');
+goog.require('ydn.db.crud.Storage.snapshot');
+goog.require('ydn.db.events.MigrationEvent');
+goog.require('ydn.db.events.RetryEvent');
 goog.require('ydn.db.tr.exports');
 
 
 goog.exportProperty(ydn.db.crud.Storage.prototype, 'branch',
     ydn.db.crud.Storage.prototype.branch);
+goog.exportProperty(ydn.db.crud.Storage.prototype, 'exportDatabase',
+    ydn.db.crud.Storage.prototype.exportDatabase);
+goog.exportProperty(ydn.db.crud.Storage.prototype, 'importDatabase',
+    ydn.db.crud.Storage.prototype.importDatabase);
+goog.exportProperty(ydn.db.crud.Storage.prototype, 'getUsage',
+    ydn.db.crud.Storage.prototype.getUsage);
+goog.exportProperty(ydn.db.crud.Storage.prototype, 'addHook',
+    ydn.db.crud.Storage.prototype.addHook);
+goog.exportProperty(ydn.db.crud.Storage.prototype, 'getHistory',
+    ydn.db.crud.Storage.prototype.getHistory);
+goog.exportProperty(ydn.db.crud.Storage.prototype, 'revert',
+    ydn.db.crud.Storage.prototype.revert);
 
 goog.exportProperty(ydn.db.crud.Storage.prototype, 'add',
     ydn.db.crud.Storage.prototype.add);
@@ -84,6 +101,8 @@ goog.exportProperty(ydn.db.events.Event.prototype, 'store_name',
     ydn.db.events.Event.prototype.store_name); // this don't work, why?
 goog.exportProperty(ydn.db.events.Event.prototype, 'getStoreName',
     ydn.db.events.Event.prototype.getStoreName);
+goog.exportProperty(ydn.db.events.Event.prototype, 'isRemote',
+    ydn.db.events.Event.prototype.isRemote);
 
 goog.exportProperty(ydn.db.events.RecordEvent.prototype, 'name',
     ydn.db.events.RecordEvent.prototype.name);
@@ -101,3 +120,27 @@ goog.exportProperty(ydn.db.events.StoreEvent.prototype, 'getValues',
     ydn.db.events.StoreEvent.prototype.getValues);
 
 
+goog.exportProperty(ydn.db.events.MigrationEvent.prototype, 'name',
+    ydn.db.events.MigrationEvent.prototype.name);
+goog.exportProperty(ydn.db.events.MigrationEvent.prototype, 'getMechanism',
+    ydn.db.events.MigrationEvent.prototype.getMechanism);
+goog.exportProperty(ydn.db.events.MigrationEvent.prototype, 'getPhase',
+    ydn.db.events.MigrationEvent.prototype.getPhase);
+goog.exportProperty(ydn.db.events.MigrationEvent.prototype, 'getCount',
+    ydn.db.events.MigrationEvent.prototype.getCount);
+goog.exportProperty(ydn.db.events.MigrationEvent.prototype, 'getError',
+    ydn.db.events.MigrationEvent.prototype.getError);
+
+
+goog.exportProperty(ydn.db.events.RetryEvent.prototype, 'name',
+    ydn.db.events.RetryEvent.prototype.name);
+goog.exportProperty(ydn.db.events.RetryEvent.prototype, 'getMethod',
+    ydn.db.events.RetryEvent.prototype.getMethod);
+goog.exportProperty(ydn.db.events.RetryEvent.prototype, 'getAttempt',
+    ydn.db.events.RetryEvent.prototype.getAttempt);
+goog.exportProperty(ydn.db.events.RetryEvent.prototype, 'getDelay',
+    ydn.db.events.RetryEvent.prototype.getDelay);
+goog.exportProperty(ydn.db.events.RetryEvent.prototype, 'getError',
+    ydn.db.events.RetryEvent.prototype.getError);
+
+
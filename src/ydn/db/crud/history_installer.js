@@ -0,0 +1,123 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Read and revert record history of stores having `history`
+ * option.
+ *
+ * Every put and remove to such a store is logged into the history store, in
+ * the transaction of the write, with the record value as written or as it
+ * was before removal. Entries over `historyLimit` of a record are pruned
+ * after the transaction is committed. Values of an encrypted store are logged
+ * as stored, that is encrypted, and decrypted on read.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.history');
+goog.require('ydn.db');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.NotFoundError');
+goog.require('ydn.db.base');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+/**
+ * @param {string} store_name store name.
+ * @return {!ydn.db.schema.Store} store schema.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.getHistoryStore_ = function(store_name) {
+  var store = this.schema.getStore(store_name);
+  if (!store) {
+    throw new ydn.debug.error.ArgumentException('store "' + store_name +
+        '" not found.');
+  }
+  if (!store.history) {
+    throw new ydn.debug.error.ArgumentException('store "' + store_name +
+        '" does not keep history.');
+  }
+  return store;
+};
+
+
+/**
+ * Get history of a record.
+ * @param {string} store_name store name.
+ * @param {IDBKey} key primary key of the record.
+ * @return {!goog.async.Deferred} resolve to list of history entries, oldest
+ * first.
+ */
+ydn.db.crud.Storage.prototype.getHistory = function(store_name, key) {
+  var store = this.getHistoryStore_(store_name);
+  var kr = ydn.db.KeyRange.only([store_name, key]);
+  return this.valuesByIndex(ydn.db.base.SN_ENTITY_HISTORY, 'key', kr,
+      store.historyLimit, 0, true).addCallback(function(entries) {
+    for (var i = 0; i < entries.length; i++) {
+      entries[i]['value'] = this.decryptRecord(store_name, entries[i]['value']);
+    }
+    return entries.reverse();
+  }, this);
+};
+
+
+/**
+ * Revert a record to the value kept in a history entry, that is the record
+ * value as written for a put, or as it was before removal for a remove. If
+ * sequence is not given, the change last made is reverted, which restores
+ * a removed record.
+ * @param {string} store_name store name.
+ * @param {IDBKey} key primary key of the record.
+ * @param {number=} opt_sequence sequence number of the history entry.
+ * @return {!goog.async.Deferred} resolve to the primary key of the restored
+ * record, or number of records removed if the record did not exist before
+ * the change last made.
+ */
+ydn.db.crud.Storage.prototype.revert = function(store_name, key,
+                                                opt_sequence) {
+  var store = this.getHistoryStore_(store_name);
+  var me = this;
+  var restore = function(entry) {
+    if (store.usedInlineKey()) {
+      return me.put(store_name, entry['value']);
+    } else {
+      return me.put(store_name, entry['value'], key);
+    }
+  };
+  if (goog.isDef(opt_sequence)) {
+    return this.get(ydn.db.base.SN_ENTITY_HISTORY, opt_sequence).addCallback(
+        function(entry) {
+          if (!entry || entry['entity'] != store_name ||
+              ydn.db.cmp(entry['id'], key) != 0) {
+            throw new ydn.db.NotFoundError('history ' + opt_sequence +
+                ' of ' + store_name + ':' + key);
+          }
+          entry['value'] = me.decryptRecord(store_name, entry['value']);
+          return restore(entry);
+        });
+  }
+  return this.getHistory(store_name, key).addCallback(function(entries) {
+    var last = entries[entries.length - 1];
+    var previous = entries[entries.length - 2];
+    if (last && last['action'] == 'remove') {
+      return restore(last);
+    } else if (!previous) {
+      throw new ydn.db.NotFoundError('history of ' + store_name + ':' + key);
+    } else if (previous['action'] == 'remove') {
+      return me.remove(store_name, key);
+    } else {
+      return restore(previous);
+    }
+  });
+};
@@ -0,0 +1,238 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Copy data from other storage mechanisms for `migrateFrom`
+ * option.
+ *
+ * After the storage is connected, a database of the same name in a storage
+ * mechanism of lower preference is exported and imported into the connected
+ * database by merging. If record counts of the imported stores account for
+ * all records of the old database, the old database is deleted. Migration
+ * runs in the sync thread, while transactions of other threads are held in
+ * the transaction queue, so that records written by the application are not
+ * overwritten by the old records.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.migration');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.log');
+goog.require('goog.object');
+goog.require('ydn.db');
+goog.require('ydn.db.base');
+goog.require('ydn.db.con.Storage');
+goog.require('ydn.db.con.simple');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.crud.Storage.snapshot');
+goog.require('ydn.db.crud.snapshot');
+goog.require('ydn.db.events.MigrationEvent');
+goog.require('ydn.error.ConstraintError');
+goog.require('ydn.json');
+
+
+/**
+ * @param {!Array.<string>} mechanisms storage mechanisms to copy from.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.addMigration = function(mechanisms) {
+  this.holdTxQueue(this.sync_thread);
+  this.onReady(function(e) {
+    if (e) {
+      this.releaseTxQueue();
+      return;
+    }
+    var df = goog.async.Deferred.succeed();
+    goog.array.forEach(mechanisms, function(mechanism) {
+      df.addCallback(function() {
+        return this.migrateFrom_(mechanism);
+      }, this);
+    }, this);
+    df.addBoth(function() {
+      this.releaseTxQueue();
+    }, this);
+  }, this);
+};
+
+
+/**
+ * @param {string} mechanism storage mechanism.
+ * @param {ydn.db.events.MigrationEvent.Phase} phase migration phase.
+ * @param {number} count number of records copied.
+ * @param {Error=} opt_error error.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.dispatchMigration_ = function(mechanism, phase,
+    count, opt_error) {
+  this.dispatchDbEvent(new ydn.db.events.MigrationEvent(this, mechanism,
+      phase, count, opt_error));
+};
+
+
+/**
+ * Check a database may exist in a storage mechanism, without creating it.
+ * @param {string} mechanism storage mechanism.
+ * @return {boolean} false if the database does not exist.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.mayHaveDatabase_ = function(mechanism) {
+  var Mechanisms = ydn.db.base.Mechanisms;
+  var storage = mechanism == Mechanisms.LOCAL_STORAGE ?
+      goog.global.localStorage : mechanism == Mechanisms.SESSION_STORAGE ?
+      goog.global.sessionStorage : null;
+  if (storage) {
+    return !goog.isNull(storage.getItem(
+        ydn.db.con.simple.makeKey(this.getName())));
+  }
+  return mechanism != Mechanisms.MEMORY_STORAGE;
+};
+
+
+/**
+ * Copy data from a storage mechanism, if it has lower preference than the
+ * connected one.
+ * @param {string} mechanism storage mechanism.
+ * @return {!goog.async.Deferred} resolve to number of copied records, or
+ * null if not copied. This never fails.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.migrateFrom_ = function(mechanism) {
+  var preference = ydn.db.con.Storage.PREFERENCE;
+  var type = this.getType();
+  if (!type || goog.array.indexOf(preference, mechanism) <=
+      goog.array.indexOf(preference, type) ||
+      !this.mayHaveDatabase_(mechanism)) {
+    return goog.async.Deferred.succeed(null);
+  }
+  var Phase = ydn.db.events.MigrationEvent.Phase;
+  var name = this.getName();
+  var old = new ydn.db.crud.Storage(name, undefined, {
+    mechanisms: [mechanism]
+  });
+  var df = new goog.async.Deferred();
+  var count = 0;
+  old.onReady(function(e) {
+    if (e || old.getType() != mechanism || old.schema.count() == 0) {
+      old.close();
+      df.callback(null);
+      return;
+    }
+    goog.log.info(this.logger, 'migrating ' + name + ' from ' + mechanism);
+    this.dispatchMigration_(mechanism, Phase.STARTED, 0);
+    var snapshot, existing;
+    old.exportDatabase().addCallback(function(text) {
+      snapshot = ydn.json.parse(text);
+      return this.listMigrationKeys_(snapshot['records']);
+    }, this).addCallback(function(keys) {
+      existing = keys;
+      return this.importDatabase(snapshot);
+    }, this).addCallback(function(n) {
+      count = n;
+      this.dispatchMigration_(mechanism, Phase.COPIED, count);
+      return this.verifyMigration_(snapshot['records'], existing);
+    }, this).addCallback(function() {
+      old.close();
+      return ydn.db.deleteDatabase(name, mechanism);
+    }).addCallbacks(function() {
+      this.dispatchMigration_(mechanism, Phase.DONE, count);
+      df.callback(count);
+    }, function(e) {
+      goog.log.warning(this.logger, 'migrating ' + name + ' from ' +
+          mechanism + ' failed: ' + e);
+      old.close();
+      this.dispatchMigration_(mechanism, Phase.ERROR, count,
+          /** @type {Error} */ (e));
+      df.callback(null);
+    }, this);
+  }, this);
+  return df;
+};
+
+
+/**
+ * List primary keys of stores to be imported, before importing.
+ * @param {!Object.<!Array>} records exported records by store name.
+ * @return {!goog.async.Deferred} resolve to sorted primary keys by store name.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.listMigrationKeys_ = function(records) {
+  var op = this.getCoreOperator();
+  var store_names = goog.array.filter(goog.object.getKeys(records),
+      function(name) {
+        return this.schema.hasStore(name);
+      }, this);
+  var existing = {};
+  if (store_names.length == 0) {
+    return goog.async.Deferred.succeed(existing);
+  }
+  return op.countInternal(store_names).addCallback(function(counts) {
+    var df = goog.async.Deferred.succeed();
+    goog.array.forEach(store_names, function(name, i) {
+      if (counts[i] > 0) {
+        df.addCallback(function() {
+          return op.keysInternal(name, null, null, counts[i], 0, false, false).
+              addCallback(function(keys) {
+                existing[name] = keys;
+              });
+        });
+      }
+    });
+    return df.addCallback(function() {
+      return existing;
+    });
+  });
+};
+
+
+/**
+ * Verify record counts of imported stores. Since other transactions are held
+ * during migration, a store must have exactly its records before the import
+ * and the imported records of new keys.
+ * @param {!Object.<!Array>} records exported records by store name.
+ * @param {!Object.<!Array>} existing sorted primary keys by store name
+ * before the import.
+ * @return {!goog.async.Deferred} fail with ConstraintError if a store does
+ * not have the expected number of records.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.verifyMigration_ = function(records, existing) {
+  var store_names = goog.object.getKeys(records);
+  if (store_names.length == 0) {
+    return goog.async.Deferred.succeed(null);
+  }
+  var expected = goog.array.map(store_names, function(name) {
+    var keys = existing[name] || [];
+    var n = keys.length;
+    goog.array.forEach(records[name], function(entry) {
+      var key = ydn.db.crud.snapshot.decode(entry['key']);
+      if (goog.array.binarySearch(keys, key, ydn.db.cmp) < 0) {
+        n++;
+      }
+    });
+    return n;
+  });
+  var op = this.getCoreOperator();
+  return op.countInternal(store_names).addCallback(function(counts) {
+    for (var i = 0; i < store_names.length; i++) {
+      if (counts[i] != expected[i]) {
+        throw new ydn.error.ConstraintError('store "' + store_names[i] +
+            '" has ' + counts[i] + ' records, but ' + expected[i] +
+            ' are expected after migrating ' +
+            records[store_names[i]].length + ' records');
+      }
+    }
+    return null;
+  });
+};
@@ -20,12 +20,19 @@
 
 
 goog.provide('ydn.db.crud.DbOperator');
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.async.DeferredList');
 goog.require('goog.log');
 goog.require('goog.userAgent');
 goog.require('ydn.db');
+goog.require('ydn.db.ConstraintError');
 goog.require('ydn.db.Key');
 goog.require('ydn.db.Request');
+goog.require('ydn.db.ValidationError');
 goog.require('ydn.db.crud.IOperator');
+goog.require('ydn.db.error');
+goog.require('ydn.db.schema.Store');
 goog.require('ydn.db.tr.AtomicSerial');
 goog.require('ydn.db.tr.DbOperator');
 goog.require('ydn.db.tr.Thread');
@@ -54,6 +61,13 @@ goog.require('ydn.debug.error.NotSupportedException');
 */
 ydn.db.crud.DbOperator = function(storage, schema, tx_thread, sync_thread) {
   goog.base(this, storage, schema, tx_thread, sync_thread);
+
+  /**
+   * Set while issuing a request of which record hooks are already invoked.
+   * @type {boolean}
+   * @private
+   */
+  this.skip_hooks_ = false;
 };
 goog.inherits(ydn.db.crud.DbOperator, ydn.db.tr.DbOperator);
 
@@ -919,6 +933,660 @@ ydn.db.crud.DbOperator.prototype.list = function(type, store_name, opt_index,
 };
 
 
+/**
+ * Validate record values to be written to stores having `validate` or
+ * `fields` option, and check they fit in the quota of stores having
+ * `maxSize` option. Nothing is written if any record is invalid.
+ * @param {ydn.db.Request.Method} method write method.
+ * @param {!ydn.db.schema.Store|!Array.<!ydn.db.Key>} store store of the
+ * records, or keys of the records.
+ * @param {*} value a record value or list of record values.
+ * @param {*=} opt_keys out-of-line key or keys.
+ * @return {ydn.db.Request} null if records are valid. Otherwise a request
+ * failed with ydn.db.QuotaError if the records are larger than the quota,
+ * or with ydn.db.ValidationError for a record value, or, for a list of
+ * record values, with a list of ydn.db.ValidationError or undefined for
+ * valid records.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.validateRecords_ = function(method, store,
+                                                            value, opt_keys) {
+  var db_keys = goog.isArray(store) ? store : null;
+  var single = !goog.isArray(value);
+  var values = single ? [value] : value;
+  var quota_error = this.checkQuota_(store, values);
+  if (quota_error) {
+    goog.log.finer(this.logger, method + ' rejected: ' + quota_error);
+    return ydn.db.Request.fail(method, ydn.db.error.normalize(quota_error,
+        this.getStorage().getType(), method));
+  }
+  if (!db_keys && !store.hasValidation()) {
+    return null;
+  }
+  var keys = single ? [opt_keys] : opt_keys;
+  var errors = [];
+  var has_error = false;
+  for (var i = 0; i < values.length; i++) {
+    var st = db_keys ? this.schema.getStore(db_keys[i].getStoreName()) :
+        store;
+    var violations = st.hasValidation() ? st.validateRecord(values[i]) : [];
+    if (violations.length == 0) {
+      errors.push(undefined);
+      continue;
+    }
+    var key = db_keys ? db_keys[i].getId() :
+        st.extractKey(values[i], keys ? keys[i] : undefined);
+    errors.push(ydn.db.error.normalize(
+        new ydn.db.ValidationError(st.getName(), key, violations),
+        this.getStorage().getType(), method));
+    has_error = true;
+  }
+  if (!has_error) {
+    return null;
+  }
+  goog.log.finer(this.logger, method + ' to ' + (db_keys ? 'stores' :
+      store.getName()) + ' rejected by validation');
+  return ydn.db.Request.fail(method, single ? errors[0] : errors);
+};
+
+
+/**
+ * Check record values to be written fit in the quota of their stores.
+ * @param {!ydn.db.schema.Store|!Array.<!ydn.db.Key>} store store of the
+ * records, or keys of the records.
+ * @param {!Array} values record values.
+ * @return {Error} quota error, if any.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.checkQuota_ = function(store, values) {
+  var storage = this.getStorage();
+  if (!goog.isArray(store)) {
+    return storage.checkQuota(store.getName(), values);
+  }
+  var by_store = {};
+  for (var i = 0; i < store.length; i++) {
+    var name = store[i].getStoreName();
+    by_store[name] = by_store[name] || [];
+    by_store[name].push(values[i]);
+  }
+  for (var name in by_store) {
+    var error = storage.checkQuota(name, by_store[name]);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Invoke `before` record hooks and issue the request with record values
+ * returned by the hooks. `after` record hooks are invoked when the request
+ * is success and its transaction is committed.
+ *
+ * If a `before` hook returns a promise, the request is issued after the
+ * promise is resolved. A rejected promise or an exception thrown by a hook
+ * fails the request and nothing is written.
+ * @param {ydn.db.schema.Store.HookMethod} method hook method.
+ * @param {ydn.db.Request.Method} req_method request method.
+ * @param {!Array.<!ydn.db.schema.Store>} stores store of each record.
+ * @param {!Array} values record values, or undefined for removal.
+ * @param {!Array} keys primary key or key range of each record.
+ * @param {function(!Array): !ydn.db.Request} issue issue the request with
+ * record values.
+ * @return {ydn.db.Request} null if no record hook is registered.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.hookRecords_ = function(method, req_method,
+    stores, values, keys, issue) {
+  if (this.skip_hooks_ || !goog.array.some(stores, function(store) {
+    return store.getRecordHooks(method).length > 0;
+  })) {
+    return null;
+  }
+  var me = this;
+  var is_removal = method == ydn.db.schema.Store.HookMethod.REMOVE ||
+      method == ydn.db.schema.Store.HookMethod.CLEAR;
+  var out = values.slice();
+  var proxy = null;
+  var result = null;
+  var i = 0;
+  var j = 0;
+  var abort = function(e) {
+    goog.log.finer(me.logger, method + ' to ' + stores[i].getName() +
+        ' aborted by record hook');
+    if (proxy) {
+      proxy.errback(e);
+    } else {
+      result = ydn.db.Request.fail(req_method, e);
+    }
+  };
+  var accept = function(x) {
+    if (goog.isDef(x) && !is_removal) {
+      out[i] = x;
+    }
+    j++;
+  };
+  var finish = function() {
+    var req;
+    me.skip_hooks_ = true;
+    try {
+      req = issue(out);
+    } catch (e) {
+      if (!proxy) {
+        throw e;
+      }
+      proxy.errback(e);
+      return;
+    } finally {
+      me.skip_hooks_ = false;
+    }
+    me.afterRecords_(method, req, stores, out, keys);
+    if (proxy) {
+      req.addCallbacks(proxy.callback, proxy.errback, proxy);
+    } else {
+      result = req;
+    }
+  };
+  var run = function() {
+    for (; i < out.length; i++, j = 0) {
+      var hooks = stores[i].getRecordHooks(method);
+      while (j < hooks.length) {
+        if (!hooks[j].before) {
+          j++;
+          continue;
+        }
+        var r;
+        try {
+          r = hooks[j].before(out[i], keys[i], method);
+        } catch (e) {
+          abort(e);
+          return;
+        }
+        if (goog.isObject(r) && goog.isFunction(r.then)) {
+          proxy = proxy || new ydn.db.Request(req_method);
+          r.then(function(x) {
+            accept(x);
+            run();
+          }, abort);
+          return;
+        }
+        accept(r);
+      }
+    }
+    finish();
+  };
+  run();
+  return result || proxy;
+};
+
+
+/**
+ * Invoke `after` record hooks when the request is success and its
+ * transaction is committed.
+ * @param {ydn.db.schema.Store.HookMethod} method hook method.
+ * @param {!ydn.db.Request} req the request.
+ * @param {!Array.<!ydn.db.schema.Store>} stores store of each record.
+ * @param {!Array} values record values, or undefined for removal.
+ * @param {!Array} keys primary key or key range of each record.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.afterRecords_ = function(method, req,
+    stores, values, keys) {
+  if (!goog.array.some(stores, function(store) {
+    return goog.array.some(store.getRecordHooks(method), function(hook) {
+      return !!hook.after;
+    });
+  })) {
+    return;
+  }
+  var me = this;
+  var result;
+  var success = false;
+  var committed = false;
+  var invoke = function() {
+    if (!success || !committed) {
+      return;
+    }
+    var results = goog.isArray(result) ? result : [result];
+    for (var i = 0; i < values.length; i++) {
+      var key = keys[i];
+      if (method != ydn.db.schema.Store.HookMethod.REMOVE &&
+          method != ydn.db.schema.Store.HookMethod.CLEAR) {
+        if (results[i] instanceof Error) {
+          continue;
+        }
+        key = results[i] instanceof ydn.db.Key ? results[i].getId() :
+            results[i];
+      }
+      var hooks = stores[i].getRecordHooks(method);
+      for (var j = 0; j < hooks.length; j++) {
+        if (!hooks[j].after) {
+          continue;
+        }
+        try {
+          hooks[j].after(values[i], key, method);
+        } catch (e) {
+          goog.log.warning(me.logger, 'after hook of ' + method + ' to ' +
+              stores[i].getName() + ' failed: ' + e);
+        }
+      }
+    }
+  };
+  req.addCallback(function(x) {
+    result = x;
+    success = true;
+    invoke();
+  });
+  req.addCompleteback(function(type) {
+    committed = type == ydn.db.base.TxEventTypes.COMPLETE;
+    invoke();
+  });
+};
+
+
+/**
+ * Invoke record hooks of a write request.
+ * @param {ydn.db.schema.Store.HookMethod} method hook method.
+ * @param {ydn.db.Request.Method} req_method request method.
+ * @param {!ydn.db.schema.Store|!Array.<!ydn.db.Key>} store store of the
+ * records, or keys of the records.
+ * @param {*} value a record value or list of record values.
+ * @param {*} keys out-of-line key or keys.
+ * @param {function(*): !ydn.db.Request} issue issue the request with a record
+ * value or list of record values.
+ * @return {ydn.db.Request} null if no record hook is registered.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.hookWrite_ = function(method, req_method,
+    store, value, keys, issue) {
+  var db_keys = goog.isArray(store) ? store : null;
+  if (this.skip_hooks_ ||
+      !db_keys && store.getRecordHooks(method).length == 0) {
+    return null;
+  }
+  var single = !goog.isArray(value);
+  var values = single ? [value] : value;
+  var record_keys = single ? [keys] : keys || [];
+  var stores = [];
+  var ids = [];
+  for (var i = 0; i < values.length; i++) {
+    var st = db_keys ? this.schema.getStore(db_keys[i].getStoreName()) :
+        store;
+    stores.push(st);
+    ids.push(db_keys ? db_keys[i].getId() :
+        st.extractKey(values[i], record_keys[i]));
+  }
+  return this.hookRecords_(method, req_method, stores, values, ids,
+      function(out) {
+        return issue(single ? out[0] : out);
+      });
+};
+
+
+/**
+ * Invoke record hooks of a remove or clear request.
+ * @param {ydn.db.schema.Store.HookMethod} method hook method.
+ * @param {*} arg1 first argument of remove or clear.
+ * @param {*} arg2 second argument.
+ * @param {*} arg3 third argument.
+ * @param {function(): !ydn.db.Request} issue issue the request.
+ * @return {ydn.db.Request} null if no record hook is registered.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.hookRemove_ = function(method, arg1, arg2,
+                                                        arg3, issue) {
+  if (this.skip_hooks_) {
+    return null;
+  }
+  var Method = ydn.db.Request.Method;
+  var req_method = Method.CLEAR;
+  var stores = [];
+  var keys = [];
+  if (goog.isString(arg1)) {
+    stores.push(this.schema.getStore(arg1));
+    keys.push(goog.isDef(arg3) ? arg3 : goog.isDef(arg2) ? arg2 : null);
+    if (method == ydn.db.schema.Store.HookMethod.REMOVE) {
+      req_method = goog.isDef(arg3) ? Method.REMOVE_INDEX :
+          goog.isObject(arg2) && !goog.isArray(arg2) &&
+          !(arg2 instanceof Date) ? Method.REMOVE : Method.REMOVE_ID;
+    }
+  } else if (arg1 instanceof ydn.db.Key) {
+    req_method = Method.REMOVE_ID;
+    stores.push(this.schema.getStore(arg1.getStoreName()));
+    keys.push(arg1.getId());
+  } else if (goog.isArray(arg1) && arg1[0] instanceof ydn.db.Key) {
+    req_method = Method.REMOVE_KEYS;
+    for (var i = 0; i < arg1.length; i++) {
+      stores.push(this.schema.getStore(arg1[i].getStoreName()));
+      keys.push(arg1[i].getId());
+    }
+  } else if (method == ydn.db.schema.Store.HookMethod.CLEAR &&
+      (!goog.isDef(arg1) || goog.isArray(arg1))) {
+    var store_names = arg1 || this.schema.getStoreNames();
+    for (var i = 0; i < store_names.length; i++) {
+      stores.push(this.schema.getStore(store_names[i]));
+      keys.push(null);
+    }
+  }
+  if (goog.array.contains(stores, null)) {
+    // let the request throw invalid store name.
+    return null;
+  }
+  var values = [];
+  values.length = stores.length;
+  return this.hookRecords_(method, req_method, stores, values, keys, issue);
+};
+
+
+/**
+ * Invoke `patch` record hooks and write records returned by the hooks.
+ * This is friendly module use only, for ydn.db.Query#patch.
+ * @param {string} store_name store name.
+ * @param {!Array.<!Object>} values patched record values.
+ * @param {!Array.<IDBKey>} keys primary keys of the records.
+ * @param {function(!Array.<!Object>): !ydn.db.Request} update write record
+ * values of the keys in a single transaction, resolving to the primary keys.
+ * @return {!ydn.db.Request} resolve to primary keys.
+ */
+ydn.db.crud.DbOperator.prototype.patchInternal = function(store_name, values,
+                                                          keys, update) {
+  var store = this.schema.getStore(store_name);
+  goog.asserts.assert(store, 'store "' + store_name + '" not found.');
+  var stores = goog.array.repeat(store, values.length);
+  return this.hookRecords_(ydn.db.schema.Store.HookMethod.PATCH,
+      ydn.db.Request.Method.PUTS, stores, values, keys, update) ||
+      update(values);
+};
+
+
+/**
+ * Maximum number of records removed by key range from a store keeping
+ * history. Removed records are logged in the transaction of the removal,
+ * hence a larger removal fails rather than logging partial history.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.DbOperator.MAX_HISTORY_READ = 100000;
+
+
+/**
+ * @param {!Array.<string>} store_names store names.
+ * @return {boolean} true if changes of records in the stores are logged into
+ * the history store. Writing to the history store itself is not logged.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.hasHistory_ = function(store_names) {
+  if (goog.array.contains(store_names, ydn.db.base.SN_ENTITY_HISTORY)) {
+    return false;
+  }
+  for (var i = 0; i < store_names.length; i++) {
+    var store = this.schema.getStore(store_names[i]);
+    if (store && store.history) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * @param {!Array.<string>} store_names store names of a write request.
+ * @return {!Array.<string>} transaction scope of the write request, which
+ * include the history store if changes are logged and stores written by
+ * store hooks.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.writeScope_ = function(store_names) {
+  var scope = this.hasHistory_(store_names) ?
+      store_names.concat(ydn.db.base.SN_ENTITY_HISTORY) : store_names.slice();
+  for (var i = 0; i < store_names.length; i++) {
+    var store = this.schema.getStore(store_names[i]);
+    var hook_scope = store ? store.getHookScope() : [];
+    for (var j = 0; j < hook_scope.length; j++) {
+      goog.array.insert(scope, hook_scope[j]);
+    }
+  }
+  return scope;
+};
+
+
+/**
+ * Execute a write request and log changed records into the history store in
+ * the same transaction. The write is executed on a copy of the request, so
+ * that the request is resolved after history entries are written.
+ * @param {!ydn.db.Request} req write request having active transaction.
+ * @param {string} action 'put' or 'remove'.
+ * @param {function(!ydn.db.Request)} write execute the write into the given
+ * request.
+ * @param {function(*, boolean, Array.<!Array>): !Array.<!Array>} changes
+ * return store name, primary key and record value of changed records from
+ * result of the write and records read before the write.
+ * @param {(function(): !goog.async.Deferred)=} opt_read read records to be
+ * removed before the write.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.writeHistory_ = function(req, action, write,
+    changes, opt_read) {
+  var me = this;
+  var fail = function(e) {
+    req.setDbValue(e, true);
+  };
+  var exec = function(read) {
+    var rq = req.copy();
+    var done = function(result, is_error) {
+      var entries = [];
+      var changed = changes(result, is_error, read);
+      for (var i = 0; i < changed.length; i++) {
+        var store = me.schema.getStore(changed[i][0]);
+        if (store && store.history) {
+          entries.push({
+            'entity': changed[i][0],
+            'id': changed[i][1],
+            'action': action,
+            'value': changed[i][2],
+            'date': goog.now()
+          });
+        }
+      }
+      if (entries.length == 0) {
+        req.setDbValue(result, is_error);
+        return;
+      }
+      var h_rq = req.copy();
+      h_rq.addCallbacks(function() {
+        req.addCompleteback(function(type) {
+          if (type == ydn.db.base.TxEventTypes.COMPLETE) {
+            me.pruneHistory_(entries);
+          }
+        });
+        req.setDbValue(result, is_error);
+      }, fail);
+      me.getCrudExecutor().insertObjects(h_rq, false, false,
+          ydn.db.base.SN_ENTITY_HISTORY, entries);
+    };
+    rq.addCallbacks(function(x) {
+      done(x, false);
+    }, function(e) {
+      done(e, true);
+    });
+    write(rq);
+  };
+  if (opt_read) {
+    opt_read().addCallbacks(exec, fail);
+  } else {
+    exec(null);
+  }
+};
+
+
+/**
+ * Execute a put request logging written records into history.
+ * @param {!ydn.db.Request} req write request having active transaction.
+ * @param {string|!Array.<!ydn.db.Key>} store store name of the records, or
+ * keys of the records.
+ * @param {!Array} values record values.
+ * @param {function(!ydn.db.Request)} write execute the write into the given
+ * request.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.putHistory_ = function(req, store, values,
+                                                       write) {
+  var Method = ydn.db.Request.Method;
+  var single = req.getMethod() == Method.PUT ||
+      req.getMethod() == Method.ADD;
+  var store_names = goog.isString(store) ? [store] : goog.array.map(store,
+      function(key) {
+        return key.getStoreName();
+      });
+  if (!this.hasHistory_(store_names)) {
+    write(req);
+    return;
+  }
+  this.writeHistory_(req, 'put', write, function(result, is_error) {
+    var changed = [];
+    if (single ? is_error : !goog.isArray(result)) {
+      return changed;
+    }
+    for (var i = 0; i < values.length; i++) {
+      var key = single ? result : result[i];
+      if (goog.isDefAndNotNull(key) && !(key instanceof Error)) {
+        changed.push([goog.isString(store) ? store : store_names[i],
+          key instanceof ydn.db.Key ? key.getId() : key, values[i]]);
+      }
+    }
+    return changed;
+  });
+};
+
+
+/**
+ * Execute a remove request logging removed records into history.
+ * @param {!ydn.db.Request} req write request having active transaction.
+ * @param {!Array.<string>} store_names store names of the request.
+ * @param {function(): !goog.async.Deferred} read read records to be removed.
+ * @param {function(!ydn.db.Request)} write execute the removal into the given
+ * request.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.removeHistory_ = function(req, store_names,
+                                                          read, write) {
+  if (!this.hasHistory_(store_names)) {
+    write(req);
+    return;
+  }
+  this.writeHistory_(req, 'remove', write, function(result, is_error, read) {
+    return is_error ? [] : read;
+  }, read);
+};
+
+
+/**
+ * Read records by keys, before removing them.
+ * @param {!ydn.db.Request} req request having active transaction.
+ * @param {!Array.<!ydn.db.Key>} keys keys of the records.
+ * @return {!goog.async.Deferred} resolve to list of store name, primary key
+ * and record value of existing records.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.readKeys_ = function(req, keys) {
+  var rq = req.copy();
+  this.getCrudExecutor().listByKeys(rq, keys);
+  return rq.addCallback(function(values) {
+    var read = [];
+    for (var i = 0; i < keys.length; i++) {
+      if (goog.isDef(values[i])) {
+        read.push([keys[i].getStoreName(), keys[i].getId(), values[i]]);
+      }
+    }
+    return read;
+  });
+};
+
+
+/**
+ * Read records in key range, before removing them.
+ * @param {!ydn.db.Request} req request having active transaction.
+ * @param {!Array.<string>} store_names store names.
+ * @param {?string} index_name index name.
+ * @param {IDBKeyRange} key_range key range of the index, or primary key if
+ * index name is not given.
+ * @return {!goog.async.Deferred} resolve to list of store name, primary key
+ * and record value of records in stores keeping history. Fail with
+ * ConstraintError if more than MAX_HISTORY_READ records are in the range.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.readRange_ = function(req, store_names,
+    index_name, key_range) {
+  var read = [];
+  var dfs = [];
+  var QueryMethod = ydn.db.base.QueryMethod;
+  var limit = ydn.db.crud.DbOperator.MAX_HISTORY_READ;
+  for (var i = 0; i < store_names.length; i++) {
+    var store = this.schema.getStore(store_names[i]);
+    if (!store || !store.history) {
+      continue;
+    }
+    var rq_keys = req.copy();
+    var rq_values = req.copy();
+    // one more record is read to tell whether the range is over the limit.
+    this.getCrudExecutor().list(rq_keys, QueryMethod.LIST_PRIMARY_KEY,
+        store_names[i], index_name, key_range, limit + 1, 0, false, false);
+    this.getCrudExecutor().list(rq_values, QueryMethod.LIST_VALUE,
+        store_names[i], index_name, key_range, limit + 1, 0, false, false);
+    dfs.push(goog.async.DeferredList.gatherResults([rq_keys, rq_values])
+        .addCallback(function(x) {
+          if (x[0].length > limit) {
+            throw new ydn.db.ConstraintError('removing more than ' + limit +
+                ' records from store "' + this + '" keeping history.');
+          }
+          for (var j = 0; j < x[0].length; j++) {
+            read.push([this, x[0][j], x[1][j]]);
+          }
+        }, store_names[i]));
+  }
+  return goog.async.DeferredList.gatherResults(dfs).addCallback(function() {
+    return read;
+  });
+};
+
+
+/**
+ * Remove history entries of records over history limit of the store. This
+ * is invoked after the transaction of logging the entries is committed.
+ * @param {!Array.<!Object>} entries history entries logged.
+ * @private
+ */
+ydn.db.crud.DbOperator.prototype.pruneHistory_ = function(entries) {
+  var me = this;
+  var done = {};
+  for (var i = 0; i < entries.length; i++) {
+    var entity = entries[i]['entity'];
+    var id = entries[i]['id'];
+    var label = entity + ':' + ydn.json.stringify(id);
+    if (done[label]) {
+      continue;
+    }
+    done[label] = true;
+    var limit = this.schema.getStore(entity).historyLimit;
+    var kr = ydn.db.KeyRange.parseIDBKeyRange(
+        ydn.db.KeyRange.only([entity, id]));
+    this.keysInternal(ydn.db.base.SN_ENTITY_HISTORY, 'key', kr,
+        ydn.db.base.DEFAULT_RESULT_LIMIT, limit, true, false).addCallbacks(
+        function(sequences) {
+          if (sequences.length == 0) {
+            return;
+          }
+          me.removeInternalByKeys(goog.array.map(sequences, function(seq) {
+            return new ydn.db.Key(ydn.db.base.SN_ENTITY_HISTORY, seq);
+          }));
+        }, function(e) {
+          goog.log.warning(me.logger, 'pruning history failed: ' + e);
+        });
+  }
+};
+
+
 /**
  * @inheritDoc
  */
@@ -933,6 +1601,7 @@ ydn.db.crud.DbOperator.prototype.add = function(store_name_or_schema, value,
 
   var store = this.getStore(store_name_or_schema);
   var store_name = store.getName();
+  var me = this;
 
   var req;
 
@@ -954,6 +1623,19 @@ ydn.db.crud.DbOperator.prototype.add = function(store_name_or_schema, value,
     throw new ydn.debug.error.ArgumentException(
         'out-of-line key must be provided for store: ' + store_name);
   }
+  var hooked = this.hookWrite_(ydn.db.schema.Store.HookMethod.ADD,
+      ydn.db.Request.Method.ADD, store, value, opt_keys, function(x) {
+        return me.add(store, x, opt_keys);
+      });
+  if (hooked) {
+    return hooked;
+  }
+  var invalid = this.validateRecords_(goog.isArray(value) ?
+      ydn.db.Request.Method.ADDS : ydn.db.Request.Method.ADD, store, value,
+      opt_keys);
+  if (invalid) {
+    return invalid;
+  }
 
   if (goog.isArray(value)) {
     var objs = value;
@@ -966,11 +1648,15 @@ ydn.db.crud.DbOperator.prototype.add = function(store_name_or_schema, value,
       store.generateIndex(objs[i]);
     }
     req = this.tx_thread.request(ydn.db.Request.Method.ADDS,
-        [store_name], ydn.db.base.TransactionMode.READ_WRITE);
+        this.writeScope_([store_name]), ydn.db.base.TransactionMode.READ_WRITE);
+    var args = [store_name, objs, keys];
+    store.hook(req, args);
     req.addTxback(function() {
       //console.log('putObjects');
-      this.getCrudExecutor().insertObjects(req, false, false, store_name, objs,
-          keys);
+      this.putHistory_(req, store_name, args[1], function(rq) {
+        me.getCrudExecutor().insertObjects(rq, false, false, store_name,
+            args[1], keys);
+      });
     }, this);
 
     if (store.dispatch_events) {
@@ -989,10 +1675,14 @@ ydn.db.crud.DbOperator.prototype.add = function(store_name_or_schema, value,
     goog.log.finer(this.logger, 'addObject: ' + label);
     store.generateIndex(obj);
     req = this.tx_thread.request(ydn.db.Request.Method.ADD,
-        [store_name], ydn.db.base.TransactionMode.READ_WRITE);
+        this.writeScope_([store_name]), ydn.db.base.TransactionMode.READ_WRITE);
+    var args = [store_name, obj, key];
+    store.hook(req, args);
     req.addTxback(function() {
-      this.getCrudExecutor().insertObjects(req, false, true, store_name, [obj],
-          [key]);
+      this.putHistory_(req, store_name, [args[1]], function(rq) {
+        me.getCrudExecutor().insertObjects(rq, false, true, store_name,
+            [args[1]], [key]);
+      });
     }, this);
 
     if (store.dispatch_events) {
@@ -1022,6 +1712,7 @@ ydn.db.crud.DbOperator.prototype.addAll = function(store_name_or_schema, value,
 
   var store = this.getStore(store_name_or_schema);
   var store_name = store.getName();
+  var me = this;
 
   var req;
 
@@ -1044,6 +1735,19 @@ ydn.db.crud.DbOperator.prototype.addAll = function(store_name_or_schema, value,
     throw new ydn.debug.error.ArgumentException(
         'out-of-line key must be provided for store: ' + store_name);
   }
+  var hooked = this.hookWrite_(ydn.db.schema.Store.HookMethod.ADD,
+      ydn.db.Request.Method.ADDS, store, value, opt_keys, function(x) {
+        return me.addAll(store, x, opt_keys);
+      });
+  if (hooked) {
+    return hooked;
+  }
+  var invalid = this.validateRecords_(goog.isArray(value) ?
+      ydn.db.Request.Method.ADDS : ydn.db.Request.Method.ADD, store, value,
+      opt_keys);
+  if (invalid) {
+    return invalid;
+  }
 
   if (goog.isArray(value)) {
     var objs = value;
@@ -1056,11 +1760,15 @@ ydn.db.crud.DbOperator.prototype.addAll = function(store_name_or_schema, value,
       store.generateIndex(objs[i]);
     }
     req = this.tx_thread.request(ydn.db.Request.Method.ADDS,
-        [store_name], ydn.db.base.TransactionMode.READ_WRITE);
+        this.writeScope_([store_name]), ydn.db.base.TransactionMode.READ_WRITE);
+    var args = [store_name, objs, keys];
+    store.hook(req, args);
     req.addTxback(function() {
       //console.log('putObjects');
-      this.getCrudExecutor().insertObjects(req, false, false, store_name, objs,
-          keys);
+      this.putHistory_(req, store_name, args[1], function(rq) {
+        me.getCrudExecutor().insertObjects(rq, false, false, store_name,
+            args[1], keys);
+      });
     }, this);
 
     if (store.dispatch_events) {
@@ -1141,17 +1849,35 @@ ydn.db.crud.DbOperator.prototype.put = function(arg1, value, opt_keys) {
         store.setKeyValue(values[i], db_keys[i].getId());
       }
     }
+    var hooked = this.hookWrite_(ydn.db.schema.Store.HookMethod.PUT,
+        ydn.db.Request.Method.PUT_KEYS, db_keys, values, undefined,
+        function(x) {
+          return me.put(db_keys, x);
+        });
+    if (hooked) {
+      return hooked;
+    }
+    var invalid = this.validateRecords_(ydn.db.Request.Method.PUT_KEYS,
+        db_keys, values);
+    if (invalid) {
+      return invalid;
+    }
     goog.log.finer(this.logger, 'putByKeys: to ' + ydn.json.stringify(store_names) + ' ' +
         values.length + ' objects');
 
     for (var i = 0; i < values.length; i++) {
       store.generateIndex(values[i]);
     }
-    req = this.tx_thread.request(ydn.db.Request.Method.PUT_KEYS, store_names,
-        ydn.db.base.TransactionMode.READ_WRITE);
-    store.hook(req, arguments);
+    req = this.tx_thread.request(ydn.db.Request.Method.PUT_KEYS,
+        this.writeScope_(store_names), ydn.db.base.TransactionMode.READ_WRITE);
+    var args = [db_keys, values];
+    for (var i = 0; i < store_names.length; i++) {
+      this.schema.getStore(store_names[i]).hook(req, args);
+    }
     req.addTxback(function() {
-      me.getCrudExecutor().putByKeys(req, values, db_keys);
+      this.putHistory_(req, db_keys, args[1], function(rq) {
+        me.getCrudExecutor().putByKeys(rq, args[1], db_keys);
+      });
     }, this);
   } else if (goog.isString(arg1) || goog.isObject(arg1)) {
     var store = this.getStore(arg1);
@@ -1175,6 +1901,20 @@ ydn.db.crud.DbOperator.prototype.put = function(arg1, value, opt_keys) {
       throw new ydn.debug.error.ArgumentException(
           'out-of-line key must be provided for store: ' + st_name);
     }
+    var hooked = this.hookWrite_(ydn.db.schema.Store.HookMethod.PUT,
+        goog.isArray(value) ? ydn.db.Request.Method.PUTS :
+            ydn.db.Request.Method.PUT, store, value, opt_keys, function(x) {
+          return me.put(store, x, opt_keys);
+        });
+    if (hooked) {
+      return hooked;
+    }
+    var invalid = this.validateRecords_(goog.isArray(value) ?
+        ydn.db.Request.Method.PUTS : ydn.db.Request.Method.PUT, store, value,
+        opt_keys);
+    if (invalid) {
+      return invalid;
+    }
 
     if (goog.isArray(value)) {
       var objs = value;
@@ -1185,12 +1925,15 @@ ydn.db.crud.DbOperator.prototype.put = function(arg1, value, opt_keys) {
         store.generateIndex(objs[i]);
       }
       req = this.tx_thread.request(ydn.db.Request.Method.PUTS,
-          [st_name], ydn.db.base.TransactionMode.READ_WRITE);
-      store.hook(req, arguments);
+          this.writeScope_([st_name]), ydn.db.base.TransactionMode.READ_WRITE);
+      var args = [st_name, objs, keys];
+      store.hook(req, args);
       req.addTxback(function() {
         //console.log('putObjects');
-        this.getCrudExecutor().insertObjects(req, true, false, st_name, objs,
-            keys);
+        this.putHistory_(req, st_name, args[1], function(rq) {
+          me.getCrudExecutor().insertObjects(rq, true, false, st_name,
+              args[1], keys);
+        });
       }, this);
 
       if (store.dispatch_events) {
@@ -1232,17 +1975,23 @@ ydn.db.crud.DbOperator.prototype.put = function(arg1, value, opt_keys) {
         fr.onload = function(e) {
           var value = e.target.result;
           var rq = me.tx_thread.request(ydn.db.Request.Method.PUT,
-              [st_name], ydn.db.base.TransactionMode.READ_WRITE);
+              me.writeScope_([st_name]),
+              ydn.db.base.TransactionMode.READ_WRITE);
           store.hook(rq, [st_name, obj, key]);
           rq.addTxback(function() {
-            me.getCrudExecutor().insertObjects(rq, true, true, st_name, [value],
-                [key]);
+            me.putHistory_(rq, st_name, [value], function(w_rq) {
+              me.getCrudExecutor().insertObjects(w_rq, true, true, st_name,
+                  [value], [key]);
+            });
           }, this);
           rq.addCallbacks(function(x) {
             req.callback(x);
           }, function(e) {
             req.errback(e);
           });
+          rq.addCompleteback(function(type) {
+            req.removeTx(type);
+          });
         };
         fr.onerror = function(e) {
           req.errback(e);
@@ -1254,7 +2003,8 @@ ydn.db.crud.DbOperator.prototype.put = function(arg1, value, opt_keys) {
       } else {
         store.generateIndex(obj);
         req = this.tx_thread.request(ydn.db.Request.Method.PUT,
-            [st_name], ydn.db.base.TransactionMode.READ_WRITE);
+            this.writeScope_([st_name]),
+            ydn.db.base.TransactionMode.READ_WRITE);
         var args = [st_name, obj, key];
         store.hook(req, args);
         req.addTxback(function() {
@@ -1262,8 +2012,10 @@ ydn.db.crud.DbOperator.prototype.put = function(arg1, value, opt_keys) {
           // hook manipulate the value, we get updated value.
           // encryption hook manipulate both key and value.
           var keys = goog.isDef(key) ? [args[2]] : undefined;
-          me.getCrudExecutor().insertObjects(req, true, true, st_name,
-              [args[1]], keys);
+          this.putHistory_(req, st_name, [args[1]], function(rq) {
+            me.getCrudExecutor().insertObjects(rq, true, true, st_name,
+                [args[1]], keys);
+          });
         }, this);
       }
 
@@ -1319,6 +2071,18 @@ ydn.db.crud.DbOperator.prototype.putAll = function (arg1, value, opt_keys) {
     throw new ydn.debug.error.ArgumentException(
         'out-of-line key must be provided for store: ' + st_name);
   }
+  var hooked = this.hookWrite_(ydn.db.schema.Store.HookMethod.PUT,
+      ydn.db.Request.Method.PUTS, store, value, opt_keys, function(x) {
+        return me.putAll(store, x, opt_keys);
+      });
+  if (hooked) {
+    return hooked;
+  }
+  var invalid = this.validateRecords_(ydn.db.Request.Method.PUTS, store,
+      value, opt_keys);
+  if (invalid) {
+    return invalid;
+  }
 
   var objs = value;
   var keys = /** @type {!Array.<(number|string)>|undefined} */ (opt_keys);
@@ -1328,12 +2092,15 @@ ydn.db.crud.DbOperator.prototype.putAll = function (arg1, value, opt_keys) {
     store.generateIndex(objs[i]);
   }
   req = this.tx_thread.request(ydn.db.Request.Method.PUTS,
-      [st_name], ydn.db.base.TransactionMode.READ_WRITE);
-  store.hook(req, arguments);
+      this.writeScope_([st_name]), ydn.db.base.TransactionMode.READ_WRITE);
+  var args = [st_name, objs, keys];
+  store.hook(req, args);
   req.addTxback(function () {
     //console.log('putObjects');
-    this.getCrudExecutor().insertObjects(req, true, false, st_name, objs,
-        keys);
+    this.putHistory_(req, st_name, args[1], function(rq) {
+      me.getCrudExecutor().insertObjects(rq, true, false, st_name, args[1],
+          keys);
+    });
   }, this);
 
   if (store.dispatch_events) {
@@ -1405,25 +2172,23 @@ ydn.db.crud.DbOperator.prototype.dumpInternal = function(store_name, objs,
     var s_n = store_name;
     var store = this.schema.getStore(s_n);
     req = thread.request(ydn.db.Request.Method.PUTS,
-        store_names, ydn.db.base.TransactionMode.READ_WRITE);
-    if (opt_hook_idx) {
-      store.hook(req, [s_n, objs, opt_keys], opt_hook_idx);
-    }
+        this.writeScope_(store_names), ydn.db.base.TransactionMode.READ_WRITE);
+    var args = [s_n, objs, opt_keys];
+    store.hook(req, args, opt_hook_idx);
     req.addTxback(function() {
-      this.getCrudExecutor().insertObjects(req, true, false, s_n, objs,
+      this.getCrudExecutor().insertObjects(req, true, false, s_n, args[1],
           opt_keys);
     }, this);
   } else {
     req = thread.request(ydn.db.Request.Method.PUT_KEYS,
-        store_names, ydn.db.base.TransactionMode.READ_WRITE);
-    if (opt_hook_idx) {
-      for (var i = 0; i < store_names.length; i++) {
-        var store = this.schema.getStore(store_names[i]);
-        store.hook(req, [objs, db_keys], opt_hook_idx);
-      }
+        this.writeScope_(store_names), ydn.db.base.TransactionMode.READ_WRITE);
+    var args = [db_keys, objs];
+    for (var i = 0; i < store_names.length; i++) {
+      var store = this.schema.getStore(store_names[i]);
+      store.hook(req, args, opt_hook_idx);
     }
     req.addTxback(function() {
-      this.getCrudExecutor().putByKeys(req, objs, db_keys);
+      this.getCrudExecutor().putByKeys(req, args[1], db_keys);
     }, this);
   }
   return req;
@@ -1633,6 +2398,13 @@ ydn.db.crud.DbOperator.prototype.clear = function(arg1, arg2, arg3) {
 
   var req;
   var me = this;
+  var hooked = this.hookRemove_(ydn.db.schema.Store.HookMethod.CLEAR, arg1,
+      arg2, arg3, function() {
+        return me.clear(arg1, arg2, arg3);
+      });
+  if (hooked) {
+    return hooked;
+  }
 
   if (goog.isString(arg1)) {
     var st_name = arg1;
@@ -1651,18 +2423,27 @@ ydn.db.crud.DbOperator.prototype.clear = function(arg1, arg2, arg3) {
       }
       goog.log.finer(this.logger, 'clearByKeyRange: ' + st_name + ':' +
           ydn.json.stringify(key_range));
-      req = this.tx_thread.request(ydn.db.Request.Method.CLEAR, [st_name],
-          ydn.db.base.TransactionMode.READ_WRITE);
+      req = this.tx_thread.request(ydn.db.Request.Method.CLEAR,
+          this.writeScope_([st_name]), ydn.db.base.TransactionMode.READ_WRITE);
       store.hook(req, [st_name, key_range]);
       req.addTxback(function() {
-        this.getCrudExecutor().clearByKeyRange(req, st_name, key_range);
+        this.removeHistory_(req, [st_name], function() {
+          return me.readRange_(req, [st_name], null, key_range);
+        }, function(rq) {
+          me.getCrudExecutor().clearByKeyRange(rq, st_name, key_range);
+        });
       }, this);
     } else if (!goog.isDef(arg2)) {
       goog.log.finer(this.logger, 'clearByStore: ' + st_name);
-      req = this.tx_thread.request(ydn.db.Request.Method.CLEAR, [st_name],
-          ydn.db.base.TransactionMode.READ_WRITE);
+      req = this.tx_thread.request(ydn.db.Request.Method.CLEAR,
+          this.writeScope_([st_name]), ydn.db.base.TransactionMode.READ_WRITE);
+      store.hook(req, [st_name, null]);
       req.addTxback(function() {
-        this.getCrudExecutor().clearByStores(req, [st_name]);
+        this.removeHistory_(req, [st_name], function() {
+          return me.readRange_(req, [st_name], null, null);
+        }, function(rq) {
+          me.getCrudExecutor().clearByStores(rq, [st_name]);
+        });
       }, this);
 
     } else {
@@ -1675,10 +2456,20 @@ ydn.db.crud.DbOperator.prototype.clear = function(arg1, arg2, arg3) {
       goog.isString(arg1[0])) {
     var store_names = arg1 || this.schema.getStoreNames();
     goog.log.finer(this.logger, 'clearByStores: ' + ydn.json.stringify(store_names));
-    req = this.tx_thread.request(ydn.db.Request.Method.CLEAR, store_names,
-        ydn.db.base.TransactionMode.READ_WRITE);
+    req = this.tx_thread.request(ydn.db.Request.Method.CLEAR,
+        this.writeScope_(store_names), ydn.db.base.TransactionMode.READ_WRITE);
+    for (var i = 0; i < store_names.length; i++) {
+      var clear_store = this.schema.getStore(store_names[i]);
+      if (clear_store) {
+        clear_store.hook(req, [store_names[i], null]);
+      }
+    }
     req.addTxback(function() {
-      this.getCrudExecutor().clearByStores(req, store_names);
+      this.removeHistory_(req, store_names, function() {
+        return me.readRange_(req, store_names, null, null);
+      }, function(rq) {
+        me.getCrudExecutor().clearByStores(rq, store_names);
+      });
     }, this);
 
   } else {
@@ -1696,6 +2487,14 @@ ydn.db.crud.DbOperator.prototype.clear = function(arg1, arg2, arg3) {
 ydn.db.crud.DbOperator.prototype.remove = function(arg1, arg2, arg3) {
 
   var req;
+  var me = this;
+  var hooked = this.hookRemove_(ydn.db.schema.Store.HookMethod.REMOVE, arg1,
+      arg2, arg3, function() {
+        return me.remove(arg1, arg2, arg3);
+      });
+  if (hooked) {
+    return hooked;
+  }
 
   if (goog.isString(arg1)) {
     /**
@@ -1720,10 +2519,17 @@ ydn.db.crud.DbOperator.prototype.remove = function(arg1, arg2, arg3) {
           goog.log.finer(this.logger, 'removeByIndexKeyRange: ' + store_name + ':' +
               index.getName() + ' ' + store_name);
           req = this.tx_thread.request(ydn.db.Request.Method.REMOVE_INDEX,
-              [store_name], ydn.db.base.TransactionMode.READ_WRITE);
+              this.writeScope_([store_name]),
+              ydn.db.base.TransactionMode.READ_WRITE);
+          store.hook(req, [store_name, index.getName(), key_range]);
           req.addTxback(function() {
-            this.getCrudExecutor().removeByIndexKeyRange(req, store_name,
-                index.getName(), key_range);
+            this.removeHistory_(req, [store_name], function() {
+              return me.readRange_(req, [store_name], index.getName(),
+                  key_range);
+            }, function(rq) {
+              me.getCrudExecutor().removeByIndexKeyRange(rq, store_name,
+                  index.getName(), key_range);
+            });
           }, this);
         } else {
           throw new ydn.debug.error.ArgumentException('key range ' + arg3 +
@@ -1739,11 +2545,16 @@ ydn.db.crud.DbOperator.prototype.remove = function(arg1, arg2, arg3) {
         var id = /** @type {IDBKey} */ (arg2);
         goog.log.finer(this.logger, 'removeById: ' + store_name + ':' + id);
         req = this.tx_thread.request(ydn.db.Request.Method.REMOVE_ID,
-            [store_name], ydn.db.base.TransactionMode.READ_WRITE);
+            this.writeScope_([store_name]),
+            ydn.db.base.TransactionMode.READ_WRITE);
         var rm_args = [store_name, id];
         store.hook(req, rm_args);
         req.addTxback(function() {
-          this.getCrudExecutor().removeById(req, store_name, rm_args[1]);
+          this.removeHistory_(req, [store_name], function() {
+            return me.readKeys_(req, [new ydn.db.Key(store_name, rm_args[1])]);
+          }, function(rq) {
+            me.getCrudExecutor().removeById(rq, store_name, rm_args[1]);
+          });
         }, this);
 
         if (store.dispatch_events) {
@@ -1762,10 +2573,15 @@ ydn.db.crud.DbOperator.prototype.remove = function(arg1, arg2, arg3) {
         goog.log.finer(this.logger, 'removeByKeyRange: ' + store_name + ':' +
             ydn.json.stringify(key_range));
         req = this.tx_thread.request(ydn.db.Request.Method.REMOVE,
-            [store_name], ydn.db.base.TransactionMode.READ_WRITE);
+            this.writeScope_([store_name]),
+            ydn.db.base.TransactionMode.READ_WRITE);
         store.hook(req, [store_name, key_range]);
         req.addTxback(function() {
-          this.getCrudExecutor().removeByKeyRange(req, store_name, key_range);
+          this.removeHistory_(req, [store_name], function() {
+            return me.readRange_(req, [store_name], null, key_range);
+          }, function(rq) {
+            me.getCrudExecutor().removeByKeyRange(rq, store_name, key_range);
+          });
         }, this);
         if (store.dispatch_events) {
           req.addCallback(function(n_keys) {
@@ -1791,11 +2607,15 @@ ydn.db.crud.DbOperator.prototype.remove = function(arg1, arg2, arg3) {
     var store = this.schema.getStore(st_name);
     goog.asserts.assert(store, 'store "' + st_name + '" not found.');
     req = this.tx_thread.request(ydn.db.Request.Method.REMOVE_ID,
-        [st_name], ydn.db.base.TransactionMode.READ_WRITE);
+        this.writeScope_([st_name]), ydn.db.base.TransactionMode.READ_WRITE);
     var hk_args = [st_name, key.getId()];
     store.hook(req, hk_args);
     req.addTxback(function() {
-      this.getCrudExecutor().removeById(req, st_name, hk_args[1]);
+      this.removeHistory_(req, [st_name], function() {
+        return me.readKeys_(req, [new ydn.db.Key(st_name, hk_args[1])]);
+      }, function(rq) {
+        me.getCrudExecutor().removeById(rq, st_name, hk_args[1]);
+      });
     }, this);
   } else if (goog.isArray(arg1)) {
     /**
@@ -1821,9 +2641,19 @@ ydn.db.crud.DbOperator.prototype.remove = function(arg1, arg2, arg3) {
           'required in key list "' + ydn.json.toShortString(arg1) + '"');
     }
     req = this.tx_thread.request(ydn.db.Request.Method.REMOVE_KEYS,
-        store_names, ydn.db.base.TransactionMode.READ_WRITE);
+        this.writeScope_(store_names), ydn.db.base.TransactionMode.READ_WRITE);
+    for (var i = 0; i < store_names.length; i++) {
+      var store = this.schema.getStore(store_names[i]);
+      if (store) {
+        store.hook(req, [arr]);
+      }
+    }
     req.addTxback(function() {
-      this.getCrudExecutor().removeByKeys(req, arr);
+      this.removeHistory_(req, store_names, function() {
+        return me.readKeys_(req, arr);
+      }, function(rq) {
+        me.getCrudExecutor().removeByKeys(rq, arr);
+      });
     }, this);
   } else {
     throw new ydn.debug.error.ArgumentException('first argument requires ' +
@@ -0,0 +1,316 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Track record sizes of stores having `maxSize` option, or of
+ * all stores for `maxSize` storage option, and evict records over quota.
+ *
+ * A write larger than the quota fails with ydn.db.QuotaError before the
+ * request is made. Other writes are accounted before the request resolves,
+ * evicting records of lowest priority and least recently accessed if usage
+ * is over quota. If the storage mechanism rejects a put for lack of space,
+ * records are evicted and the put is retried once.
+ *
+ * Records written before tracking is enabled, and records deleted by the
+ * expiry sweeper, are not accounted until they are written or removed.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.quota');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.log');
+goog.require('goog.string');
+goog.require('ydn.db.Key');
+goog.require('ydn.db.QuotaError');
+goog.require('ydn.db.Request');
+goog.require('ydn.db.crud.QuotaTracker');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+/**
+ * @type {ydn.db.crud.QuotaTracker}
+ * @private
+ */
+ydn.db.crud.Storage.prototype.quota_tracker_ = null;
+
+
+/**
+ * @param {number|undefined} max_size maximum size of the database in bytes.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.addQuota = function(max_size) {
+  this.quota_tracker_ = new ydn.db.crud.QuotaTracker(this, this.schema,
+      max_size);
+  for (var i = 0, n = this.schema.count(); i < n; i++) {
+    var store = this.schema.store(i);
+    if (this.isQuotaTracked_(store)) {
+      this.addQuotaHook_(store);
+    }
+  }
+};
+
+
+/**
+ * @param {ydn.db.schema.Store} store store.
+ * @return {boolean} true if record sizes of the store are tracked.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.isQuotaTracked_ = function(store) {
+  return !!this.quota_tracker_ && !!store &&
+      !goog.string.startsWith(store.getName(), '_ydn_') &&
+      !!(this.quota_tracker_.getMaxSize() || store.maxSize);
+};
+
+
+/**
+ * @param {string} store_name store name.
+ * @param {!Array} values record values to be written.
+ * @return {Error} error if the records cannot fit in the quota.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.checkQuota = function(store_name, values) {
+  if (!this.isQuotaTracked_(this.schema.getStore(store_name))) {
+    return null;
+  }
+  var total = 0;
+  for (var i = 0; i < values.length; i++) {
+    total += ydn.db.crud.QuotaTracker.sizeOf(values[i]);
+  }
+  try {
+    this.quota_tracker_.check(store_name, total);
+  } catch (e) {
+    if (e instanceof ydn.db.QuotaError) {
+      return e;
+    }
+    throw e;
+  }
+  return null;
+};
+
+
+/**
+ * Get total size of tracked records.
+ * @param {string=} opt_store_name store name. If not given, size of all
+ * tracked stores is returned.
+ * @return {!goog.async.Deferred} resolve to size in bytes.
+ */
+ydn.db.crud.Storage.prototype.getUsage = function(opt_store_name) {
+  if (!this.quota_tracker_) {
+    throw new ydn.debug.error.ArgumentException('maxSize option required ' +
+        'for tracking usage');
+  }
+  return this.quota_tracker_.getUsage(opt_store_name);
+};
+
+
+/**
+ * @param {!ydn.db.schema.Store} store store to track.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.addQuotaHook_ = function(store) {
+  var store_name = store.getName();
+  var tracker = this.quota_tracker_;
+  var Method = ydn.db.Request.Method;
+  var me = this;
+  var logError = function(e) {
+    goog.log.warning(me.logger, 'tracking quota of store "' + store_name +
+        '" failed: ' + e);
+  };
+
+  store.addHook(function(req, args) {
+    var method = req.getMethod();
+    if (method == Method.PUT || method == Method.ADD ||
+        method == Method.PUTS || method == Method.ADDS ||
+        method == Method.PUT_KEYS) {
+      me.hookQuotaWrite_(store_name, req, args);
+    } else if (method == Method.REMOVE_ID || method == Method.REMOVE_KEYS) {
+      var keys = method == Method.REMOVE_ID ? [args[1]] : goog.array.map(
+          goog.array.filter(args[0], function(key) {
+            return key.getStoreName() == store_name;
+          }), function(key) {
+            return key.getId();
+          });
+      req.addCallback(function() {
+        tracker.removed(store_name, keys).addErrback(logError);
+      });
+    } else if (method == Method.REMOVE || method == Method.REMOVE_INDEX ||
+        method == Method.CLEAR) {
+      req.addCallback(function() {
+        tracker.reconcile(store_name).addErrback(logError);
+      });
+    } else if (method == Method.GET || method == Method.GET_BY_KEY) {
+      var key = method == Method.GET ? args[1] : args[0].getId();
+      req.addCallback(function(value) {
+        if (goog.isDef(value)) {
+          tracker.touch(store_name, [key]);
+        }
+      });
+    } else if (method == Method.VALUES_IDS) {
+      var ids = args[1];
+      req.addCallback(function(values) {
+        tracker.touch(store_name, goog.array.filter(ids, function(id, i) {
+          return goog.isDef(values[i]);
+        }));
+      });
+    }
+  });
+};
+
+
+/**
+ * Check quota of a write request and account written records before the
+ * request resolves.
+ * @param {string} store_name store name.
+ * @param {!ydn.db.Request} req write request.
+ * @param {!Array} args hook arguments.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.hookQuotaWrite_ = function(store_name, req,
+                                                         args) {
+  var tracker = this.quota_tracker_;
+  var Method = ydn.db.Request.Method;
+  var method = req.getMethod();
+  var single = method == Method.PUT || method == Method.ADD;
+  // index of written records in the request, for PUT_KEYS.
+  var idx = [];
+  var values, keys;
+  if (method == Method.PUT_KEYS) {
+    values = [];
+    keys = [];
+    for (var i = 0; i < args[0].length; i++) {
+      if (args[0][i].getStoreName() == store_name) {
+        idx.push(i);
+        keys.push(args[0][i]);
+        values.push(args[1][i]);
+      }
+    }
+  } else {
+    values = single ? [args[1]] : args[1];
+    keys = single ? (goog.isDef(args[2]) ? [args[2]] : undefined) : args[2];
+  }
+  // records larger than the quota are rejected by DbOperator, before the
+  // request is made.
+  var sizes = goog.array.map(values, ydn.db.crud.QuotaTracker.sizeOf);
+  var retry = method == Method.PUT || method == Method.PUTS ||
+      method == Method.PUT_KEYS;
+  var me = this;
+
+  req.await(function(result, is_error, cb) {
+    if (is_error && !goog.isArray(result)) {
+      if (retry && result instanceof ydn.db.QuotaError) {
+        me.retryPut_(store_name, values, keys,
+            /** @type {!ydn.db.QuotaError} */ (result)).addCallbacks(
+            function(x) {
+              cb(single ? x[0] : x);
+            }, function(e) {
+              cb(e, true);
+            });
+      } else {
+        cb(result, is_error);
+      }
+      return;
+    }
+    var results = single ? [result] : /** @type {!Array} */ (result);
+    var at = function(i) {
+      return idx.length > 0 ? idx[i] : i;
+    };
+    var failed = [];
+    var requested = 0;
+    for (var i = 0; i < values.length; i++) {
+      var r = results[at(i)];
+      if (retry && r instanceof ydn.db.QuotaError) {
+        failed.push(i);
+        requested += r.requested;
+      }
+    }
+    var df = failed.length == 0 ? goog.async.Deferred.succeed([]) :
+        me.retryPut_(store_name, goog.array.map(failed, function(i) {
+          return values[i];
+        }), keys ? goog.array.map(failed, function(i) {
+          return keys[i];
+        }) : undefined, new ydn.db.QuotaError(store_name, requested));
+    df.addBoth(function(x) {
+      var written_keys = [];
+      var written_values = [];
+      var written_sizes = [];
+      for (var i = 0; i < values.length; i++) {
+        var j = goog.array.indexOf(failed, i);
+        if (j >= 0) {
+          // retried records are accounted by the retry request.
+          results[at(i)] = x instanceof Error ? x : x[j];
+        } else if (!(results[at(i)] instanceof Error)) {
+          var key = results[at(i)];
+          written_keys.push(key instanceof ydn.db.Key ? key.getId() : key);
+          written_values.push(values[i]);
+          written_sizes.push(sizes[i]);
+        }
+      }
+      var has_error = goog.array.some(results, function(r) {
+        return r instanceof Error;
+      });
+      var res = single ? results[0] : results;
+      if (written_keys.length == 0) {
+        cb(res, has_error);
+        return;
+      }
+      tracker.written(store_name, written_keys, written_values,
+          written_sizes).addBoth(function(e) {
+        if (e instanceof Error) {
+          goog.log.warning(me.logger, 'tracking quota of store "' +
+              store_name + '" failed: ' + e);
+        }
+        cb(res, has_error);
+      });
+    });
+  });
+};
+
+
+/**
+ * Evict records to make space and put records again.
+ * @param {string} store_name store name.
+ * @param {!Array} values record values as stored.
+ * @param {Array} keys primary keys or keys of records, if not in-line.
+ * @param {!ydn.db.QuotaError} error error from the storage mechanism.
+ * @return {!goog.async.Deferred} resolve to keys, or fail with the given
+ * error if enough space cannot be evicted.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.retryPut_ = function(store_name, values, keys,
+                                                   error) {
+  var op = this.getCoreOperator();
+  // size is not known for quota errors of IndexedDB and WebSQL.
+  var requested = error.requested;
+  if (!requested) {
+    for (var i = 0; i < values.length; i++) {
+      requested += ydn.db.crud.QuotaTracker.sizeOf(values[i]);
+    }
+  }
+  goog.log.fine(this.logger, 'evicting ' + requested +
+      ' bytes for store "' + store_name + '"');
+  return this.quota_tracker_.free(requested).addCallback(
+      function(freed) {
+        if (freed < requested) {
+          throw error;
+        }
+        if (keys && keys[0] instanceof ydn.db.Key) {
+          return op.dumpInternal(/** @type {!Array.<!ydn.db.Key>} */ (keys),
+              values);
+        }
+        return op.dumpInternal(store_name, values,
+            /** @type {Array.<!IDBKey>|undefined} */ (keys || undefined));
+      });
+};
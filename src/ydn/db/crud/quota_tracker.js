@@ -0,0 +1,540 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Account record sizes and evict records over quota.
+ *
+ * Size, eviction priority and last access time of each tracked record are
+ * kept in the `_ydn_quota` store. Records are evicted in the order of
+ * ascending priority and then least recently accessed. Updates to the meta
+ * data are serialized, so that usage is consistent with the meta data
+ * records.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.QuotaTracker');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.log');
+goog.require('goog.object');
+goog.require('ydn.db.Key');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.QuotaError');
+goog.require('ydn.db.base');
+goog.require('ydn.json');
+
+
+
+/**
+ * Create a quota tracker for a storage.
+ * @param {!ydn.db.crud.Storage} storage storage.
+ * @param {!ydn.db.schema.Database} schema schema of the storage.
+ * @param {number|undefined} max_size maximum size of tracked records in the
+ * database in bytes.
+ * @constructor
+ * @struct
+ */
+ydn.db.crud.QuotaTracker = function(storage, schema, max_size) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.crud.Storage}
+   */
+  this.storage_ = storage;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.Database}
+   */
+  this.schema_ = schema;
+  /**
+   * @final
+   * @private
+   * @type {number|undefined}
+   */
+  this.max_size_ = max_size;
+  /**
+   * Total size of tracked records by store name.
+   * @final
+   * @private
+   * @type {!Object.<number>}
+   */
+  this.usage_ = {};
+  /**
+   * Keys of accessed records by store name, not yet written to meta data.
+   * @private
+   * @type {!Object.<!Array.<IDBKey>>}
+   */
+  this.accessed_ = {};
+  /**
+   * @private
+   * @type {?number}
+   */
+  this.touch_timer_ = null;
+  /**
+   * Meta data updates are chained to this deferred.
+   * @final
+   * @private
+   * @type {!goog.async.Deferred}
+   */
+  this.queue_ = new goog.async.Deferred();
+
+  storage.onReady(function(e) {
+    if (e) {
+      this.queue_.callback(null);
+    } else {
+      this.load_().addBoth(function(x) {
+        if (x instanceof Error) {
+          goog.log.warning(this.logger, 'loading quota usage of ' +
+              this.storage_.getName() + ' failed: ' + x);
+        }
+        this.queue_.callback(null);
+      }, this);
+    }
+  }, this);
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.crud.QuotaTracker.prototype.logger =
+    goog.log.getLogger('ydn.db.crud.QuotaTracker');
+
+
+/**
+ * Number of meta data records read in a request.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.QuotaTracker.BATCH_SIZE = 100;
+
+
+/**
+ * Delay in milliseconds before access time of read records are written.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.QuotaTracker.TOUCH_DELAY = 1000;
+
+
+/**
+ * Estimate size of a record value as stored.
+ * @param {*} value record value.
+ * @return {number} size in bytes.
+ */
+ydn.db.crud.QuotaTracker.sizeOf = function(value) {
+  if (goog.isDef(goog.global['Blob']) && value instanceof Blob) {
+    return value.size;
+  }
+  // strings are UTF-16 in web storage and WebSQL.
+  return 2 * (ydn.json.stringify(value) || '').length;
+};
+
+
+/**
+ * @param {string} store_name store name.
+ * @param {IDBKey} key primary key of the record.
+ * @return {!Array} primary key of meta data record.
+ * @private
+ */
+ydn.db.crud.QuotaTracker.metaId_ = function(store_name, key) {
+  return [store_name, key];
+};
+
+
+/**
+ * Run a meta data update after previous updates are done.
+ * @param {function(this: ydn.db.crud.QuotaTracker): !goog.async.Deferred} fn
+ * update.
+ * @return {!goog.async.Deferred} resolve to result of the update.
+ * @private
+ */
+ydn.db.crud.QuotaTracker.prototype.enqueue_ = function(fn) {
+  var df = new goog.async.Deferred();
+  this.queue_.addBoth(function() {
+    var d;
+    try {
+      d = fn.call(this);
+    } catch (e) {
+      df.errback(e);
+      return null;
+    }
+    d.addCallbacks(function(x) {
+      df.callback(x);
+    }, function(e) {
+      df.errback(e);
+    });
+    return d;
+  }, this);
+  return df;
+};
+
+
+/**
+ * Read usage of all stores from meta data.
+ * @return {!goog.async.Deferred} resolve when loaded.
+ * @private
+ */
+ydn.db.crud.QuotaTracker.prototype.load_ = function() {
+  var op = this.storage_.getCoreOperator();
+  var size = ydn.db.crud.QuotaTracker.BATCH_SIZE;
+  var df = new goog.async.Deferred();
+  var me = this;
+  var next = function(offset) {
+    op.listInternal(ydn.db.base.SN_QUOTA, null, null, false, size,
+        offset).addCallbacks(function(metas) {
+      for (var i = 0; i < metas.length; i++) {
+        me.add_(metas[i]['store'], metas[i]['size']);
+      }
+      if (metas.length < size) {
+        df.callback(null);
+      } else {
+        next(offset + size);
+      }
+    }, function(e) {
+      df.errback(e);
+    });
+  };
+  next(0);
+  return df;
+};
+
+
+/**
+ * @param {string} store_name store name.
+ * @param {number} bytes size to add to usage of the store.
+ * @private
+ */
+ydn.db.crud.QuotaTracker.prototype.add_ = function(store_name, bytes) {
+  this.usage_[store_name] = (this.usage_[store_name] || 0) + bytes;
+};
+
+
+/**
+ * @return {number} total size of tracked records.
+ * @private
+ */
+ydn.db.crud.QuotaTracker.prototype.total_ = function() {
+  var total = 0;
+  for (var store_name in this.usage_) {
+    total += this.usage_[store_name];
+  }
+  return total;
+};
+
+
+/**
+ * @return {number|undefined} maximum size of the database in bytes.
+ */
+ydn.db.crud.QuotaTracker.prototype.getMaxSize = function() {
+  return this.max_size_;
+};
+
+
+/**
+ * Check a write can fit in quota after eviction.
+ * @param {string} store_name store name.
+ * @param {number} bytes size of records to be written.
+ * @throws {ydn.db.QuotaError} if the records are larger than maxSize of the
+ * store or the database.
+ */
+ydn.db.crud.QuotaTracker.prototype.check = function(store_name, bytes) {
+  var store = this.schema_.getStore(store_name);
+  if ((store.maxSize && bytes > store.maxSize) ||
+      (this.max_size_ && bytes > this.max_size_)) {
+    throw new ydn.db.QuotaError(store_name, bytes);
+  }
+};
+
+
+/**
+ * Account written records and evict other records if usage is over quota.
+ * @param {string} store_name store name.
+ * @param {!Array.<IDBKey>} keys primary keys of written records.
+ * @param {!Array} values written record values.
+ * @param {!Array.<number>} sizes sizes of written records.
+ * @return {!goog.async.Deferred} resolve when meta data are updated.
+ */
+ydn.db.crud.QuotaTracker.prototype.written = function(store_name, keys,
+    values, sizes) {
+  return this.enqueue_(function() {
+    var op = this.storage_.getCoreOperator();
+    var store = this.schema_.getStore(store_name);
+    var now = goog.now();
+    var meta_keys = goog.array.map(keys, function(key) {
+      return new ydn.db.Key(ydn.db.base.SN_QUOTA,
+          ydn.db.crud.QuotaTracker.metaId_(store_name, key));
+    });
+    var metas = [];
+    var delta = 0;
+    return op.valuesInternal(meta_keys).addCallback(function(olds) {
+      for (var i = 0; i < keys.length; i++) {
+        delta += sizes[i] - (olds[i] ? olds[i]['size'] : 0);
+        metas.push({
+          'id': meta_keys[i].getId(),
+          'store': store_name,
+          'size': sizes[i],
+          'priority': store.getPriority(values[i]),
+          'accessed': now
+        });
+      }
+      return op.dumpInternal(ydn.db.base.SN_QUOTA, metas);
+    }).addCallback(function() {
+      this.add_(store_name, delta);
+      var excluded = goog.array.map(meta_keys, function(key) {
+        return ydn.json.stringify(key.getId());
+      });
+      var store_excess = store.maxSize ?
+          (this.usage_[store_name] || 0) - store.maxSize : 0;
+      var df = store_excess > 0 ?
+          this.evict_(store_name, store_excess, excluded) :
+          goog.async.Deferred.succeed(0);
+      return df.addCallback(function() {
+        var excess = this.max_size_ ? this.total_() - this.max_size_ : 0;
+        return excess > 0 ? this.evict_(null, excess, excluded) : 0;
+      }, this);
+    }, this);
+  });
+};
+
+
+/**
+ * Account removed records.
+ * @param {string} store_name store name.
+ * @param {!Array.<IDBKey>} keys primary keys of removed records.
+ * @return {!goog.async.Deferred} resolve when meta data are updated.
+ */
+ydn.db.crud.QuotaTracker.prototype.removed = function(store_name, keys) {
+  return this.enqueue_(function() {
+    var op = this.storage_.getCoreOperator();
+    var meta_keys = goog.array.map(keys, function(key) {
+      return new ydn.db.Key(ydn.db.base.SN_QUOTA,
+          ydn.db.crud.QuotaTracker.metaId_(store_name, key));
+    });
+    return this.removeMetas_(meta_keys);
+  });
+};
+
+
+/**
+ * Remove meta data records and update usage.
+ * @param {!Array.<!ydn.db.Key>} meta_keys keys of meta data records.
+ * @param {!Array.<!ydn.db.Key>=} opt_keys keys of records to be removed
+ * together.
+ * @return {!goog.async.Deferred} resolve to number of bytes freed.
+ * @private
+ */
+ydn.db.crud.QuotaTracker.prototype.removeMetas_ = function(meta_keys,
+    opt_keys) {
+  if (meta_keys.length == 0) {
+    return goog.async.Deferred.succeed(0);
+  }
+  var op = this.storage_.getCoreOperator();
+  var freed = 0;
+  return op.valuesInternal(meta_keys).addCallback(function(metas) {
+    for (var i = 0; i < metas.length; i++) {
+      if (metas[i]) {
+        this.add_(metas[i]['store'], -metas[i]['size']);
+        freed += metas[i]['size'];
+      }
+    }
+    var keys = opt_keys ? goog.array.concat(opt_keys, meta_keys) : meta_keys;
+    return op.removeInternalByKeys(keys);
+  }, this).addCallback(function() {
+    return freed;
+  });
+};
+
+
+/**
+ * Drop meta data of records no longer in a store, after records are removed
+ * by key range or index.
+ * @param {string} store_name store name.
+ * @return {!goog.async.Deferred} resolve when meta data are updated.
+ */
+ydn.db.crud.QuotaTracker.prototype.reconcile = function(store_name) {
+  return this.enqueue_(function() {
+    var op = this.storage_.getCoreOperator();
+    var size = ydn.db.crud.QuotaTracker.BATCH_SIZE;
+    var kr = ydn.db.KeyRange.only(store_name);
+    var stale = [];
+    var df = new goog.async.Deferred();
+    var onError = function(e) {
+      df.errback(e);
+    };
+    var next = function(offset) {
+      op.listInternal(ydn.db.base.SN_QUOTA, 'store', kr, false, size,
+          offset).addCallbacks(function(metas) {
+        var keys = goog.array.map(metas, function(meta) {
+          return new ydn.db.Key(store_name, meta['id'][1]);
+        });
+        op.valuesInternal(keys).addCallbacks(function(values) {
+          for (var i = 0; i < metas.length; i++) {
+            if (!goog.isDef(values[i])) {
+              stale.push(new ydn.db.Key(ydn.db.base.SN_QUOTA, metas[i]['id']));
+            }
+          }
+          if (metas.length < size) {
+            df.callback(stale);
+          } else {
+            next(offset + size);
+          }
+        }, onError);
+      }, onError);
+    };
+    next(0);
+    return df.addCallback(function(meta_keys) {
+      return this.removeMetas_(meta_keys);
+    }, this);
+  });
+};
+
+
+/**
+ * Update access time of read records.
+ * @param {string} store_name store name.
+ * @param {!Array.<IDBKey>} keys primary keys of read records.
+ */
+ydn.db.crud.QuotaTracker.prototype.touch = function(store_name, keys) {
+  if (keys.length == 0) {
+    return;
+  }
+  var accessed = this.accessed_[store_name] || [];
+  this.accessed_[store_name] = goog.array.concat(accessed, keys);
+  if (goog.isNull(this.touch_timer_)) {
+    this.touch_timer_ = goog.Timer.callOnce(this.flushTouch_,
+        ydn.db.crud.QuotaTracker.TOUCH_DELAY, this);
+  }
+};
+
+
+/**
+ * Write access time of records read since last flush.
+ * @private
+ */
+ydn.db.crud.QuotaTracker.prototype.flushTouch_ = function() {
+  this.touch_timer_ = null;
+  var accessed = this.accessed_;
+  this.accessed_ = {};
+  if (!this.storage_.getType()) {
+    // storage closed.
+    return;
+  }
+  var meta_keys = [];
+  goog.object.forEach(accessed, function(keys, store_name) {
+    for (var i = 0; i < keys.length; i++) {
+      meta_keys.push(new ydn.db.Key(ydn.db.base.SN_QUOTA,
+          ydn.db.crud.QuotaTracker.metaId_(store_name, keys[i])));
+    }
+  });
+  this.enqueue_(function() {
+    var op = this.storage_.getCoreOperator();
+    return op.valuesInternal(meta_keys).addCallback(function(metas) {
+      var now = goog.now();
+      metas = goog.array.filter(metas, goog.isDefAndNotNull);
+      for (var i = 0; i < metas.length; i++) {
+        metas[i]['accessed'] = now;
+      }
+      return metas.length > 0 ?
+          op.dumpInternal(ydn.db.base.SN_QUOTA, metas) : null;
+    });
+  }).addErrback(function(e) {
+    goog.log.warning(this.logger, 'updating access time failed: ' + e);
+  }, this);
+};
+
+
+/**
+ * Evict records in the order of priority and access time.
+ * @param {?string} store_name store name, null for all tracked stores.
+ * @param {number} bytes size to free.
+ * @param {!Array.<string>} excluded serialized meta data keys of records not
+ * to evict.
+ * @return {!goog.async.Deferred} resolve to number of bytes freed.
+ * @private
+ */
+ydn.db.crud.QuotaTracker.prototype.evict_ = function(store_name, bytes,
+                                                     excluded) {
+  var op = this.storage_.getCoreOperator();
+  var size = ydn.db.crud.QuotaTracker.BATCH_SIZE;
+  var index_name = store_name ? 'store_evict' : 'evict';
+  var kr = store_name ? ydn.db.KeyRange.starts([store_name]) : null;
+  var keys = [];
+  var meta_keys = [];
+  var selected = 0;
+  var df = new goog.async.Deferred();
+  var next = function(offset) {
+    op.listInternal(ydn.db.base.SN_QUOTA, index_name, kr, false, size,
+        offset).addCallbacks(function(metas) {
+      for (var i = 0; i < metas.length && selected < bytes; i++) {
+        var id = metas[i]['id'];
+        if (goog.array.contains(excluded, ydn.json.stringify(id))) {
+          continue;
+        }
+        selected += metas[i]['size'];
+        keys.push(new ydn.db.Key(id[0], id[1]));
+        meta_keys.push(new ydn.db.Key(ydn.db.base.SN_QUOTA, id));
+      }
+      if (selected >= bytes || metas.length < size) {
+        df.callback(null);
+      } else {
+        next(offset + size);
+      }
+    }, function(e) {
+      df.errback(e);
+    });
+  };
+  next(0);
+  return df.addCallback(function() {
+    return this.removeMetas_(meta_keys, keys);
+  }, this).addCallback(function(freed) {
+    goog.log.fine(this.logger, keys.length + ' records of ' + freed +
+        ' bytes evicted from ' + (store_name || this.storage_.getName()));
+    if (freed < bytes) {
+      goog.log.warning(this.logger, 'only ' + freed + ' of ' + bytes +
+          ' bytes over quota can be evicted');
+    }
+    return freed;
+  }, this);
+};
+
+
+/**
+ * Evict records to free space for a write rejected by the storage mechanism.
+ * @param {number} bytes size to free.
+ * @return {!goog.async.Deferred} resolve to number of bytes freed.
+ */
+ydn.db.crud.QuotaTracker.prototype.free = function(bytes) {
+  return this.enqueue_(function() {
+    return this.evict_(null, bytes, []);
+  });
+};
+
+
+/**
+ * Get total size of tracked records.
+ * @param {string=} opt_store_name store name. If not given, size of all
+ * tracked stores is returned.
+ * @return {!goog.async.Deferred} resolve to size in bytes.
+ */
+ydn.db.crud.QuotaTracker.prototype.getUsage = function(opt_store_name) {
+  return this.enqueue_(function() {
+    var usage = goog.isDef(opt_store_name) ?
+        this.usage_[opt_store_name] || 0 : this.total_();
+    return goog.async.Deferred.succeed(usage);
+  });
+};
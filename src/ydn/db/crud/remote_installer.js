@@ -0,0 +1,39 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Install change channel for `remoteEvents` option.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.remote');
+goog.require('ydn.db.crud.ChangeChannel');
+goog.require('ydn.db.crud.Storage');
+
+
+/**
+ * @type {ydn.db.crud.ChangeChannel}
+ * @private
+ */
+ydn.db.crud.Storage.prototype.change_channel_ = null;
+
+
+/**
+ * @override
+ */
+ydn.db.crud.Storage.prototype.addChangeChannel = function() {
+  if (!this.change_channel_) {
+    this.change_channel_ = new ydn.db.crud.ChangeChannel(this);
+  }
+};
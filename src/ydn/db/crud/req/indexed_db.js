@@ -39,7 +39,7 @@ goog.require('ydn.json');
  * @struct
  */
 ydn.db.crud.req.IndexedDb = function(dbname, schema) {
-  goog.base(this, dbname, schema);
+  goog.base(this, dbname, schema, ydn.db.base.Mechanisms.IDB);
 };
 goog.inherits(ydn.db.crud.req.IndexedDb, ydn.db.crud.req.RequestExecutor);
 
@@ -97,7 +97,7 @@ ydn.db.crud.req.IndexedDb.prototype.countStores = function(req, stores) {
         goog.global.console.log(event);
       }
       event.preventDefault();
-      req.setDbValue(request.error, true);
+      req.setDbValue(me.toError(req, request.error, table), true);
     };
   };
 
@@ -195,7 +195,9 @@ ydn.db.crud.req.IndexedDb.prototype.insertObjects = function(rq, is_replace,
       // accessing request.error can cause InvalidStateError,
       // although it is not possible here since request has already done flag.
       // http://www.w3.org/TR/IndexedDB/#widl-IDBRequest-error
-      results[i] = error;
+      var key = me.schema.getStore(store_name).extractKey(obj,
+          opt_keys ? opt_keys[i] : undefined);
+      results[i] = me.toError(rq, error, store_name, key);
       has_error = true;
       event.preventDefault(); // not abort the transaction.
       if (result_count == objs.length) {
@@ -285,7 +287,7 @@ ydn.db.crud.req.IndexedDb.prototype.putByKeys = function(rq, objs,
             ydn.json.toShortString(objs[i]) + '" at index ' +
             i + ' of ' + objs.length + ' objects.');
       }
-      results[i] = request.error;
+      results[i] = me.toError(rq, request.error, store_name, key.getId());
       has_error = true;
       event.preventDefault();
       if (result_count == objs.length) {
@@ -428,7 +430,7 @@ ydn.db.crud.req.IndexedDb.prototype.removeById = function(req,
         req.setDbValue(1);
       };
       r.onerror = function(e) {
-        req.setDbValue(r.error, true);
+        req.setDbValue(me.toError(req, r.error, store_name, key), true);
       };
     } else {
       req.setDbValue(0);
@@ -439,7 +441,7 @@ ydn.db.crud.req.IndexedDb.prototype.removeById = function(req,
       goog.global.console.log([store_name, key, event]);
     }
     event.preventDefault();
-    req.setDbValue(request.error, true);
+    req.setDbValue(me.toError(req, request.error, store_name, key), true);
   };
 
 };
@@ -462,7 +464,7 @@ ydn.db.crud.req.IndexedDb.prototype.removeByKeys = function(req, keys) {
     if (i >= keys.length) {
       var has_failed = errors.length > 0;
       if (has_failed) {
-        req.setDbValue(errors, true);
+        req.setDbValue(me.toRemovalError(errors), true);
       } else {
         req.setDbValue(count);
       }
@@ -485,7 +487,8 @@ ydn.db.crud.req.IndexedDb.prototype.removeByKeys = function(req, keys) {
         };
         r.onerror = function(event) {
           event.preventDefault();
-          errors[i] = r.error;
+          errors.push(me.toError(req, r.error, store_name,
+              keys[i].getId()));
           removeAt(i);
         };
       } else {
@@ -497,7 +500,8 @@ ydn.db.crud.req.IndexedDb.prototype.removeByKeys = function(req, keys) {
         goog.global.console.log([store_name, key, event]);
       }
       event.preventDefault();
-      req.setDbValue(request.error, true);
+      req.setDbValue(me.toError(req, request.error, store_name,
+          keys[i].getId()), true);
     };
 
   };
@@ -526,7 +530,7 @@ ydn.db.crud.req.IndexedDb.prototype.removeByKeyRange = function(
       req.setDbValue(n);
     };
     r.onerror = function(e) {
-      req.setDbValue(r.error, true);
+      req.setDbValue(me.toError(req, r.error, store_name), true);
     };
   };
   request.onerror = function(event) {
@@ -534,7 +538,7 @@ ydn.db.crud.req.IndexedDb.prototype.removeByKeyRange = function(
       goog.global.console.log([store_name, key_range, event]);
     }
     event.preventDefault();
-    req.setDbValue(request.error, true);
+    req.setDbValue(me.toError(req, request.error, store_name), true);
   };
 
 };
@@ -558,7 +562,7 @@ ydn.db.crud.req.IndexedDb.prototype.clearByKeyRange = function(
   };
   r.onerror = function(event) {
     event.preventDefault();
-    req.setDbValue(r.error, true);
+    req.setDbValue(me.toError(req, r.error, store_name), true);
   };
 
 };
@@ -594,14 +598,15 @@ ydn.db.crud.req.IndexedDb.prototype.removeByIndexKeyRange = function(
         cursor['continue']();
       };
       r.onerror = function(event) {
-        errors.push(r.error);
+        errors.push(me.toError(req, r.error, store_name,
+            cursor.primaryKey));
         event.preventDefault();
         cursor['continue']();
       };
     } else {
       var has_failed = errors.length > 0;
       if (has_failed) {
-        req.setDbValue(errors, true);
+        req.setDbValue(me.toRemovalError(errors), true);
       } else {
         req.setDbValue(n);
       }
@@ -610,7 +615,7 @@ ydn.db.crud.req.IndexedDb.prototype.removeByIndexKeyRange = function(
   };
   request.onerror = function(event) {
     event.preventDefault();
-    req.setDbValue(request.error, true);
+    req.setDbValue(me.toError(req, request.error, store_name), true);
   };
 
 };
@@ -646,7 +651,8 @@ ydn.db.crud.req.IndexedDb.prototype.clearByStores = function(req, store_names) {
       }
       event.preventDefault();
       if (n_done == n_todo) {
-        req.setDbValue(request.error, true);
+        req.setDbValue(me.toError(req, event.target.error,
+            event.target.source.name), true);
       }
     };
   }
@@ -706,7 +712,7 @@ ydn.db.crud.req.IndexedDb.prototype.getById = function(req, store_name, id) {
     //goog.log.warning(me.logger, 'Error retrieving ' + id + ' in ' + store_name + ' ' +
     // event.message);
     event.preventDefault();
-    req.setDbValue(request.error, true);
+    req.setDbValue(me.toError(req, request.error, store_name, id), true);
   };
 };
 
@@ -780,7 +786,7 @@ ydn.db.crud.req.IndexedDb.prototype.listByIds = function(req,
         goog.global.console.log([store_name, ids, i, event]);
       }
       event.preventDefault();
-      req.setDbValue(request.error, true);
+      req.setDbValue(me.toError(req, request.error, store_name, ids[i]), true);
     };
 
   };
@@ -841,7 +847,8 @@ ydn.db.crud.req.IndexedDb.prototype.listByKeys = function(req, keys) {
         goog.global.console.log([keys, event]);
       }
       event.preventDefault();
-      req.setDbValue(request.error, true);
+      req.setDbValue(me.toError(req, request.error, key.getStoreName(),
+          key.getId()), true);
     };
 
   };
@@ -902,7 +909,7 @@ ydn.db.crud.req.IndexedDb.prototype.countKeyRange = function(req,
       goog.global.console.log(event);
     }
     event.preventDefault();
-    req.setDbValue(request.error, true);
+    req.setDbValue(me.toError(req, request.error, table), true);
   };
 
 };
@@ -923,6 +930,9 @@ ydn.db.crud.req.IndexedDb.USE_ALL_QUERY = true;
  * @private
  */
 ydn.db.crud.req.IndexedDb.prototype.getAll_ = function(req, index, kr, limit) {
+  var me = this;
+  var store_name = index.objectStore ? index.objectStore.name :
+      index.name;
   var request = index['getAll'](kr, limit);
   request.onsuccess = function(event) {
     req.setDbValue(event.target.result);
@@ -932,7 +942,7 @@ ydn.db.crud.req.IndexedDb.prototype.getAll_ = function(req, index, kr, limit) {
       goog.global.console.log(event);
     }
     event.preventDefault();
-    req.setDbValue(request.error, true);
+    req.setDbValue(me.toError(req, request.error, store_name), true);
   };
 };
 
@@ -946,6 +956,9 @@ ydn.db.crud.req.IndexedDb.prototype.getAll_ = function(req, index, kr, limit) {
  * @private
  */
 ydn.db.crud.req.IndexedDb.prototype.getAllKeys_ = function(req, index, kr, limit) {
+  var me = this;
+  var store_name = index.objectStore ? index.objectStore.name :
+      index.name;
   var request = index['getAllKeys'](kr, limit);
   request.onsuccess = function(event) {
     req.setDbValue(event.target.result);
@@ -955,7 +968,7 @@ ydn.db.crud.req.IndexedDb.prototype.getAllKeys_ = function(req, index, kr, limit
       goog.global.console.log(event);
     }
     event.preventDefault();
-    req.setDbValue(request.error, true);
+    req.setDbValue(me.toError(req, request.error, store_name), true);
   };
 };
 
@@ -966,6 +979,7 @@ ydn.db.crud.req.IndexedDb.prototype.getAllKeys_ = function(req, index, kr, limit
 ydn.db.crud.req.IndexedDb.prototype.list = function(req, type,
     store_name, index, key_range, limit, offset, reverse, unique,
     opt_position) {
+  var me = this;
   var results = [];
   var store = req.getTx().objectStore(store_name);
   var dir = ydn.db.base.getDirection(reverse, unique);
@@ -1139,6 +1153,6 @@ ydn.db.crud.req.IndexedDb.prototype.list = function(req, type,
       goog.global.console.log([store_name, event]);
     }
     event.preventDefault();
-    req.setDbValue(request.error, true);
+    req.setDbValue(me.toError(req, request.error, store_name), true);
   };
 };
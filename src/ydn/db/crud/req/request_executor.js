@@ -28,16 +28,18 @@ goog.require('goog.async.Deferred');
 goog.require('goog.log');
 goog.require('ydn.db.InternalError');
 goog.require('ydn.db.Key');
+goog.require('ydn.db.error');
 
 
 
 /**
  * @param {string} dbname database name.
  * @param {!ydn.db.schema.Database} schema schema.
+ * @param {string} mechanism storage mechanism type.
  * @constructor
  * @struct
  */
-ydn.db.crud.req.RequestExecutor = function(dbname, schema) {
+ydn.db.crud.req.RequestExecutor = function(dbname, schema, mechanism) {
   /**
    * @final
    * @protected
@@ -50,6 +52,12 @@ ydn.db.crud.req.RequestExecutor = function(dbname, schema) {
    * @type {!ydn.db.schema.Database}
    */
   this.schema = schema;
+  /**
+   * @final
+   * @protected
+   * @type {string}
+   */
+  this.mechanism = mechanism;
 };
 
 
@@ -61,6 +69,64 @@ ydn.db.crud.req.RequestExecutor.prototype.logger =
     goog.log.getLogger('ydn.db.crud.req.RequestExecuto');
 
 
+/**
+ * Normalize failure of a request, so that errors are the same for all
+ * storage mechanisms.
+ * @param {ydn.db.Request} req request.
+ * @param {*} cause error of the request, or results of a batch request
+ * having errors for failed records.
+ * @param {string=} opt_store_name store name involved.
+ * @param {*=} opt_key key of the record, or keys of the records for batch
+ * results.
+ * @return {*} normalized error, or batch results with normalized errors.
+ * @protected
+ */
+ydn.db.crud.req.RequestExecutor.prototype.toError = function(req, cause,
+    opt_store_name, opt_key) {
+  var method = req.getMethod();
+  if (!goog.isArray(cause)) {
+    return ydn.db.error.normalize(cause, this.mechanism, method,
+        opt_store_name, opt_key);
+  }
+  var keys = goog.isArray(opt_key) ? opt_key : [];
+  for (var i = 0; i < cause.length; i++) {
+    if (ydn.db.error.isError(cause[i])) {
+      var key = keys[i] instanceof ydn.db.Key ? keys[i].getId() : keys[i];
+      var store_name = keys[i] instanceof ydn.db.Key ?
+          keys[i].getStoreName() : opt_store_name;
+      cause[i] = ydn.db.error.normalize(cause[i], this.mechanism, method,
+          store_name, key);
+    }
+  }
+  return cause;
+};
+
+
+/**
+ * Combine failures of records removed by a request into one error of the
+ * request. The error of the first failed record is reported, having the
+ * store name, key, code and message of every failed record in its
+ * `failures`.
+ * @param {!Array.<!Error>} errors normalized errors of failed records.
+ * @return {!Error} normalized error of the request.
+ * @protected
+ */
+ydn.db.crud.req.RequestExecutor.prototype.toRemovalError = function(errors) {
+  var failures = [];
+  for (var i = 0; i < errors.length; i++) {
+    failures.push({
+      'storeName': errors[i].storeName,
+      'key': errors[i].key,
+      'code': errors[i].code,
+      'message': errors[i].message
+    });
+  }
+  var e = errors[0];
+  e.failures = failures;
+  return e;
+};
+
+
 if (goog.DEBUG) {
   /**
    * @inheritDoc
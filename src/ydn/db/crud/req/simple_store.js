@@ -24,6 +24,7 @@ goog.provide('ydn.db.crud.req.SimpleStore');
 goog.require('goog.asserts');
 goog.require('goog.async.Deferred');
 goog.require('ydn.db.ConstraintError');
+goog.require('ydn.db.QuotaError');
 goog.require('ydn.db.con.simple.Store');
 goog.require('ydn.db.con.simple.TxStorage');
 goog.require('ydn.db.crud.req.IRequestExecutor');
@@ -35,12 +36,14 @@ goog.require('ydn.db.crud.req.RequestExecutor');
  * @extends {ydn.db.crud.req.RequestExecutor}
  * @param {string} dbname database name.
  * @param {!ydn.db.schema.Database} schema schema.
+ * @param {string=} opt_mechanism storage mechanism type.
  * @constructor
  * @implements {ydn.db.crud.req.IRequestExecutor}
  * @struct
  */
-ydn.db.crud.req.SimpleStore = function(dbname, schema) {
-  goog.base(this, dbname, schema);
+ydn.db.crud.req.SimpleStore = function(dbname, schema, opt_mechanism) {
+  goog.base(this, dbname, schema,
+      opt_mechanism || ydn.db.base.Mechanisms.MEMORY_STORAGE);
 };
 goog.inherits(ydn.db.crud.req.SimpleStore, ydn.db.crud.req.RequestExecutor);
 
@@ -102,13 +105,26 @@ ydn.db.crud.req.SimpleStore.prototype.insertObjects = function(req,
       store = storage.getSimpleStore(store_name);
       var key = /** @type {IDBKey|undefined} */ (opt_key ?
           opt_key[0] : undefined);
-      key = store.addRecord(key, value[0], !is_update);
-      if (goog.isDefAndNotNull(key)) {
+      var quota_error = null;
+      try {
+        key = store.addRecord(key, value[0], !is_update);
+      } catch (ex) {
+        if (!(ex instanceof ydn.db.QuotaError)) {
+          throw ex;
+        }
+        quota_error = ex;
+      }
+      var record_key = me.schema.getStore(store_name).extractKey(value[0],
+          opt_key ? opt_key[0] : undefined);
+      if (quota_error) {
+        req.setDbValue(me.toError(req, quota_error, store_name, record_key),
+            true);
+      } else if (goog.isDefAndNotNull(key)) {
         req.setDbValue(key);
       } else {
         var msg = goog.DEBUG ? ydn.json.toShortString(key) : '';
         var e = new ydn.db.ConstraintError(msg);
-        req.setDbValue(e, true);
+        req.setDbValue(me.toError(req, e, store_name, record_key), true);
       }
     } else {
       var st = store_name;
@@ -131,10 +147,21 @@ ydn.db.crud.req.SimpleStore.prototype.insertObjects = function(req,
           goog.asserts.assertString(st, 'store name a string, but ' + st);
           store = storage.getSimpleStore(st);
         }
-        var result_key = store.addRecord(id, value[i], !is_update);
+        try {
+          var result_key = store.addRecord(id, value[i], !is_update);
+        } catch (ex) {
+          if (!(ex instanceof ydn.db.QuotaError)) {
+            throw ex;
+          }
+          has_error = true;
+          arr.push(me.toError(req, ex, st,
+              me.schema.getStore(st).extractKey(value[i], id)));
+          continue;
+        }
         if (!goog.isDefAndNotNull(result_key)) {
           has_error = true;
-          arr.push(new ydn.db.ConstraintError());
+          arr.push(me.toError(req, new ydn.db.ConstraintError(), st,
+              me.schema.getStore(st).extractKey(value[i], id)));
         } else {
           arr.push(result_key);
         }
@@ -264,6 +291,7 @@ ydn.db.crud.req.SimpleStore.prototype.removeByKeys = function(req, keys) {
   var me = this;
   var store;
   var deleted = 0;
+  var errors = [];
   var onComp = req.getTx().getStorage(function(storage) {
     for (var i = 0; i < keys.length; i++) {
       var store_name = keys[i].getStoreName();
@@ -271,9 +299,17 @@ ydn.db.crud.req.SimpleStore.prototype.removeByKeys = function(req, keys) {
       if (!store || store.getName() != store_name) {
         store = storage.getSimpleStore(store_name);
       }
-      deleted += store.removeRecord(id);
+      try {
+        deleted += store.removeRecord(id);
+      } catch (ex) {
+        errors.push(me.toError(req, ex, store_name, id));
+      }
+    }
+    if (errors.length > 0) {
+      req.setDbValue(me.toRemovalError(errors), true);
+    } else {
+      req.setDbValue(deleted);
     }
-    req.setDbValue(deleted);
     onComp();
     onComp = null;
   }, this);
@@ -34,12 +34,14 @@ goog.require('ydn.json');
  * @extends {ydn.db.crud.req.RequestExecutor}
  * @param {string} dbname database name.
  * @param {!ydn.db.schema.Database} schema schema.
+ * @param {string=} opt_mechanism storage mechanism type.
  * @constructor
  * @implements {ydn.db.crud.req.IRequestExecutor}
  * @struct
  */
-ydn.db.crud.req.WebSql = function(dbname, schema) {
-  goog.base(this, dbname, schema);
+ydn.db.crud.req.WebSql = function(dbname, schema, opt_mechanism) {
+  goog.base(this, dbname, schema,
+      opt_mechanism || ydn.db.base.Mechanisms.WEBSQL);
 };
 goog.inherits(ydn.db.crud.req.WebSql, ydn.db.crud.req.RequestExecutor);
 
@@ -95,60 +97,7 @@ ydn.db.crud.req.WebSql.prototype.logger =
  * @return {!Object} parse value.
  */
 ydn.db.crud.req.WebSql.parseRow = function(row, store) {
-
-  if (store.isFixed() && !store.usedInlineKey() && store.countIndex() == 0 &&
-      row[ydn.db.base.DEFAULT_BLOB_COLUMN]) {
-    // check for blob or file
-    var s = row[ydn.db.base.DEFAULT_BLOB_COLUMN];
-    var BASE64_MARKER = ';base64,';
-    if (s.indexOf(BASE64_MARKER) == -1) {
-      return ydn.json.parse(s);
-    } else {
-      if (s.charAt(0) == '"' && s.charAt(s.length - 1) == '"') {
-        s = s.substr(1, s.length - 2);
-      }
-      var parts = s.split(BASE64_MARKER);
-      var contentType = parts[0].split(':')[1];
-      var raw = window.atob(parts[1]);
-      var rawLength = raw.length;
-
-      var uInt8Array = new Uint8Array(rawLength);
-
-      for (var i = 0; i < rawLength; ++i) {
-        uInt8Array[i] = raw.charCodeAt(i);
-      }
-
-      return new Blob([uInt8Array.buffer], {type: contentType});
-    }
-  }
-  var value = row[ydn.db.base.DEFAULT_BLOB_COLUMN] ?
-      ydn.json.parse(row[ydn.db.base.DEFAULT_BLOB_COLUMN]) : {};
-  if (goog.isDefAndNotNull(store.keyPath)) {
-    var key = ydn.db.schema.Index.sql2js(row[store.keyPath], store.getType());
-    if (goog.isDefAndNotNull(key)) {
-      store.setKeyValue(value, key);
-    }
-  }
-
-  for (var j = 0; j < store.countIndex(); j++) {
-    var index = store.index(j);
-    var column_name = index.getSQLIndexColumnName();
-    if (column_name == ydn.db.base.DEFAULT_BLOB_COLUMN ||
-        index.isComposite() || index.isMultiEntry()) {
-      continue;
-    }
-    if (index.getType() == ydn.db.schema.DataType.DATE ||
-        store.isFixed()) { // fixed schema does not stored data in default blob
-      // in JSON serialization, date lost type.
-      var x = row[column_name];
-      var v = ydn.db.schema.Index.sql2js(x, index.getType());
-      if (goog.isDef(v)) {
-        index.applyValue(value, v);
-      }
-    }
-  }
-
-  return value;
+  return store.parseRow(row);
 };
 
 
@@ -255,7 +204,8 @@ ydn.db.crud.req.WebSql.prototype.insertObjects = function(
       if (results.rowsAffected < 1) { // catch for no-op
         // assuming index constraint no op
         has_error = true;
-        key = new ydn.db.ConstraintError(key + ' no-op');
+        key = me.toError(req, new ydn.db.ConstraintError(key + ' no-op'),
+            store_name, key);
       }
 
       /**
@@ -339,9 +289,9 @@ ydn.db.crud.req.WebSql.prototype.insertObjects = function(
         goog.log.warning(me.logger, 'error: ' + error.message + ' ' + msg);
       }
       if (single) {
-        req.setDbValue(error, true);
+        req.setDbValue(me.toError(req, error, store_name, out.key), true);
       } else {
-        result_keys[i] = error;
+        result_keys[i] = me.toError(req, error, store_name, out.key);
         if (result_count == objects.length) {
           goog.log.finest(me.logger,  'success ' + msg); // still success message ?
           req.setDbValue(result_keys, has_error);
@@ -419,6 +369,9 @@ ydn.db.crud.req.WebSql.prototype.putByKeys = function(rq, objs, keys) {
         rq.setDbValue(results);
       }
     }, function(e) {
+      for (var i = 0; i < idx.length; i++) {
+        results[idx[i]] = goog.isArray(e) ? e[i] : e;
+      }
       count++;
       if (count == total) {
         rq.setDbValue(results, true);
@@ -513,7 +466,7 @@ ydn.db.crud.req.WebSql.prototype.getById = function(req, table_name, id) {
       goog.global.console.log([tr, error]);
     }
     goog.log.warning(me.logger, 'error: ' + msg + ' ' + error.message);
-    req.setDbValue(error, true);
+    req.setDbValue(me.toError(req, error, table_name, id), true);
     return false;
   };
 
@@ -670,7 +623,8 @@ ydn.db.crud.req.WebSql.prototype.listByKeys = function(req, keys) {
       if (ydn.db.crud.req.WebSql.DEBUG) {
         goog.global.console.log([tr, error]);
       }
-      req.setDbValue(error, true);
+      req.setDbValue(me.toError(req, error, table_name, key.getId()),
+          true);
       return false;
     };
 
@@ -734,7 +688,7 @@ ydn.db.crud.req.WebSql.prototype.clearByStores = function(req, store_names) {
       if (ydn.db.crud.req.WebSql.DEBUG) {
         goog.global.console.log([tr, error]);
       }
-      req.setDbValue(error, true);
+      req.setDbValue(me.toError(req, error, store_names[i]), true);
       return false;
     };
 
@@ -780,7 +734,7 @@ ydn.db.crud.req.WebSql.prototype.removeByKeys = function(req, keys) {
   var tx = req.getTx();
   var me = this;
   var count = 0;
-  var has_failed = false;
+  var errors = [];
   var store_name, store, key;
   var msg = req.getLabel() + ' removeByKeys: ' + keys.length + ' keys';
   goog.log.finest(this.logger, msg);
@@ -788,13 +742,18 @@ ydn.db.crud.req.WebSql.prototype.removeByKeys = function(req, keys) {
   var removeAt = function(i) {
 
     if (i >= keys.length) {
-      req.setDbValue(count, has_failed);
+      if (errors.length > 0) {
+        req.setDbValue(me.toRemovalError(errors), true);
+      } else {
+        req.setDbValue(count);
+      }
       return;
     }
 
-    var store = me.schema.getStore(keys[i].getStoreName());
+    var db_key = keys[i];
+    var store = me.schema.getStore(db_key.getStoreName());
 
-    var key = ydn.db.schema.Index.js2sql(keys[i].getId(), store.getType());
+    var key = ydn.db.schema.Index.js2sql(db_key.getId(), store.getType());
 
     /**
      * @param {SQLTransaction} transaction transaction.
@@ -818,7 +777,8 @@ ydn.db.crud.req.WebSql.prototype.removeByKeys = function(req, keys) {
         goog.global.console.log([tr, error]);
       }
       goog.log.warning(me.logger, 'error: ' + i_msg + error.message);
-      has_failed = true;
+      errors.push(me.toError(req, error, db_key.getStoreName(),
+          db_key.getId()));
       removeAt(i);
       return false;
     };
@@ -890,7 +850,7 @@ ydn.db.crud.req.WebSql.prototype.removeById = function(req, table, id) {
     if (ydn.db.crud.req.WebSql.DEBUG) {
       goog.global.console.log([tr, error]);
     }
-    req.setDbValue(error, true);
+    req.setDbValue(me.toError(req, error, table, id), true);
     return false; // not rollback yet.
   };
 
@@ -1003,7 +963,7 @@ ydn.db.crud.req.WebSql.prototype.clear_by_key_range_ = function(req,
       goog.global.console.log([tr, error]);
     }
     goog.log.warning(me.logger, 'error: ' + msg + error.message);
-    req.setDbValue(error, true);
+    req.setDbValue(me.toError(req, error, store_name), true);
     return false;
   };
 
@@ -1077,7 +1037,7 @@ ydn.db.crud.req.WebSql.prototype.countStores = function(req, tables) {
       if (ydn.db.crud.req.WebSql.DEBUG) {
         goog.global.console.log([tr, error]);
       }
-      req.setDbValue(error, true);
+      req.setDbValue(me.toError(req, error, table), true);
       return false;
     };
 
@@ -1133,7 +1093,7 @@ ydn.db.crud.req.WebSql.prototype.countKeyRange = function(req, table,
     if (ydn.db.crud.req.WebSql.DEBUG) {
       goog.global.console.log([sql, error]);
     }
-    req.setDbValue(error, true);
+    req.setDbValue(me.toError(req, error, table), true);
     return false;
   };
 
@@ -1237,7 +1197,7 @@ ydn.db.crud.req.WebSql.prototype.list = function(req, mth, store_name,
       goog.global.console.log([tr, error]);
     }
     goog.log.warning(me.logger, 'error: ' + msg + error.message);
-    req.setDbValue(error, true);
+    req.setDbValue(me.toError(req, error, store_name), true);
     return false;
   };
 
@@ -0,0 +1,267 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Portable database snapshot format.
+ *
+ * A snapshot in `json` format is a single JSON object:
+ * <pre>
+ *   {"format": "ydn-db", "version": 1, "schema": {...},
+ *    "records": {"store name": [{"key": key, "value": value}, ...], ...}}
+ * </pre>
+ * A snapshot in `ndjson` format is the header object, without `records`, in
+ * the first line, followed by one record per line:
+ * <pre>
+ *   {"store": "store name", "key": key, "value": value}
+ * </pre>
+ * Date and Blob in keys and values are written as tagged objects, such as
+ * `{"$type": "Date", "value": 1370000000000}`. Blobs are written as data
+ * URL. An object having its own `$type` attribute is tagged as `Object`.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.snapshot');
+goog.require('goog.async.Deferred');
+goog.require('goog.async.DeferredList');
+goog.require('goog.string');
+goog.require('ydn.debug.error.ArgumentException');
+goog.require('ydn.json');
+
+
+/**
+ * Snapshot format name.
+ * @const
+ * @type {string}
+ */
+ydn.db.crud.snapshot.FORMAT = 'ydn-db';
+
+
+/**
+ * Snapshot format version.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.snapshot.VERSION = 1;
+
+
+/**
+ * Attribute name of tagged values.
+ * @const
+ * @type {string}
+ */
+ydn.db.crud.snapshot.TYPE = '$type';
+
+
+/**
+ * Snapshot content.
+ * @typedef {{
+ *   schema: !DatabaseSchema,
+ *   records: !Object.<!Array.<!Object>>
+ * }}
+ */
+ydn.db.crud.snapshot.Content;
+
+
+/**
+ * Encode Date and Blob into tagged objects.
+ * @param {*} value key or record value.
+ * @param {!Array.<!Object>} blobs collect tagged blobs, whose values are to
+ * be read by {@link ydn.db.crud.snapshot.readBlobs}.
+ * @return {*} JSON compatible value.
+ */
+ydn.db.crud.snapshot.encode = function(value, blobs) {
+  var TYPE = ydn.db.crud.snapshot.TYPE;
+  var tagged = {};
+  if (value instanceof Date) {
+    tagged[TYPE] = 'Date';
+    tagged['value'] = value.getTime();
+    return tagged;
+  } else if (goog.isDef(goog.global['Blob']) && value instanceof Blob) {
+    tagged[TYPE] = 'Blob';
+    tagged['value'] = value;
+    blobs.push(tagged);
+    return tagged;
+  } else if (goog.isArray(value)) {
+    var arr = [];
+    for (var i = 0; i < value.length; i++) {
+      arr[i] = ydn.db.crud.snapshot.encode(value[i], blobs);
+    }
+    return arr;
+  } else if (goog.isObject(value) && !goog.isFunction(value)) {
+    var obj = {};
+    for (var name in value) {
+      if (value.hasOwnProperty(name)) {
+        obj[name] = ydn.db.crud.snapshot.encode(value[name], blobs);
+      }
+    }
+    if (obj.hasOwnProperty(TYPE)) {
+      tagged[TYPE] = 'Object';
+      tagged['value'] = obj;
+      return tagged;
+    }
+    return obj;
+  }
+  return value;
+};
+
+
+/**
+ * Replace blobs of tagged objects by their data URL.
+ * @param {!Array.<!Object>} blobs tagged blobs.
+ * @return {!goog.async.Deferred} resolve when all blobs are read.
+ */
+ydn.db.crud.snapshot.readBlobs = function(blobs) {
+  var dfs = [];
+  for (var i = 0; i < blobs.length; i++) {
+    dfs.push(ydn.db.crud.snapshot.readBlob_(blobs[i]));
+  }
+  return goog.async.DeferredList.gatherResults(dfs);
+};
+
+
+/**
+ * @param {!Object} tagged tagged blob.
+ * @return {!goog.async.Deferred} resolve when the blob is read.
+ * @private
+ */
+ydn.db.crud.snapshot.readBlob_ = function(tagged) {
+  var df = new goog.async.Deferred();
+  var fr = new FileReader();
+  fr.onload = function(e) {
+    tagged['value'] = e.target.result;
+    df.callback(null);
+  };
+  fr.onerror = function(e) {
+    df.errback(fr.error);
+  };
+  fr.readAsDataURL(/** @type {!Blob} */ (tagged['value']));
+  return df;
+};
+
+
+/**
+ * Decode tagged objects back to Date and Blob.
+ * @param {*} value JSON value.
+ * @return {*} key or record value.
+ */
+ydn.db.crud.snapshot.decode = function(value) {
+  if (goog.isArray(value)) {
+    var arr = [];
+    for (var i = 0; i < value.length; i++) {
+      arr[i] = ydn.db.crud.snapshot.decode(value[i]);
+    }
+    return arr;
+  } else if (goog.isObject(value)) {
+    var type = value[ydn.db.crud.snapshot.TYPE];
+    if (type == 'Date') {
+      return new Date(value['value']);
+    } else if (type == 'Blob') {
+      return ydn.db.crud.snapshot.toBlob_(value['value']);
+    } else if (type == 'Object') {
+      value = value['value'];
+    }
+    var obj = {};
+    for (var name in value) {
+      if (value.hasOwnProperty(name)) {
+        obj[name] = ydn.db.crud.snapshot.decode(value[name]);
+      }
+    }
+    return obj;
+  }
+  return value;
+};
+
+
+/**
+ * @param {string} url base64 data URL.
+ * @return {!Blob} blob.
+ * @private
+ */
+ydn.db.crud.snapshot.toBlob_ = function(url) {
+  var parts = url.split(';base64,');
+  var contentType = parts[0].split(':')[1];
+  var raw = goog.global.atob(parts[1] || '');
+  var uInt8Array = new Uint8Array(raw.length);
+  for (var i = 0; i < raw.length; ++i) {
+    uInt8Array[i] = raw.charCodeAt(i);
+  }
+  return new Blob([uInt8Array.buffer], {type: contentType});
+};
+
+
+/**
+ * Create snapshot header.
+ * @param {!DatabaseSchema} schema database schema.
+ * @return {!Object} header.
+ */
+ydn.db.crud.snapshot.header = function(schema) {
+  return {
+    'format': ydn.db.crud.snapshot.FORMAT,
+    'version': ydn.db.crud.snapshot.VERSION,
+    'schema': schema
+  };
+};
+
+
+/**
+ * Parse a snapshot in `json` or `ndjson` format.
+ * @param {string|!Object} snapshot snapshot text or parsed `json` snapshot.
+ * @return {!ydn.db.crud.snapshot.Content} schema and encoded records by store
+ * name.
+ * @throws {ydn.debug.error.ArgumentException} if not a valid snapshot.
+ */
+ydn.db.crud.snapshot.parse = function(snapshot) {
+  var header = snapshot;
+  var records;
+  if (goog.isString(snapshot)) {
+    var lines = goog.string.trim(snapshot).split('\n');
+    try {
+      header = ydn.json.parse(lines[0]);
+      if (lines.length == 1) {
+        records = header['records'];
+      } else {
+        records = {};
+        for (var i = 1; i < lines.length; i++) {
+          if (goog.string.isEmpty(lines[i])) {
+            continue;
+          }
+          var entry = ydn.json.parse(lines[i]);
+          var store_name = entry['store'];
+          if (!records[store_name]) {
+            records[store_name] = [];
+          }
+          records[store_name].push(entry);
+        }
+      }
+    } catch (e) {
+      throw new ydn.debug.error.ArgumentException('invalid snapshot: ' +
+          e.message);
+    }
+  } else {
+    records = snapshot['records'];
+  }
+  if (!goog.isObject(header) ||
+      header['format'] != ydn.db.crud.snapshot.FORMAT ||
+      !goog.isObject(header['schema'])) {
+    throw new ydn.debug.error.ArgumentException('not a ydn-db snapshot');
+  }
+  if (header['version'] > ydn.db.crud.snapshot.VERSION) {
+    throw new ydn.debug.error.ArgumentException('snapshot version ' +
+        header['version'] + ' is not supported');
+  }
+  return {
+    schema: /** @type {!DatabaseSchema} */ (header['schema']),
+    records: records || {}
+  };
+};
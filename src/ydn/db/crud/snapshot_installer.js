@@ -0,0 +1,246 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Export and import database snapshot.
+ *
+ * Stores are read and written in batches of SNAPSHOT_BATCH_SIZE records, each
+ * batch in a separate transaction. Since the snapshot is not taken in one
+ * transaction, records written during export may or may not be in the
+ * snapshot.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.snapshot');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.string');
+goog.require('ydn.db.Key');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.crud.snapshot');
+goog.require('ydn.debug.error.ArgumentException');
+goog.require('ydn.json');
+
+
+/**
+ * Number of records read or written in a transaction.
+ * @const
+ * @type {number}
+ */
+ydn.db.crud.Storage.SNAPSHOT_BATCH_SIZE = 100;
+
+
+/**
+ * Export stores and their schema into a snapshot, which can be imported by
+ * {@link #importDatabase} to a database of any storage mechanism.
+ * @param {Object=} opt_options `stores` to export, default to
+ * all stores except internal stores; `format` is either 'json' (default) or
+ * 'ndjson'.
+ * @return {!goog.async.Deferred} resolve to snapshot text.
+ */
+ydn.db.crud.Storage.prototype.exportDatabase = function(opt_options) {
+  var options = opt_options || {};
+  var format = options['format'] || 'json';
+  if (format != 'json' && format != 'ndjson') {
+    throw new ydn.debug.error.ArgumentException('unknown snapshot format "' +
+        format + '"');
+  }
+  var store_names = options['stores'] ||
+      goog.array.filter(this.schema.getStoreNames(), function(name) {
+        return !goog.string.startsWith(name, '_ydn_');
+      });
+  var schema = /** @type {!DatabaseSchema} */ (this.schema.toJSON());
+  schema.stores = [];
+  for (var i = 0; i < store_names.length; i++) {
+    var store = this.schema.getStore(store_names[i]);
+    if (!store) {
+      throw new ydn.debug.error.ArgumentException('store "' + store_names[i] +
+          '" not found');
+    }
+    schema.stores.push(/** @type {!StoreSchema} */ (store.toJSON()));
+  }
+
+  var header = ydn.db.crud.snapshot.header(schema);
+  var records = {};
+  var df = goog.async.Deferred.succeed();
+  goog.array.forEach(store_names, function(store_name) {
+    df.addCallback(function() {
+      return this.exportStore_(store_name).addCallback(function(entries) {
+        records[store_name] = entries;
+      });
+    }, this);
+  }, this);
+  return df.addCallback(function() {
+    if (format == 'json') {
+      header['records'] = records;
+      return ydn.json.stringify(header);
+    }
+    var lines = [ydn.json.stringify(header)];
+    for (var i = 0; i < store_names.length; i++) {
+      var entries = records[store_names[i]];
+      for (var j = 0; j < entries.length; j++) {
+        entries[j]['store'] = store_names[i];
+        lines.push(ydn.json.stringify(entries[j]));
+      }
+    }
+    return lines.join('\n');
+  });
+};
+
+
+/**
+ * Read all records of a store in batches.
+ * @param {string} store_name store name.
+ * @return {!goog.async.Deferred} resolve to list of encoded entries.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.exportStore_ = function(store_name) {
+  var op = this.getCoreOperator();
+  var size = ydn.db.crud.Storage.SNAPSHOT_BATCH_SIZE;
+  var df = new goog.async.Deferred();
+  var entries = [];
+  var blobs = [];
+  var onError = function(e) {
+    df.errback(e);
+  };
+  var next = function(kr) {
+    op.keysInternal(store_name, null, kr, size, 0, false, false).addCallbacks(
+        function(keys) {
+          var db_keys = goog.array.map(keys, function(key) {
+            return new ydn.db.Key(store_name, key);
+          });
+          op.valuesInternal(db_keys).addCallbacks(function(values) {
+            for (var i = 0; i < keys.length; i++) {
+              if (goog.isDef(values[i])) { // removed in between
+                entries.push({
+                  'key': ydn.db.crud.snapshot.encode(keys[i], blobs),
+                  'value': ydn.db.crud.snapshot.encode(values[i], blobs)
+                });
+              }
+            }
+            if (keys.length < size) {
+              ydn.db.crud.snapshot.readBlobs(blobs).addCallbacks(function() {
+                df.callback(entries);
+              }, onError);
+            } else {
+              next(ydn.db.KeyRange.parseIDBKeyRange(
+                  ydn.db.KeyRange.lowerBound(keys[keys.length - 1], true)));
+            }
+          }, onError);
+        }, onError);
+  };
+  next(null);
+  return df;
+};
+
+
+/**
+ * Import a snapshot created by {@link #exportDatabase}. Missing stores and
+ * indexes are created, which is possible only in auto schema mode.
+ * @param {string|!Object} snapshot snapshot text in 'json' or 'ndjson'
+ * format, or parsed 'json' snapshot.
+ * @param {Object=} opt_options `stores` to import, default to
+ * all stores in the snapshot; `mode` is either 'merge' (default), which
+ * overwrites records of the same keys, or 'replace', which clears the stores
+ * before loading.
+ * @return {!goog.async.Deferred} resolve to number of imported records.
+ */
+ydn.db.crud.Storage.prototype.importDatabase = function(snapshot,
+                                                        opt_options) {
+  var options = opt_options || {};
+  var mode = options['mode'] || 'merge';
+  if (mode != 'merge' && mode != 'replace') {
+    throw new ydn.debug.error.ArgumentException('unknown import mode "' +
+        mode + '"');
+  }
+  var content = ydn.db.crud.snapshot.parse(snapshot);
+  var stores = content.schema.stores || [];
+  if (options['stores']) {
+    stores = goog.array.filter(stores, function(store) {
+      return goog.array.contains(options['stores'], store.name);
+    });
+  }
+  var count = 0;
+  var df = goog.async.Deferred.succeed();
+  goog.array.forEach(stores, function(store) {
+    df.addCallback(function() {
+      return this.importStoreSchema_(store);
+    }, this);
+  }, this);
+  goog.array.forEach(stores, function(store) {
+    var entries = content.records[store.name] || [];
+    count += entries.length;
+    df.addCallback(function() {
+      return this.importStore_(store.name, entries, mode == 'replace');
+    }, this);
+  }, this);
+  return df.addCallback(function() {
+    return count;
+  });
+};
+
+
+/**
+ * Create a store or add indexes of the store, if missing.
+ * @param {!StoreSchema} store_schema store schema in the snapshot.
+ * @return {!goog.async.Deferred} resolve when the schema is updated.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.importStoreSchema_ = function(store_schema) {
+  var store = this.schema.getStore(store_schema.name);
+  if (!store) {
+    return this.addStoreSchema(store_schema);
+  }
+  var missing = goog.array.filter(store_schema.indexes || [], function(index) {
+    return !store.hasIndex(index.name);
+  });
+  if (missing.length == 0) {
+    return goog.async.Deferred.succeed(false);
+  }
+  var json = /** @type {!StoreSchema} */ (store.toJSON());
+  json.indexes = json.indexes.concat(missing);
+  return this.addStoreSchema(json);
+};
+
+
+/**
+ * Write records into a store in batches.
+ * @param {string} store_name store name.
+ * @param {!Array.<!Object>} entries encoded entries.
+ * @param {boolean} clear clear the store before writing.
+ * @return {!goog.async.Deferred} resolve when all records are written.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.importStore_ = function(store_name, entries,
+                                                      clear) {
+  var op = this.getCoreOperator();
+  var in_line = this.schema.getStore(store_name).usedInlineKey();
+  var size = ydn.db.crud.Storage.SNAPSHOT_BATCH_SIZE;
+  var df = clear ? op.removeInternal(store_name) :
+      goog.async.Deferred.succeed();
+  for (var i = 0; i < entries.length; i += size) {
+    var batch = entries.slice(i, i + size);
+    var keys = in_line ? undefined : goog.array.map(batch, function(entry) {
+      return ydn.db.crud.snapshot.decode(entry['key']);
+    });
+    var values = goog.array.map(batch, function(entry) {
+      return ydn.db.crud.snapshot.decode(entry['value']);
+    });
+    df.addCallback(goog.partial(function(values, keys) {
+      return op.dumpInternal(store_name, values, keys);
+    }, values, keys));
+  }
+  return df;
+};
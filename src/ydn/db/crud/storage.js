@@ -21,13 +21,17 @@
  */
 
 goog.provide('ydn.db.crud.Storage');
+goog.require('goog.array');
 goog.require('goog.async.DeferredList');
+goog.require('goog.object');
 goog.require('ydn.db.crud.DbOperator');
 goog.require('ydn.db.crud.IOperator');
 goog.require('ydn.db.crud.req.IRequestExecutor');
 goog.require('ydn.db.events.RecordEvent');
 goog.require('ydn.db.events.StoreEvent');
+goog.require('ydn.db.schema.Store');
 goog.require('ydn.db.tr.Storage');
+goog.require('ydn.debug.error.ArgumentException');
 goog.require('ydn.object');
 
 
@@ -258,6 +262,55 @@ ydn.db.crud.Storage.prototype.remove = function(arg1, arg2, arg3) {
 };
 
 
+/**
+ * Register record hooks to a store. `before` hook is invoked with record
+ * value, primary key and method name before the record is written. It may
+ * return a modified record value, or a promise resolving to the record
+ * value. If it throws or returns a rejected promise, the request fails and
+ * nothing is written. If any `before` hook returns a promise, the request is
+ * issued after the promise is resolved. `after` hook is invoked with the
+ * same arguments once the transaction of the write is committed.
+ *
+ * For removing and clearing, record value is undefined and primary key is
+ * the key range, or null for clearing all records, of the request.
+ * @param {string} store_name store name.
+ * @param {!DbRecordHooks} hooks `before` and `after` hook functions.
+ * @param {DbRecordHookOptions=} opt_options hook options. Default to hooking
+ * all methods.
+ */
+ydn.db.crud.Storage.prototype.addHook = function(store_name, hooks,
+                                                 opt_options) {
+  var store = this.schema.getStore(store_name);
+  if (!store) {
+    throw new ydn.debug.error.ArgumentException('store "' + store_name +
+        '" not found.');
+  }
+  var before = hooks['before'];
+  var after = hooks['after'];
+  if ((goog.isDefAndNotNull(before) && !goog.isFunction(before)) ||
+      (goog.isDefAndNotNull(after) && !goog.isFunction(after)) ||
+      !before && !after) {
+    throw new ydn.debug.error.ArgumentException('before or after hook ' +
+        'function required.');
+  }
+  var methods = opt_options && opt_options['methods'] ?
+      opt_options['methods'] : goog.object.getValues(
+          ydn.db.schema.Store.HookMethod);
+  for (var i = 0; i < methods.length; i++) {
+    if (!goog.object.containsValue(ydn.db.schema.Store.HookMethod,
+        methods[i])) {
+      throw new ydn.debug.error.ArgumentException('invalid hook method "' +
+          methods[i] + '".');
+    }
+  }
+  store.addRecordHook({
+    before: before || undefined,
+    after: after || undefined,
+    methods: goog.array.clone(methods)
+  });
+};
+
+
 /**
  * Database statistic for number of records.
  * @return {!goog.async.Deferred<Array<{name: string, count: number}>>}
@@ -19,6 +19,10 @@
 
 goog.provide('ydn.db.query.Base');
 goog.require('ydn.db.core.Storage');
+goog.require('ydn.db.query.LiveQuery');
+goog.require('ydn.db.query.Plan');
+goog.require('ydn.db.query.Statistics');
+goog.require('ydn.debug.error.ArgumentException');
 
 
 
@@ -69,3 +73,74 @@ ydn.db.query.Base = function(db, schema, type) {
  */
 ydn.db.query.Base.prototype.getIterators = goog.abstractMethod;
 
+
+/**
+ * Get execution plan of the query.
+ * @return {!ydn.db.query.Plan}
+ */
+ydn.db.query.Base.prototype.getPlan = goog.abstractMethod;
+
+
+/**
+ * Execute query and collect primary keys and results.
+ * @param {number} limit maximum number of results.
+ * @return {!goog.async.Deferred} resolve to a pair of primary keys and
+ * results.
+ */
+ydn.db.query.Base.prototype.listEntries = goog.abstractMethod;
+
+
+/**
+ * @return {boolean} true if the query list keys only.
+ * @protected
+ */
+ydn.db.query.Base.prototype.isKeyOnly = function() {
+  return this.type == ydn.db.base.QueryMethod.LIST_PRIMARY_KEY ||
+      this.type == ydn.db.base.QueryMethod.LIST_KEYS ||
+      this.type == ydn.db.base.QueryMethod.LIST_KEY;
+};
+
+
+/**
+ * @return {!ydn.db.query.Statistics} store statistics for query planning.
+ * @protected
+ */
+ydn.db.query.Base.prototype.getStatistics = function() {
+  var storage = /** @type {ydn.db.core.Storage} */ (this.db.getStorage());
+  return storage.getStatistics();
+};
+
+
+/**
+ * Explain how the query will be executed. The query is not executed.
+ * @return {!Object} execution plan in JSON format.
+ */
+ydn.db.query.Base.prototype.explain = function() {
+  return this.getPlan().toJSON();
+};
+
+
+/**
+ * Observe query results. The query is executed and results are delivered to
+ * the callback, and re-delivered whenever they are changed by writes to the
+ * store, including those from other tabs. The second argument of the
+ * callback has 'added', 'removed' and 'updated' primary keys.
+ * @param {function(this: T, !Array, !Object)} callback receive results and
+ * changes.
+ * @param {number=} opt_limit maximum number of results.
+ * @param {T=} opt_scope callback scope.
+ * @return {!ydn.db.query.LiveQuery} dispose to stop observing.
+ * @template T
+ */
+ydn.db.query.Base.prototype.observe = function(callback, opt_limit,
+                                               opt_scope) {
+  if (!goog.isFunction(callback)) {
+    throw new ydn.debug.error.ArgumentException('callback must be a ' +
+        'function, but ' + typeof callback + ' found.');
+  }
+  var storage = /** @type {ydn.db.core.Storage} */ (this.db.getStorage());
+  var live = new ydn.db.query.LiveQuery(this, storage.getObserverHub(),
+      callback, opt_limit || ydn.db.base.DEFAULT_RESULT_LIMIT, opt_scope);
+  live.start();
+  return live;
+};
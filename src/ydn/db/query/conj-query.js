@@ -22,6 +22,7 @@ goog.require('ydn.db.algo.SortedMerge');
 goog.require('ydn.db.algo.ZigzagMerge');
 goog.require('ydn.db.core.Storage');
 goog.require('ydn.db.query.Iterator');
+goog.require('ydn.db.query.Planner');
 
 
 
@@ -135,6 +136,37 @@ ydn.db.query.ConjQuery.prototype.list = function(limit) {
 };
 
 
+/**
+ * @inheritDoc
+ */
+ydn.db.query.ConjQuery.prototype.listEntries = function(limit) {
+  var q = new ydn.db.query.ConjQuery(this.db, this.schema,
+      ydn.db.base.QueryMethod.LIST_PRIMARY_KEY, this.iters);
+  var store_name = this.iters[0].getStoreName();
+  var db = this.db;
+  var type = this.type;
+  return q.list(limit).addCallback(function(keys) {
+    keys = keys.slice(0, limit);
+    if (type == ydn.db.base.QueryMethod.LIST_PRIMARY_KEY) {
+      return [keys, keys];
+    }
+    return db.values(store_name, keys).addCallback(function(values) {
+      return [keys, values];
+    });
+  });
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.query.ConjQuery.prototype.getPlan = function() {
+  var planner = new ydn.db.query.Planner(this.iters[0].getStore(),
+      this.getStatistics());
+  return planner.getPlan(this.iters, this.isKeyOnly());
+};
+
+
 /**
  * @inheritDoc
  */
@@ -5,7 +5,10 @@
 goog.provide('ydn.db.query.exports');
 goog.require('ydn.db.Query');
 goog.require('ydn.db.core.Storage');
+goog.require('ydn.db.query.Base');
 goog.require('ydn.db.query.ConjunctionCursor');
+goog.require('ydn.db.query.LiveQuery');
+goog.require('ydn.db.query.Stream');
 
 
 goog.exportProperty(ydn.db.Query.prototype, 'copy',
@@ -16,17 +19,31 @@ goog.exportProperty(ydn.db.Query.prototype, 'list',
     ydn.db.Query.prototype.list);
 goog.exportProperty(ydn.db.Query.prototype, 'order',
     ydn.db.Query.prototype.order);
+goog.exportProperty(ydn.db.Query.prototype, 'page',
+    ydn.db.Query.prototype.page);
 goog.exportProperty(ydn.db.Query.prototype, 'patch',
     ydn.db.Query.prototype.patch);
 goog.exportProperty(ydn.db.Query.prototype, 'reverse',
     ydn.db.Query.prototype.reverse);
+goog.exportProperty(ydn.db.Query.prototype, 'stream',
+    ydn.db.Query.prototype.stream);
 goog.exportProperty(ydn.db.Query.prototype, 'unique',
     ydn.db.Query.prototype.unique);
 goog.exportProperty(ydn.db.Query.prototype, 'where',
     ydn.db.Query.prototype.where);
+goog.exportProperty(ydn.db.query.Base.prototype, 'explain',
+    ydn.db.query.Base.prototype.explain);
+goog.exportProperty(ydn.db.query.Base.prototype, 'observe',
+    ydn.db.query.Base.prototype.observe);
+goog.exportProperty(ydn.db.query.LiveQuery.prototype, 'dispose',
+    ydn.db.query.LiveQuery.prototype.dispose);
+goog.exportProperty(ydn.db.query.Stream.prototype, 'next',
+    ydn.db.query.Stream.prototype.next);
 
 goog.exportProperty(ydn.db.core.Storage.prototype, 'from',
     ydn.db.core.Storage.prototype.from);
+goog.exportProperty(ydn.db.core.Storage.prototype, 'analyze',
+    ydn.db.core.Storage.prototype.analyze);
 goog.exportProperty(ydn.db.core.DbOperator.prototype, 'from',
     ydn.db.core.DbOperator.prototype.from);
 
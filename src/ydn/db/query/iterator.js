@@ -22,6 +22,8 @@
 goog.provide('ydn.db.query.Iterator');
 goog.require('ydn.db.ConstraintError');
 goog.require('ydn.db.Iterator');
+goog.require('ydn.db.Where');
+goog.require('ydn.db.query.Plan');
 
 
 
@@ -65,6 +67,71 @@ ydn.db.query.Iterator = function(store, opt_key_range, opt_reverse,
    * @type {Array.<string>}
    */
   this.postfix = [];
+  /**
+   * All where clauses of the query, used for planning.
+   * @protected
+   * @type {!Array.<!ydn.db.Where>}
+   */
+  this.conditions = [];
+  /**
+   * Where clauses not resolved by the key range, tested on record values.
+   * @protected
+   * @type {!Array.<!ydn.db.Where>}
+   */
+  this.filters = [];
+  /**
+   * Ordering requested by the query, used for planning.
+   * @protected
+   * @type {!Array.<string>}
+   */
+  this.orders = [];
+};
+
+
+/**
+ * Create an iterator on primary key range.
+ * @param {!ydn.db.schema.Store} store store schema.
+ * @param {ydn.db.KeyRange} key_range primary key range.
+ * @return {!ydn.db.query.Iterator}
+ */
+ydn.db.query.Iterator.forPrimaryKey = function(store, key_range) {
+  var iter = new ydn.db.query.Iterator(store, key_range);
+  var key_path = store.getKeyPath();
+  if (key_range && goog.isString(key_path)) {
+    // let the planner combine with other where clauses.
+    iter.conditions = [new ydn.db.Where(key_path, key_range)];
+  }
+  return iter;
+};
+
+
+/**
+ * Create an iterator on an index chosen by the query planner.
+ * @param {ydn.db.schema.Store} store store schema.
+ * @param {ydn.db.schema.Index} index index to iterate, null for primary key.
+ * @param {number} prefix_length number of leading key paths of the index
+ * constrained by the key range.
+ * @param {ydn.db.KeyRange} key_range key range.
+ * @param {!Array.<!ydn.db.Where>} conditions all where clauses.
+ * @param {!Array.<!ydn.db.Where>} filters where clauses tested on record
+ * values.
+ * @param {boolean=} opt_reverse reverse.
+ * @param {boolean=} opt_unique unique.
+ * @return {!ydn.db.query.Iterator}
+ */
+ydn.db.query.Iterator.forIndex = function(store, index, prefix_length,
+    key_range, conditions, filters, opt_reverse, opt_unique) {
+  var iter = new ydn.db.query.Iterator(store, key_range, opt_reverse,
+      opt_unique);
+  if (index) {
+    var key_path = index.getKeyPath();
+    var key_paths = goog.isArray(key_path) ? key_path : [key_path];
+    iter.prefix = key_paths.slice(0, prefix_length);
+    iter.postfix = key_paths.slice(prefix_length);
+  }
+  iter.conditions = conditions.slice();
+  iter.filters = filters.slice();
+  return iter;
 };
 
 
@@ -85,6 +152,7 @@ ydn.db.query.Iterator.prototype.setPrefix = function(prefix) {
  * @return {string?} error message return, if require index not exist.
  */
 ydn.db.query.Iterator.prototype.setOrder = function(postfix) {
+  this.orders = postfix.slice();
   // remove ordering as in prefix
   var n = postfix.length;
   for (var i = n - 1; i >= 0; i--) {
@@ -123,6 +191,20 @@ ydn.db.query.Iterator.prototype.getIterator = function(opt_value_iterator) {
 };
 
 
+/**
+ * Get the scan this iterator will perform.
+ * @param {boolean=} opt_value_iterator if true, scan read record values.
+ * @return {!ydn.db.query.Plan.Scan} scan for this.
+ */
+ydn.db.query.Iterator.prototype.getScan = function(opt_value_iterator) {
+  var iter = this.getIterator(opt_value_iterator); // validate index
+  var index = this.getIndex();
+  return new ydn.db.query.Plan.Scan(this.store.getName(),
+      iter.getIndexName() || null, this.key_range, this.is_reverse,
+      this.is_unique, !opt_value_iterator, !!index && index.isUnique());
+};
+
+
 /**
  * @return {string}
  */
@@ -147,10 +229,80 @@ ydn.db.query.Iterator.prototype.clone = function() {
   var iter = new ydn.db.query.Iterator(this.store, this.key_range, this.is_reverse, this.is_unique);
   iter.postfix = this.postfix.slice();
   iter.prefix = this.prefix.slice();
+  iter.conditions = this.conditions.slice();
+  iter.filters = this.filters.slice();
+  iter.orders = this.orders.slice();
   return iter;
 };
 
 
+/**
+ * @param {!Array.<string>} orders ordering requested by the query.
+ */
+ydn.db.query.Iterator.prototype.setRequestedOrder = function(orders) {
+  this.orders = orders.slice();
+};
+
+
+/**
+ * @return {!Array.<string>} ordering requested by the query.
+ */
+ydn.db.query.Iterator.prototype.getRequestedOrder = function() {
+  return this.orders.slice();
+};
+
+
+/**
+ * @return {!ydn.db.schema.Store}
+ */
+ydn.db.query.Iterator.prototype.getStore = function() {
+  return /** @type {!ydn.db.schema.Store} */ (this.store);
+};
+
+
+/**
+ * @return {!Array.<!ydn.db.Where>} all where clauses of the query.
+ */
+ydn.db.query.Iterator.prototype.getConditions = function() {
+  return this.conditions.slice();
+};
+
+
+/**
+ * @return {!Array.<!ydn.db.Where>} where clauses tested on record values.
+ */
+ydn.db.query.Iterator.prototype.getFilters = function() {
+  return this.filters.slice();
+};
+
+
+/**
+ * @return {boolean} true if record values have to be tested.
+ */
+ydn.db.query.Iterator.prototype.hasFilter = function() {
+  return this.filters.length > 0 || this.store.hasExpiry();
+};
+
+
+/**
+ * Test a record against where clauses not resolved by the key range.
+ * Expired records do not match.
+ * @param {*} value record value.
+ * @return {boolean} true if the record satisfy all where clauses.
+ */
+ydn.db.query.Iterator.prototype.isMatch = function(value) {
+  if (this.store.isExpired(value)) {
+    return false;
+  }
+  for (var i = 0; i < this.filters.length; i++) {
+    if (!this.filters[i].test(/** @type {Object} */ (value))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
 /**
  * @return {ydn.db.KeyRange}
  */
@@ -0,0 +1,306 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Query whose results are re-delivered on data changes.
+ *
+ * Usage:
+ * <pre>
+ *   var live = db.from('todo').where('done', '=', false).observe(
+ *       function(todos, diff) {...});
+ *   ...
+ *   live.dispose();
+ * </pre>
+ * The callback receives query results and primary keys of added, removed and
+ * updated results in comparison to the previous delivery. After the first
+ * delivery, the callback is invoked only if the results are changed.
+ *
+ * A write to the store is ignored if none of written records is in the
+ * current results nor satisfy the query. Other changes, such as cursor
+ * updates and changes from other tabs, re-run the query.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.query.LiveQuery');
+goog.require('goog.Disposable');
+goog.require('goog.async.nextTick');
+goog.require('goog.log');
+goog.require('ydn.db.Where');
+goog.require('ydn.db.query.ObserverHub');
+goog.require('ydn.db.utils');
+goog.require('ydn.json');
+
+
+
+/**
+ * Create a live query. Use ydn.db.query.Base#observe instead.
+ * @param {!ydn.db.query.Base} query query.
+ * @param {!ydn.db.query.ObserverHub} hub observer hub of the storage.
+ * @param {function(this: T, !Array, !Object)} callback receive query results
+ * and changes.
+ * @param {number} limit maximum number of results.
+ * @param {T=} opt_scope callback scope.
+ * @constructor
+ * @extends {goog.Disposable}
+ * @template T
+ */
+ydn.db.query.LiveQuery = function(query, hub, callback, limit, opt_scope) {
+  goog.base(this);
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.query.Base}
+   */
+  this.query_ = query;
+  /**
+   * @final
+   * @private
+   * @type {!Array.<!ydn.db.query.Iterator>}
+   */
+  this.iters_ = query.getIterators();
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.Store}
+   */
+  this.store_ = this.iters_[0].getStore();
+  /**
+   * @private
+   * @type {ydn.db.query.ObserverHub}
+   */
+  this.hub_ = hub;
+  /**
+   * @private
+   * @type {?function(this: T, !Array, !Object)}
+   */
+  this.callback_ = callback;
+  /**
+   * @private
+   * @type {T|undefined}
+   */
+  this.scope_ = opt_scope;
+  /**
+   * @final
+   * @private
+   * @type {number}
+   */
+  this.limit_ = limit;
+  /**
+   * Serialized record values of delivered results by encoded primary key.
+   * Null before the first delivery.
+   * @private
+   * @type {Object.<string>}
+   */
+  this.results_ = null;
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.running_ = false;
+  /**
+   * Query has to re-run after the current run.
+   * @private
+   * @type {boolean}
+   */
+  this.dirty_ = false;
+};
+goog.inherits(ydn.db.query.LiveQuery, goog.Disposable);
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.query.LiveQuery.prototype.logger =
+    goog.log.getLogger('ydn.db.query.LiveQuery');
+
+
+/**
+ * Start observing and run the query.
+ */
+ydn.db.query.LiveQuery.prototype.start = function() {
+  this.hub_.add(this.store_, this);
+  this.run_();
+};
+
+
+/**
+ * Run the query and deliver changed results.
+ * @private
+ */
+ydn.db.query.LiveQuery.prototype.run_ = function() {
+  this.running_ = true;
+  this.dirty_ = false;
+  this.query_.listEntries(this.limit_).addCallbacks(function(entries) {
+    this.running_ = false;
+    if (this.isDisposed()) {
+      return;
+    }
+    this.deliver_(entries[0], entries[1]);
+    if (this.dirty_) {
+      this.run_();
+    }
+  }, function(e) {
+    this.running_ = false;
+    goog.log.warning(this.logger, 'running live query on "' +
+        this.store_.getName() + '" failed: ' + e);
+    if (this.dirty_ && !this.isDisposed()) {
+      this.run_();
+    }
+  }, this);
+};
+
+
+/**
+ * Deliver results to the callback if changed.
+ * @param {!Array.<IDBKey>} keys primary keys of the results.
+ * @param {!Array} values record values of the results.
+ * @private
+ */
+ydn.db.query.LiveQuery.prototype.deliver_ = function(keys, values) {
+  var is_first = !this.results_;
+  var previous = this.results_ || {};
+  var results = {};
+  var added = [];
+  var updated = [];
+  var removed = [];
+  for (var i = 0; i < keys.length; i++) {
+    var id = ydn.db.utils.encodeKey(keys[i]);
+    results[id] = ydn.json.stringify(values[i]);
+    if (!previous.hasOwnProperty(id)) {
+      added.push(keys[i]);
+    } else if (previous[id] != results[id]) {
+      updated.push(keys[i]);
+    }
+  }
+  for (var id in previous) {
+    if (!results.hasOwnProperty(id)) {
+      removed.push(ydn.db.utils.decodeKey(id));
+    }
+  }
+  this.results_ = results;
+  if (is_first || added.length > 0 || updated.length > 0 ||
+      removed.length > 0) {
+    this.callback_.call(this.scope_, values, {
+      'added': added,
+      'removed': removed,
+      'updated': updated
+    });
+  }
+};
+
+
+/**
+ * Test a record value satisfy the query.
+ * @param {IDBKey} key primary key.
+ * @param {*} value record value.
+ * @return {boolean} true if the record may be in the results.
+ * @private
+ */
+ydn.db.query.LiveQuery.prototype.isMatch_ = function(key, value) {
+  for (var i = 0; i < this.iters_.length; i++) {
+    var iter = this.iters_[i];
+    var conditions = iter.getConditions();
+    if (conditions.length == 0 && iter.getKeyRange()) {
+      if (iter.usedIndex()) {
+        return true; // the key range cannot be tested, assume match.
+      } else if (!ydn.db.Where.inKeyRange(iter.getKeyRange(), key)) {
+        return false;
+      }
+    }
+    for (var j = 0; j < conditions.length; j++) {
+      if (!conditions[j].test(/** @type {Object} */ (value))) {
+        return false;
+      }
+    }
+    if (!iter.isMatch(value)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Test changes may affect the results.
+ * @param {!ydn.db.query.ObserverHub.Change} change record changes.
+ * @return {boolean} true if the query has to re-run.
+ * @private
+ */
+ydn.db.query.LiveQuery.prototype.isAffected_ = function(change) {
+  if (!this.results_) {
+    return true; // previous run failed.
+  }
+  if (!change.keys) {
+    if (!change.range) {
+      return true;
+    }
+    var range = /** @type {ydn.db.KeyRange} */ (change.range);
+    for (var id in this.results_) {
+      if (ydn.db.Where.inKeyRange(range, ydn.db.utils.decodeKey(id))) {
+        return true;
+      }
+    }
+    return false;
+  }
+  for (var i = 0; i < change.keys.length; i++) {
+    var key = change.keys[i];
+    if (this.results_.hasOwnProperty(ydn.db.utils.encodeKey(key))) {
+      return true;
+    }
+    if (change.removed) {
+      continue;
+    }
+    if (!change.values || this.isMatch_(key, change.values[i])) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Receive record changes of the store.
+ * @param {!ydn.db.query.ObserverHub.Change} change record changes.
+ */
+ydn.db.query.LiveQuery.prototype.onChange = function(change) {
+  if (this.isDisposed() || this.dirty_) {
+    return;
+  }
+  if (this.running_) {
+    this.dirty_ = true;
+  } else if (this.isAffected_(change)) {
+    // changes in the same tick are collected in one run.
+    this.dirty_ = true;
+    goog.async.nextTick(function() {
+      if (!this.running_ && !this.isDisposed()) {
+        this.run_();
+      }
+    }, this);
+  }
+};
+
+
+/**
+ * @override
+ * @protected
+ */
+ydn.db.query.LiveQuery.prototype.disposeInternal = function() {
+  this.hub_.remove(this.store_.getName(), this);
+  this.hub_ = null;
+  this.callback_ = null;
+  this.results_ = null;
+  goog.base(this, 'disposeInternal');
+};
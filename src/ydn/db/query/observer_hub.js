@@ -0,0 +1,306 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Dispatch record changes of a storage to live queries.
+ *
+ * A store hook is installed when a store is first observed. Since store hooks
+ * cannot be removed, the hook does nothing while the store has no observer.
+ * Changes are also broadcast to other tabs of the same database through the
+ * broadcast channel of the storage, where it is available.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.query.ObserverHub');
+goog.require('goog.array');
+goog.require('goog.log');
+goog.require('goog.object');
+goog.require('ydn.db.Request');
+goog.require('ydn.db.core.Storage');
+
+
+
+/**
+ * Create an observer hub of a storage.
+ * @param {!ydn.db.core.Storage} storage storage.
+ * @constructor
+ * @struct
+ */
+ydn.db.query.ObserverHub = function(storage) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.core.Storage}
+   */
+  this.storage_ = storage;
+  /**
+   * Live queries by store name.
+   * @final
+   * @private
+   * @type {!Object.<!Array.<!ydn.db.query.ObserverHub.Observer>>}
+   */
+  this.observers_ = {};
+  /**
+   * Store names whose hook has been installed.
+   * @final
+   * @private
+   * @type {!Object.<boolean>}
+   */
+  this.hooked_ = {};
+  /**
+   * Broadcast channel of the storage, listened while there is an observer.
+   * @private
+   * @type {BroadcastChannel}
+   */
+  this.channel_ = null;
+  /**
+   * @private
+   * @type {?function(!MessageEvent)}
+   */
+  this.channel_listener_ = null;
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.query.ObserverHub.prototype.logger =
+    goog.log.getLogger('ydn.db.query.ObserverHub');
+
+
+/**
+ * Type of broadcast message of record changes.
+ * @const
+ * @type {string}
+ */
+ydn.db.query.ObserverHub.MESSAGE_TYPE = 'live_query';
+
+
+/**
+ * Record changes of a store. Null keys means that changed records are not
+ * known, in which case a primary key range may be given. Values are given
+ * for updated records, if known.
+ * @typedef {{
+ *   keys: Array.<IDBKey>,
+ *   values: (Array|undefined),
+ *   range: (ydn.db.KeyRange|IDBKeyRange|undefined),
+ *   removed: boolean,
+ *   remote: boolean
+ * }}
+ */
+ydn.db.query.ObserverHub.Change;
+
+
+/**
+ * Receiver of record changes.
+ * @typedef {{
+ *   onChange: function(!ydn.db.query.ObserverHub.Change)
+ * }}
+ */
+ydn.db.query.ObserverHub.Observer;
+
+
+/**
+ * Observe changes of a store.
+ * @param {!ydn.db.schema.Store} store store schema.
+ * @param {!ydn.db.query.ObserverHub.Observer} observer observer.
+ */
+ydn.db.query.ObserverHub.prototype.add = function(store, observer) {
+  var store_name = store.getName();
+  if (!this.hooked_[store_name]) {
+    this.hooked_[store_name] = true;
+    var me = this;
+    store.addHook(function(req, args) {
+      if (me.observers_[store_name]) {
+        me.hook_(store_name, req, args);
+      }
+    });
+  }
+  if (!this.observers_[store_name]) {
+    this.observers_[store_name] = [];
+  }
+  this.observers_[store_name].push(observer);
+  this.openChannel_();
+};
+
+
+/**
+ * Stop observing changes of a store.
+ * @param {string} store_name store name.
+ * @param {!ydn.db.query.ObserverHub.Observer} observer observer.
+ */
+ydn.db.query.ObserverHub.prototype.remove = function(store_name, observer) {
+  var observers = this.observers_[store_name];
+  if (!observers || !goog.array.remove(observers, observer)) {
+    return;
+  }
+  if (observers.length == 0) {
+    delete this.observers_[store_name];
+  }
+  if (goog.object.isEmpty(this.observers_) && this.channel_) {
+    this.channel_.removeEventListener('message', this.channel_listener_);
+    this.channel_ = null;
+    this.channel_listener_ = null;
+  }
+};
+
+
+/**
+ * Listen to broadcast channel of the storage, if not listened already.
+ * @private
+ */
+ydn.db.query.ObserverHub.prototype.openChannel_ = function() {
+  var channel = this.channel_ ? null : this.storage_.getBroadcastChannel();
+  if (!channel) {
+    return;
+  }
+  var me = this;
+  this.channel_ = channel;
+  this.channel_listener_ = function(ev) {
+    var data = ev.data;
+    if (!goog.isObject(data) ||
+        data['type'] != ydn.db.query.ObserverHub.MESSAGE_TYPE ||
+        !goog.isString(data['store'])) {
+      return;
+    }
+    goog.log.finer(me.logger, 'remote change on ' + data['store']);
+    me.dispatch_(data['store'], {
+      keys: goog.isArray(data['keys']) ? data['keys'] : null,
+      values: undefined,
+      range: undefined,
+      removed: !!data['removed'],
+      remote: true
+    });
+  };
+  channel.addEventListener('message', this.channel_listener_);
+};
+
+
+/**
+ * Notify observers of a store and other tabs.
+ * @param {string} store_name store name.
+ * @param {!ydn.db.query.ObserverHub.Change} change record changes.
+ * @private
+ */
+ydn.db.query.ObserverHub.prototype.dispatch_ = function(store_name, change) {
+  var observers = this.observers_[store_name];
+  if (observers) {
+    // observer may be removed during dispatching.
+    observers = observers.slice();
+    for (var i = 0; i < observers.length; i++) {
+      observers[i].onChange(change);
+    }
+  }
+  if (!change.remote && this.channel_ && this.storage_.getType()) {
+    this.channel_.postMessage({
+      'type': ydn.db.query.ObserverHub.MESSAGE_TYPE,
+      'store': store_name,
+      'keys': change.keys,
+      'removed': change.removed
+    });
+  }
+};
+
+
+/**
+ * Notify observers after a successful write request.
+ * @param {string} store_name store name.
+ * @param {!ydn.db.Request} req write request.
+ * @param {Array.<IDBKey>|undefined} keys changed primary keys, null if not
+ * known. If undefined, keys are taken from the request result.
+ * @param {Array=} opt_values updated record values.
+ * @param {(ydn.db.KeyRange|IDBKeyRange)=} opt_range primary key range of
+ * changed records.
+ * @param {boolean=} opt_removed true if records are removed.
+ * @private
+ */
+ydn.db.query.ObserverHub.prototype.notifyOnSuccess_ = function(store_name,
+    req, keys, opt_values, opt_range, opt_removed) {
+  req.addCallback(function(result) {
+    if (!goog.isDef(keys)) {
+      keys = goog.isArray(result) ? result : [result];
+    }
+    this.dispatch_(store_name, {
+      keys: keys,
+      values: opt_values,
+      range: opt_range,
+      removed: !!opt_removed,
+      remote: false
+    });
+  }, this);
+};
+
+
+/**
+ * Store hook to collect changed records from a write request.
+ * @param {string} store_name store name.
+ * @param {!ydn.db.Request} req request.
+ * @param {goog.array.ArrayLike} args arguments to the db method.
+ * @private
+ */
+ydn.db.query.ObserverHub.prototype.hook_ = function(store_name, req, args) {
+  var Method = ydn.db.Request.Method;
+  var method = req.getMethod();
+  if (method == Method.PUT || method == Method.ADD) {
+    this.notifyOnSuccess_(store_name, req, undefined, [args[1]]);
+  } else if (method == Method.PUTS || method == Method.ADDS) {
+    this.notifyOnSuccess_(store_name, req, undefined, args[1]);
+  } else if (method == Method.PUT_KEYS || method == Method.REMOVE_KEYS) {
+    var keys = [];
+    var values = [];
+    for (var i = 0; i < args[0].length; i++) {
+      if (args[0][i].getStoreName() == store_name) {
+        keys.push(args[0][i].getId());
+        values.push(method == Method.PUT_KEYS ? args[1][i] : undefined);
+      }
+    }
+    if (method == Method.PUT_KEYS) {
+      this.notifyOnSuccess_(store_name, req, keys, values);
+    } else {
+      this.notifyOnSuccess_(store_name, req, keys, undefined, undefined, true);
+    }
+  } else if (method == Method.REMOVE_ID) {
+    this.notifyOnSuccess_(store_name, req, [args[1]], undefined, undefined,
+        true);
+  } else if (method == Method.REMOVE || method == Method.CLEAR) {
+    var range = goog.isObject(args[1]) ? args[1] : undefined;
+    this.notifyOnSuccess_(store_name, req, null, undefined, range, true);
+  } else if (method == Method.REMOVE_INDEX) {
+    this.notifyOnSuccess_(store_name, req, null, undefined, undefined, true);
+  } else if (method == Method.OPEN) {
+    // cursor may update or delete any record.
+    this.notifyOnSuccess_(store_name, req, null);
+  }
+};
+
+
+/**
+ * Observer hub of the storage.
+ * @type {ydn.db.query.ObserverHub}
+ * @private
+ */
+ydn.db.core.Storage.prototype.observer_hub_ = null;
+
+
+/**
+ * @return {!ydn.db.query.ObserverHub} observer hub for live queries.
+ */
+ydn.db.core.Storage.prototype.getObserverHub = function() {
+  if (!this.observer_hub_) {
+    this.observer_hub_ = new ydn.db.query.ObserverHub(this);
+  }
+  return this.observer_hub_;
+};
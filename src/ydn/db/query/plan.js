@@ -0,0 +1,517 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Query execution plan.
+ *
+ * A plan describes how a query is executed: cursor scans over stores and
+ * indexes, the solver joining them, residual filters and sorting done in
+ * memory. The plan is derived from the query and the schema only, so it is
+ * the same for all storage mechanisms.
+ *
+ * Cost is the estimated number of records visited. Without store
+ * statistics, every store is assumed to have DEFAULT_CARDINALITY records and
+ * selectivity of a key range is guessed from its shape.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.query.Plan');
+goog.require('goog.array');
+goog.require('ydn.db');
+goog.require('ydn.db.KeyRange');
+
+
+
+/**
+ * Create an empty execution plan.
+ * @constructor
+ * @struct
+ */
+ydn.db.query.Plan = function() {
+  /**
+   * @final
+   * @private
+   * @type {!Array.<!ydn.db.query.Plan.Scan>}
+   */
+  this.scans_ = [];
+  /**
+   * @private
+   * @type {?ydn.db.query.Plan.Solver}
+   */
+  this.solver_ = null;
+  /**
+   * Conditions evaluated in memory.
+   * @final
+   * @private
+   * @type {!Array.<string>}
+   */
+  this.filters_ = [];
+  /**
+   * @private
+   * @type {!Array.<string>}
+   */
+  this.order_ = [];
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.in_memory_sort_ = false;
+  /**
+   * @private
+   * @type {?string}
+   */
+  this.aggregate_ = null;
+  /**
+   * @private
+   * @type {Array.<string>}
+   */
+  this.fields_ = null;
+  /**
+   * @private
+   * @type {number}
+   */
+  this.limit_ = NaN;
+  /**
+   * @private
+   * @type {number}
+   */
+  this.offset_ = 0;
+  /**
+   * Record values are looked up by primary keys resulting from the solver.
+   * @private
+   * @type {boolean}
+   */
+  this.lookup_ = false;
+  /**
+   * @private
+   * @type {!Array.<string>}
+   */
+  this.group_by_ = [];
+  /**
+   * Records are grouped in memory, instead of streaming over an index.
+   * @private
+   * @type {boolean}
+   */
+  this.in_memory_group_ = false;
+};
+
+
+/**
+ * Solvers joining multiple scans.
+ * @enum {string}
+ */
+ydn.db.query.Plan.Solver = {
+  NESTED_LOOP: 'NestedLoop',
+  SORTED_MERGE: 'SortedMerge',
+  ZIGZAG_MERGE: 'ZigzagMerge'
+};
+
+
+/**
+ * Access method of a scan.
+ * @enum {string}
+ */
+ydn.db.query.Plan.Access = {
+  FULL_SCAN: 'full-scan',
+  KEY_RANGE: 'key-range',
+  INDEX_SCAN: 'index-scan',
+  INDEX_RANGE: 'index-range'
+};
+
+
+/**
+ * @const
+ * @type {number} assumed number of records in a store.
+ */
+ydn.db.query.Plan.DEFAULT_CARDINALITY = 1000;
+
+
+/**
+ * @const
+ * @type {number} assumed selectivity of an equal key range on non-unique
+ * index.
+ */
+ydn.db.query.Plan.EQUAL_SELECTIVITY = 0.01;
+
+
+/**
+ * @const
+ * @type {number} assumed selectivity of a range bounded on both side.
+ */
+ydn.db.query.Plan.BOUND_SELECTIVITY = 0.1;
+
+
+/**
+ * @const
+ * @type {number} assumed selectivity of a range bounded on one side.
+ */
+ydn.db.query.Plan.HALF_BOUND_SELECTIVITY = 0.33;
+
+
+/**
+ * @const
+ * @type {number} cost of reading a record value through a secondary index,
+ * relative to reading from the store.
+ */
+ydn.db.query.Plan.INDEX_COST_FACTOR = 1.2;
+
+
+/**
+ * @const
+ * @type {number} cost factor of n log(n) in memory sorting.
+ */
+ydn.db.query.Plan.SORT_COST_FACTOR = 0.1;
+
+
+
+/**
+ * A cursor scan over a store or an index.
+ * @param {string} store_name store name.
+ * @param {?string} index_name index name, null for primary key.
+ * @param {ydn.db.KeyRange} key_range key range.
+ * @param {boolean} reverse reverse direction.
+ * @param {boolean} unique unique cursor.
+ * @param {boolean} key_only key only cursor.
+ * @param {boolean=} opt_unique_key true if the key is unique. Primary key is
+ * always unique.
+ * @constructor
+ * @struct
+ */
+ydn.db.query.Plan.Scan = function(store_name, index_name, key_range, reverse,
+                                  unique, key_only, opt_unique_key) {
+  /**
+   * @final
+   * @type {string}
+   */
+  this.store_name = store_name;
+  /**
+   * @final
+   * @type {?string}
+   */
+  this.index_name = index_name;
+  /**
+   * @final
+   * @type {ydn.db.KeyRange}
+   */
+  this.key_range = key_range;
+  /**
+   * @final
+   * @type {boolean}
+   */
+  this.reverse = reverse;
+  /**
+   * @final
+   * @type {boolean}
+   */
+  this.unique = unique;
+  /**
+   * @final
+   * @type {boolean}
+   */
+  this.key_only = key_only;
+  /**
+   * @final
+   * @type {boolean}
+   */
+  this.unique_key = !index_name || !!opt_unique_key;
+  /**
+   * Estimated selectivity, NaN if not estimated.
+   * @private
+   * @type {number}
+   */
+  this.selectivity_ = NaN;
+};
+
+
+/**
+ * Set selectivity estimated from statistics of the store, instead of guessing
+ * from shape of the key range.
+ * @param {number} selectivity selectivity between 0 and 1.
+ */
+ydn.db.query.Plan.Scan.prototype.setSelectivity = function(selectivity) {
+  this.selectivity_ = selectivity;
+};
+
+
+/**
+ * @return {ydn.db.query.Plan.Access} access method.
+ */
+ydn.db.query.Plan.Scan.prototype.getAccess = function() {
+  var Access = ydn.db.query.Plan.Access;
+  if (this.index_name) {
+    return this.key_range ? Access.INDEX_RANGE : Access.INDEX_SCAN;
+  } else {
+    return this.key_range ? Access.KEY_RANGE : Access.FULL_SCAN;
+  }
+};
+
+
+/**
+ * Estimate fraction of records visited.
+ * @param {number} cardinality number of records in the store.
+ * @return {number} selectivity between 0 and 1.
+ */
+ydn.db.query.Plan.Scan.prototype.getSelectivity = function(cardinality) {
+  if (!isNaN(this.selectivity_)) {
+    return this.selectivity_;
+  }
+  var kr = this.key_range;
+  if (!kr) {
+    return 1;
+  }
+  var has_lower = goog.isDefAndNotNull(kr.lower);
+  var has_upper = goog.isDefAndNotNull(kr.upper);
+  if (has_lower && has_upper && !kr.lowerOpen && !kr.upperOpen &&
+      ydn.db.cmp(kr.lower, kr.upper) == 0) {
+    return this.unique_key ? Math.min(1, 1 / Math.max(cardinality, 1)) :
+        ydn.db.query.Plan.EQUAL_SELECTIVITY;
+  } else if (has_lower && has_upper) {
+    return ydn.db.query.Plan.BOUND_SELECTIVITY;
+  } else if (has_lower || has_upper) {
+    return ydn.db.query.Plan.HALF_BOUND_SELECTIVITY;
+  }
+  return 1;
+};
+
+
+/**
+ * Estimate cost of the scan.
+ * @param {number} cardinality number of records in the store.
+ * @return {number} estimated cost.
+ */
+ydn.db.query.Plan.Scan.prototype.getCost = function(cardinality) {
+  var n = cardinality * this.getSelectivity(cardinality);
+  if (this.index_name && !this.key_only) {
+    n *= ydn.db.query.Plan.INDEX_COST_FACTOR;
+  }
+  return n;
+};
+
+
+/**
+ * @param {number} cardinality number of records in the store.
+ * @return {!Object} scan in JSON format.
+ */
+ydn.db.query.Plan.Scan.prototype.toJSON = function(cardinality) {
+  return {
+    'store': this.store_name,
+    'index': this.index_name,
+    'access': this.getAccess(),
+    'keyRange': this.key_range ? ydn.db.KeyRange.toJSON(this.key_range) : null,
+    'reverse': this.reverse,
+    'unique': this.unique,
+    'keyOnly': this.key_only,
+    'selectivity': this.getSelectivity(cardinality)
+  };
+};
+
+
+/**
+ * @param {!ydn.db.query.Plan.Scan} scan a scan.
+ */
+ydn.db.query.Plan.prototype.addScan = function(scan) {
+  this.scans_.push(scan);
+};
+
+
+/**
+ * @return {!Array.<!ydn.db.query.Plan.Scan>} scans.
+ */
+ydn.db.query.Plan.prototype.getScans = function() {
+  return this.scans_.slice();
+};
+
+
+/**
+ * @param {?ydn.db.query.Plan.Solver} solver solver joining the scans.
+ */
+ydn.db.query.Plan.prototype.setSolver = function(solver) {
+  this.solver_ = solver;
+};
+
+
+/**
+ * @return {?ydn.db.query.Plan.Solver} solver joining the scans.
+ */
+ydn.db.query.Plan.prototype.getSolver = function() {
+  return this.solver_;
+};
+
+
+/**
+ * @param {boolean} lookup true if record values are looked up by primary
+ * keys resulting from the solver.
+ */
+ydn.db.query.Plan.prototype.setLookup = function(lookup) {
+  this.lookup_ = lookup;
+};
+
+
+/**
+ * Add a condition evaluated in memory.
+ * @param {string} condition description of the condition.
+ */
+ydn.db.query.Plan.prototype.addFilter = function(condition) {
+  this.filters_.push(condition);
+};
+
+
+/**
+ * @param {!Array.<string>} order ordering field names.
+ * @param {boolean} in_memory true if result is sorted in memory, instead of
+ * using index order.
+ */
+ydn.db.query.Plan.prototype.setOrder = function(order, in_memory) {
+  this.order_ = order;
+  this.in_memory_sort_ = in_memory;
+};
+
+
+/**
+ * @return {boolean} true if result is sorted in memory.
+ */
+ydn.db.query.Plan.prototype.isInMemorySort = function() {
+  return this.in_memory_sort_;
+};
+
+
+/**
+ * @param {?string} aggregate aggregate function name.
+ */
+ydn.db.query.Plan.prototype.setAggregate = function(aggregate) {
+  this.aggregate_ = aggregate;
+};
+
+
+/**
+ * @param {!Array.<string>} fields grouping fields.
+ * @param {boolean} in_memory true if records are grouped in memory.
+ */
+ydn.db.query.Plan.prototype.setGroupBy = function(fields, in_memory) {
+  this.group_by_ = fields;
+  this.in_memory_group_ = in_memory;
+};
+
+
+/**
+ * @param {Array.<string>} fields selected field names, null for all.
+ */
+ydn.db.query.Plan.prototype.setFields = function(fields) {
+  this.fields_ = fields;
+};
+
+
+/**
+ * @param {number} limit limit, NaN for no limit.
+ * @param {number} offset offset.
+ */
+ydn.db.query.Plan.prototype.setLimit = function(limit, offset) {
+  this.limit_ = limit;
+  this.offset_ = offset;
+};
+
+
+/**
+ * @return {!Array.<string>} store names involved.
+ */
+ydn.db.query.Plan.prototype.getStoreNames = function() {
+  var names = [];
+  for (var i = 0; i < this.scans_.length; i++) {
+    goog.array.insert(names, this.scans_[i].store_name);
+  }
+  return names;
+};
+
+
+/**
+ * @param {Object.<number>=} opt_cardinality number of records by store name.
+ * @param {string=} opt_store_name store name.
+ * @return {number} number of records in the store.
+ * @private
+ */
+ydn.db.query.Plan.getCardinality_ = function(opt_cardinality,
+                                             opt_store_name) {
+  var n = opt_cardinality && opt_store_name ?
+      opt_cardinality[opt_store_name] : undefined;
+  return goog.isNumber(n) ? n : ydn.db.query.Plan.DEFAULT_CARDINALITY;
+};
+
+
+/**
+ * Estimate cost of the plan.
+ * @param {Object.<number>=} opt_cardinality number of records by store name.
+ * Missing store is assumed to have DEFAULT_CARDINALITY records.
+ * @return {number} estimated number of records visited.
+ */
+ydn.db.query.Plan.prototype.getCost = function(opt_cardinality) {
+  var cost = 0;
+  var rows = 0;
+  var joined = 1;
+  for (var i = 0; i < this.scans_.length; i++) {
+    var scan = this.scans_[i];
+    var n = ydn.db.query.Plan.getCardinality_(opt_cardinality,
+        scan.store_name);
+    cost += scan.getCost(n);
+    rows = Math.max(rows, n * scan.getSelectivity(n));
+    joined = i == 0 ? n * scan.getSelectivity(n) :
+        joined * scan.getSelectivity(n);
+  }
+  if (this.solver_) {
+    // conditions are assumed to be independent.
+    rows = joined;
+    if (this.lookup_) {
+      cost += rows * ydn.db.query.Plan.INDEX_COST_FACTOR;
+    }
+  }
+  if (this.in_memory_sort_ && rows > 1) {
+    cost += ydn.db.query.Plan.SORT_COST_FACTOR * rows * Math.log(rows) /
+        Math.LN2;
+  } else if (this.scans_.length == 1 && this.filters_.length == 0 &&
+      !this.aggregate_ && !isNaN(this.limit_)) {
+    // cursor stop after limit.
+    var fetched = this.limit_ + this.offset_;
+    if (fetched < rows) {
+      cost = cost * fetched / rows;
+    }
+  }
+  return Math.round(cost * 100) / 100;
+};
+
+
+/**
+ * @param {Object.<number>=} opt_cardinality number of records by store name.
+ * @return {!Object} plan in JSON format.
+ */
+ydn.db.query.Plan.prototype.toJSON = function(opt_cardinality) {
+  return {
+    'stores': this.getStoreNames(),
+    'scans': goog.array.map(this.scans_, function(scan) {
+      return scan.toJSON(ydn.db.query.Plan.getCardinality_(opt_cardinality,
+          scan.store_name));
+    }),
+    'solver': this.solver_,
+    'lookup': this.lookup_,
+    'filters': this.filters_.slice(),
+    'order': this.order_.slice(),
+    'inMemorySort': this.in_memory_sort_,
+    'aggregate': this.aggregate_,
+    'groupBy': this.group_by_.slice(),
+    'inMemoryGroup': this.in_memory_group_,
+    'fields': this.fields_ ? this.fields_.slice() : null,
+    'limit': isNaN(this.limit_) ? null : this.limit_,
+    'offset': this.offset_,
+    'cost': this.getCost(opt_cardinality)
+  };
+};
@@ -0,0 +1,447 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Cost based query planner.
+ *
+ * The planner enumerates ways to resolve where clauses and ordering of a
+ * query on a store:
+ * <ul>
+ *   <li>scan the primary key,</li>
+ *   <li>scan a simple index,</li>
+ *   <li>scan a composite index matching equal conditions on leading key
+ *   paths, optionally followed by a range condition or the ordering,</li>
+ *   <li>intersect equal conditions on simple indexes by ZigzagMerge.</li>
+ * </ul>
+ * Where clauses not resolved by the key range of a scan are tested on record
+ * values, as are '~=' clauses of contains collation having search term longer
+ * than the generated substrings. Plans not producing the requested ordering
+ * are discarded and the cheapest of the rest is chosen.
+ *
+ * Selectivity of an equal condition is estimated from number of distinct keys
+ * in ydn.db.query.Statistics if available. Conditions are assumed to be
+ * independent.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.query.Planner');
+goog.require('goog.array');
+goog.require('ydn.db.ConstraintError');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.Where');
+goog.require('ydn.db.query.Iterator');
+goog.require('ydn.db.query.Plan');
+goog.require('ydn.db.query.Statistics');
+
+
+
+/**
+ * Create a query planner for a store.
+ * @param {!ydn.db.schema.Store} store store schema.
+ * @param {ydn.db.query.Statistics=} opt_stats store statistics.
+ * @constructor
+ * @struct
+ */
+ydn.db.query.Planner = function(store, opt_stats) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.Store}
+   */
+  this.store_ = store;
+  /**
+   * @final
+   * @private
+   * @type {ydn.db.query.Statistics}
+   */
+  this.stats_ = opt_stats || null;
+};
+
+
+
+/**
+ * A candidate plan.
+ * @param {!Array.<!ydn.db.query.Iterator>} iters iterators, more than one
+ * are joined by ZigzagMerge.
+ * @param {!ydn.db.query.Plan} plan execution plan.
+ * @param {number} cost estimated cost.
+ * @constructor
+ * @struct
+ */
+ydn.db.query.Planner.Candidate = function(iters, plan, cost) {
+  /**
+   * @final
+   * @type {!Array.<!ydn.db.query.Iterator>}
+   */
+  this.iters = iters;
+  /**
+   * @final
+   * @type {!ydn.db.query.Plan}
+   */
+  this.plan = plan;
+  /**
+   * @final
+   * @type {number}
+   */
+  this.cost = cost;
+};
+
+
+/**
+ * Combine where clauses on the same field.
+ * @param {!Array.<!ydn.db.Where>} wheres where clauses.
+ * @return {!Array.<!ydn.db.Where>} where clauses with distinct fields,
+ * except '~=' clauses.
+ */
+ydn.db.query.Planner.merge = function(wheres) {
+  var out = [];
+  for (var i = 0; i < wheres.length; i++) {
+    var field = wheres[i].getField();
+    var idx = goog.array.findIndex(out, function(w) {
+      return w.getField() == field;
+    });
+    var merged = idx >= 0 ? out[idx].and(wheres[i]) : null;
+    if (merged) {
+      out[idx] = merged;
+    } else {
+      out.push(wheres[i]);
+    }
+  }
+  return out;
+};
+
+
+/**
+ * @return {number} estimated number of records in the store.
+ * @private
+ */
+ydn.db.query.Planner.prototype.getCount_ = function() {
+  var n = this.stats_ ? this.stats_.getCount(this.store_.getName()) :
+      undefined;
+  return goog.isDef(n) ? n : ydn.db.query.Plan.DEFAULT_CARDINALITY;
+};
+
+
+/**
+ * @return {Object.<number>|undefined} number of records by store name, if
+ * sampled.
+ * @private
+ */
+ydn.db.query.Planner.prototype.getCardinality_ = function() {
+  return this.stats_ ? this.stats_.getCardinality() : undefined;
+};
+
+
+/**
+ * Estimate fraction of records satisfying a where clause.
+ * @param {!ydn.db.Where} where where clause.
+ * @return {number} selectivity between 0 and 1.
+ */
+ydn.db.query.Planner.prototype.getSelectivity = function(where) {
+  var field = where.getField();
+  if (where.isEqual()) {
+    var n = Math.max(this.getCount_(), 1);
+    if (this.store_.isKeyPath(field)) {
+      return 1 / n;
+    }
+    var index = this.store_.getIndexByKeyPath(field);
+    if (index && index.isUnique()) {
+      return 1 / n;
+    }
+    if (index && this.stats_) {
+      var distinct = this.stats_.getDistinct(this.store_.getName(),
+          index.getName());
+      if (distinct > 0) {
+        return 1 / distinct;
+      }
+    }
+    return ydn.db.query.Plan.EQUAL_SELECTIVITY;
+  }
+  var kr = where.getKeyRange();
+  var has_lower = !!kr && goog.isDefAndNotNull(kr.lower);
+  var has_upper = !!kr && goog.isDefAndNotNull(kr.upper);
+  if (has_lower && has_upper) {
+    return ydn.db.query.Plan.BOUND_SELECTIVITY;
+  } else if (has_lower || has_upper) {
+    return ydn.db.query.Plan.HALF_BOUND_SELECTIVITY;
+  } else {
+    return 1;
+  }
+};
+
+
+/**
+ * Get execution plan of iterators.
+ * @param {!Array.<!ydn.db.query.Iterator>} iters iterators, more than one
+ * are joined.
+ * @param {boolean} key_only true if only keys are required.
+ * @return {!ydn.db.query.Plan} execution plan.
+ */
+ydn.db.query.Planner.prototype.getPlan = function(iters, key_only) {
+  var plan = new ydn.db.query.Plan();
+  var is_join = iters.length > 1;
+  var is_ref_join = false;
+  for (var i = 0; i < iters.length; i++) {
+    var iter = iters[i];
+    var filters = iter.getFilters();
+    var scan = iter.getScan(!is_join && (!key_only || filters.length > 0));
+    var conditions = iter.getConditions();
+    if (conditions.length > 0) {
+      var selectivity = 1;
+      for (var j = 0; j < conditions.length; j++) {
+        if (goog.array.indexOf(filters, conditions[j]) == -1) {
+          selectivity *= this.getSelectivity(conditions[j]);
+        }
+      }
+      scan.setSelectivity(selectivity);
+    }
+    plan.addScan(scan);
+    for (var j = 0; j < filters.length; j++) {
+      plan.addFilter(filters[j].toString());
+    }
+    is_ref_join = is_ref_join || iter.hasPrefix();
+  }
+  if (is_join) {
+    plan.setSolver(is_ref_join ? ydn.db.query.Plan.Solver.ZIGZAG_MERGE :
+        ydn.db.query.Plan.Solver.SORTED_MERGE);
+    plan.setLookup(!key_only);
+  } else {
+    // ordering is always served by index.
+    plan.setOrder(iters[0].getPostFix(), false);
+  }
+  return plan;
+};
+
+
+/**
+ * @param {!Array.<!ydn.db.query.Iterator>} iters iterators.
+ * @param {boolean} key_only true if only keys are required.
+ * @return {!ydn.db.query.Planner.Candidate}
+ * @private
+ */
+ydn.db.query.Planner.prototype.newCandidate_ = function(iters, key_only) {
+  var plan = this.getPlan(iters, key_only);
+  return new ydn.db.query.Planner.Candidate(iters, plan,
+      plan.getCost(this.getCardinality_()));
+};
+
+
+/**
+ * Test an index scan produce the requested ordering.
+ * @param {!Array.<string>} key_paths key paths of the index, empty for
+ * primary key.
+ * @param {number} n_equal number of leading key paths constrained by
+ * equal conditions.
+ * @param {!Array.<string>} orders requested ordering.
+ * @return {boolean} true if ordering is served.
+ * @private
+ */
+ydn.db.query.Planner.prototype.isOrdered_ = function(key_paths, n_equal,
+                                                      orders) {
+  // records of equal index key are ordered by primary key.
+  var ordering = key_paths.slice(n_equal);
+  var key_path = this.store_.getKeyPath();
+  if (goog.isString(key_path)) {
+    ordering.push(key_path);
+  }
+  if (orders.length > ordering.length) {
+    return false;
+  }
+  for (var i = 0; i < orders.length; i++) {
+    if (orders[i] != ordering[i]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Key range of a composite index from equal values of leading key paths and
+ * an optional range condition on the next key path.
+ * @param {!Array} values values of equal conditions.
+ * @param {ydn.db.Where} range range condition on the next key path.
+ * @param {boolean} is_last true if the range condition is on the last key
+ * path.
+ * @return {ydn.db.KeyRange} key range.
+ * @private
+ */
+ydn.db.query.Planner.compositeKeyRange_ = function(values, range, is_last) {
+  if (!range) {
+    return values.length == 0 ? null : ydn.db.KeyRange.starts(values);
+  }
+  var kr = range.getKeyRange();
+  var lower, upper;
+  var lower_open = false;
+  var upper_open = false;
+  if (kr && goog.isDefAndNotNull(kr.lower)) {
+    lower = values.concat([kr.lower]);
+    if (kr.lowerOpen) {
+      lower_open = true;
+      if (!is_last) {
+        // skip all keys having the lower bound value.
+        lower.push('\uffff');
+      }
+    }
+  } else if (values.length > 0) {
+    lower = values.slice();
+  }
+  if (kr && goog.isDefAndNotNull(kr.upper)) {
+    upper = values.concat([kr.upper]);
+    if (kr.upperOpen) {
+      upper_open = true;
+    } else if (!is_last) {
+      // include all keys having the upper bound value.
+      upper.push('\uffff');
+    }
+  } else if (values.length > 0) {
+    upper = values.concat(['\uffff']);
+  }
+  return ydn.db.KeyRange.bound(lower, upper, lower_open, upper_open);
+};
+
+
+/**
+ * Enumerate plans resolving where clauses and ordering.
+ * @param {!Array.<!ydn.db.Where>} wheres where clauses.
+ * @param {!Array.<string>} orders requested ordering.
+ * @param {boolean} reverse reverse ordering.
+ * @param {boolean} unique unique cursor.
+ * @param {boolean} key_only true if only keys are required.
+ * @return {!Array.<!ydn.db.query.Planner.Candidate>} candidates producing
+ * the requested ordering.
+ */
+ydn.db.query.Planner.prototype.enumerate = function(wheres, orders, reverse,
+    unique, key_only) {
+  var me = this;
+  var store = this.store_;
+  wheres = ydn.db.query.Planner.merge(wheres);
+  var out = [];
+  var find = function(field) {
+    return goog.array.find(wheres, function(w) {
+      return w.getField() == field;
+    });
+  };
+  var add = function(index, prefix_length, kr, used) {
+    var filters = goog.array.filter(wheres, function(w) {
+      return goog.array.indexOf(used, w) == -1 || !w.isExact();
+    });
+    var iter = ydn.db.query.Iterator.forIndex(store, index, prefix_length,
+        kr, wheres, filters, reverse, unique);
+    iter.setRequestedOrder(orders);
+    out.push(me.newCandidate_([iter], key_only));
+  };
+
+  // primary key
+  var key_path = store.getKeyPath();
+  var pk_where = goog.isString(key_path) ? find(key_path) : undefined;
+  if (this.isOrdered_([], 0, orders)) {
+    if (pk_where) {
+      add(null, 0, pk_where.getKeyRange(), [pk_where]);
+    } else {
+      add(null, 0, null, []);
+    }
+  }
+
+  // simple and composite indexes
+  for (var i = 0; i < store.countIndex(); i++) {
+    var index = store.index(i);
+    var kp = index.getKeyPath();
+    var key_paths = goog.isArray(kp) ? kp : [kp];
+    var used = [];
+    var values = [];
+    var n_equal = 0;
+    for (; n_equal < key_paths.length; n_equal++) {
+      var w = find(key_paths[n_equal]);
+      if (!w || !w.isEqual()) {
+        break;
+      }
+      used.push(w);
+      values.push(w.getKeyRange().lower);
+    }
+    var range = n_equal < key_paths.length ? find(key_paths[n_equal]) : null;
+    if (range && index.isMultiEntry()) {
+      // a record may match more than one entry of the range.
+      range = null;
+    }
+    if (!this.isOrdered_(key_paths, n_equal, orders)) {
+      continue;
+    }
+    if (n_equal == 0 && !range && orders.length == 0) {
+      // full index scan does not help.
+      continue;
+    }
+    var kr;
+    if (key_paths.length == 1) {
+      kr = n_equal == 1 ? used[0].getKeyRange() :
+          range ? range.getKeyRange() : null;
+    } else if (n_equal == key_paths.length) {
+      kr = ydn.db.KeyRange.only(values);
+    } else {
+      kr = ydn.db.query.Planner.compositeKeyRange_(values, range || null,
+          n_equal + 1 == key_paths.length);
+    }
+    if (range) {
+      used.push(range);
+    }
+    add(index, used.length, kr, used);
+  }
+
+  // intersection of equal conditions on simple indexes
+  if (wheres.length > 1 && orders.length == 0 && !unique) {
+    var iters = [];
+    for (var i = 0; i < wheres.length; i++) {
+      var index = wheres[i].isEqual() ?
+          store.getIndexByKeyPath(wheres[i].getField()) : null;
+      if (!index || index.isMultiEntry() ||
+          store.isKeyPath(wheres[i].getField())) {
+        break;
+      }
+      iters.push(ydn.db.query.Iterator.forIndex(store, index, 1,
+          wheres[i].getKeyRange(), [wheres[i]], [], reverse));
+    }
+    if (iters.length == wheres.length) {
+      out.push(this.newCandidate_(iters, key_only));
+    }
+  }
+
+  return out;
+};
+
+
+/**
+ * Choose the cheapest plan resolving where clauses and ordering.
+ * @param {!Array.<!ydn.db.Where>} wheres where clauses.
+ * @param {!Array.<string>} orders requested ordering.
+ * @param {boolean} reverse reverse ordering.
+ * @param {boolean} unique unique cursor.
+ * @param {boolean} key_only true if only keys are required.
+ * @return {!ydn.db.query.Planner.Candidate} the cheapest plan.
+ */
+ydn.db.query.Planner.prototype.plan = function(wheres, orders, reverse,
+                                               unique, key_only) {
+  var candidates = this.enumerate(wheres, orders, reverse, unique, key_only);
+  if (candidates.length == 0) {
+    throw new ydn.db.ConstraintError('Require index "' + orders.join(', ') +
+        '" not found in store "' + this.store_.getName() + '"');
+  }
+  var best = candidates[0];
+  for (var i = 1; i < candidates.length; i++) {
+    if (candidates[i].cost < best.cost) {
+      best = candidates[i];
+    }
+  }
+  return best;
+};
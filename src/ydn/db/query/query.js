@@ -18,11 +18,23 @@
  */
 
 goog.provide('ydn.db.Query');
+goog.require('goog.array');
+goog.require('goog.async.DeferredList');
+goog.require('goog.log');
+goog.require('goog.object');
+goog.require('ydn.db');
+goog.require('ydn.db.Where');
 goog.require('ydn.db.core.Storage');
 goog.require('ydn.db.query.Base');
 goog.require('ydn.db.query.ConjQuery');
 goog.require('ydn.db.query.Iterator');
+goog.require('ydn.db.query.Planner');
+goog.require('ydn.db.query.Statistics');
+goog.require('ydn.db.query.Stream');
+goog.require('ydn.db.schema.Store');
+goog.require('ydn.db.utils');
 goog.require('ydn.debug.error.ArgumentException');
+goog.require('ydn.debug.error.NotSupportedException');
 
 
 
@@ -32,11 +44,13 @@ goog.require('ydn.debug.error.ArgumentException');
  * @param {ydn.db.schema.Database} schema
  * @param {ydn.db.base.QueryMethod?} type query type.  Defaults to values.
  * @param {ydn.db.query.Iterator} iter index name.
+ * @param {Array.<!ydn.db.query.Iterator>=} opt_conj_iters iterators of
+ * index intersection chosen by the planner to list results.
  * @constructor
  * @extends {ydn.db.query.Base}
  * @struct
  */
-ydn.db.Query = function(db, schema, type, iter) {
+ydn.db.Query = function(db, schema, type, iter, opt_conj_iters) {
   goog.base(this, db, schema, type);
   /**
    * @final
@@ -44,6 +58,15 @@ ydn.db.Query = function(db, schema, type, iter) {
    * @type {ydn.db.query.Iterator}
    */
   this.iter = iter;
+  /**
+   * Iterators of index intersection. Results are listed by intersection,
+   * while other methods use the iterator, which resolves the same
+   * conditions by the first index and filters.
+   * @final
+   * @private
+   * @type {Array.<!ydn.db.query.Iterator>}
+   */
+  this.conj_iters_ = opt_conj_iters || null;
 
 };
 goog.inherits(ydn.db.Query, ydn.db.query.Base);
@@ -59,7 +82,19 @@ ydn.db.Query.DEBUG = false;
  * @return {!ydn.db.Query}
  */
 ydn.db.Query.prototype.copy = function() {
-  return new ydn.db.Query(this.db, this.schema, this.type, this.iter.clone());
+  return new ydn.db.Query(this.db, this.schema, this.type, this.iter.clone(),
+      this.conj_iters_);
+};
+
+
+/**
+ * @return {ydn.db.query.ConjQuery} conjunction query of index intersection,
+ * null if the query does not use intersection.
+ * @private
+ */
+ydn.db.Query.prototype.getConjQuery_ = function() {
+  return this.conj_iters_ ? new ydn.db.query.ConjQuery(this.db, this.schema,
+      this.type, this.conj_iters_) : null;
 };
 
 
@@ -94,6 +129,9 @@ ydn.db.Query.prototype.unique = function(val) {
  */
 ydn.db.Query.prototype.order = function(order) {
   var orders = goog.isString(order) ? [order] : order;
+  if (this.iter.getConditions().length > 0) {
+    return this.plan_(this.iter.getConditions(), orders);
+  }
   var iter = this.iter.clone();
   var msg = iter.setOrder(orders);
   if (msg) {
@@ -107,7 +145,8 @@ ydn.db.Query.prototype.order = function(order) {
 /**
  * Create a new value cursor range iterator using where clause condition.
  * @param {string} index_name index name.
- * @param {string} op where operator.
+ * @param {string} op where operator. '~=' is case and accent insensitive
+ * search on an index having collation option.
  * @param {IDBKey} value rvalue to compare.
  * @param {string=} opt_op2 second operator.
  * @param {IDBKey=} opt_value2 second rvalue to compare.
@@ -115,6 +154,16 @@ ydn.db.Query.prototype.order = function(order) {
  */
 ydn.db.Query.prototype.where = function(index_name, op, value, opt_op2,
     opt_value2) {
+  if (op == '~=') {
+    return this.collate_(index_name, value);
+  }
+  if (goog.isString(index_name) && (!this.iter.getKeyRange() ||
+      this.iter.getConditions().length > 0)) {
+    var where = new ydn.db.Where(index_name, op, value, opt_op2, opt_value2);
+    var wheres = this.iter.getConditions();
+    wheres.push(where);
+    return this.plan_(wheres, this.iter.getRequestedOrder());
+  }
   if (!this.iter.getIndexName() || this.iter.getIndexName() == index_name) {
     if (!this.iter.getIndexName()) {
       var store = this.schema.getStore(this.iter.getStoreName());
@@ -139,6 +188,73 @@ ydn.db.Query.prototype.where = function(index_name, op, value, opt_op2,
 };
 
 
+/**
+ * Create a new query of case and accent insensitive search on an index having
+ * collation option.
+ * @param {string} index_name index name.
+ * @param {*} term search term.
+ * @return {!ydn.db.query.Base} a new query.
+ * @private
+ */
+ydn.db.Query.prototype.collate_ = function(index_name, term) {
+  var store = this.getStore();
+  if (this.iter.getKeyRange() && this.iter.getConditions().length == 0) {
+    throw new ydn.debug.error.NotSupportedException('\'~=\' operator on ' +
+        'a query having key range on store "' + store.getName() + '"');
+  }
+  var index = store.getIndex(index_name);
+  if (!index || !index.collation) {
+    throw new ydn.debug.error.ArgumentException('index "' + index_name +
+        '" having collation option not exists in ' + store.getName());
+  }
+  var generated = /** @type {!ydn.db.schema.Index} */ (
+      store.getCollationIndex(index_name));
+  var wheres = this.iter.getConditions();
+  wheres.push(ydn.db.Where.collate(index, generated, term));
+  return this.plan_(wheres, this.iter.getRequestedOrder());
+};
+
+
+/**
+ * Create a new query from the cheapest plan.
+ * @param {!Array.<!ydn.db.Where>} wheres where clauses.
+ * @param {!Array.<string>} orders requested ordering.
+ * @return {!ydn.db.Query} a new query.
+ * @private
+ */
+ydn.db.Query.prototype.plan_ = function(wheres, orders) {
+  var store = this.getStore();
+  var stats = this.getStatistics();
+  if (wheres.length + orders.length > 1 && stats.isStale(store.getName())) {
+    // there is a choice, statistics will be ready for subsequent queries.
+    var storage = /** @type {ydn.db.core.Storage} */ (this.db.getStorage());
+    storage.analyze(store.getName()).addErrback(goog.nullFunction);
+  }
+  var planner = new ydn.db.query.Planner(store, stats);
+  var candidate = planner.plan(wheres, orders, this.iter.isReverse(),
+      this.iter.isUnique(), this.isKeyOnly());
+  if (ydn.db.Query.DEBUG) {
+    goog.global.console.log(candidate.plan.toJSON());
+  }
+  if (candidate.iters.length == 1) {
+    return new ydn.db.Query(this.db, this.schema, this.type,
+        candidate.iters[0]);
+  }
+  // index intersection, each iterator resolves one equal condition.
+  var first = candidate.iters[0];
+  var conditions = [];
+  for (var i = 0; i < candidate.iters.length; i++) {
+    conditions = conditions.concat(candidate.iters[i].getConditions());
+  }
+  var iter = ydn.db.query.Iterator.forIndex(store, first.getIndex(), 1,
+      first.getKeyRange(), conditions, conditions.slice(1), first.isReverse(),
+      first.isUnique());
+  iter.setRequestedOrder(orders);
+  return new ydn.db.Query(this.db, this.schema, this.type, iter,
+      candidate.iters);
+};
+
+
 /**
  * @return {ydn.db.schema.Store}
  */
@@ -166,9 +282,13 @@ ydn.db.Query.prototype.select = function(field_name_s) {
     } else if (!field || field == '*') {
       type = ydn.db.base.QueryMethod.LIST_VALUE;
     } else if (store.hasIndex(field)) {
-      var msg = iter.setOrder(fields);
-      if (msg) {
-        throw new ydn.debug.error.ArgumentException(msg);
+      if (iter.getConditions().length > 0) {
+        iter = this.plan_(iter.getConditions(), fields).iter.clone();
+      } else {
+        var msg = iter.setOrder(fields);
+        if (msg) {
+          throw new ydn.debug.error.ArgumentException(msg);
+        }
       }
       type = ydn.db.base.QueryMethod.LIST_KEY;
     } else {
@@ -209,17 +329,22 @@ ydn.db.Query.prototype.select = function(field_name_s) {
 ydn.db.Query.prototype.list = function(opt_limit) {
   var offset = 0;
   var limit = opt_limit || ydn.db.base.DEFAULT_RESULT_LIMIT;
+  var conj = this.getConjQuery_();
+  if (conj) {
+    return conj.list(limit);
+  }
   var mth = ydn.db.base.QueryMethod.LIST_VALUE;
   var iter = this.getIterator();
   if (this.marker && this.marker[0]) {
     // console.log('starting from ' + this.marker[0]);
     iter = iter.resume(this.marker[0], this.marker[1]);
   }
-  if (this.type == ydn.db.base.QueryMethod.LIST_PRIMARY_KEY ||
-      this.type == ydn.db.base.QueryMethod.LIST_KEYS ||
-      this.type == ydn.db.base.QueryMethod.LIST_KEY) {
+  if (this.isKeyOnly()) {
     mth = this.type;
   }
+  if (this.iter.hasFilter()) {
+    return this.listFiltered_(mth, iter, limit);
+  }
 
   var req = this.db.listIter(mth, iter, limit, offset);
   req.addCallback(function(x) {
@@ -233,11 +358,246 @@ ydn.db.Query.prototype.list = function(opt_limit) {
 };
 
 
+/**
+ * @param {ydn.db.base.QueryMethod} mth list method.
+ * @param {!ydn.db.core.req.ICursor} cursor cursor.
+ * @param {*} value record value.
+ * @return {*} result of the cursor position for the list method.
+ * @private
+ */
+ydn.db.Query.cursorResult_ = function(mth, cursor, value) {
+  if (mth == ydn.db.base.QueryMethod.LIST_PRIMARY_KEY) {
+    return cursor.getPrimaryKey();
+  } else if (mth == ydn.db.base.QueryMethod.LIST_KEY) {
+    return cursor.getKey();
+  } else if (mth == ydn.db.base.QueryMethod.LIST_KEYS) {
+    return [cursor.getKey(), cursor.getPrimaryKey()];
+  } else {
+    return value;
+  }
+};
+
+
+/**
+ * List records satisfying residual filters.
+ * @param {ydn.db.base.QueryMethod} mth list method.
+ * @param {!ydn.db.Iterator} iter iterator.
+ * @param {number} limit limit.
+ * @return {!ydn.db.Request}
+ * @private
+ */
+ydn.db.Query.prototype.listFiltered_ = function(mth, iter, limit) {
+  var out = [];
+  var filter = this.iter;
+  this.marker = null;
+  if (iter.isKeyIterator()) {
+    iter = iter.asValueIterator();
+  }
+  var req = this.db.open(function(cursor) {
+    var value = cursor.getValue();
+    if (!filter.isMatch(value)) {
+      return;
+    }
+    out.push(ydn.db.Query.cursorResult_(mth, cursor, value));
+    if (out.length >= limit) {
+      // iteration not finished
+      this.marker = [cursor.getKey(), cursor.getPrimaryKey()];
+      return null;
+    }
+  }, iter, ydn.db.base.TransactionMode.READ_ONLY, this);
+  req.await(function(x, is_error, cb) {
+    cb(is_error ? x : out, is_error);
+  });
+  return req;
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.Query.prototype.listEntries = function(limit) {
+  var conj = this.getConjQuery_();
+  if (conj) {
+    return conj.listEntries(limit);
+  }
+  var keys = [];
+  var out = [];
+  var mth = this.isKeyOnly() ? this.type :
+      ydn.db.base.QueryMethod.LIST_VALUE;
+  var filter = this.iter;
+  var req = this.db.open(function(cursor) {
+    var value = cursor.getValue();
+    if (!filter.isMatch(value)) {
+      return;
+    }
+    keys.push(cursor.getPrimaryKey());
+    out.push(ydn.db.Query.cursorResult_(mth, cursor, value));
+    if (keys.length >= limit) {
+      return null;
+    }
+  }, this.getIterator(false), ydn.db.base.TransactionMode.READ_ONLY);
+  req.await(function(x, is_error, cb) {
+    cb(is_error ? x : [keys, out], is_error);
+  });
+  return req;
+};
+
+
+/**
+ * Direction of a page token, relative to the query ordering.
+ * @enum {string}
+ * @private
+ */
+ydn.db.Query.PageDirection_ = {
+  NEXT: 'n',
+  PREV: 'p'
+};
+
+
+/**
+ * Encode a cursor position into a page token. The token is a URL-safe string
+ * of direction, effective key and primary key separated by '.', with keys
+ * encoded in hex.
+ * @param {ydn.db.Query.PageDirection_} dir direction.
+ * @param {!Array} position effective key and primary key.
+ * @return {string} page token.
+ * @private
+ */
+ydn.db.Query.encodePageToken_ = function(dir, position) {
+  var pk = goog.isDef(position[1]) ?
+      ydn.db.utils.encodeKey(position[1]) : '';
+  return dir + '.' + ydn.db.utils.encodeKey(position[0]) + '.' + pk;
+};
+
+
+/**
+ * @param {string} token page token.
+ * @return {{dir: ydn.db.Query.PageDirection_, key: IDBKey,
+ *   primaryKey: (IDBKey|undefined)}} decoded cursor position.
+ * @private
+ */
+ydn.db.Query.decodePageToken_ = function(token) {
+  var parts = goog.isString(token) ? token.split('.') : [];
+  if (parts.length != 3 || !goog.object.containsValue(
+      ydn.db.Query.PageDirection_, parts[0]) || !/^[0-9a-f]+$/.test(parts[1]) ||
+      !/^[0-9a-f]*$/.test(parts[2])) {
+    throw new ydn.debug.error.ArgumentException('invalid page token: ' +
+        token);
+  }
+  return {
+    dir: /** @type {ydn.db.Query.PageDirection_} */ (parts[0]),
+    key: ydn.db.utils.decodeKey(parts[1]),
+    primaryKey: parts[2] ? ydn.db.utils.decodeKey(parts[2]) : undefined
+  };
+};
+
+
+/**
+ * Get a page of query results. Pages are resumed from the cursor position
+ * saved in the token, rather than by offset, so that paging is fast on large
+ * stores and stable while records are added or removed.
+ * @param {number} size number of results in a page.
+ * @param {?string=} opt_token token of the page, as returned in 'next' or
+ * 'prev' of a page. If not given, the first page is returned.
+ * @return {!ydn.db.Request} resolve to a page of 'items', having 'next' and
+ * 'prev' tokens, which are null if there is no more result in the direction.
+ */
+ydn.db.Query.prototype.page = function(size, opt_token) {
+  if (!goog.isNumber(size) || !(size >= 1) || size % 1 != 0) {
+    throw new ydn.debug.error.ArgumentException('page size must be a ' +
+        'positive integer, but ' + size + ' found');
+  }
+  var Dir = ydn.db.Query.PageDirection_;
+  var position = goog.isDefAndNotNull(opt_token) ?
+      ydn.db.Query.decodePageToken_(opt_token) : null;
+  var is_prev = !!position && position.dir == Dir.PREV;
+  var mth = this.isKeyOnly() ? this.type :
+      ydn.db.base.QueryMethod.LIST_VALUE;
+  var iter = this.getIterator();
+  if (this.iter.hasFilter() && iter.isKeyIterator()) {
+    iter = iter.asValueIterator();
+  }
+  // unique iterator resumes from the next distinct key.
+  var with_pk = iter.isIndexIterator() && !iter.isUnique();
+  if (is_prev) {
+    iter = iter.reverse();
+  }
+  if (position) {
+    iter = iter.resume(position.key, with_pk ? position.primaryKey : undefined);
+  }
+  var filter = this.iter;
+  var items = [];
+  var positions = [];
+  var has_more = false;
+  var req = this.db.open(function(cursor) {
+    var value = cursor.getValue();
+    if (!filter.isMatch(value)) {
+      return;
+    }
+    if (items.length >= size) {
+      has_more = true;
+      return null;
+    }
+    items.push(ydn.db.Query.cursorResult_(mth, cursor, value));
+    positions.push([cursor.getKey(),
+      with_pk ? cursor.getPrimaryKey() : undefined]);
+  }, iter, ydn.db.base.TransactionMode.READ_ONLY);
+  req.await(function(x, is_error, cb) {
+    if (is_error) {
+      cb(x, true);
+      return;
+    }
+    if (is_prev) {
+      items.reverse();
+      positions.reverse();
+    }
+    var n = positions.length;
+    var has_next = is_prev ? n > 0 : has_more;
+    var has_prev = is_prev ? has_more : !!position && n > 0;
+    cb({
+      'items': items,
+      'next': has_next ?
+          ydn.db.Query.encodePageToken_(Dir.NEXT, positions[n - 1]) : null,
+      'prev': has_prev ?
+          ydn.db.Query.encodePageToken_(Dir.PREV, positions[0]) : null
+    });
+  });
+  return req;
+};
+
+
+/**
+ * Stream query results as an async iterator, reading results in batches of
+ * short transactions.
+ * @param {DbQueryStreamOptions=} opt_options options.
+ * @return {!ydn.db.query.Stream} async iterator of results.
+ */
+ydn.db.Query.prototype.stream = function(opt_options) {
+  var batch = opt_options ? opt_options['batch'] : undefined;
+  return new ydn.db.query.Stream(this, batch);
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.Query.prototype.getPlan = function() {
+  var conj = this.getConjQuery_();
+  if (conj) {
+    return conj.getPlan();
+  }
+  var planner = new ydn.db.query.Planner(this.iter.getStore(),
+      this.getStatistics());
+  return planner.getPlan([this.iter], this.isKeyOnly());
+};
+
+
 /**
  * @inheritDoc
  */
 ydn.db.Query.prototype.getIterators = function() {
-  return [this.iter.clone()];
+  var conj = this.getConjQuery_();
+  return conj ? conj.getIterators() : [this.iter.clone()];
 };
 
 
@@ -249,9 +609,7 @@ ydn.db.Query.prototype.getIterators = function() {
 ydn.db.Query.prototype.getIterator = function(opt_key_only) {
   var is_key_only = !!opt_key_only;
   if (!goog.isDef(opt_key_only)) {
-    is_key_only = this.type == ydn.db.base.QueryMethod.LIST_PRIMARY_KEY ||
-        this.type == ydn.db.base.QueryMethod.LIST_KEYS ||
-        this.type == ydn.db.base.QueryMethod.LIST_KEY;
+    is_key_only = this.isKeyOnly();
   }
   return this.iter.getIterator(!is_key_only);
 };
@@ -267,6 +625,9 @@ ydn.db.Query.prototype.getOrder = function() {
 
 /**
  * Patch object.
+ * With `patch` record hooks, records are read and hooked before they are
+ * written, so that a record changed by another transaction in between is
+ * overwritten by the hooked record.
  * @param {!Object|string|!Array.<string>} arg1 Patch object, field name or
  * field names.
  * @param {*=} opt_arg2 field value or field values.
@@ -304,8 +665,12 @@ ydn.db.Query.prototype.patch = function(arg1, opt_arg2) {
       throw new ydn.debug.error.ArgumentException('too many arguments');
     }
   }
-  var req = this.db.open(function(cursor) {
-    var val = /** @type {!Object} */ (cursor.getValue());
+  var filter = this.iter;
+  var store = this.getStore();
+  /**
+   * @param {!Object} val record value to patch.
+   */
+  var patch = function(val) {
     if (goog.isString(arg1)) {
       ydn.db.utils.setValueByKeys(val, arg1, opt_arg2);
     } else if (goog.isArray(arg1)) {
@@ -319,8 +684,77 @@ ydn.db.Query.prototype.patch = function(arg1, opt_arg2) {
         }
       }
     }
-    req.awaitDeferred(cursor.update(val));
-  }, iter, ydn.db.base.TransactionMode.READ_WRITE, this);
+  };
+  var req;
+  if (store.getRecordHooks(ydn.db.schema.Store.HookMethod.PATCH).length == 0) {
+    req = this.db.open(function(cursor) {
+      var val = /** @type {!Object} */ (cursor.getValue());
+      if (!filter.isMatch(val)) {
+        return;
+      }
+      patch(val);
+      req.awaitDeferred(cursor.update(val));
+    }, iter, ydn.db.base.TransactionMode.READ_WRITE, this);
+    return req;
+  }
+  // `before` hooks may resolve asynchronously, after the cursor transaction
+  // is committed. Matched records are read and patched first, and records
+  // returned by the hooks are then written in a single cursor transaction.
+  var values = [];
+  var keys = [];
+  var db = this.db;
+  req = this.db.open(function(cursor) {
+    var val = /** @type {!Object} */ (cursor.getValue());
+    if (!filter.isMatch(val)) {
+      return;
+    }
+    patch(val);
+    values.push(val);
+    keys.push(cursor.getPrimaryKey());
+  }, iter, ydn.db.base.TransactionMode.READ_ONLY, this);
+  req.await(function(result, is_error, cb) {
+    if (is_error || values.length == 0) {
+      cb(result, is_error);
+      return;
+    }
+    db.patchInternal(store.getName(), values, keys, function(out) {
+      return ydn.db.Query.updateByKeys_(db, iter, keys, out);
+    }).addCallbacks(function() {
+      cb(result);
+    }, function(e) {
+      cb(e, true);
+    });
+  });
+  return req;
+};
+
+
+/**
+ * Update records of given primary keys in a READ_WRITE cursor transaction.
+ * @param {ydn.db.core.DbOperator} db database.
+ * @param {!ydn.db.Iterator} iter value iterator over the records.
+ * @param {!Array.<IDBKey>} keys primary keys of the records.
+ * @param {!Array.<!Object>} values record values to write.
+ * @return {!ydn.db.Request} resolve to the primary keys.
+ * @private
+ */
+ydn.db.Query.updateByKeys_ = function(db, iter, keys, values) {
+  var order = goog.array.range(keys.length);
+  goog.array.sort(order, function(a, b) {
+    return ydn.db.cmp(keys[a], keys[b]);
+  });
+  var req = db.open(function(cursor) {
+    var i = goog.array.binarySearch(order, cursor.getPrimaryKey(),
+        function(key, idx) {
+          return ydn.db.cmp(key, keys[idx]);
+        });
+    if (i >= 0) {
+      req.awaitDeferred(cursor.update(values[order[i]]));
+    }
+  }, iter, ydn.db.base.TransactionMode.READ_WRITE);
+  req.addCallback(function() {
+    return keys;
+  });
   return req;
 };
 
@@ -333,7 +767,13 @@ ydn.db.Query.prototype.patch = function(arg1, opt_arg2) {
  * @template T
  */
 ydn.db.Query.prototype.open = function(cb, opt_scope) {
-  var req = this.db.open(cb, this.getIterator(false),
+  var filter = this.iter;
+  var callback = !filter.hasFilter() ? cb : function(cursor) {
+    if (filter.isMatch(cursor.getValue())) {
+      return cb.call(this, cursor);
+    }
+  };
+  var req = this.db.open(callback, this.getIterator(false),
       ydn.db.base.TransactionMode.READ_WRITE, opt_scope);
   return req;
 };
@@ -345,7 +785,18 @@ ydn.db.Query.prototype.open = function(cb, opt_scope) {
  */
 ydn.db.Query.prototype.count = function() {
   var req;
-  if (this.iter.usedIndex()) {
+  if (this.iter.hasFilter()) {
+    var n = 0;
+    var filter = this.iter;
+    req = this.db.open(function(cursor) {
+      if (filter.isMatch(cursor.getValue())) {
+        n++;
+      }
+    }, this.getIterator(false));
+    req.await(function(x, is_error, cb) {
+      cb(is_error ? x : n, is_error);
+    });
+  } else if (this.iter.usedIndex()) {
     if (this.iter.isUnique()) {
       req = this.db.count(this.iter.getIterator());
     } else {
@@ -364,10 +815,25 @@ ydn.db.Query.prototype.count = function() {
  * @return {!ydn.db.Request}
  */
 ydn.db.Query.prototype.clear = function() {
-  var req = this.iter.usedIndex() ?
-      this.db.clear(this.iter.getStoreName(), this.iter.getIndexName(),
-          this.iter.getKeyRange()) :
-      this.db.clear(this.iter.getStoreName(), this.iter.getKeyRange());
+  var req;
+  if (this.iter.hasFilter()) {
+    var n = 0;
+    var filter = this.iter;
+    req = this.db.open(function(cursor) {
+      if (filter.isMatch(cursor.getValue())) {
+        n++;
+        req.awaitDeferred(cursor.clear());
+      }
+    }, this.getIterator(false), ydn.db.base.TransactionMode.READ_WRITE);
+    req.addCallback(function() {
+      return n;
+    });
+  } else if (this.iter.usedIndex()) {
+    req = this.db.clear(this.iter.getStoreName(), this.iter.getIndexName(),
+        this.iter.getKeyRange());
+  } else {
+    req = this.db.clear(this.iter.getStoreName(), this.iter.getKeyRange());
+  }
   return req;
 };
 
@@ -379,6 +845,17 @@ ydn.db.Query.prototype.clear = function() {
  */
 ydn.db.Query.prototype.and = function(q) {
   var iters = q.getIterators().concat(this.getIterators());
+  for (var i = 0; i < iters.length; i++) {
+    if (iters[i].getStore().hasExpiry()) {
+      throw new ydn.debug.error.NotSupportedException('conjunction of ' +
+          'queries on store "' + iters[i].getStoreName() +
+          '" having expiry option');
+    }
+    if (iters[i].hasFilter()) {
+      throw new ydn.debug.error.NotSupportedException('conjunction of ' +
+          'queries having conditions on more than one field');
+    }
+  }
   return new ydn.db.query.ConjQuery(this.db, this.schema, this.type, iters);
 };
 
@@ -412,7 +889,9 @@ ydn.db.core.Storage.prototype.from = function(store_name, opt_op1, opt_value1,
     throw new ydn.debug.error.ArgumentException('second boundary must not be' +
         ' defined.');
   }
-  var iter = new ydn.db.query.Iterator(this.schema.getStore(store_name), range);
+  var store = /** @type {!ydn.db.schema.Store} */ (
+      this.schema.getStore(store_name));
+  var iter = ydn.db.query.Iterator.forPrimaryKey(store, range);
   return new ydn.db.Query(this.getIndexOperator(), this.schema, null, iter);
 };
 
@@ -446,8 +925,87 @@ ydn.db.core.DbOperator.prototype.from = function(store_name, opt_op1,
     throw new ydn.debug.error.ArgumentException('second boundary must not be' +
         ' defined.');
   }
-  var iter = new ydn.db.query.Iterator(this.schema.getStore(store_name), range);
+  var store = /** @type {!ydn.db.schema.Store} */ (
+      this.schema.getStore(store_name));
+  var iter = ydn.db.query.Iterator.forPrimaryKey(store, range);
   return new ydn.db.Query(this, this.schema, null, iter);
 };
 
 
+/**
+ * Store statistics for query planning.
+ * @type {ydn.db.query.Statistics}
+ * @private
+ */
+ydn.db.core.Storage.prototype.statistics_ = null;
+
+
+/**
+ * @return {!ydn.db.query.Statistics} store statistics for query planning.
+ */
+ydn.db.core.Storage.prototype.getStatistics = function() {
+  if (!this.statistics_) {
+    this.statistics_ = new ydn.db.query.Statistics();
+  }
+  return this.statistics_;
+};
+
+
+/**
+ * Sample statistics of stores for query planning. Number of records is
+ * counted and number of distinct keys of simple indexes are sampled. Queries
+ * sample statistics in background as necessary, so that calling this is
+ * optional.
+ * @param {(string|!Array.<string>)=} opt_store_names store names, default to
+ * all stores.
+ * @return {!goog.async.Deferred} resolve when statistics are updated.
+ */
+ydn.db.core.Storage.prototype.analyze = function(opt_store_names) {
+  var store_names = goog.isString(opt_store_names) ? [opt_store_names] :
+      opt_store_names || this.schema.getStoreNames();
+  var dfs = [];
+  for (var i = 0; i < store_names.length; i++) {
+    if (!this.schema.hasStore(store_names[i])) {
+      throw new ydn.debug.error.ArgumentException('Store "' +
+          store_names[i] + '" not found.');
+    }
+    dfs.push(this.analyzeStore_(store_names[i]));
+  }
+  return goog.async.DeferredList.gatherResults(dfs);
+};
+
+
+/**
+ * Sample statistics of a store.
+ * @param {string} store_name store name.
+ * @return {!goog.async.Deferred} resolve when statistics are updated.
+ * @private
+ */
+ydn.db.core.Storage.prototype.analyzeStore_ = function(store_name) {
+  var store = this.schema.getStore(store_name);
+  var stats = this.getStatistics();
+  var op = this.getCoreOperator();
+  var n = ydn.db.query.Statistics.SAMPLE_SIZE;
+  var distincts = {};
+  stats.setPending(store_name);
+  var dfs = [op.countInternal([store_name])];
+  for (var i = 0; i < store.countIndex(); i++) {
+    var index = store.index(i);
+    if (index.isComposite()) {
+      continue;
+    }
+    var index_name = index.getName();
+    dfs.push(op.keysInternal(store_name, index_name, null, n, 0, false, true)
+        .addCallback(goog.partial(function(name, keys) {
+          distincts[name] = keys.length;
+        }, index_name)));
+  }
+  return goog.async.DeferredList.gatherResults(dfs).addCallbacks(
+      function(results) {
+        stats.update(store_name, results[0][0], distincts);
+      }, function(e) {
+        stats.invalidate(store_name);
+        goog.log.warning(this.logger, 'sampling statistics of store "' +
+            store_name + '" failed');
+      }, this);
+};
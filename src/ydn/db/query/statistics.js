@@ -0,0 +1,150 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Store statistics for query planning.
+ *
+ * Number of records in a store is counted and number of distinct keys of
+ * each simple index is sampled by iterating unique index keys up to
+ * SAMPLE_SIZE. Statistics are cached per store and re-sampled after MAX_AGE.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.query.Statistics');
+goog.require('goog.object');
+
+
+
+/**
+ * Create an empty statistics cache.
+ * @constructor
+ * @struct
+ */
+ydn.db.query.Statistics = function() {
+  /**
+   * Number of records by store name.
+   * @final
+   * @private
+   * @type {!Object.<number>}
+   */
+  this.counts_ = {};
+  /**
+   * Number of distinct keys by store name and index name.
+   * @final
+   * @private
+   * @type {!Object.<!Object.<number>>}
+   */
+  this.distincts_ = {};
+  /**
+   * Sampling time by store name. Zero while sampling is in progress.
+   * @final
+   * @private
+   * @type {!Object.<number>}
+   */
+  this.times_ = {};
+};
+
+
+/**
+ * @const
+ * @type {number} maximum number of unique index keys iterated for sampling
+ * distinct keys.
+ */
+ydn.db.query.Statistics.SAMPLE_SIZE = 100;
+
+
+/**
+ * @const
+ * @type {number} statistics older than this, in milliseconds, are
+ * re-sampled.
+ */
+ydn.db.query.Statistics.MAX_AGE = 10 * 60 * 1000;
+
+
+/**
+ * @param {string} store_name store name.
+ * @return {boolean} true if the store should be sampled.
+ */
+ydn.db.query.Statistics.prototype.isStale = function(store_name) {
+  var time = this.times_[store_name];
+  if (!goog.isDef(time)) {
+    return true;
+  }
+  return time > 0 && goog.now() - time > ydn.db.query.Statistics.MAX_AGE;
+};
+
+
+/**
+ * Mark sampling of the store is in progress.
+ * @param {string} store_name store name.
+ */
+ydn.db.query.Statistics.prototype.setPending = function(store_name) {
+  this.times_[store_name] = 0;
+};
+
+
+/**
+ * Discard statistics of the store.
+ * @param {string} store_name store name.
+ */
+ydn.db.query.Statistics.prototype.invalidate = function(store_name) {
+  delete this.counts_[store_name];
+  delete this.distincts_[store_name];
+  delete this.times_[store_name];
+};
+
+
+/**
+ * @param {string} store_name store name.
+ * @param {number} count number of records.
+ * @param {!Object.<number>} distincts number of distinct keys by index name.
+ */
+ydn.db.query.Statistics.prototype.update = function(store_name, count,
+                                                    distincts) {
+  this.counts_[store_name] = count;
+  this.distincts_[store_name] = distincts;
+  this.times_[store_name] = goog.now();
+};
+
+
+/**
+ * @param {string} store_name store name.
+ * @return {number|undefined} number of records, if sampled.
+ */
+ydn.db.query.Statistics.prototype.getCount = function(store_name) {
+  return this.counts_[store_name];
+};
+
+
+/**
+ * @param {string} store_name store name.
+ * @param {string} index_name index name.
+ * @return {number|undefined} number of distinct keys, if sampled. The value
+ * is a lower bound if it is equal to SAMPLE_SIZE.
+ */
+ydn.db.query.Statistics.prototype.getDistinct = function(store_name,
+                                                         index_name) {
+  var distincts = this.distincts_[store_name];
+  return distincts ? distincts[index_name] : undefined;
+};
+
+
+/**
+ * @return {!Object.<number>} number of records by store name, as used by
+ * ydn.db.query.Plan#getCost.
+ */
+ydn.db.query.Statistics.prototype.getCardinality = function() {
+  return goog.object.clone(this.counts_);
+};
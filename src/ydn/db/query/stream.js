@@ -0,0 +1,195 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Async iterator over query results.
+ *
+ * Usage:
+ * <pre>
+ *   for await (var log of db.from('log').where('ts', '>', t).stream()) {
+ *     ...
+ *   }
+ * </pre>
+ * Results are read in batches, each by ydn.db.Query#page in its own short
+ * transaction, resuming from the cursor position where the previous batch
+ * ended. Consumers may take any time between results without holding a
+ * transaction open. The next batch is prefetched once no more than one batch
+ * of results is buffered, so that at most two batches are held in memory.
+ *
+ * Without native async iteration, results are consumed by calling next()
+ * until it resolves with 'done' true.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.query.Stream');
+goog.require('goog.async.Deferred');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+
+/**
+ * Create a stream of query results. Use ydn.db.Query#stream instead.
+ * @param {!ydn.db.Query} query query.
+ * @param {number=} opt_batch number of results read in a transaction.
+ * @constructor
+ * @struct
+ */
+ydn.db.query.Stream = function(query, opt_batch) {
+  var batch = goog.isDef(opt_batch) ? opt_batch :
+      ydn.db.query.Stream.DEFAULT_BATCH;
+  if (!goog.isNumber(batch) || !(batch >= 1) || batch % 1 != 0) {
+    throw new ydn.debug.error.ArgumentException('batch must be a positive ' +
+        'integer, but ' + batch + ' found');
+  }
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.Query}
+   */
+  this.query_ = query;
+  /**
+   * @final
+   * @private
+   * @type {number}
+   */
+  this.batch_ = batch;
+  /**
+   * Fetched results not yet consumed.
+   * @private
+   * @type {!Array}
+   */
+  this.buffer_ = [];
+  /**
+   * Requests of next() waiting for results.
+   * @private
+   * @type {!Array.<!goog.async.Deferred>}
+   */
+  this.waiting_ = [];
+  /**
+   * Page token of the next batch, null before the first batch.
+   * @private
+   * @type {?string}
+   */
+  this.token_ = null;
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.fetching_ = false;
+  /**
+   * All results are fetched or the stream is closed.
+   * @private
+   * @type {boolean}
+   */
+  this.finished_ = false;
+  /**
+   * @private
+   * @type {*}
+   */
+  this.error_ = null;
+};
+
+
+/**
+ * Default number of results read in a transaction.
+ * @const
+ * @type {number}
+ */
+ydn.db.query.Stream.DEFAULT_BATCH = 100;
+
+
+/**
+ * Get the next result.
+ * @return {!goog.async.Deferred} resolve to an iterator result of 'value' and
+ * 'done', or fail with the error of reading a batch.
+ */
+ydn.db.query.Stream.prototype.next = function() {
+  var df = new goog.async.Deferred();
+  this.waiting_.push(df);
+  this.flush_();
+  return df;
+};
+
+
+/**
+ * Close the stream. Called when async iteration is terminated early.
+ * @return {!goog.async.Deferred} resolve to a completed iterator result.
+ */
+ydn.db.query.Stream.prototype['return'] = function() {
+  this.finished_ = true;
+  this.buffer_ = [];
+  this.flush_();
+  return goog.async.Deferred.succeed({'value': undefined, 'done': true});
+};
+
+
+/**
+ * Deliver buffered results to waiting requests and fetch the next batch as
+ * needed.
+ * @private
+ */
+ydn.db.query.Stream.prototype.flush_ = function() {
+  while (this.waiting_.length > 0) {
+    if (this.buffer_.length > 0) {
+      this.waiting_.shift().callback({'value': this.buffer_.shift(),
+        'done': false});
+    } else if (this.error_) {
+      this.waiting_.shift().errback(this.error_);
+    } else if (this.finished_) {
+      this.waiting_.shift().callback({'value': undefined, 'done': true});
+    } else {
+      break;
+    }
+  }
+  if (!this.finished_ && !this.fetching_ &&
+      this.buffer_.length <= this.batch_) {
+    this.fetch_();
+  }
+};
+
+
+/**
+ * Read the next batch.
+ * @private
+ */
+ydn.db.query.Stream.prototype.fetch_ = function() {
+  this.fetching_ = true;
+  this.query_.page(this.batch_, this.token_).addCallbacks(function(page) {
+    this.fetching_ = false;
+    if (this.finished_) {
+      return;
+    }
+    this.buffer_ = this.buffer_.concat(page['items']);
+    this.token_ = page['next'];
+    this.finished_ = !this.token_;
+    this.flush_();
+  }, function(e) {
+    this.fetching_ = false;
+    this.finished_ = true;
+    this.error_ = e;
+    this.flush_();
+  }, this);
+};
+
+
+if (goog.global['Symbol'] && goog.global['Symbol']['asyncIterator']) {
+  /**
+   * @return {!ydn.db.query.Stream} this as async iterator.
+   */
+  ydn.db.query.Stream.prototype[goog.global['Symbol']['asyncIterator']] =
+      function() {
+    return this;
+  };
+}
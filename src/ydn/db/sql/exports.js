@@ -14,4 +14,10 @@ goog.exportProperty(ydn.db.sql.Storage.prototype, 'executeSql',
 goog.exportProperty(ydn.db.sql.DbOperator.prototype, 'executeSql',
     ydn.db.sql.DbOperator.prototype.executeSql);
 
+goog.exportProperty(ydn.db.sql.Storage.prototype, 'explain',
+    ydn.db.sql.Storage.prototype.explain);
+
+goog.exportProperty(ydn.db.sql.DbOperator.prototype, 'explain',
+    ydn.db.sql.DbOperator.prototype.explain);
+
 //goog.exportSymbol('ydn.db.Storage', ydn.db.sql.Storage);
@@ -0,0 +1,523 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Execute SQL SELECT statement with GROUP BY clause or
+ * multiple aggregates.
+ *
+ * If records are grouped by a single field, which is primary key or a simple
+ * index, the index is iterated in key order and a group is reduced as soon as
+ * the key changes, so that only one group is held in memory. Otherwise
+ * groups are reduced in memory while iterating records. Aggregates without
+ * GROUP BY clause reduce all records into a single group.
+ *
+ * Records having null or undefined grouping value are reduced into a NULL
+ * group, which is ordered before other groups. Such records are not in the
+ * index, hence the store is scanned for them after the index is iterated.
+ *
+ * HAVING clause, ordering, offset and limit are applied to the groups. Each
+ * result is an object keyed by column label.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.sql.GroupQuery');
+goog.require('goog.array');
+goog.require('goog.log');
+goog.require('ydn.db');
+goog.require('ydn.db.Iterator');
+goog.require('ydn.db.Request');
+goog.require('ydn.db.Sql');
+goog.require('ydn.db.query.Plan');
+goog.require('ydn.db.utils');
+
+
+
+/**
+ * Create a grouped query from a parsed SQL statement.
+ * @param {!ydn.db.core.DbOperator} db database operator.
+ * @param {!ydn.db.schema.Database} schema database schema.
+ * @param {!ydn.db.Sql} sql parsed SQL statement.
+ * @constructor
+ * @struct
+ */
+ydn.db.sql.GroupQuery = function(db, schema, sql) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.core.DbOperator}
+   */
+  this.db_ = db;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.Sql}
+   */
+  this.sql_ = sql;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.Store}
+   */
+  this.store_ = schema.getStore(sql.getStoreNames()[0]);
+  /**
+   * @final
+   * @private
+   * @type {!Array.<!ydn.db.Sql.Column>}
+   */
+  this.columns_ = sql.getColumns();
+  /**
+   * @final
+   * @private
+   * @type {!Array.<string>}
+   */
+  this.group_by_ = sql.getGroupBy();
+
+  var wheres = sql.getConditions();
+  var field = this.group_by_.length == 1 ? this.group_by_[0] : null;
+  var index = field ? this.store_.getIndexByKeyPath(field) : null;
+  var streamed = !!field && (this.store_.isKeyPath(field) ||
+      (!!index && !index.isMultiEntry()));
+  var index_name = null;
+  var access_where = null;
+  if (streamed) {
+    index_name = index ? index.getName() : null;
+    access_where = goog.array.find(wheres, function(w) {
+      return w.getField() == field;
+    });
+  } else {
+    // otherwise, a where clause on primary key or an index limits the
+    // iteration.
+    for (var i = 0; i < wheres.length; i++) {
+      var where_field = wheres[i].getField();
+      if (this.store_.isKeyPath(where_field)) {
+        index_name = null;
+        access_where = wheres[i];
+        break;
+      }
+      var where_index = this.store_.getIndexByKeyPath(where_field);
+      if (!access_where && where_index && !where_index.isMultiEntry()) {
+        index_name = where_index.getName();
+        access_where = wheres[i];
+      }
+    }
+  }
+  /**
+   * Index name, null for primary key, and key range of iteration.
+   * @final
+   * @private
+   * @type {!Array}
+   */
+  this.access_ = [index_name,
+    access_where ? access_where.getKeyRange() : null];
+  /**
+   * Records are iterated in grouping field order.
+   * @final
+   * @private
+   * @type {boolean}
+   */
+  this.streamed_ = streamed;
+  /**
+   * Records without grouping value are not in the iterated index.
+   * @final
+   * @private
+   * @type {boolean}
+   */
+  this.null_scan_ = streamed && !!index_name && !access_where;
+  /**
+   * Where clauses not resolved by iteration.
+   * @final
+   * @private
+   * @type {!Array.<!ydn.db.Where>}
+   */
+  this.filters_ = goog.array.filter(wheres, function(w) {
+    return w !== access_where;
+  });
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.sql.GroupQuery.prototype.logger =
+    goog.log.getLogger('ydn.db.sql.GroupQuery');
+
+
+/**
+ * @param {*} key value.
+ * @return {boolean} true if the value is a valid key.
+ * @private
+ */
+ydn.db.sql.GroupQuery.isKey_ = function(key) {
+  if (!goog.isDefAndNotNull(key)) {
+    return false;
+  }
+  try {
+    return ydn.db.cmp(key, key) == 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+
+/**
+ * @return {number} result limit.
+ * @private
+ */
+ydn.db.sql.GroupQuery.prototype.getLimit_ = function() {
+  var limit = this.sql_.getLimit();
+  return isNaN(limit) ? ydn.db.base.DEFAULT_RESULT_LIMIT : limit;
+};
+
+
+/**
+ * @return {number} result offset.
+ * @private
+ */
+ydn.db.sql.GroupQuery.prototype.getOffset_ = function() {
+  var offset = this.sql_.getOffset();
+  return isNaN(offset) ? 0 : offset;
+};
+
+
+/**
+ * Groups are emitted in grouping key order. Unless they have to be ordered
+ * otherwise, iteration stops as soon as enough groups are found.
+ * @return {boolean} true if groups have to be sorted.
+ * @private
+ */
+ydn.db.sql.GroupQuery.prototype.isSorted_ = function() {
+  var idx = this.sql_.getOrderColumn();
+  if (idx < 0) {
+    return false;
+  }
+  var column = this.columns_[idx];
+  return !!column.aggregate || this.group_by_.length > 1 ||
+      this.sql_.isReversed();
+};
+
+
+/**
+ * Get execution plan, which is the same on all storage mechanisms.
+ * @return {!ydn.db.query.Plan} execution plan.
+ */
+ydn.db.sql.GroupQuery.prototype.getPlan = function() {
+  var plan = new ydn.db.query.Plan();
+  plan.addScan(new ydn.db.query.Plan.Scan(this.store_.getName(),
+      this.access_[0], this.access_[1], false, false, false));
+  if (this.null_scan_) {
+    plan.addScan(new ydn.db.query.Plan.Scan(this.store_.getName(), null,
+        null, false, false, false));
+  }
+  for (var i = 0; i < this.filters_.length; i++) {
+    plan.addFilter(this.filters_[i].toString());
+  }
+  var aggregates = [];
+  var fields = [];
+  for (var i = 0; i < this.columns_.length; i++) {
+    var column = this.columns_[i];
+    if (column.aggregate) {
+      aggregates.push(column.expr);
+    }
+    if (!column.hidden) {
+      fields.push(column.alias || column.expr);
+    }
+  }
+  plan.setAggregate(aggregates.join(', '));
+  plan.setGroupBy(this.group_by_, !this.streamed_);
+  plan.setFields(fields);
+  var order_column = this.sql_.getOrderColumn();
+  var order = order_column >= 0 ? this.columns_[order_column] : null;
+  plan.setOrder(order ? [order.alias || order.expr] : [],
+      this.isSorted_());
+  plan.setLimit(this.getLimit_(), this.getOffset_());
+  return plan;
+};
+
+
+/**
+ * Execute the query.
+ * @return {!ydn.db.Request} resolve to list of result.
+ */
+ydn.db.sql.GroupQuery.prototype.execute = function() {
+  var req = new ydn.db.Request(ydn.db.Request.Method.SQL);
+  goog.log.finer(this.logger, 'executing ' + this.sql_.getSql());
+  var iter = new ydn.db.Iterator(this.store_.getName(),
+      this.access_[0] || undefined, this.access_[1], false, false, false);
+  var filters = this.filters_;
+  var having = this.sql_.getHaving();
+  var sorted = this.isSorted_();
+  var end = this.getOffset_() + this.getLimit_();
+  var group_by = this.group_by_;
+  var me = this;
+
+  var rows = [];
+  var accept = function(group, opt_first) {
+    var row = me.reduce_(group);
+    for (var i = 0; i < having.length; i++) {
+      if (!having[i].test(row)) {
+        return;
+      }
+    }
+    if (opt_first) {
+      rows.unshift(row);
+    } else {
+      rows.push(row);
+    }
+  };
+
+  // groups reduced in memory, sorted by grouping key.
+  var keys = [];
+  var groups = [];
+  // group being reduced while streaming.
+  var current = null;
+  if (group_by.length == 0) {
+    groups.push(this.newGroup_());
+  }
+
+  var df = this.db_.open(function(cursor) {
+    var record = cursor.getValue();
+    for (var i = 0; i < filters.length; i++) {
+      if (!filters[i].test(record)) {
+        return;
+      }
+    }
+    if (group_by.length == 0) {
+      me.accumulate_(groups[0], record);
+      return;
+    }
+    var key;
+    if (me.streamed_) {
+      key = cursor.getKey();
+      if (current && ydn.db.cmp(current.key, key) != 0) {
+        accept(current.group);
+        current = null;
+        if (!sorted && rows.length >= end) {
+          return null;
+        }
+      }
+      if (!current) {
+        current = {key: key, group: me.newGroup_()};
+      }
+      me.accumulate_(current.group, record);
+      return;
+    }
+    // each grouping value is wrapped so that NULL is ordered first.
+    key = [];
+    for (var i = 0; i < group_by.length; i++) {
+      var v = ydn.db.utils.getValueByKeys(record, group_by[i]);
+      if (!goog.isDefAndNotNull(v)) {
+        key.push([0]);
+      } else if (ydn.db.sql.GroupQuery.isKey_(v)) {
+        key.push([1, v]);
+      } else {
+        return;
+      }
+    }
+    var idx = goog.array.binarySearch(keys, key, ydn.db.cmp);
+    if (idx < 0) {
+      idx = -(idx + 1);
+      goog.array.insertAt(keys, key, idx);
+      goog.array.insertAt(groups, me.newGroup_(), idx);
+    }
+    me.accumulate_(groups[idx], record);
+  }, iter);
+
+  df.addCallbacks(function() {
+    if (current) {
+      accept(current.group);
+    }
+    for (var i = 0; i < groups.length; i++) {
+      accept(groups[i]);
+    }
+    if (!this.null_scan_) {
+      req.callback(this.collect_(rows));
+      return;
+    }
+    // rows beyond the limit are cut after the NULL group is placed first.
+    this.reduceNull_().addCallbacks(function(group) {
+      if (group) {
+        accept(group, true);
+      }
+      req.callback(this.collect_(rows));
+    }, function(e) {
+      req.errback(e);
+    }, this);
+  }, function(e) {
+    req.errback(e);
+  }, this);
+  return req;
+};
+
+
+/**
+ * Scan the store for records without grouping value.
+ * @return {!ydn.db.Request} resolve to NULL group, or null if no record
+ * is found.
+ * @private
+ */
+ydn.db.sql.GroupQuery.prototype.reduceNull_ = function() {
+  var field = this.group_by_[0];
+  var filters = this.filters_;
+  var group = null;
+  var me = this;
+  var iter = new ydn.db.Iterator(this.store_.getName());
+  return this.db_.open(function(cursor) {
+    var record = cursor.getValue();
+    if (goog.isDefAndNotNull(ydn.db.utils.getValueByKeys(record, field))) {
+      return;
+    }
+    for (var i = 0; i < filters.length; i++) {
+      if (!filters[i].test(record)) {
+        return;
+      }
+    }
+    group = group || me.newGroup_();
+    me.accumulate_(group, record);
+  }, iter).addCallback(function() {
+    return group;
+  });
+};
+
+
+/**
+ * Create reduction states of a group.
+ * @return {!Array.<!Object>} state of each column.
+ * @private
+ */
+ydn.db.sql.GroupQuery.prototype.newGroup_ = function() {
+  return goog.array.map(this.columns_, function(column) {
+    return {
+      count: 0,
+      value: null,
+      keys: column.distinct ? [] : null
+    };
+  });
+};
+
+
+/**
+ * Reduce a record into a group.
+ * @param {!Array.<!Object>} group state of each column.
+ * @param {!Object} record record value.
+ * @private
+ */
+ydn.db.sql.GroupQuery.prototype.accumulate_ = function(group, record) {
+  for (var i = 0; i < this.columns_.length; i++) {
+    var column = this.columns_[i];
+    var state = group[i];
+    if (!column.aggregate) {
+      if (state.count++ == 0) {
+        var first = ydn.db.utils.getValueByKeys(record, column.field);
+        state.value = goog.isDef(first) ? first : null;
+      }
+      continue;
+    }
+    if (column.field == '*') {
+      state.count++;
+      continue;
+    }
+    var value = ydn.db.utils.getValueByKeys(record, column.field);
+    if (!goog.isDefAndNotNull(value)) {
+      continue;
+    }
+    if (state.keys) {
+      if (!ydn.db.sql.GroupQuery.isKey_(value)) {
+        continue;
+      }
+      var idx = goog.array.binarySearch(state.keys, value, ydn.db.cmp);
+      if (idx >= 0) {
+        continue;
+      }
+      goog.array.insertAt(state.keys, value, -(idx + 1));
+    }
+    if (column.aggregate == 'SUM' || column.aggregate == 'AVG') {
+      if (!goog.isNumber(value)) {
+        continue;
+      }
+      state.value = state.count == 0 ? value : state.value + value;
+    } else if (column.aggregate == 'MIN' || column.aggregate == 'MAX') {
+      if (!ydn.db.sql.GroupQuery.isKey_(value)) {
+        continue;
+      }
+      var sign = column.aggregate == 'MIN' ? -1 : 1;
+      if (state.count == 0 || sign * ydn.db.cmp(value, state.value) > 0) {
+        state.value = value;
+      }
+    }
+    state.count++;
+  }
+};
+
+
+/**
+ * Get column values of a reduced group.
+ * @param {!Array.<!Object>} group state of each column.
+ * @return {!Object} column value keyed by 'c' followed by column index.
+ * @private
+ */
+ydn.db.sql.GroupQuery.prototype.reduce_ = function(group) {
+  var row = {};
+  for (var i = 0; i < this.columns_.length; i++) {
+    var aggregate = this.columns_[i].aggregate;
+    var state = group[i];
+    var value;
+    if (aggregate == 'COUNT') {
+      value = state.count;
+    } else if (aggregate == 'AVG') {
+      value = state.count > 0 ? state.value / state.count : null;
+    } else {
+      value = state.value;
+    }
+    row['c' + i] = value;
+  }
+  return row;
+};
+
+
+/**
+ * Order, limit and project groups.
+ * @param {!Array.<!Object>} rows reduced groups, in grouping key order.
+ * @return {!Array.<!Object>} result.
+ * @private
+ */
+ydn.db.sql.GroupQuery.prototype.collect_ = function(rows) {
+  if (this.isSorted_()) {
+    var field = 'c' + this.sql_.getOrderColumn();
+    var sign = this.sql_.isReversed() ? -1 : 1;
+    var isKey = ydn.db.sql.GroupQuery.isKey_;
+    goog.array.stableSort(rows, function(a, b) {
+      var va = a[field];
+      var vb = b[field];
+      if (!isKey(va) || !isKey(vb)) {
+        // null values are ordered first.
+        return sign * ((isKey(va) ? 1 : 0) - (isKey(vb) ? 1 : 0));
+      }
+      return sign * ydn.db.cmp(va, vb);
+    });
+  }
+  var offset = this.getOffset_();
+  rows = rows.slice(offset, offset + this.getLimit_());
+  var columns = this.columns_;
+  return goog.array.map(rows, function(row) {
+    var obj = {};
+    for (var i = 0; i < columns.length; i++) {
+      if (!columns[i].hidden) {
+        obj[columns[i].alias || columns[i].expr] = row['c' + i];
+      }
+    }
+    return obj;
+  });
+};
@@ -33,11 +33,11 @@ ydn.db.sql.Storage.prototype.newExecutor = function() {
   if (type == ydn.db.base.Mechanisms.IDB) {
     return new ydn.db.sql.req.IndexedDb(this.db_name, this.schema);
   } else if (type == ydn.db.base.Mechanisms.WEBSQL || type == ydn.db.base.Mechanisms.SQLITE) {
-    return new ydn.db.sql.req.WebSql(this.db_name, this.schema);
+    return new ydn.db.sql.req.WebSql(this.db_name, this.schema, type);
   } else if (type == ydn.db.base.Mechanisms.MEMORY_STORAGE ||
       type == ydn.db.base.Mechanisms.LOCAL_STORAGE ||
       type == ydn.db.base.Mechanisms.SESSION_STORAGE) {
-    return new ydn.db.sql.req.SimpleStore(this.db_name, this.schema);
+    return new ydn.db.sql.req.SimpleStore(this.db_name, this.schema, type);
   } else {
     throw new ydn.debug.error.InternalError('No executor for ' + type);
   }
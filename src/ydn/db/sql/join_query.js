@@ -0,0 +1,379 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Execute SQL SELECT statement with JOIN clauses.
+ *
+ * Tables are joined from left to right by a nested loop solver, scanning an
+ * iterator of each table in a single read transaction. The first table is
+ * iterated using primary key or index of a where clause if possible. Each
+ * joined table is then matched to the rows joined so far in a nested loop:
+ * <ul>
+ *   <li>if the join field of the joined table is its primary key or an index,
+ *   the index iterator is continued to the join value;</li>
+ *   <li>otherwise the table iterator is run through for each row.</li>
+ * </ul>
+ * Where clauses are tested while joining and rows are collected until the
+ * limit is reached. Ordering requires all rows before offset and limit are
+ * applied. Only cursor iteration is used, so that result is the same on all
+ * storage mechanisms.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.sql.JoinQuery');
+goog.require('goog.array');
+goog.require('goog.log');
+goog.require('ydn.db');
+goog.require('ydn.db.Iterator');
+goog.require('ydn.db.Request');
+goog.require('ydn.db.Sql');
+goog.require('ydn.db.Where');
+goog.require('ydn.db.query.Plan');
+goog.require('ydn.db.sql.JoinSolver');
+goog.require('ydn.db.utils');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+
+/**
+ * Create a join query from a parsed SQL statement.
+ * @param {!ydn.db.core.DbOperator} db database operator.
+ * @param {!ydn.db.schema.Database} schema database schema.
+ * @param {!ydn.db.Sql} sql parsed SQL statement having JOIN clauses.
+ * @constructor
+ * @struct
+ */
+ydn.db.sql.JoinQuery = function(db, schema, sql) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.core.DbOperator}
+   */
+  this.db_ = db;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.Database}
+   */
+  this.schema_ = schema;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.Sql}
+   */
+  this.sql_ = sql;
+  /**
+   * @final
+   * @private
+   * @type {!Array.<!ydn.db.Sql.Table>}
+   */
+  this.tables_ = sql.getTables();
+  /**
+   * Where clauses on unqualified field names, by table index.
+   * @final
+   * @private
+   * @type {!Array.<!Array.<!ydn.db.Where>>}
+   */
+  this.filters_ = goog.array.map(this.tables_, function() {
+    return [];
+  });
+  var wheres = sql.getConditions();
+  for (var i = 0; i < wheres.length; i++) {
+    var field = this.resolve_(wheres[i].getField());
+    this.filters_[field[0]].push(new ydn.db.Where(field[1],
+        wheres[i].getKeyRange()));
+  }
+  var fields = sql.getSelList() || [];
+  for (var i = 0; i < fields.length; i++) {
+    var parts = ydn.db.Sql.splitField(fields[i]);
+    if (parts && parts[1] == '*') {
+      if (this.indexOfAlias_(parts[0]) < 0) {
+        throw new ydn.db.SqlParseError('table "' + parts[0] + '" not found');
+      }
+    } else {
+      this.resolve_(fields[i]);
+    }
+  }
+  if (sql.getOrderBy()) {
+    this.resolve_(sql.getOrderBy());
+  }
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.sql.JoinQuery.prototype.logger =
+    goog.log.getLogger('ydn.db.sql.JoinQuery');
+
+
+/**
+ * Resolve a field name to table index and field name in the table. A field
+ * name not qualified by a table alias refers to the first table.
+ * @param {string} name field name, optionally qualified by table alias.
+ * @return {!Array} table index and field name.
+ * @throws {ydn.debug.error.ArgumentException} if the table alias is not
+ * found.
+ * @private
+ */
+ydn.db.sql.JoinQuery.prototype.resolve_ = function(name) {
+  var parts = ydn.db.Sql.splitField(name);
+  if (!parts) {
+    return [0, name];
+  }
+  var idx = this.indexOfAlias_(parts[0]);
+  if (idx < 0) {
+    throw new ydn.debug.error.ArgumentException('table alias "' + parts[0] +
+        '" of field "' + name + '" not found');
+  }
+  return [idx, parts[1]];
+};
+
+
+/**
+ * @param {string} alias table alias.
+ * @return {number} table index.
+ * @private
+ */
+ydn.db.sql.JoinQuery.prototype.indexOfAlias_ = function(alias) {
+  return goog.array.findIndex(this.tables_, function(x) {
+    return x.alias == alias;
+  });
+};
+
+
+/**
+ * Compare two keys, without throwing on invalid keys.
+ * @param {*} a first key.
+ * @param {*} b second key.
+ * @return {boolean} true if both are valid and equal keys.
+ * @private
+ */
+ydn.db.sql.JoinQuery.equals_ = function(a, b) {
+  if (!goog.isDefAndNotNull(a) || !goog.isDefAndNotNull(b)) {
+    return false;
+  }
+  try {
+    return ydn.db.cmp(a, b) == 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+
+/**
+ * Index used to iterate the first table, if a where clause on the first table
+ * can be resolved by primary key or an index.
+ * @return {!Array} index name, null for primary key, and key range.
+ * @private
+ */
+ydn.db.sql.JoinQuery.prototype.getFirstAccess_ = function() {
+  var store = this.schema_.getStore(this.tables_[0].storeName);
+  var wheres = this.filters_[0];
+  var access = [null, null];
+  for (var i = 0; i < wheres.length; i++) {
+    var field = wheres[i].getField();
+    if (store.isKeyPath(field)) {
+      return [null, wheres[i].getKeyRange()];
+    }
+    var index = store.getIndexByKeyPath(field);
+    if (!access[0] && index && !index.isMultiEntry()) {
+      access = [index.getName(), wheres[i].getKeyRange()];
+    }
+  }
+  return access;
+};
+
+
+/**
+ * Index used to match records of a joined table.
+ * @param {number} idx table index.
+ * @return {?string|undefined} index name, null for primary key and
+ * undefined if the join field is not indexed.
+ * @private
+ */
+ydn.db.sql.JoinQuery.prototype.getJoinIndex_ = function(idx) {
+  var table = this.tables_[idx];
+  var store = this.schema_.getStore(table.storeName);
+  var field = /** @type {string} */ (table.field);
+  if (store.isKeyPath(field)) {
+    return null;
+  }
+  var index = store.getIndexByKeyPath(field);
+  if (index && !index.isMultiEntry()) {
+    return index.getName();
+  }
+  return undefined;
+};
+
+
+/**
+ * @return {number} result limit.
+ * @private
+ */
+ydn.db.sql.JoinQuery.prototype.getLimit_ = function() {
+  var limit = this.sql_.getLimit();
+  return isNaN(limit) ? ydn.db.base.DEFAULT_RESULT_LIMIT : limit;
+};
+
+
+/**
+ * @return {number} result offset.
+ * @private
+ */
+ydn.db.sql.JoinQuery.prototype.getOffset_ = function() {
+  var offset = this.sql_.getOffset();
+  return isNaN(offset) ? 0 : offset;
+};
+
+
+/**
+ * Get execution plan, which is the same on all storage mechanisms.
+ * @return {!ydn.db.query.Plan} execution plan.
+ */
+ydn.db.sql.JoinQuery.prototype.getPlan = function() {
+  var plan = new ydn.db.query.Plan();
+  var first = this.getFirstAccess_();
+  plan.addScan(new ydn.db.query.Plan.Scan(this.tables_[0].storeName,
+      first[0], first[1], false, false, false));
+  for (var i = 1; i < this.tables_.length; i++) {
+    var index_name = this.getJoinIndex_(i);
+    var store = this.schema_.getStore(this.tables_[i].storeName);
+    var index = index_name ? store.getIndex(index_name) : null;
+    plan.addScan(new ydn.db.query.Plan.Scan(this.tables_[i].storeName,
+        index_name || null, null, false, false, false,
+        goog.isNull(index_name) || (!!index && index.isUnique())));
+  }
+  plan.setSolver(ydn.db.query.Plan.Solver.NESTED_LOOP);
+  for (var i = 0; i < this.tables_.length; i++) {
+    for (var j = 0; j < this.filters_[i].length; j++) {
+      plan.addFilter(this.tables_[i].alias + '.' +
+          this.filters_[i][j].toString());
+    }
+  }
+  var order = this.sql_.getOrderBy();
+  plan.setFields(this.sql_.getSelList());
+  plan.setOrder(order ? [order] : [], !!order);
+  plan.setLimit(this.getLimit_(), this.getOffset_());
+  return plan;
+};
+
+
+/**
+ * Execute the query.
+ * @return {!ydn.db.Request} resolve to list of result.
+ */
+ydn.db.sql.JoinQuery.prototype.execute = function() {
+  var req = new ydn.db.Request(ydn.db.Request.Method.SQL);
+  goog.log.finer(this.logger, 'executing ' + this.sql_.getSql());
+  var access = this.getFirstAccess_();
+  var iterators = [new ydn.db.Iterator(this.tables_[0].storeName,
+      access[0] || undefined, access[1], false, false, false)];
+  var joins = [null];
+  for (var i = 1; i < this.tables_.length; i++) {
+    var table = this.tables_[i];
+    var index_name = this.getJoinIndex_(i);
+    iterators[i] = new ydn.db.Iterator(table.storeName,
+        index_name || undefined, null, false, false, false);
+    joins[i] = {
+      left: this.indexOfAlias_(/** @type {string} */ (table.leftAlias)),
+      leftField: /** @type {string} */ (table.leftField),
+      field: /** @type {string} */ (table.field),
+      indexed: goog.isDef(index_name),
+      outer: table.type == ydn.db.Sql.JoinType.LEFT
+    };
+  }
+  var rows = [];
+  // without ordering, joining can stop as soon as the page is filled.
+  var limit = this.sql_.getOrderBy() ? undefined :
+      this.getOffset_() + this.getLimit_();
+  var solver = new ydn.db.sql.JoinSolver(rows, limit, joins, this.filters_);
+  this.db_.scan(solver, iterators).addCallbacks(function() {
+    req.callback(this.collect_(rows));
+  }, function(e) {
+    req.errback(e);
+  }, this);
+  return req;
+};
+
+
+/**
+ * Order, limit and project joined rows.
+ * @param {!Array.<!Array>} rows joined rows.
+ * @return {!Array} result.
+ * @private
+ */
+ydn.db.sql.JoinQuery.prototype.collect_ = function(rows) {
+  var order = this.sql_.getOrderBy();
+  if (order) {
+    var field = this.resolve_(order);
+    var sign = this.sql_.isReversed() ? -1 : 1;
+    var valueOf = function(row) {
+      var v = row[field[0]] ?
+          ydn.db.utils.getValueByKeys(row[field[0]], field[1]) : undefined;
+      return ydn.db.sql.JoinQuery.equals_(v, v) ? v : undefined;
+    };
+    goog.array.stableSort(rows, function(a, b) {
+      var va = valueOf(a);
+      var vb = valueOf(b);
+      if (!goog.isDef(va) || !goog.isDef(vb)) {
+        // missing values are ordered first.
+        return sign * ((goog.isDef(va) ? 1 : 0) - (goog.isDef(vb) ? 1 : 0));
+      }
+      return sign * ydn.db.cmp(va, vb);
+    });
+  }
+
+  var offset = this.getOffset_();
+  rows = rows.slice(offset, offset + this.getLimit_());
+
+  var fields = this.sql_.getSelList();
+  var tables = this.tables_;
+  if (!fields) {
+    return goog.array.map(rows, function(row) {
+      var obj = {};
+      for (var i = 0; i < tables.length; i++) {
+        obj[tables[i].alias] = row[i];
+      }
+      return obj;
+    });
+  }
+  var columns = goog.array.map(fields, function(name) {
+    var parts = ydn.db.Sql.splitField(name);
+    if (parts && parts[1] == '*') {
+      return [this.indexOfAlias_(parts[0]), null];
+    }
+    return this.resolve_(name);
+  }, this);
+  var valueOf = function(row, column) {
+    var record = row[column[0]];
+    if (!record) {
+      return null;
+    }
+    return goog.isNull(column[1]) ? record :
+        ydn.db.utils.getValueByKeys(record, column[1]);
+  };
+  return goog.array.map(rows, function(row) {
+    if (columns.length == 1) {
+      return valueOf(row, columns[0]);
+    }
+    var obj = {};
+    for (var i = 0; i < columns.length; i++) {
+      obj[fields[i]] = valueOf(row, columns[i]);
+    }
+    return obj;
+  });
+};
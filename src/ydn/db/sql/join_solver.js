@@ -0,0 +1,262 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Nested loop solver joining tables of SQL JOIN clauses.
+ *
+ * One iterator is given for each table. The first iterator is the outer loop.
+ * The iterator of a joined table is the inner loop of the tables before it.
+ * If the join field is the primary key or an index, the inner iterator is
+ * continued to the join value of the outer row, and left as soon as the key
+ * pass the join value. Otherwise, the inner iterator is restarted and run
+ * through for each outer row.
+ *
+ * Joined rows are pushed to the output receiver as they are found.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.sql.JoinSolver');
+goog.require('ydn.db');
+goog.require('ydn.db.algo.NestedLoop');
+goog.require('ydn.db.utils');
+
+
+/**
+ * Join of a table to the tables before it.
+ * <ul>
+ *   <li>left: index of the table having the left join field.</li>
+ *   <li>leftField: left join field.</li>
+ *   <li>field: join field of the table.</li>
+ *   <li>indexed: true if the iterator of the table is over the join field.</li>
+ *   <li>outer: true for LEFT join.</li>
+ * </ul>
+ * @typedef {{
+ *   left: number,
+ *   leftField: string,
+ *   field: string,
+ *   indexed: boolean,
+ *   outer: boolean
+ * }}
+ */
+ydn.db.sql.JoinSolver.Join;
+
+
+
+/**
+ * Create a join solver.
+ * @param {!{push: Function}} out receive joined rows, an array of record by
+ * table, null for missing record of LEFT join.
+ * @param {number|undefined} limit stop after this number of rows.
+ * @param {!Array.<?ydn.db.sql.JoinSolver.Join>} joins join of each table. The
+ * first item, for the first table, is not used.
+ * @param {!Array.<!Array.<!ydn.db.Where>>} filters where clauses by table.
+ * @constructor
+ * @extends {ydn.db.algo.NestedLoop}
+ * @struct
+ */
+ydn.db.sql.JoinSolver = function(out, limit, joins, filters) {
+  goog.base(this, out, limit);
+  /**
+   * @final
+   * @private
+   * @type {!Array.<?ydn.db.sql.JoinSolver.Join>}
+   */
+  this.joins_ = joins;
+  /**
+   * @final
+   * @private
+   * @type {!Array.<!Array.<!ydn.db.Where>>}
+   */
+  this.filters_ = filters;
+  /**
+   * Inner iterator has to be positioned for the current outer row.
+   * @private
+   * @type {!Array.<boolean>}
+   */
+  this.seeking_ = [];
+  /**
+   * Inner iterator has been restarted for the current outer row.
+   * @private
+   * @type {!Array.<boolean>}
+   */
+  this.rewound_ = [];
+  /**
+   * A record of the table is joined to the current outer row.
+   * @private
+   * @type {!Array.<boolean>}
+   */
+  this.matched_ = [];
+  /**
+   * No record of the LEFT joined table is joined to the current outer row.
+   * @private
+   * @type {!Array.<boolean>}
+   */
+  this.nulled_ = [];
+  for (var i = 0; i < joins.length; i++) {
+    // iterators start at the first position.
+    this.seeking_[i] = i > 0;
+    this.rewound_[i] = true;
+    this.matched_[i] = false;
+    this.nulled_[i] = false;
+  }
+};
+goog.inherits(ydn.db.sql.JoinSolver, ydn.db.algo.NestedLoop);
+
+
+/**
+ * @param {*} a first key.
+ * @param {*} b second key.
+ * @return {number} comparison result, NaN if either is not a valid key.
+ * @private
+ */
+ydn.db.sql.JoinSolver.cmp_ = function(a, b) {
+  if (!goog.isDefAndNotNull(a) || !goog.isDefAndNotNull(b)) {
+    return NaN;
+  }
+  try {
+    return ydn.db.cmp(a, b);
+  } catch (e) {
+    return NaN;
+  }
+};
+
+
+/**
+ * @param {number} idx table index.
+ * @param {*} record record of the table.
+ * @return {boolean} true if the record satisfy where clauses of the table.
+ * @private
+ */
+ydn.db.sql.JoinSolver.prototype.test_ = function(idx, record) {
+  var filters = this.filters_[idx];
+  for (var i = 0; i < filters.length; i++) {
+    if (!filters[i].test(/** @type {Object} */ (record))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Move to the next outer row of a table.
+ * @param {number} idx table index.
+ * @return {!Object} cursor advancement.
+ * @private
+ */
+ydn.db.sql.JoinSolver.prototype.next_ = function(idx) {
+  while (this.nulled_[idx]) {
+    idx--;
+  }
+  for (var i = idx + 1; i < this.joins_.length; i++) {
+    this.seeking_[i] = true;
+    this.rewound_[i] = false;
+    this.matched_[i] = false;
+    this.nulled_[i] = false;
+  }
+  var advance = [];
+  advance[idx] = 1;
+  return {'advance': advance};
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.sql.JoinSolver.prototype.solver = function(keys, values) {
+  if (!goog.isDefAndNotNull(keys[0])) {
+    return [];
+  }
+  if (!this.test_(0, values[0])) {
+    return this.next_(0);
+  }
+  for (var i = 1; i < this.joins_.length; i++) {
+    if (this.nulled_[i]) {
+      continue;
+    }
+    var join = this.joins_[i];
+    var left = this.nulled_[join.left] ? null : values[join.left];
+    var v = left ? ydn.db.utils.getValueByKeys(left, join.leftField) :
+        undefined;
+    var at_end = !goog.isDefAndNotNull(keys[i]);
+    var cmp = NaN;
+    if (!at_end) {
+      cmp = ydn.db.sql.JoinSolver.cmp_(join.indexed ? keys[i] :
+          ydn.db.utils.getValueByKeys(values[i], join.field), v);
+    }
+    var found = false;
+    if (ydn.db.sql.JoinSolver.cmp_(v, v) == 0) {
+      if (this.seeking_[i]) {
+        // an index iterator, which is not in the middle of joining, is at the
+        // first record of its key.
+        if (join.indexed && cmp < 0) {
+          var next_keys = [];
+          next_keys[i] = v;
+          return {'continue': next_keys};
+        } else if (!(join.indexed && cmp == 0) && !this.rewound_[i]) {
+          this.rewound_[i] = true;
+          var restart = [];
+          restart[i] = true;
+          return {'restart': restart};
+        }
+        this.seeking_[i] = false;
+      }
+      if (cmp == 0) {
+        if (this.test_(i, values[i])) {
+          found = true;
+        } else {
+          return {'advance': this.advanceOf_(i)};
+        }
+      } else if (!join.indexed && !at_end) {
+        return {'advance': this.advanceOf_(i)};
+      }
+    }
+    if (!found) {
+      // no more record of this table is joined to the current outer row.
+      if (this.matched_[i]) {
+        return this.next_(i - 1);
+      } else if (join.outer && this.filters_[i].length == 0) {
+        this.nulled_[i] = true;
+      } else {
+        return this.next_(i - 1);
+      }
+    } else {
+      this.matched_[i] = true;
+    }
+  }
+
+  var row = [];
+  for (var i = 0; i < this.joins_.length; i++) {
+    row[i] = this.nulled_[i] ? null : values[i];
+  }
+  this.match_count++;
+  this.out.push(row);
+  if (goog.isDef(this.limit) && this.match_count >= this.limit) {
+    return [];
+  }
+  return this.next_(this.joins_.length - 1);
+};
+
+
+/**
+ * @param {number} idx table index.
+ * @return {!Array.<number>} advancement of a table by one step.
+ * @private
+ */
+ydn.db.sql.JoinSolver.prototype.advanceOf_ = function(idx) {
+  var advance = [];
+  advance[idx] = 1;
+  return advance;
+};
@@ -7,13 +7,20 @@
 
 goog.provide('ydn.db.sql.DbOperator');
 goog.require('ydn.db.Iterator');
+goog.require('ydn.db.Sql');
 goog.require('ydn.db.core.DbOperator');
+goog.require('ydn.db.sql.GroupQuery');
 goog.require('ydn.db.sql.IStorage');
+goog.require('ydn.db.sql.JoinQuery');
+goog.require('ydn.db.sql.WriteQuery');
 goog.require('ydn.db.sql.req.IRequestExecutor');
 goog.require('ydn.db.sql.req.IndexedDb');
 goog.require('ydn.db.sql.req.WebSql');
 goog.require('ydn.db.sql.req.SimpleStore');
+goog.require('ydn.db.sql.req.nosql.Node');
+goog.require('ydn.db.sql.req.nosql.ReduceNode');
 goog.require('ydn.debug.error.ArgumentException');
+goog.require('ydn.debug.error.NotSupportedException');
 
 
 
@@ -40,25 +47,53 @@ ydn.db.sql.DbOperator = function(storage, schema, thread, sync_thread) {
 goog.inherits(ydn.db.sql.DbOperator, ydn.db.core.DbOperator);
 
 
-//
-///**
-// * Explain query plan.
-// * @param {!ydn.db.Iterator} q
-// * @return {Object} plan in JSON
-// */
-//ydn.db.sql.DbOperator.prototype.explain = function (q) {
-//  if (!this.executor) {
-//    return {'error':'database not ready'};
-//  } else if (q instanceof ydn.db.Sql) {
-//    return this.getExecutor().explainSql(q);
-//  } else {
-//    throw new ydn.error.ArgumentException();
-//  }
-//};
 /**
+ * Explain query plan of a SQL statement. The statement is not executed.
  * @param {string} sql SQL statement.
  * @param {!Array=} opt_params SQL parameters.
- * @return {!ydn.db.Request} return result as list.
+ * @return {!Object} execution plan in JSON format.
+ */
+ydn.db.sql.DbOperator.prototype.explain = function(sql, opt_params) {
+
+  var query = new ydn.db.Sql(sql);
+
+  var stores = query.getStoreNames();
+  for (var i = 0; i < stores.length; i++) {
+    if (!this.schema.getStore(stores[i])) {
+      throw new ydn.debug.error.ArgumentException('store: ' + stores[i] +
+          ' not exists.');
+    }
+  }
+  var msg = query.parse(opt_params);
+  if (msg) {
+    throw new ydn.db.SqlParseError(msg);
+  }
+  if (query.getAction() != 'SELECT') {
+    throw new ydn.debug.error.NotSupportedException('only SELECT statement ' +
+        'can be explained: ' + sql);
+  }
+  if (query.hasJoin()) {
+    return this.newJoinQuery_(query).getPlan().toJSON();
+  }
+  if (query.isGrouped()) {
+    return this.newGroupQuery_(query).getPlan().toJSON();
+  }
+  if (stores.length != 1) {
+    throw new ydn.debug.error.NotSupportedException(sql);
+  }
+  var store = this.schema.getStore(stores[0]);
+  var node = query.getAggregate() ?
+      new ydn.db.sql.req.nosql.ReduceNode(store, query) :
+      new ydn.db.sql.req.nosql.Node(store, query);
+  return node.getPlan().toJSON();
+};
+
+
+/**
+ * @param {string} sql SQL statement.
+ * @param {!Array=} opt_params SQL parameters.
+ * @return {!ydn.db.Request} return result as list. INSERT, UPDATE and DELETE
+ * statements return number of affected records.
 */
 ydn.db.sql.DbOperator.prototype.executeSql = function(sql, opt_params) {
 
@@ -68,12 +103,34 @@ ydn.db.sql.DbOperator.prototype.executeSql = function(sql, opt_params) {
   for (var i = 0; i < stores.length; i++) {
     var store = this.schema.getStore(stores[i]);
     if (!store) {
-      throw new ydn.debug.error.ArgumentException('store: ' + store +
+      throw new ydn.debug.error.ArgumentException('store: ' + stores[i] +
           ' not exists.');
     }
   }
 
   goog.log.finer(this.logger, 'executeSql: ' + sql + ' params: ' + opt_params);
+  var action = query.getAction();
+  if (action == 'INSERT' || action == 'UPDATE' || action == 'DELETE') {
+    var msg = query.parse(opt_params);
+    if (msg) {
+      throw new ydn.db.SqlParseError(msg);
+    }
+    return new ydn.db.sql.WriteQuery(this, this.schema, query).execute();
+  }
+  if (query.hasJoin()) {
+    var msg = query.parse(opt_params);
+    if (msg) {
+      throw new ydn.db.SqlParseError(msg);
+    }
+    return this.newJoinQuery_(query).execute();
+  }
+  if (query.isGrouped()) {
+    var msg = query.parse(opt_params);
+    if (msg) {
+      throw new ydn.db.SqlParseError(msg);
+    }
+    return this.newGroupQuery_(query).execute();
+  }
   var req = this.tx_thread.request(ydn.db.Request.Method.SQL,
       query.getStoreNames(), query.getMode());
   req.addTxback(function() {
@@ -84,5 +141,31 @@ ydn.db.sql.DbOperator.prototype.executeSql = function(sql, opt_params) {
 };
 
 
+/**
+ * @param {!ydn.db.Sql} query parsed SQL statement having JOIN clauses.
+ * @return {!ydn.db.sql.JoinQuery}
+ * @private
+ */
+ydn.db.sql.DbOperator.prototype.newJoinQuery_ = function(query) {
+  if (query.getAction() != 'SELECT' || query.getAggregate() ||
+      query.isGrouped()) {
+    throw new ydn.debug.error.NotSupportedException('JOIN is only ' +
+        'supported in SELECT statement without aggregate: ' + query.getSql());
+  }
+  return new ydn.db.sql.JoinQuery(this, this.schema, query);
+};
 
 
+/**
+ * @param {!ydn.db.Sql} query parsed SQL statement having GROUP BY clause or
+ * multiple aggregates.
+ * @return {!ydn.db.sql.GroupQuery}
+ * @private
+ */
+ydn.db.sql.DbOperator.prototype.newGroupQuery_ = function(query) {
+  if (query.getAction() != 'SELECT') {
+    throw new ydn.debug.error.NotSupportedException('GROUP BY is only ' +
+        'supported in SELECT statement: ' + query.getSql());
+  }
+  return new ydn.db.sql.GroupQuery(this, this.schema, query);
+};
@@ -23,6 +23,7 @@ goog.provide('ydn.db.sql.req.nosql.Node');
 goog.require('ydn.db.Iterator');
 goog.require('ydn.db.KeyRange');
 goog.require('ydn.db.Sql');
+goog.require('ydn.db.query.Plan');
 goog.require('ydn.error.ArgumentException');
 
 
@@ -81,6 +82,53 @@ ydn.db.sql.req.nosql.Node.prototype.toString = function() {
 };
 
 
+/**
+ * Index used to iterate the store, as chosen by execute.
+ * @return {?string} index name, null for primary key.
+ * @protected
+ */
+ydn.db.sql.req.nosql.Node.prototype.getIndexName = function() {
+  var wheres = this.sql.getConditions();
+  var order = this.sql.getOrderBy();
+  var key_path = this.store_schema.getKeyPath();
+  var field = wheres.length > 0 ? wheres[0].getField() : undefined;
+  if (order && order != key_path) {
+    return order;
+  } else if (goog.isDef(field) && field != key_path) {
+    return field;
+  } else {
+    return null;
+  }
+};
+
+
+/**
+ * Get execution plan, which is the same on all storage mechanisms.
+ * @return {!ydn.db.query.Plan} execution plan.
+ */
+ydn.db.sql.req.nosql.Node.prototype.getPlan = function() {
+  var wheres = this.sql.getConditions();
+  if (wheres.length > 1) {
+    throw new ydn.debug.error.NotSupportedException('too many conditions.');
+  }
+  var key_range = wheres.length == 1 ? wheres[0].getKeyRange() : null;
+  var index_name = this.getIndexName();
+  var index = index_name ? this.store_schema.getIndex(index_name) : null;
+  var limit = this.sql.getLimit();
+  var offset = this.sql.getOffset();
+  var order = this.sql.getOrderBy();
+  var plan = new ydn.db.query.Plan();
+  plan.addScan(new ydn.db.query.Plan.Scan(this.sql.getStoreNames()[0],
+      index_name, key_range, this.sql.isReversed(), false, false,
+      !!index && index.isUnique()));
+  plan.setFields(this.sql.getSelList());
+  plan.setOrder(order ? [order] : [], false);
+  plan.setLimit(isNaN(limit) ? ydn.db.base.DEFAULT_RESULT_LIMIT : limit,
+      isNaN(offset) ? 0 : offset);
+  return plan;
+};
+
+
 /**
  * @param {ydn.db.Request} rq
  * @param {ydn.db.core.req.IRequestExecutor} req
@@ -20,6 +20,7 @@
 
 
 goog.provide('ydn.db.sql.req.nosql.ReduceNode');
+goog.require('ydn.db.query.Plan');
 goog.require('ydn.db.sql.req.nosql.Node');
 goog.require('ydn.object');
 
@@ -39,6 +40,40 @@ ydn.db.sql.req.nosql.ReduceNode = function(schema, sql) {
 goog.inherits(ydn.db.sql.req.nosql.ReduceNode, ydn.db.sql.req.nosql.Node);
 
 
+/**
+ * @inheritDoc
+ */
+ydn.db.sql.req.nosql.ReduceNode.prototype.getIndexName = function() {
+  var wheres = this.sql.getConditions();
+  var field = wheres.length > 0 ? wheres[0].getField() : undefined;
+  return goog.isDef(field) && field != this.store_schema.getKeyPath() ?
+      field : null;
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.sql.req.nosql.ReduceNode.prototype.getPlan = function() {
+  var wheres = this.sql.getConditions();
+  if (wheres.length > 1) {
+    throw new ydn.debug.error.NotSupportedException('too many conditions.');
+  }
+  var key_range = wheres.length == 1 ? wheres[0].getKeyRange() : null;
+  var aggregate = this.sql.getAggregate();
+  var index_name = this.getIndexName();
+  var index = index_name ? this.store_schema.getIndex(index_name) : null;
+  var plan = new ydn.db.query.Plan();
+  // count does not require record values.
+  plan.addScan(new ydn.db.query.Plan.Scan(this.sql.getStoreNames()[0],
+      index_name, key_range, this.sql.isReversed(), false,
+      aggregate == 'COUNT', !!index && index.isUnique()));
+  plan.setAggregate(aggregate);
+  plan.setFields(this.sql.getSelList());
+  return plan;
+};
+
+
 /**
  * @param {ydn.db.Request} rq transaction object.
  * @param {ydn.db.core.req.IRequestExecutor} req request executor.
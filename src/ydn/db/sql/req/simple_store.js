@@ -30,11 +30,12 @@ goog.require('ydn.db.sql.req.nosql.ReduceNode');
  * @extends {ydn.db.core.req.SimpleStore}
  * @param {string} dbname database name.
  * @param {!ydn.db.schema.Database} schema schema.
+ * @param {string=} opt_mechanism storage mechanism type.
  * @constructor
  * @implements {ydn.db.sql.req.IRequestExecutor}
  */
-ydn.db.sql.req.SimpleStore = function(dbname, schema) {
-  goog.base(this, dbname, schema);
+ydn.db.sql.req.SimpleStore = function(dbname, schema, opt_mechanism) {
+  goog.base(this, dbname, schema, opt_mechanism);
 };
 goog.inherits(ydn.db.sql.req.SimpleStore, ydn.db.core.req.SimpleStore);
 
@@ -33,11 +33,12 @@ goog.require('ydn.db.sql.req.websql.ReduceNode');
  * @extends {ydn.db.core.req.WebSql}
  * @param {string} dbname database name.
  * @param {!ydn.db.schema.Database} schema schema.
+ * @param {string=} opt_mechanism storage mechanism type.
  * @constructor
  * @implements {ydn.db.sql.req.IRequestExecutor}
  */
-ydn.db.sql.req.WebSql = function(dbname, schema) {
-  goog.base(this, dbname, schema);
+ydn.db.sql.req.WebSql = function(dbname, schema, opt_mechanism) {
+  goog.base(this, dbname, schema, opt_mechanism);
 };
 goog.inherits(ydn.db.sql.req.WebSql, ydn.db.core.req.WebSql);
 
@@ -21,6 +21,7 @@
 
 
 goog.provide('ydn.db.Sql');
+goog.require('goog.array');
 goog.require('goog.functions');
 goog.require('ydn.db.KeyRange');
 goog.require('ydn.db.Where');
@@ -64,13 +65,62 @@ ydn.db.Sql = function(sql) {
    */
   this.store_names_ = [];
 
-  this.parseBasic_(sql);
+  /**
+   * @private
+   * @type {!Array.<!ydn.db.Sql.Table>}
+   */
+  this.tables_ = [];
 
   this.last_error_ = '';
+
+  this.parseBasic_(sql);
+
   this.has_parsed_ = false;
 };
 
 
+/**
+ * Join type.
+ * @enum {string}
+ */
+ydn.db.Sql.JoinType = {
+  INNER: 'INNER',
+  LEFT: 'LEFT'
+};
+
+
+/**
+ * A table in FROM clause. A joined table has join type and equi-join
+ * condition of its field to a field of an earlier table.
+ * @typedef {{
+ *   storeName: string,
+ *   alias: string,
+ *   type: (ydn.db.Sql.JoinType|undefined),
+ *   field: (string|undefined),
+ *   leftAlias: (string|undefined),
+ *   leftField: (string|undefined)
+ * }}
+ */
+ydn.db.Sql.Table;
+
+
+/**
+ * A column in select list. Label of the column is its alias, if given, or
+ * its normalized expression, such as 'COUNT(DISTINCT category)'. Hidden
+ * columns are not selected, but referred by HAVING or ORDER BY clause of a
+ * grouped query.
+ * @typedef {{
+ *   field: string,
+ *   aggregate: (string|undefined),
+ *   distinct: boolean,
+ *   alias: (string|undefined),
+ *   expr: string,
+ *   hidden: boolean
+ * }}
+ */
+ydn.db.Sql.Column;
+
+
 /**
  * @private
  * @type {string} sql statement.
@@ -139,6 +189,73 @@ ydn.db.Sql.prototype.reverse_ = false;
 ydn.db.Sql.prototype.selList_;
 
 
+/**
+ * @private
+ * @type {!Array.<!ydn.db.Sql.Column>}
+ */
+ydn.db.Sql.prototype.columns_ = [];
+
+
+/**
+ * @private
+ * @type {!Array.<string>}
+ */
+ydn.db.Sql.prototype.group_by_ = [];
+
+
+/**
+ * @private
+ * @type {string}
+ */
+ydn.db.Sql.prototype.having_condition_ = '';
+
+
+/**
+ * @private
+ * @type {!Array.<!ydn.db.Where>}
+ */
+ydn.db.Sql.prototype.having_ = [];
+
+
+/**
+ * Field names of INSERT or UPDATE statement.
+ * @private
+ * @type {!Array.<string>}
+ */
+ydn.db.Sql.prototype.fields_ = [];
+
+
+/**
+ * Unparsed values of INSERT or UPDATE statement.
+ * @private
+ * @type {!Array.<!Array.<string>>}
+ */
+ydn.db.Sql.prototype.value_texts_ = [];
+
+
+/**
+ * @private
+ * @type {!Array.<!Array>}
+ */
+ydn.db.Sql.prototype.values_ = [];
+
+
+/**
+ * SQL parameters bound by parameter marker.
+ * @private
+ * @type {Array}
+ */
+ydn.db.Sql.prototype.params_ = null;
+
+
+/**
+ * Index of column ordered by in grouped query.
+ * @private
+ * @type {number}
+ */
+ydn.db.Sql.prototype.order_column_ = -1;
+
+
 /**
  *
  * @type {string}
@@ -161,6 +278,11 @@ ydn.db.Sql.prototype.has_parsed_ = false;
  * @private
  */
 ydn.db.Sql.prototype.parseBasic_ = function(sql) {
+  var write = /^\s*(INSERT|UPDATE|DELETE)\s/i.exec(sql);
+  if (write) {
+    this.parseWrite_(sql, write[1].toUpperCase());
+    return;
+  }
   var from_parts = sql.split(/\sFROM\s/i);
   if (from_parts.length != 2) {
     // throw new ydn.db.SqlParseError('FROM required.');
@@ -191,25 +313,6 @@ ydn.db.Sql.prototype.parseBasic_ = function(sql) {
     return;
   }
 
-  var selList = pre_from_parts[2].trim();
-
-  var agg = selList.match(/^(MIN|MAX|COUNT|AVG|SUM)/i);
-  if (agg) {
-    this.aggregate_ = agg[0].toUpperCase();
-    selList = selList.replace(/^(MIN|MAX|COUNT|AVG|SUM)/i, '').trim();
-  } else {
-    this.aggregate_ = undefined;
-  }
-  // remove parentheses if it has
-  if (selList.charAt(0) == '(') {
-    if (selList.charAt(selList.length - 1) == ')') {
-      selList = selList.substring(1, selList.length - 1);
-    } else {
-      new ydn.db.SqlParseError('missing closing parentheses');
-    }
-  }
-  this.selList_ = selList;
-
   // collect modifiers
   var mod_idx = post_from.search(/(ORDER BY|LIMIT|OFFSET)/i);
   if (mod_idx > 0) {
@@ -219,6 +322,28 @@ ydn.db.Sql.prototype.parseBasic_ = function(sql) {
     this.modifier_ = '';
   }
 
+  // collect grouping
+  var having_idx = post_from.search(/\sHAVING\s/i);
+  if (having_idx > 0) {
+    this.having_condition_ = post_from.substring(having_idx).trim().
+        substring(6).trim();
+    post_from = post_from.substring(0, having_idx);
+  } else {
+    this.having_condition_ = '';
+  }
+  var group_idx = post_from.search(/\sGROUP\s+BY\s/i);
+  if (group_idx > 0) {
+    var group_list = post_from.substring(group_idx).trim().
+        replace(/^GROUP\s+BY\s+/i, '');
+    this.group_by_ = group_list.split(',').map(function(x) {
+      x = goog.string.stripQuotes(x.trim(), '"');
+      return goog.string.stripQuotes(x, "'");
+    });
+    post_from = post_from.substring(0, group_idx);
+  } else {
+    this.group_by_ = [];
+  }
+
   // collect condition
   var where_idx = post_from.search(/WHERE/i);
   if (where_idx > 0) {
@@ -228,17 +353,466 @@ ydn.db.Sql.prototype.parseBasic_ = function(sql) {
     this.condition_ = '';
   }
 
+  var selList = pre_from_parts[2].trim();
+  // remove parentheses if it has
+  if (selList.charAt(0) == '(' &&
+      selList.charAt(selList.length - 1) == ')') {
+    selList = selList.substring(1, selList.length - 1).trim();
+  }
+  this.columns_ = [];
+  var items = ydn.db.Sql.splitList_(selList);
+  for (var i = 0; i < items.length; i++) {
+    var column = ydn.db.Sql.parseColumn_(items[i]);
+    if (!column) {
+      this.last_error_ = 'Invalid column "' + items[i] + '"';
+      break;
+    }
+    this.columns_.push(column);
+  }
+
+  var agg = this.columns_.length == 1 && !this.columns_[0].distinct &&
+      !this.columns_[0].alias && this.group_by_.length == 0 &&
+      !this.having_condition_ ? this.columns_[0].aggregate : undefined;
+  if (agg) {
+    // a single aggregate is reduced by the request executor.
+    this.aggregate_ = agg;
+    selList = this.columns_[0].field;
+  } else {
+    this.aggregate_ = undefined;
+  }
+  this.selList_ = selList;
+
+  if (/\sJOIN\s/i.test(post_from)) {
+    this.parseJoin_(post_from);
+    return;
+  }
+
   var stores = post_from.trim().split(',');
   this.store_names_ = stores.map(function(x) {
     x = goog.string.stripQuotes(x, '"');
     x = goog.string.stripQuotes(x, "'");
     return x.trim();
   });
+  this.tables_ = this.store_names_.map(function(x) {
+    return {storeName: x, alias: x};
+  });
+
+  this.has_parsed_ = true;
+};
+
 
+/**
+ * Parse INSERT, UPDATE or DELETE statement.
+ * <pre>
+ *   INSERT INTO <Store> (<Fields>) VALUES (<Values>)[, (<Values>)]
+ *   UPDATE <Store> SET <Field> = <Value>[, <Field> = <Value>]
+ *       [WHERE <Condition>]
+ *   DELETE FROM <Store> [WHERE <Condition>]
+ * </pre>
+ * @param {string} sql SQL statement.
+ * @param {string} action statement action.
+ * @private
+ */
+ydn.db.Sql.prototype.parseWrite_ = function(sql, action) {
+  var strip = function(x) {
+    x = goog.string.stripQuotes(x.trim(), '"');
+    return goog.string.stripQuotes(x, "'");
+  };
+  this.action_ = action;
+  this.mode_ = ydn.db.base.TransactionMode.READ_WRITE;
+  this.modifier_ = '';
+  this.condition_ = '';
+  this.columns_ = [];
+  this.group_by_ = [];
+  this.having_condition_ = '';
+  this.aggregate_ = undefined;
+  this.selList_ = '*';
+  this.fields_ = [];
+  this.value_texts_ = [];
+
+  var m;
+  var store_name;
+  if (action == 'INSERT') {
+    m = /^\s*INSERT\s+INTO\s+([^\s(]+)\s*\(([^)]*)\)\s*VALUES\s*([\s\S]+)$/i.
+        exec(sql);
+    if (!m) {
+      this.last_error_ = 'INSERT statement require column list and VALUES';
+      return;
+    }
+    store_name = strip(m[1]);
+    this.fields_ = goog.array.map(ydn.db.Sql.splitList_(m[2]), strip);
+    var rows = ydn.db.Sql.splitList_(m[3].trim());
+    for (var i = 0; i < rows.length; i++) {
+      var row = /^\(([\s\S]*)\)$/.exec(rows[i]);
+      var values = row ? ydn.db.Sql.splitList_(row[1]) : [];
+      if (values.length != this.fields_.length) {
+        this.last_error_ = 'VALUES "' + rows[i] + '" does not match ' +
+            this.fields_.length + ' columns';
+        return;
+      }
+      this.value_texts_.push(values);
+    }
+  } else if (action == 'UPDATE') {
+    m = /^\s*UPDATE\s+([^\s]+)\s+SET\s+([\s\S]+?)(?:\s+WHERE\s+([\s\S]+))?$/i.
+        exec(sql);
+    if (!m) {
+      this.last_error_ = 'UPDATE statement require SET clause';
+      return;
+    }
+    store_name = strip(m[1]);
+    var assignments = ydn.db.Sql.splitList_(m[2]);
+    var values = [];
+    for (var i = 0; i < assignments.length; i++) {
+      var assignment = /^([^=]+?)\s*=\s*([\s\S]+)$/.exec(assignments[i]);
+      if (!assignment) {
+        this.last_error_ = 'Invalid assignment "' + assignments[i] + '"';
+        return;
+      }
+      this.fields_.push(strip(assignment[1]));
+      values.push(assignment[2].trim());
+    }
+    this.value_texts_.push(values);
+    this.condition_ = m[3] ? m[3].trim() : '';
+  } else {
+    m = /^\s*DELETE\s+FROM\s+([^\s]+)(?:\s+WHERE\s+([\s\S]+))?$/i.exec(sql);
+    if (!m) {
+      this.last_error_ = 'Invalid DELETE statement';
+      return;
+    }
+    store_name = strip(m[1]);
+    this.condition_ = m[2] ? m[2].trim() : '';
+  }
+
+  for (var i = 0; i < this.fields_.length; i++) {
+    if (goog.array.indexOf(this.fields_, this.fields_[i]) < i) {
+      this.last_error_ = 'Duplicate column "' + this.fields_[i] + '"';
+      return;
+    }
+  }
+  this.store_names_ = [store_name];
+  this.tables_ = [{storeName: store_name, alias: store_name}];
+  this.has_parsed_ = true;
+};
+
+
+/**
+ * Parse a value of INSERT or UPDATE statement.
+ * @param {string} text value.
+ * @return {*} parsed value, undefined if invalid.
+ * @private
+ */
+ydn.db.Sql.prototype.parseLiteral_ = function(text) {
+  var upper = text.toUpperCase();
+  if (upper == 'NULL') {
+    return null;
+  } else if (upper == 'TRUE') {
+    return true;
+  } else if (upper == 'FALSE') {
+    return false;
+  } else if (/^(:\d+|"[\s\S]*"|'[\s\S]*')$/.test(text)) {
+    return this.parseValue_(text);
+  }
+  var value = Number(text);
+  return text && !isNaN(value) ? value : undefined;
+};
+
+
+/**
+ * Parse table list with JOIN clauses.
+ * @param {string} from_list FROM clause excluding WHERE and modifiers.
+ * @private
+ */
+ydn.db.Sql.prototype.parseJoin_ = function(from_list) {
+  var re_join = /\s+(?:(INNER|LEFT)\s+(?:OUTER\s+)?)?JOIN\s+/i;
+  var re_table = /^([^\s]+)(?:\s+(?:AS\s+)?([^\s]+))?$/i;
+  var re_on = /^(.+?)\s+ON\s+(.+?)\s*=\s*(.+)$/i;
+  var strip = function(x) {
+    x = goog.string.stripQuotes(x.trim(), '"');
+    return goog.string.stripQuotes(x, "'");
+  };
+  var tables = [];
+  var rest = from_list.trim();
+  var type;
+  while (rest) {
+    var m = re_join.exec(rest);
+    var part = m ? rest.substring(0, m.index) : rest;
+    rest = m ? rest.substring(m.index + m[0].length) : '';
+    var on;
+    if (type) {
+      on = re_on.exec(part);
+      if (!on) {
+        this.last_error_ = 'ON clause required for JOIN "' + part + '"';
+        return;
+      }
+      part = on[1];
+    }
+    var t = re_table.exec(part.trim());
+    if (!t) {
+      this.last_error_ = 'Invalid table "' + part + '"';
+      return;
+    }
+    var table = {storeName: strip(t[1]), alias: strip(t[2] || t[1])};
+    if (goog.array.findIndex(tables, function(x) {
+      return x.alias == table.alias;
+    }) >= 0) {
+      this.last_error_ = 'Duplicate table alias "' + table.alias + '"';
+      return;
+    }
+    if (type) {
+      var left = ydn.db.Sql.splitField(strip(on[2]));
+      var right = ydn.db.Sql.splitField(strip(on[3]));
+      if (right && right[0] == table.alias) {
+        // ON condition is written with joined table field on the right.
+        var tmp = left;
+        left = right;
+        right = tmp;
+      }
+      var has_left = !!right && goog.array.findIndex(tables, function(x) {
+        return x.alias == right[0];
+      }) >= 0;
+      if (!left || left[0] != table.alias || !has_left) {
+        this.last_error_ = 'JOIN condition "' + on[2] + ' = ' + on[3] +
+            '" must compare a field of "' + table.alias +
+            '" to a field of an earlier table';
+        return;
+      }
+      table.type = type;
+      table.field = left[1];
+      table.leftAlias = right[0];
+      table.leftField = right[1];
+    }
+    tables.push(table);
+    if (m) {
+      type = m[1] && m[1].toUpperCase() == 'LEFT' ?
+          ydn.db.Sql.JoinType.LEFT : ydn.db.Sql.JoinType.INNER;
+    }
+  }
+  this.tables_ = tables;
+  this.store_names_ = [];
+  for (var i = 0; i < tables.length; i++) {
+    goog.array.insert(this.store_names_, tables[i].storeName);
+  }
   this.has_parsed_ = true;
 };
 
 
+/**
+ * Split a qualified field name into table alias and field name.
+ * @param {string} name qualified field name, such as 'a.name'.
+ * @return {Array.<string>} alias and field name, null if not qualified.
+ */
+ydn.db.Sql.splitField = function(name) {
+  var idx = name.indexOf('.');
+  if (idx <= 0) {
+    return null;
+  }
+  return [name.substring(0, idx), name.substring(idx + 1)];
+};
+
+
+/**
+ * Split a list at commas, which are not enclosed in parentheses or quotes.
+ * @param {string} list comma separated list.
+ * @return {!Array.<string>} trimmed items.
+ * @private
+ */
+ydn.db.Sql.splitList_ = function(list) {
+  var items = [];
+  var depth = 0;
+  var start = 0;
+  var quote = '';
+  for (var i = 0; i < list.length; i++) {
+    var c = list.charAt(i);
+    if (quote) {
+      if (c == quote) {
+        quote = '';
+      }
+    } else if (c == '"' || c == "'") {
+      quote = c;
+    } else if (c == '(') {
+      depth++;
+    } else if (c == ')') {
+      depth--;
+    } else if (c == ',' && depth == 0) {
+      items.push(list.substring(start, i).trim());
+      start = i + 1;
+    }
+  }
+  items.push(list.substring(start).trim());
+  return items;
+};
+
+
+/**
+ * Parse a column of select list.
+ * @param {string} text column, such as 'SUM(price) AS total'.
+ * @return {ydn.db.Sql.Column} null if invalid.
+ * @private
+ */
+ydn.db.Sql.parseColumn_ = function(text) {
+  var strip = function(x) {
+    x = goog.string.stripQuotes(x.trim(), '"');
+    return goog.string.stripQuotes(x, "'");
+  };
+  var re_agg = /^(MIN|MAX|COUNT|AVG|SUM)\s*\(\s*(DISTINCT\s+)?([^()]+?)\s*\)/i;
+  var m = re_agg.exec(text);
+  if (m) {
+    var rest = text.substring(m[0].length).trim();
+    var as = /^(?:AS\s+)?([^\s"']+)$/i.exec(rest);
+    if (rest && !as) {
+      return null;
+    }
+    var aggregate = m[1].toUpperCase();
+    var field = strip(m[3]);
+    var distinct = !!m[2];
+    return {
+      field: field,
+      aggregate: aggregate,
+      distinct: distinct,
+      alias: as ? as[1] : undefined,
+      expr: aggregate + '(' + (distinct ? 'DISTINCT ' : '') + field + ')',
+      hidden: false
+    };
+  }
+  if (!text || /[()]/.test(text)) {
+    return null;
+  }
+  m = /^(.+?)\s+(?:AS\s+)?([^\s"']+)$/i.exec(text);
+  var name = strip(m ? m[1] : text);
+  return {
+    field: name,
+    aggregate: undefined,
+    distinct: false,
+    alias: m ? m[2] : undefined,
+    expr: name,
+    hidden: false
+  };
+};
+
+
+/**
+ * Parse a value in condition clause. Quoted value is string, parameter marker
+ * is the bound parameter, otherwise number.
+ * @param {string} text value.
+ * @return {*} parsed value.
+ * @private
+ */
+ydn.db.Sql.prototype.parseValue_ = function(text) {
+  var marker = /^:(\d+)$/.exec(text);
+  if (marker && this.params_) {
+    return this.params_[parseInt(marker[1], 10)];
+  } else if (goog.string.startsWith(text, '"')) {
+    return goog.string.stripQuotes(text, '"');
+  } else if (goog.string.startsWith(text, "'")) {
+    return goog.string.stripQuotes(text, "'");
+  } else {
+    return parseFloat(text);
+  }
+};
+
+
+/**
+ * Find a column by its label or expression. An aggregate or grouping field
+ * not in select list is added as hidden column.
+ * @param {string} text column label or expression.
+ * @return {number} column index, -1 if not found.
+ * @private
+ */
+ydn.db.Sql.prototype.resolveColumn_ = function(text) {
+  var name = goog.string.stripQuotes(text.trim(), '"');
+  var idx = goog.array.findIndex(this.columns_, function(c) {
+    return !c.hidden && (c.alias || c.expr) == name;
+  });
+  if (idx >= 0) {
+    return idx;
+  }
+  var column = ydn.db.Sql.parseColumn_(name);
+  if (!column || column.alias ||
+      (!column.aggregate && !goog.array.contains(this.group_by_, name))) {
+    return -1;
+  }
+  idx = goog.array.findIndex(this.columns_, function(c) {
+    return c.expr == column.expr;
+  });
+  if (idx < 0) {
+    column.hidden = true;
+    idx = this.columns_.push(column) - 1;
+  }
+  return idx;
+};
+
+
+/**
+ * Validate columns of grouped query and parse HAVING clause.
+ * @return {string} error message, empty if valid.
+ * @private
+ */
+ydn.db.Sql.prototype.parseGrouping_ = function() {
+  this.columns_ = goog.array.filter(this.columns_, function(c) {
+    return !c.hidden;
+  });
+  this.having_ = [];
+  this.order_column_ = -1;
+  if (!this.isGrouped()) {
+    return '';
+  }
+  if (this.store_names_.length != 1) {
+    return 'Grouped query require single store';
+  }
+  for (var i = 0; i < this.columns_.length; i++) {
+    var column = this.columns_[i];
+    if (column.aggregate) {
+      if (column.field == '*' && (column.aggregate != 'COUNT' ||
+          column.distinct)) {
+        return 'Invalid column "' + column.expr + '"';
+      }
+    } else if (!goog.array.contains(this.group_by_, column.field)) {
+      return 'Column "' + column.field + '" must be in GROUP BY clause';
+    }
+    var label = column.alias || column.expr;
+    for (var j = 0; j < i; j++) {
+      if ((this.columns_[j].alias || this.columns_[j].expr) == label) {
+        return 'Duplicate column "' + label + '"';
+      }
+    }
+  }
+
+  if (this.having_condition_) {
+    var re_op = /(.+?)(<=|>=|=|>|<)(.+)/i;
+    var conds = this.having_condition_.split(/\s+AND\s+/i);
+    for (var i = 0; i < conds.length; i++) {
+      var result = re_op.exec(conds[i]);
+      var idx = result ? this.resolveColumn_(result[1]) : -1;
+      if (idx < 0) {
+        return 'Invalid HAVING clause "' + conds[i] + '"';
+      }
+      var where = new ydn.db.Where('c' + idx, result[2],
+          this.parseValue_(result[3].trim()));
+      var ex_idx = goog.array.findIndex(this.having_, function(w) {
+        return w.getField() == where.getField();
+      });
+      if (ex_idx >= 0) {
+        this.having_[ex_idx] = this.having_[ex_idx].and(where);
+        if (!this.having_[ex_idx]) {
+          return 'HAVING clause "' + conds[i] + '" conflict';
+        }
+      } else {
+        this.having_.push(where);
+      }
+    }
+  }
+
+  if (this.order_) {
+    this.order_column_ = this.resolveColumn_(this.order_);
+    if (this.order_column_ < 0) {
+      return 'ORDER BY "' + this.order_ + '" must be a column or ' +
+          'grouping field';
+    }
+  }
+  return '';
+};
+
+
 /**
  * @param {Array=} params SQL parameters.
  * @return {string} empty if successfully parse
@@ -247,17 +821,42 @@ ydn.db.Sql.prototype.parse = function(params) {
 
 
   if (params) {
-    for (var i = 0; i < params.length; i++) {
-      this.sql_ = this.sql_.replace('?', params[i]);
-    }
+    this.params_ = params;
+    var n = 0;
+    // numbers are substituted, so that they can be used in LIMIT and OFFSET.
+    // other values are bound by parameter marker.
+    this.sql_ = this.sql_.replace(/\?/g, function(x) {
+      if (n >= params.length) {
+        return x;
+      }
+      var value = params[n++];
+      return goog.isNumber(value) ? String(value) : ':' + (n - 1);
+    });
     this.parseBasic_(this.sql_);
   }
+  if (this.last_error_) {
+    return this.last_error_;
+  }
 
   this.wheres_ = this.parseConditions();
   if (!this.wheres_) {
     return this.last_error_;
   }
 
+  this.values_ = [];
+  for (var i = 0; i < this.value_texts_.length; i++) {
+    var row = [];
+    for (var j = 0; j < this.value_texts_[i].length; j++) {
+      var text = this.value_texts_[i][j];
+      var value = this.parseLiteral_(text);
+      if (!goog.isDef(value)) {
+        return 'Invalid value "' + text + '"';
+      }
+      row.push(value);
+    }
+    this.values_.push(row);
+  }
+
   var start_idx = this.modifier_.length;
 
   var offset_result = /OFFSET\s+(\d+)/i.exec(this.modifier_);
@@ -291,6 +890,11 @@ ydn.db.Sql.prototype.parse = function(params) {
     this.order_ = undefined;
   }
 
+  var msg = this.parseGrouping_();
+  if (msg) {
+    return msg;
+  }
+
   this.has_parsed_ = true;
   return '';
 };
@@ -344,6 +948,90 @@ ydn.db.Sql.prototype.getStoreNames = function() {
 };
 
 
+/**
+ * @return {!Array.<!ydn.db.Sql.Table>} tables in FROM clause.
+ */
+ydn.db.Sql.prototype.getTables = function() {
+  return goog.array.clone(this.tables_);
+};
+
+
+/**
+ * @return {!Array.<!ydn.db.Sql.Column>} columns of select list, followed by
+ * hidden columns.
+ */
+ydn.db.Sql.prototype.getColumns = function() {
+  return goog.array.clone(this.columns_);
+};
+
+
+/**
+ * @return {!Array.<string>} field names of INSERT or UPDATE statement.
+ */
+ydn.db.Sql.prototype.getFields = function() {
+  return goog.array.clone(this.fields_);
+};
+
+
+/**
+ * @return {!Array.<!Array>} values of each row of INSERT statement, or of
+ * UPDATE statement, in the order of field names.
+ */
+ydn.db.Sql.prototype.getValues = function() {
+  return goog.array.map(this.values_, goog.array.clone);
+};
+
+
+/**
+ * @return {!Array.<string>} fields in GROUP BY clause.
+ */
+ydn.db.Sql.prototype.getGroupBy = function() {
+  return goog.array.clone(this.group_by_);
+};
+
+
+/**
+ * Get HAVING clause of grouped query. Field name of where clause is 'c'
+ * followed by index of the column it tests.
+ * @return {!Array.<!ydn.db.Where>}
+ */
+ydn.db.Sql.prototype.getHaving = function() {
+  return goog.array.clone(this.having_);
+};
+
+
+/**
+ * @return {number} index of column ordered by in grouped query, -1 if not
+ * ordered.
+ */
+ydn.db.Sql.prototype.getOrderColumn = function() {
+  return this.order_column_;
+};
+
+
+/**
+ * A grouped query has GROUP BY or HAVING clause, or aggregates which are not
+ * a single legacy aggregate.
+ * @return {boolean} true if records are grouped.
+ */
+ydn.db.Sql.prototype.isGrouped = function() {
+  return this.group_by_.length > 0 || !!this.having_condition_ ||
+      (!this.aggregate_ && goog.array.some(this.columns_, function(c) {
+        return !!c.aggregate;
+      }));
+};
+
+
+/**
+ * @return {boolean} true if FROM clause has JOIN.
+ */
+ydn.db.Sql.prototype.hasJoin = function() {
+  return goog.array.some(this.tables_, function(x) {
+    return !!x.type;
+  });
+};
+
+
 /**
  *
  * @return {ydn.db.base.TransactionMode} store name.
@@ -414,7 +1102,12 @@ ydn.db.Sql.prototype.parseConditions = function() {
 
   if (this.condition_.length > 0) {
 
-    var conds = this.condition_.split('AND');
+    var value_re = '(\'[^\']*\'|"[^"]*"|[^\\s]+)';
+    var re_between = new RegExp('([^\\s]+)\\s+BETWEEN\\s+' + value_re +
+        '\\s+AND\\s+' + value_re, 'gi');
+    var condition = this.condition_.replace(re_between,
+        '$1 >= $2 AND $1 <= $3');
+    var conds = condition.split('AND');
     for (var i = 0; i < conds.length; i++) {
       var cond = conds[i];
       var result = re_op.exec(cond);
@@ -423,15 +1116,7 @@ ydn.db.Sql.prototype.parseConditions = function() {
         field = goog.string.stripQuotes(field, '"');
         field = goog.string.stripQuotes(field, "'");
         if (field.length > 0) {
-          var value = result[3].trim();
-          if (goog.string.startsWith(value, '"')) {
-            value = goog.string.stripQuotes(value, '"');
-          } else if (goog.string.startsWith(value, "'")) {
-            value = goog.string.stripQuotes(value, "'");
-          } else {
-            value = parseFloat(value);
-            //console.log([cond, result[1], result[2], result[3], value]);
-          }
+          var value = this.parseValue_(result[3].trim());
 
           var op = result[2];
           var where = new ydn.db.Where(field, op, value);
@@ -71,20 +71,22 @@ ydn.db.sql.Storage.prototype.getSqlOperator = function() {
 /**
  * @param {string} sql SQL statement.
  * @param {!Array=} opt_params SQL parameters.
- * @return {!goog.async.Deferred} return result as list.
+ * @return {!goog.async.Deferred} return result as list. INSERT, UPDATE and
+ * DELETE statements return number of affected records.
  */
 ydn.db.sql.Storage.prototype.executeSql = function(sql, opt_params) {
   return this.getSqlOperator().executeSql(sql, opt_params);
 };
 
-//
-///**
-// * Explain query plan.
-// * @param {!ydn.db.Iterator} q
-// * @return {Object} plan in JSON
-// */
-//ydn.db.sql.Storage.prototype.explain = function(q) {
-//  return this.base_tx_queue.explain(q);
-//};
+
+/**
+ * Explain query plan of a SQL statement. The statement is not executed.
+ * @param {string} sql SQL statement.
+ * @param {!Array=} opt_params SQL parameters.
+ * @return {!Object} execution plan in JSON format.
+ */
+ydn.db.sql.Storage.prototype.explain = function(sql, opt_params) {
+  return this.getSqlOperator().explain(sql, opt_params);
+};
 
 
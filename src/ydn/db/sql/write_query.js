@@ -0,0 +1,308 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Execute SQL INSERT, UPDATE and DELETE statements.
+ *
+ * A statement is executed in a single readwrite transaction. INSERT adds all
+ * rows in a single request. UPDATE and DELETE iterate records, using primary
+ * key or index of a where clause if possible, and then put or remove the
+ * matching records in a single request. Records are written through the
+ * operator, so that store hooks, such as encryption, history and validation,
+ * apply. On the first failure, the transaction is aborted and no record is
+ * changed. The request resolves to the number of affected records.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.sql.WriteQuery');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.log');
+goog.require('ydn.db.Iterator');
+goog.require('ydn.db.Key');
+goog.require('ydn.db.Sql');
+goog.require('ydn.db.base');
+goog.require('ydn.db.utils');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+
+/**
+ * Create a write query from a parsed SQL statement.
+ * @param {!ydn.db.core.DbOperator} db database operator.
+ * @param {!ydn.db.schema.Database} schema database schema.
+ * @param {!ydn.db.Sql} sql parsed INSERT, UPDATE or DELETE statement.
+ * @constructor
+ * @struct
+ */
+ydn.db.sql.WriteQuery = function(db, schema, sql) {
+  var store_name = sql.getStoreNames()[0];
+  var store = schema.getStore(store_name);
+  if (!store) {
+    throw new ydn.debug.error.ArgumentException('store name "' +
+        store_name + '" not found.');
+  }
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.core.DbOperator}
+   */
+  this.db_ = db;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.Sql}
+   */
+  this.sql_ = sql;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.Store}
+   */
+  this.store_ = store;
+  /**
+   * @final
+   * @private
+   * @type {!Array.<string>}
+   */
+  this.fields_ = sql.getFields();
+  this.validate_();
+};
+
+
+/**
+ * @protected
+ * @type {goog.log.Logger} logger.
+ */
+ydn.db.sql.WriteQuery.prototype.logger =
+    goog.log.getLogger('ydn.db.sql.WriteQuery');
+
+
+/**
+ * Validate field names against store schema.
+ * @private
+ */
+ydn.db.sql.WriteQuery.prototype.validate_ = function() {
+  var store_name = this.store_.getName();
+  var action = this.sql_.getAction();
+  var key_path = this.store_.getKeyPath();
+  var key_paths = goog.isArray(key_path) ? key_path :
+      goog.isString(key_path) ? [key_path] : [];
+  if (action == 'UPDATE') {
+    for (var i = 0; i < this.fields_.length; i++) {
+      if (this.store_.isKeyPath(this.fields_[i])) {
+        throw new ydn.debug.error.ArgumentException('primary key "' +
+            this.fields_[i] + '" of store "' + store_name +
+            '" cannot be updated.');
+      }
+    }
+  } else if (action == 'INSERT' && !this.store_.isAutoIncrement()) {
+    if (key_paths.length == 0) {
+      // INSERT statement cannot give out-of-line keys.
+      throw new ydn.debug.error.ArgumentException('store "' + store_name +
+          '" using out-of-line key without autoIncrement cannot be ' +
+          'inserted.');
+    }
+    for (var i = 0; i < key_paths.length; i++) {
+      if (!goog.array.contains(this.fields_, key_paths[i])) {
+        throw new ydn.debug.error.ArgumentException('primary key "' +
+            key_paths[i] + '" must be provided for store "' + store_name +
+            '".');
+      }
+    }
+  }
+  if (this.store_.isFixed()) {
+    // fixed store cannot store fields other than primary key and indexes.
+    var fields = this.fields_.concat(goog.array.map(
+        this.sql_.getConditions(), function(w) {
+          return w.getField();
+        }));
+    for (var i = 0; i < fields.length; i++) {
+      if (!this.store_.hasIndex(fields[i]) &&
+          !goog.array.contains(key_paths, fields[i])) {
+        throw new ydn.debug.error.ArgumentException('field "' + fields[i] +
+            '" not found in store "' + store_name + '".');
+      }
+    }
+  }
+};
+
+
+/**
+ * Index used to iterate records, if a where clause can be resolved by primary
+ * key or an index.
+ * @return {!Array} index name, null for primary key, key range and where
+ * clauses not resolved by the iteration.
+ * @private
+ */
+ydn.db.sql.WriteQuery.prototype.getAccess_ = function() {
+  var wheres = this.sql_.getConditions();
+  var index_name = null;
+  var access_where = null;
+  for (var i = 0; i < wheres.length; i++) {
+    var field = wheres[i].getField();
+    if (this.store_.isKeyPath(field)) {
+      index_name = null;
+      access_where = wheres[i];
+      break;
+    }
+    var index = this.store_.getIndexByKeyPath(field);
+    if (!access_where && index && !index.isMultiEntry()) {
+      index_name = index.getName();
+      access_where = wheres[i];
+    }
+  }
+  var filters = goog.array.filter(wheres, function(w) {
+    return w !== access_where;
+  });
+  return [index_name, access_where ? access_where.getKeyRange() : null,
+    filters];
+};
+
+
+
+/**
+ * @param {*} e failure of a write request, which is a list of results for a
+ * batch request.
+ * @return {*} the first error.
+ * @private
+ */
+ydn.db.sql.WriteQuery.firstError_ = function(e) {
+  if (goog.isArray(e)) {
+    var error = goog.array.find(e, function(x) {
+      return x instanceof Error;
+    });
+    return error || e;
+  }
+  return e;
+};
+
+
+/**
+ * Execute the statement in a readwrite transaction. Records are written
+ * through the operator, so that store hooks apply. The transaction is
+ * aborted on the first failure, so that no record is changed.
+ * @return {!ydn.db.Request} resolve to number of affected records.
+ */
+ydn.db.sql.WriteQuery.prototype.execute = function() {
+  goog.log.finer(this.logger, 'executing ' + this.sql_.getSql());
+  var me = this;
+  var n = 0;
+  var error = null;
+  var req = this.db_.getStorage().run(function(tx_op) {
+    var op = /** @type {!ydn.db.core.DbOperator} */ (tx_op);
+    n = 0;
+    error = null;
+    var df = me.sql_.getAction() == 'INSERT' ? me.insert_(op) : me.write_(op);
+    df.addCallbacks(function(x) {
+      n = x;
+    }, function(e) {
+      error = ydn.db.sql.WriteQuery.firstError_(e);
+      op.abort();
+    });
+  }, undefined, ydn.db.base.StandardTransactionMode.READ_WRITE);
+  req.await(function(x, is_error, cb) {
+    if (error) {
+      cb(error, true);
+    } else {
+      cb(is_error ? x : n, is_error);
+    }
+  });
+  return req;
+};
+
+
+/**
+ * Update or delete matching records. Matching records are read first, then
+ * put or removed in a single request.
+ * @param {!ydn.db.core.DbOperator} op operator of the transaction.
+ * @return {!goog.async.Deferred} resolve to number of affected records.
+ * @private
+ */
+ydn.db.sql.WriteQuery.prototype.write_ = function(op) {
+  var store_name = this.store_.getName();
+  var fields = this.fields_;
+  var values = this.sql_.getValues()[0];
+  var is_delete = this.sql_.getAction() == 'DELETE';
+  var access = this.getAccess_();
+  var filters = access[2];
+  var iter = new ydn.db.Iterator(store_name,
+      access[0] || undefined, access[1], false, false, false);
+  var records = [];
+  var keys = [];
+  var in_line = this.store_.usedInlineKey();
+  var df = new goog.async.Deferred();
+  op.open(function(cursor) {
+    var record = /** @type {!Object} */ (cursor.getValue());
+    for (var i = 0; i < filters.length; i++) {
+      if (!filters[i].test(record)) {
+        return;
+      }
+    }
+    if (!is_delete) {
+      for (var i = 0; i < fields.length; i++) {
+        ydn.db.utils.setValueByKeys(record, fields[i], values[i]);
+      }
+    }
+    records.push(record);
+    keys.push(cursor.getPrimaryKey());
+  }, iter, ydn.db.base.TransactionMode.READ_WRITE).addCallbacks(function() {
+    if (keys.length == 0) {
+      df.callback(0);
+      return;
+    }
+    var rq;
+    if (is_delete) {
+      rq = op.remove(goog.array.map(keys, function(key) {
+        return new ydn.db.Key(store_name, key);
+      }));
+    } else {
+      rq = op.put(store_name, records, in_line ? undefined : keys);
+    }
+    rq.addCallbacks(function() {
+      df.callback(keys.length);
+    }, function(e) {
+      df.errback(e);
+    });
+  }, function(e) {
+    df.errback(e);
+  });
+  return df;
+};
+
+
+/**
+ * Insert rows.
+ * @param {!ydn.db.core.DbOperator} op operator of the transaction.
+ * @return {!goog.async.Deferred} resolve to number of inserted records.
+ * @private
+ */
+ydn.db.sql.WriteQuery.prototype.insert_ = function(op) {
+  var fields = this.fields_;
+  var records = goog.array.map(this.sql_.getValues(), function(row) {
+    var record = {};
+    for (var i = 0; i < fields.length; i++) {
+      ydn.db.utils.setValueByKeys(record, fields[i], row[i]);
+    }
+    return record;
+  });
+  var df = new goog.async.Deferred();
+  op.add(this.store_.getName(), records).addCallbacks(function() {
+    df.callback(records.length);
+  }, function(e) {
+    df.errback(e);
+  });
+  return df;
+};
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Exports for ydn-db sync module.
+ *
+ */
+
+
+goog.provide('ydn.db.sync.exports');
+goog.require('ydn.db.crud.Storage.sync');
+
+
+goog.exportProperty(ydn.db.crud.Storage.prototype, 'sync',
+    ydn.db.crud.Storage.prototype.sync);
+
+goog.exportProperty(ydn.db.events.SyncEvent.prototype, 'name',
+    ydn.db.events.SyncEvent.prototype.name);
+goog.exportProperty(ydn.db.events.SyncEvent.prototype, 'getStoreName',
+    ydn.db.events.SyncEvent.prototype.getStoreName);
+goog.exportProperty(ydn.db.events.SyncEvent.prototype, 'getPhase',
+    ydn.db.events.SyncEvent.prototype.getPhase);
+goog.exportProperty(ydn.db.events.SyncEvent.prototype, 'getCount',
+    ydn.db.events.SyncEvent.prototype.getCount);
+goog.exportProperty(ydn.db.events.SyncEvent.prototype, 'getError',
+    ydn.db.events.SyncEvent.prototype.getError);
@@ -0,0 +1,76 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Install synchronizers on stores declared with `Sync` option.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.sync');
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.async.Deferred');
+goog.require('goog.async.DeferredList');
+goog.require('goog.object');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.sync.Synchronizer');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+/**
+ * Synchronizers by store name.
+ * @type {Object.<!ydn.db.sync.Synchronizer>}
+ * @private
+ */
+ydn.db.crud.Storage.prototype.synchronizers_ = null;
+
+
+/**
+ * @param {ydn.db.schema.Store} store store object.
+ * @param {StoreSyncOptionJson} option synchronization options.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.addSynchronizer = function(store, option) {
+  goog.asserts.assert(store, 'store required');
+  if (!this.synchronizers_) {
+    this.synchronizers_ = {};
+  }
+  this.synchronizers_[store.getName()] = new ydn.db.sync.Synchronizer(this,
+      store, option);
+};
+
+
+/**
+ * Synchronize stores with their servers. Synchronization progress is
+ * dispatched as 'sync' event.
+ * @param {string=} opt_store_name store name, default to all synchronizing
+ * stores.
+ * @return {!goog.async.Deferred} resolve to synchronization result of the
+ * store, or list of them if store name is not given.
+ */
+ydn.db.crud.Storage.prototype.sync = function(opt_store_name) {
+  var synchronizers = this.synchronizers_ || {};
+  if (goog.isDef(opt_store_name)) {
+    var synchronizer = synchronizers[opt_store_name];
+    if (!synchronizer) {
+      throw new ydn.debug.error.ArgumentException('store "' + opt_store_name +
+          '" is not synchronized');
+    }
+    return synchronizer.sync();
+  }
+  var dfs = goog.array.map(goog.object.getValues(synchronizers), function(x) {
+    return x.sync();
+  });
+  return goog.async.DeferredList.gatherResults(dfs);
+};
@@ -0,0 +1,968 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Synchronize a store with a REST service.
+ *
+ * Local writes are tracked by a store hook, which marks written records as
+ * dirty in the sync meta data store, in the transaction of the write.
+ * Records removed by key range, index or clear are enumerated before the
+ * removal and marked for removal. A synchronization first pulls changes
+ * from `baseUri` using `If-None-Match` collection validator and
+ * `updatedSince` cursor, then pushes dirty records one by one with `PUT` or
+ * `DELETE` on `baseUri/{key}` using `If-Match` record validator. A record
+ * changed on both sides is resolved by the conflict strategy of the store.
+ *
+ * Pull response body is either an array of records or an object with `items`
+ * array and optional `deleted` array of keys.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.sync.Synchronizer');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.async.DeferredList');
+goog.require('goog.log');
+goog.require('goog.object');
+goog.require('ydn.db.Key');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.Request');
+goog.require('ydn.db.SyncError');
+goog.require('ydn.db.base');
+goog.require('ydn.db.events.SyncEvent');
+goog.require('ydn.db.sync.XhrTransport');
+goog.require('ydn.db.utils');
+goog.require('ydn.debug.error.ArgumentException');
+goog.require('ydn.json');
+
+
+
+/**
+ * Create a synchronizer for a store.
+ * @param {!ydn.db.crud.Storage} storage storage.
+ * @param {!ydn.db.schema.Store} store store to synchronize.
+ * @param {!StoreSyncOptionJson} option synchronization option.
+ * @constructor
+ * @struct
+ */
+ydn.db.sync.Synchronizer = function(storage, store, option) {
+  var meta = option.metaData || {};
+  if (goog.DEBUG) {
+    if (option.format && option.format != 'rest') {
+      throw new ydn.debug.error.ArgumentException('Sync format "' +
+          option.format + '" of store "' + store.getName() +
+          '" is not supported');
+    }
+    if (!goog.isString(option.baseUri)) {
+      throw new ydn.debug.error.ArgumentException('Sync option of store "' +
+          store.getName() + '" require baseUri');
+    }
+    if (!store.usedInlineKey() && !meta.key) {
+      throw new ydn.debug.error.ArgumentException('Sync option of out-of-line' +
+          ' key store "' + store.getName() + '" require metaData.key');
+    }
+    var conflict = option.conflict;
+    if (goog.isDef(conflict) && !goog.isFunction(conflict) &&
+        !goog.object.containsValue(ydn.db.sync.Synchronizer.Strategy,
+            conflict)) {
+      throw new ydn.debug.error.ArgumentException('Invalid conflict ' +
+          'strategy "' + conflict + '" for store "' + store.getName() + '"');
+    }
+  }
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.crud.Storage}
+   */
+  this.storage_ = storage;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.Store}
+   */
+  this.store_ = store;
+  /**
+   * @final
+   * @private
+   * @type {string}
+   */
+  this.base_uri_ = option.baseUri.replace(/\/+$/, '');
+  /**
+   * @final
+   * @private
+   * @type {{request: Function}}
+   */
+  this.transport_ = option.transport || new ydn.db.sync.XhrTransport();
+  /**
+   * Key path of primary key in server record, for out-of-line key store.
+   * @final
+   * @private
+   * @type {?string}
+   */
+  this.key_path_ = meta.key || null;
+  /**
+   * Key path of record validator in server record.
+   * @final
+   * @private
+   * @type {?string}
+   */
+  this.etag_path_ = meta.etag || null;
+  /**
+   * Key path of last updated value in server record.
+   * @final
+   * @private
+   * @type {?string}
+   */
+  this.updated_path_ = meta.updated || null;
+  /**
+   * @final
+   * @private
+   * @type {ydn.db.sync.Synchronizer.Strategy|Function}
+   */
+  this.conflict_ = option.conflict ||
+      ydn.db.sync.Synchronizer.Strategy.SERVER_WINS;
+  /**
+   * @private
+   * @type {goog.async.Deferred}
+   */
+  this.syncing_ = null;
+  /**
+   * @final
+   * @private
+   * @type {number}
+   */
+  this.hook_idx_ = store.addHook(goog.bind(this.preHook_, this),
+      [ydn.db.base.SN_SYNC_META]);
+};
+
+
+/**
+ * @protected
+ * @type {goog.debug.Logger} logger.
+ */
+ydn.db.sync.Synchronizer.prototype.logger =
+    goog.log.getLogger('ydn.db.sync.Synchronizer');
+
+
+/**
+ * Built-in conflict resolution strategies. A function can also be used as
+ * custom merge strategy, it receives client record, server record and the
+ * primary key, and returns merged record, or undefined to delete the record.
+ * Absence of a record on either side is given as undefined.
+ * @enum {string}
+ */
+ydn.db.sync.Synchronizer.Strategy = {
+  SERVER_WINS: 'server-wins',
+  CLIENT_WINS: 'client-wins'
+};
+
+
+/**
+ * Pending operation of a dirty record.
+ * @enum {string}
+ */
+ydn.db.sync.Synchronizer.Op = {
+  PUT: 'put',
+  REMOVE: 'rm'
+};
+
+
+/**
+ * Number of dirty records read per batch.
+ * @const
+ * @type {number}
+ */
+ydn.db.sync.Synchronizer.BATCH_SIZE = 100;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+ydn.db.sync.Synchronizer.seq_ = 0;
+
+
+/**
+ * @typedef {{
+ *   status: number,
+ *   headers: !Object.<string>,
+ *   body: *
+ * }}
+ */
+ydn.db.sync.Synchronizer.Response;
+
+
+/**
+ * @typedef {{
+ *   pulled: number,
+ *   pushed: number,
+ *   conflicts: number,
+ *   errors: !Array.<!Error>
+ * }}
+ */
+ydn.db.sync.Synchronizer.Result;
+
+
+/**
+ * @return {string} synchronizing store name.
+ */
+ydn.db.sync.Synchronizer.prototype.getStoreName = function() {
+  return this.store_.getName();
+};
+
+
+/**
+ * @param {string} type meta data type.
+ * @param {IDBKey=} opt_key primary key.
+ * @return {string} primary key in the meta data store.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.metaId_ = function(type, opt_key) {
+  var id = type + ':' + this.store_.getName();
+  if (goog.isDef(opt_key)) {
+    id += ':' + ydn.db.utils.encodeKey(opt_key);
+  }
+  return id;
+};
+
+
+/**
+ * Maximum number of records removed by key range, index or clear, whose keys
+ * are marked for removal on the server. This is the maximum count of
+ * IndexedDB key listing.
+ * @const
+ * @type {number}
+ */
+ydn.db.sync.Synchronizer.MAX_REMOVE_READ = 4294967295;
+
+
+/**
+ * Store hook to track local changes. Written records are marked dirty in the
+ * transaction of the request, before the request resolves. If marking fail,
+ * the request fail.
+ * @param {!ydn.db.Request} req request.
+ * @param {goog.array.ArrayLike} args arguments.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.preHook_ = function(req, args) {
+  var Method = ydn.db.Request.Method;
+  var Op = ydn.db.sync.Synchronizer.Op;
+  var store_name = this.store_.getName();
+  var method = req.getMethod();
+  var me = this;
+  /**
+   * Mark records when the request success.
+   * @param {function(*): (!Array.<IDBKey>|!goog.async.Deferred)} get_keys
+   * return primary keys, or deferred of them, from result of the request.
+   * @param {ydn.db.sync.Synchronizer.Op} op pending operation.
+   * @param {boolean=} opt_partial keys of a failed batch request are also
+   * marked, since successful records of the batch are written.
+   */
+  var mark = function(get_keys, op, opt_partial) {
+    req.await(function(result, is_error, cb) {
+      if (is_error && !(opt_partial && goog.isArray(result))) {
+        cb(result, true);
+        return;
+      }
+      goog.async.Deferred.when(get_keys(result), function(keys) {
+        return me.markDirty_(req, keys, op);
+      }).addCallbacks(function() {
+        cb(result, is_error);
+      }, function(e) {
+        goog.log.warning(me.logger, 'marking dirty records of store "' +
+            store_name + '" failed: ' + e);
+        cb(e, true);
+      });
+    });
+  };
+  if (method == Method.PUT || method == Method.ADD) {
+    mark(function(key) {
+      return [key];
+    }, Op.PUT);
+  } else if (method == Method.PUTS || method == Method.ADDS) {
+    mark(function(keys) {
+      return goog.array.filter(keys, function(key) {
+        return !(key instanceof Error);
+      });
+    }, Op.PUT, true);
+  } else if (method == Method.PUT_KEYS || method == Method.REMOVE_KEYS) {
+    var op = method == Method.PUT_KEYS ? Op.PUT : Op.REMOVE;
+    var keys = [];
+    for (var i = 0; i < args[0].length; i++) {
+      if (args[0][i].getStoreName() == store_name) {
+        keys.push(args[0][i].getId());
+      }
+    }
+    mark(function() {
+      return keys;
+    }, op);
+  } else if (method == Method.REMOVE_ID) {
+    var id = args[1];
+    mark(function(cnt) {
+      return cnt ? [id] : [];
+    }, Op.REMOVE);
+  } else if (method == Method.REMOVE || method == Method.REMOVE_INDEX ||
+      method == Method.CLEAR) {
+    var index_name = method == Method.REMOVE_INDEX ? args[1] : null;
+    var key_range = method == Method.REMOVE_INDEX ? args[2] : args[1];
+    var removed = new goog.async.Deferred();
+    // keys are read before the removal, which is queued after this
+    // transaction callback.
+    req.addTxback(function() {
+      this.readKeys_(req, index_name, key_range || null).chainDeferred(
+          removed);
+    }, this);
+    mark(function() {
+      return removed;
+    }, Op.REMOVE);
+  }
+};
+
+
+/**
+ * Read primary keys of records in the transaction of a request.
+ * @param {!ydn.db.Request} req request having active transaction.
+ * @param {?string} index_name index name, null for primary key.
+ * @param {IDBKeyRange} key_range key range.
+ * @return {!goog.async.Deferred} resolve to list of primary keys.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.readKeys_ = function(req, index_name,
+                                                        key_range) {
+  var rq = req.copy();
+  this.storage_.getCoreOperator().getCrudExecutor().list(rq,
+      ydn.db.base.QueryMethod.LIST_PRIMARY_KEY, this.store_.getName(),
+      index_name, key_range, ydn.db.sync.Synchronizer.MAX_REMOVE_READ, 0,
+      false, false);
+  return rq;
+};
+
+
+/**
+ * Mark records as dirty in the transaction of a request.
+ * @param {!ydn.db.Request} req request having active transaction.
+ * @param {!Array.<IDBKey>} keys primary keys.
+ * @param {ydn.db.sync.Synchronizer.Op} op pending operation.
+ * @return {!goog.async.Deferred} resolve when marked.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.markDirty_ = function(req, keys, op) {
+  if (keys.length == 0) {
+    return goog.async.Deferred.succeed(0);
+  }
+  var store_name = this.store_.getName();
+  var seq = goog.now() + ':' + (ydn.db.sync.Synchronizer.seq_++);
+  var metas = [];
+  for (var i = 0; i < keys.length; i++) {
+    metas[i] = {
+      'id': this.metaId_('dirty', keys[i]),
+      'pending': store_name,
+      'key': keys[i],
+      'op': op,
+      'seq': seq
+    };
+  }
+  var rq = req.copy();
+  this.storage_.getCoreOperator().getCrudExecutor().insertObjects(rq, true,
+      false, ydn.db.base.SN_SYNC_META, metas);
+  return rq;
+};
+
+
+/**
+ * List all dirty meta data records of the store.
+ * @param {!Array.<!Object>=} opt_out result accumulator.
+ * @return {!goog.async.Deferred} list of dirty meta data records.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.listDirty_ = function(opt_out) {
+  var out = opt_out || [];
+  var kr = ydn.db.KeyRange.only(this.store_.getName());
+  var df = this.storage_.getCoreOperator().listInternal(
+      ydn.db.base.SN_SYNC_META, 'pending', kr, false,
+      ydn.db.sync.Synchronizer.BATCH_SIZE, out.length);
+  return df.addCallback(function(records) {
+    out.push.apply(out, records);
+    if (records.length < ydn.db.sync.Synchronizer.BATCH_SIZE) {
+      return out;
+    } else {
+      return this.listDirty_(out);
+    }
+  }, this);
+};
+
+
+/**
+ * Clear dirty marker, unless the record was changed again while pushing.
+ * @param {!Object} dirty dirty meta data record.
+ * @return {!goog.async.Deferred} df.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.clearDirty_ = function(dirty) {
+  var op = this.storage_.getCoreOperator();
+  var meta_key = new ydn.db.Key(ydn.db.base.SN_SYNC_META, dirty['id']);
+  return op.valuesInternal([meta_key]).addCallback(function(x) {
+    if (x[0] && x[0]['seq'] == dirty['seq']) {
+      return op.removeInternalByKeys([meta_key]);
+    }
+  });
+};
+
+
+/**
+ * Persist record validator received from the server.
+ * @param {!Array.<IDBKey>} keys primary keys.
+ * @param {!Array.<string|undefined>} etags validators, undefined to delete.
+ * @return {!goog.async.Deferred} df.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.saveEtags_ = function(keys, etags) {
+  var op = this.storage_.getCoreOperator();
+  var metas = [];
+  var removes = [];
+  for (var i = 0; i < keys.length; i++) {
+    var id = this.metaId_('etag', keys[i]);
+    if (goog.isDefAndNotNull(etags[i])) {
+      metas.push({'id': id, 'etag': etags[i]});
+    } else {
+      removes.push(new ydn.db.Key(ydn.db.base.SN_SYNC_META, id));
+    }
+  }
+  var dfs = [];
+  if (metas.length > 0) {
+    dfs.push(op.dumpInternal(ydn.db.base.SN_SYNC_META, metas));
+  }
+  if (removes.length > 0) {
+    dfs.push(op.removeInternalByKeys(removes));
+  }
+  return goog.async.DeferredList.gatherResults(dfs);
+};
+
+
+/**
+ * Write server records into the store without marking them dirty.
+ * @param {!Array.<IDBKey>} keys primary keys.
+ * @param {!Array} values records, undefined to delete.
+ * @return {!goog.async.Deferred} df.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.writeLocal_ = function(keys, values) {
+  var op = this.storage_.getCoreOperator();
+  var store_name = this.store_.getName();
+  var put_keys = [];
+  var put_values = [];
+  var removes = [];
+  for (var i = 0; i < keys.length; i++) {
+    if (goog.isDef(values[i])) {
+      put_keys.push(keys[i]);
+      put_values.push(values[i]);
+    } else {
+      removes.push(new ydn.db.Key(store_name, keys[i]));
+    }
+  }
+  var dfs = [];
+  if (put_values.length > 0) {
+    var out_keys = this.store_.usedInlineKey() ? undefined : put_keys;
+    dfs.push(op.dumpInternal(store_name, put_values, out_keys, false,
+        this.hook_idx_));
+  }
+  if (removes.length > 0) {
+    dfs.push(op.removeInternalByKeys(removes));
+  }
+  return goog.async.DeferredList.gatherResults(dfs);
+};
+
+
+/**
+ * Send a HTTP request through the transport.
+ * @param {string} method HTTP method.
+ * @param {string} path request URI.
+ * @param {Object=} opt_params query parameters.
+ * @param {Object=} opt_headers request headers.
+ * @param {*=} opt_body request body, serialized as JSON.
+ * @return {!goog.async.Deferred} resolve to ydn.db.sync.Synchronizer.Response.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.http_ = function(method, path, opt_params,
+    opt_headers, opt_body) {
+  var df = new goog.async.Deferred();
+  var headers = opt_headers || {};
+  var args = {
+    'path': path,
+    'method': method,
+    'params': opt_params || {},
+    'headers': headers
+  };
+  if (goog.isDef(opt_body)) {
+    headers['Content-Type'] = 'application/json';
+    args['body'] = ydn.json.stringify(opt_body);
+  }
+  goog.log.finer(this.logger, method + ' ' + path);
+  this.transport_.request(args)['execute'](function(json, raw) {
+    var data = {};
+    try {
+      data = ydn.json.parse(raw)['gapiRequest']['data'] || {};
+    } catch (e) {
+      // treat as unreachable server.
+    }
+    var res_headers = {};
+    goog.object.forEach(data['headers'] || {}, function(value, name) {
+      res_headers[name.toLowerCase()] = value;
+    });
+    df.callback(/** @type {ydn.db.sync.Synchronizer.Response} */ ({
+      status: data['status'] || 0,
+      headers: res_headers,
+      body: json
+    }));
+  });
+  return df;
+};
+
+
+/**
+ * @param {IDBKey} key primary key.
+ * @return {string} record URI.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.getUri_ = function(key) {
+  var id = goog.isString(key) || goog.isNumber(key) ?
+      String(key) : ydn.json.stringify(key);
+  return this.base_uri_ + '/' + encodeURIComponent(id);
+};
+
+
+/**
+ * @param {*} record server record.
+ * @return {IDBKey} primary key of server record.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.extractKey_ = function(record) {
+  if (this.key_path_) {
+    return ydn.db.utils.getValueByKeys(/** @type {!Object} */ (record),
+        this.key_path_);
+  } else {
+    return this.store_.extractKey(record);
+  }
+};
+
+
+/**
+ * @param {ydn.db.sync.Synchronizer.Response} res response.
+ * @return {string|undefined} record validator.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.extractEtag_ = function(res) {
+  if (res.headers['etag']) {
+    return res.headers['etag'];
+  } else if (this.etag_path_ && goog.isObject(res.body)) {
+    return /** @type {string} */ (ydn.db.utils.getValueByKeys(
+        /** @type {!Object} */ (res.body), this.etag_path_));
+  }
+  return undefined;
+};
+
+
+/**
+ * Resolve conflict.
+ * @param {IDBKey} key primary key.
+ * @param {*} client client record, undefined if deleted.
+ * @param {*} server server record, undefined if deleted.
+ * @return {{value: *, push: boolean}} resolved record and whether the
+ * resolved record need to push to the server.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.resolve_ = function(key, client, server) {
+  var Strategy = ydn.db.sync.Synchronizer.Strategy;
+  if (this.conflict_ == Strategy.SERVER_WINS) {
+    return {value: server, push: false};
+  } else if (this.conflict_ == Strategy.CLIENT_WINS) {
+    return {value: client, push: true};
+  } else {
+    var merge = /** @type {Function} */ (this.conflict_);
+    return {value: merge(client, server, key), push: true};
+  }
+};
+
+
+/**
+ * @param {ydn.db.events.SyncEvent.Phase} phase synchronization phase.
+ * @param {number} count number of records.
+ * @param {Error=} opt_error error.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.dispatch_ = function(phase, count,
+                                                        opt_error) {
+  var event = new ydn.db.events.SyncEvent(this.storage_,
+      this.store_.getName(), phase, count, opt_error);
+  this.storage_.dispatchDbEvent(event);
+};
+
+
+/**
+ * Synchronize the store. Concurrent invocation share the same process.
+ * @return {!goog.async.Deferred} resolve to ydn.db.sync.Synchronizer.Result.
+ * Fail with the first error, if any record cannot be synchronized.
+ */
+ydn.db.sync.Synchronizer.prototype.sync = function() {
+  if (this.syncing_) {
+    return this.syncing_.branch();
+  }
+  var result = /** @type {ydn.db.sync.Synchronizer.Result} */ ({
+    pulled: 0,
+    pushed: 0,
+    conflicts: 0,
+    errors: []
+  });
+  var df = this.pull_(result);
+  df.addCallback(function() {
+    this.dispatch_(ydn.db.events.SyncEvent.Phase.PULLED, result.pulled);
+    return this.push_(result);
+  }, this);
+  df.addCallbacks(function() {
+    this.dispatch_(ydn.db.events.SyncEvent.Phase.PUSHED, result.pushed);
+    this.syncing_ = null;
+    if (result.errors.length > 0) {
+      this.dispatch_(ydn.db.events.SyncEvent.Phase.ERROR,
+          result.errors.length, result.errors[0]);
+      throw result.errors[0];
+    }
+    this.dispatch_(ydn.db.events.SyncEvent.Phase.DONE,
+        result.pulled + result.pushed);
+    return result;
+  }, function(e) {
+    this.syncing_ = null;
+    this.dispatch_(ydn.db.events.SyncEvent.Phase.ERROR, 0, e);
+    throw e;
+  }, this);
+  this.syncing_ = df;
+  return df.branch();
+};
+
+
+/**
+ * Pull changes from the server.
+ * @param {ydn.db.sync.Synchronizer.Result} result result accumulator.
+ * @return {!goog.async.Deferred} df.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.pull_ = function(result) {
+  var op = this.storage_.getCoreOperator();
+  var cursor_id = this.metaId_('cursor');
+  var df = op.valuesInternal([new ydn.db.Key(ydn.db.base.SN_SYNC_META,
+      cursor_id)]);
+  return df.addCallback(function(arr) {
+    var cursor = arr[0] || {'id': cursor_id};
+    var params = {};
+    var headers = {};
+    if (goog.isDefAndNotNull(cursor['updated'])) {
+      params['updatedSince'] = cursor['updated'];
+    }
+    if (cursor['etag']) {
+      headers['If-None-Match'] = cursor['etag'];
+    }
+    return this.http_('GET', this.base_uri_, params, headers).addCallback(
+        function(res) {
+          if (res.status == 304) {
+            return null;
+          } else if (res.status < 200 || res.status >= 300) {
+            throw new ydn.db.SyncError(res.status, 'pulling "' +
+                this.store_.getName() + '" from ' + this.base_uri_ +
+                ' failed with status ' + res.status);
+          }
+          var body = res.body;
+          var items = goog.isArray(body) ? body :
+              (goog.isObject(body) && body['items']) || [];
+          var deleted = (goog.isObject(body) && body['deleted']) || [];
+          cursor['etag'] = res.headers['etag'];
+          if (this.updated_path_) {
+            for (var i = 0; i < items.length; i++) {
+              var updated = ydn.db.utils.getValueByKeys(items[i],
+                  this.updated_path_);
+              if (goog.isDefAndNotNull(updated) &&
+                  !(cursor['updated'] >= updated)) {
+                cursor['updated'] = updated;
+              }
+            }
+          }
+          return this.merge_(items, deleted, result).addCallback(function() {
+            return op.dumpInternal(ydn.db.base.SN_SYNC_META, [cursor]);
+          });
+        }, this);
+  }, this);
+};
+
+
+/**
+ * Merge server changes into the store.
+ * @param {!Array} items updated server records.
+ * @param {!Array.<IDBKey>} deleted keys of deleted server records.
+ * @param {ydn.db.sync.Synchronizer.Result} result result accumulator.
+ * @return {!goog.async.Deferred} df.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.merge_ = function(items, deleted, result) {
+  var keys = [];
+  var values = [];
+  var etags = [];
+  for (var i = 0; i < items.length; i++) {
+    keys.push(this.extractKey_(items[i]));
+    values.push(items[i]);
+    etags.push(this.etag_path_ ? /** @type {string} */ (
+        ydn.db.utils.getValueByKeys(items[i], this.etag_path_)) : undefined);
+  }
+  for (var i = 0; i < deleted.length; i++) {
+    keys.push(deleted[i]);
+    values.push(undefined);
+    etags.push(undefined);
+  }
+  result.pulled += keys.length;
+  if (keys.length == 0) {
+    return goog.async.Deferred.succeed(null);
+  }
+  return this.listDirty_().addCallback(function(dirties) {
+    var dirty_map = {};
+    for (var i = 0; i < dirties.length; i++) {
+      dirty_map[dirties[i]['id']] = dirties[i];
+    }
+    var conflict_idx = [];
+    var conflict_keys = [];
+    for (var i = 0; i < keys.length; i++) {
+      if (dirty_map[this.metaId_('dirty', keys[i])]) {
+        conflict_idx.push(i);
+        conflict_keys.push(keys[i]);
+      }
+    }
+    var df = conflict_keys.length > 0 ?
+        this.storage_.values(this.store_.getName(), conflict_keys) :
+        goog.async.Deferred.succeed([]);
+    return df.addCallback(function(clients) {
+      var dfs = [];
+      var local_keys = [];
+      var local_values = [];
+      for (var i = 0, j = 0; i < keys.length; i++) {
+        if (conflict_idx[j] === i) {
+          var dirty = dirty_map[this.metaId_('dirty', keys[i])];
+          var client = dirty['op'] == ydn.db.sync.Synchronizer.Op.REMOVE ?
+              undefined : clients[j];
+          j++;
+          var resolved = this.resolve_(keys[i], client, values[i]);
+          result.conflicts++;
+          this.dispatch_(ydn.db.events.SyncEvent.Phase.CONFLICT, 1);
+          if (resolved.push) {
+            // keep it dirty, push will override the server record.
+            if (resolved.value !== client) {
+              local_keys.push(keys[i]);
+              local_values.push(resolved.value);
+            }
+            var new_op = goog.isDef(resolved.value) ?
+                ydn.db.sync.Synchronizer.Op.PUT :
+                ydn.db.sync.Synchronizer.Op.REMOVE;
+            if (new_op != dirty['op']) {
+              dirty['op'] = new_op;
+              dfs.push(this.storage_.getCoreOperator().dumpInternal(
+                  ydn.db.base.SN_SYNC_META, [dirty]));
+            }
+            continue;
+          } else {
+            dfs.push(this.clearDirty_(dirty));
+          }
+        }
+        local_keys.push(keys[i]);
+        local_values.push(values[i]);
+      }
+      dfs.push(this.writeLocal_(local_keys, local_values));
+      dfs.push(this.saveEtags_(keys, etags));
+      return goog.async.DeferredList.gatherResults(dfs);
+    }, this);
+  }, this);
+};
+
+
+/**
+ * Push dirty records to the server.
+ * @param {ydn.db.sync.Synchronizer.Result} result result accumulator.
+ * @return {!goog.async.Deferred} df.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.push_ = function(result) {
+  return this.listDirty_().addCallback(function(dirties) {
+    return this.pushNext_(dirties, 0, result);
+  }, this);
+};
+
+
+/**
+ * Push dirty records sequentially.
+ * @param {!Array.<!Object>} dirties dirty meta data records.
+ * @param {number} idx index of dirty record to push.
+ * @param {ydn.db.sync.Synchronizer.Result} result result accumulator.
+ * @return {!goog.async.Deferred} df.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.pushNext_ = function(dirties, idx,
+                                                        result) {
+  if (idx >= dirties.length) {
+    return goog.async.Deferred.succeed(null);
+  }
+  var df = this.pushRecord_(dirties[idx], result);
+  df.addErrback(function(e) {
+    // a failed record remain dirty and will be retried in next sync.
+    goog.log.warning(this.logger, 'pushing ' + dirties[idx]['id'] +
+        ' failed: ' + e);
+    result.errors.push(e);
+  }, this);
+  return df.addCallback(function() {
+    return this.pushNext_(dirties, idx + 1, result);
+  }, this);
+};
+
+
+/**
+ * Push a dirty record to the server.
+ * @param {!Object} dirty dirty meta data record.
+ * @param {ydn.db.sync.Synchronizer.Result} result result accumulator.
+ * @return {!goog.async.Deferred} df.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.pushRecord_ = function(dirty, result) {
+  var key = dirty['key'];
+  var op = this.storage_.getCoreOperator();
+  var etag_key = new ydn.db.Key(ydn.db.base.SN_SYNC_META,
+      this.metaId_('etag', key));
+  var df_etag = op.valuesInternal([etag_key]);
+  var df_value = dirty['op'] == ydn.db.sync.Synchronizer.Op.REMOVE ?
+      goog.async.Deferred.succeed(undefined) :
+      this.storage_.get(this.store_.getName(), key);
+  var df = goog.async.DeferredList.gatherResults([df_etag, df_value]);
+  return df.addCallback(function(x) {
+    var etag = x[0][0] ? x[0][0]['etag'] : undefined;
+    return this.send_(key, x[1], etag, true).addCallback(function(out) {
+      result.pushed++;
+      return goog.async.DeferredList.gatherResults([
+        this.clearDirty_(dirty),
+        this.saveEtags_([key], [out])
+      ]);
+    }, this);
+  }, this).addErrback(function(e) {
+    if (!(e instanceof ydn.db.sync.Synchronizer.Conflict_)) {
+      throw e;
+    }
+    var conflict = /** @type {ydn.db.sync.Synchronizer.Conflict_} */ (e);
+    var resolved = this.resolve_(key, conflict.client, conflict.server);
+    result.conflicts++;
+    this.dispatch_(ydn.db.events.SyncEvent.Phase.CONFLICT, 1);
+    if (!resolved.push) {
+      return goog.async.DeferredList.gatherResults([
+        this.writeLocal_([key], [resolved.value]),
+        this.clearDirty_(dirty),
+        this.saveEtags_([key], [conflict.etag])
+      ]);
+    }
+    return this.send_(key, resolved.value, conflict.etag, false).addCallback(
+        function(out) {
+          result.pushed++;
+          var dfs = [
+            this.clearDirty_(dirty),
+            this.saveEtags_([key], [out])
+          ];
+          if (resolved.value !== conflict.client) {
+            dfs.push(this.writeLocal_([key], [resolved.value]));
+          }
+          return goog.async.DeferredList.gatherResults(dfs);
+        }, this);
+  }, this);
+};
+
+
+/**
+ * Send a record to the server.
+ * @param {IDBKey} key primary key.
+ * @param {*} value record value, undefined to delete.
+ * @param {string|undefined} etag known record validator.
+ * @param {boolean} detect_conflict if true, precondition failure is reported
+ * as conflict, otherwise as error.
+ * @return {!goog.async.Deferred} resolve to new record validator.
+ * @private
+ */
+ydn.db.sync.Synchronizer.prototype.send_ = function(key, value, etag,
+                                                    detect_conflict) {
+  var uri = this.getUri_(key);
+  var headers = {};
+  if (etag) {
+    headers['If-Match'] = etag;
+  }
+  var is_delete = !goog.isDef(value);
+  var method = is_delete ? 'DELETE' : 'PUT';
+  var df = this.http_(method, uri, undefined, headers,
+      is_delete ? undefined : value);
+  return df.addCallback(function(res) {
+    if (res.status >= 200 && res.status < 300 ||
+        is_delete && res.status == 404) {
+      return is_delete ? undefined : this.extractEtag_(res);
+    } else if (res.status == 412 && detect_conflict) {
+      return this.http_('GET', uri).addCallback(function(res) {
+        if (res.status == 404 || res.status == 410) {
+          throw new ydn.db.sync.Synchronizer.Conflict_(value, undefined,
+              undefined);
+        } else if (res.status >= 200 && res.status < 300) {
+          throw new ydn.db.sync.Synchronizer.Conflict_(value, res.body,
+              this.extractEtag_(res));
+        }
+        throw new ydn.db.SyncError(res.status, 'GET ' + uri +
+            ' failed with status ' + res.status);
+      }, this);
+    }
+    throw new ydn.db.SyncError(res.status, method + ' ' + uri +
+        ' failed with status ' + res.status);
+  }, this);
+};
+
+
+
+/**
+ * Conflict detected while pushing a record.
+ * @param {*} client client record.
+ * @param {*} server server record.
+ * @param {string|undefined} etag server record validator.
+ * @constructor
+ * @struct
+ * @private
+ */
+ydn.db.sync.Synchronizer.Conflict_ = function(client, server, etag) {
+  /**
+   * @final
+   * @type {*}
+   */
+  this.client = client;
+  /**
+   * @final
+   * @type {*}
+   */
+  this.server = server;
+  /**
+   * @final
+   * @type {string|undefined}
+   */
+  this.etag = etag;
+};
+
+
+if (goog.DEBUG) {
+  /**
+   * @inheritDoc
+   */
+  ydn.db.sync.Synchronizer.prototype.toString = function() {
+    return 'Synchronizer:' + this.store_.getName() + ':' + this.base_uri_;
+  };
+}
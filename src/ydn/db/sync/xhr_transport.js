@@ -0,0 +1,100 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Default HTTP transport for synchronization.
+ *
+ * The transport follows Google Javascript Client request interface, so that
+ * `gapi.client` can be used as it is. A request is described by `path`,
+ * `method`, `params`, `headers` and `body` and executed by
+ * `execute(callback)`, where callback receives parsed JSON body and raw
+ * response in `{gapiRequest: {data: {status, headers, body}}}` format.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.sync.XhrTransport');
+goog.require('goog.Uri');
+goog.require('goog.net.XhrIo');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('ydn.json');
+
+
+
+/**
+ * Create a HTTP transport using XMLHttpRequest.
+ * @constructor
+ * @struct
+ */
+ydn.db.sync.XhrTransport = function() {
+
+};
+
+
+/**
+ * @param {{path: string, method: string, params: (Object|undefined),
+ * headers: (Object|undefined), body: (string|undefined)}} args request.
+ * @return {{execute: function(function(*, string))}} request object.
+ */
+ydn.db.sync.XhrTransport.prototype.request = function(args) {
+  var uri = new goog.Uri(args['path']);
+  goog.object.forEach(args['params'] || {}, function(value, name) {
+    uri.setParameterValue(name, value);
+  });
+  return {
+    'execute': function(cb) {
+      goog.net.XhrIo.send(uri.toString(), function(e) {
+        var xhr = /** @type {goog.net.XhrIo} */ (e.target);
+        var body = xhr.getResponseText();
+        var json;
+        try {
+          json = body ? ydn.json.parse(body) : undefined;
+        } catch (ex) {
+          json = undefined;
+        }
+        var raw = {
+          'gapiRequest': {
+            'data': {
+              'status': xhr.getStatus(),
+              'statusText': xhr.getStatusText(),
+              'headers': ydn.db.sync.XhrTransport.parseHeaders_(
+                  xhr.getAllResponseHeaders()),
+              'body': body
+            }
+          }
+        };
+        cb(json, ydn.json.stringify(raw));
+      }, args['method'], args['body'], args['headers']);
+    }
+  };
+};
+
+
+/**
+ * @param {string} text raw response headers.
+ * @return {!Object.<string>} headers by lower case name.
+ * @private
+ */
+ydn.db.sync.XhrTransport.parseHeaders_ = function(text) {
+  var headers = {};
+  var lines = text.split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var idx = lines[i].indexOf(':');
+    if (idx > 0) {
+      headers[lines[i].substring(0, idx).toLowerCase()] =
+          goog.string.trim(lines[i].substring(idx + 1));
+    }
+  }
+  return headers;
+};
@@ -0,0 +1,146 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Full text search engine of a catalog.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.text.Engine');
+goog.require('goog.asserts');
+goog.require('ydn.db.schema.fulltext.Catalog');
+goog.require('ydn.db.schema.fulltext.Engine');
+goog.require('ydn.db.text.Entry');
+goog.require('ydn.db.text.Normalizer');
+goog.require('ydn.db.text.QueryToken');
+goog.require('ydn.db.text.ResultSet');
+goog.require('ydn.db.utils');
+
+
+
+/**
+ * Create a full text search engine for a catalog.
+ * @param {!ydn.db.schema.fulltext.Catalog} catalog catalog.
+ * @constructor
+ * @struct
+ * @implements {ydn.db.schema.fulltext.Engine}
+ */
+ydn.db.text.Engine = function(catalog) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.fulltext.Catalog}
+   */
+  this.catalog_ = catalog;
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.text.Normalizer}
+   */
+  this.normalizer_ = new ydn.db.text.Normalizer(catalog.lang);
+};
+
+
+/**
+ * @const
+ * @type {number} default number of hits.
+ */
+ydn.db.text.Engine.DEFAULT_LIMIT = 10;
+
+
+/**
+ * @return {!ydn.db.schema.fulltext.Catalog} catalog.
+ */
+ydn.db.text.Engine.prototype.getCatalog = function() {
+  return this.catalog_;
+};
+
+
+/**
+ * @inheritDoc
+ * @return {!ydn.db.text.ResultSet}
+ */
+ydn.db.text.Engine.prototype.query = function(catalog_name, query,
+    opt_limit, opt_threshold) {
+  goog.asserts.assert(catalog_name == this.catalog_.getName(),
+      'catalog "' + catalog_name + '" not served by this engine');
+  var tokens = [];
+  var keywords = {};
+  var arr = this.normalizer_.tokenize(query);
+  for (var i = 0; i < arr.length; i++) {
+    if (!keywords[arr[i].keyword]) {
+      keywords[arr[i].keyword] = true;
+      tokens.push(new ydn.db.text.QueryToken(arr[i].keyword, arr[i].value,
+          arr[i].loc));
+    }
+  }
+  return new ydn.db.text.ResultSet(this.catalog_, tokens,
+      opt_limit || ydn.db.text.Engine.DEFAULT_LIMIT, opt_threshold || 0);
+};
+
+
+/**
+ * Score of a keyword in a field, from term frequency normalized by field
+ * length.
+ * @param {number} weight weight of the field.
+ * @param {number} tf number of occurrence of the keyword.
+ * @param {number} length number of tokens in the field.
+ * @return {number} score.
+ */
+ydn.db.text.Engine.score = function(weight, tf, length) {
+  return weight * (1 + Math.log(tf)) / Math.sqrt(length);
+};
+
+
+/**
+ * @inheritDoc
+ * @return {!Array.<!ydn.db.text.Entry>}
+ */
+ydn.db.text.Engine.prototype.analyze = function(store_name, key, obj) {
+  var entries = [];
+  for (var i = 0; i < this.catalog_.count(); i++) {
+    var source = this.catalog_.index(i);
+    if (source.getStoreName() != store_name) {
+      continue;
+    }
+    var key_path = source.getKeyPath();
+    var text = ydn.db.utils.getValueByKeys(obj, key_path);
+    if (goog.isArray(text)) {
+      text = text.join(' ');
+    }
+    if (!goog.isString(text)) {
+      continue;
+    }
+    var tokens = this.normalizer_.tokenize(text);
+    var by_keyword = {};
+    var keywords = [];
+    for (var j = 0; j < tokens.length; j++) {
+      var token = tokens[j];
+      if (by_keyword[token.keyword]) {
+        by_keyword[token.keyword].loc.push(token.loc);
+      } else {
+        by_keyword[token.keyword] = {value: token.value, loc: [token.loc]};
+        keywords.push(token.keyword);
+      }
+    }
+    for (var j = 0; j < keywords.length; j++) {
+      var occ = by_keyword[keywords[j]];
+      entries.push(new ydn.db.text.Entry(store_name, key, key_path,
+          keywords[j], occ.value, occ.loc, ydn.db.text.Engine.score(
+              source.getWeight(), occ.loc.length, tokens.length)));
+    }
+  }
+  return entries;
+};
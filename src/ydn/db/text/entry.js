@@ -0,0 +1,160 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Entries of full text inverted index.
+ *
+ * An index entry records occurrence of a keyword in an indexed field of a
+ * document. It is stored in the catalog store as:
+ * <pre>
+ *   {id: [storeName, primaryKey, keyPath, keyword],
+ *    k: keyword, v: value, s: storeName, p: primaryKey, r: keyPath,
+ *    l: [locations], w: score}
+ * </pre>
+ * The `id` begins with source store name and primary key, so that all
+ * entries of a document fall in one key range.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.text.Entry');
+goog.provide('ydn.db.text.QueryToken');
+goog.require('ydn.db.schema.fulltext.Entry');
+
+
+
+/**
+ * Create an inverted index entry.
+ * @param {string} store_name source store name.
+ * @param {IDBKey} primary_key primary key of the document.
+ * @param {string} key_path key path of indexed field.
+ * @param {string} keyword normalized keyword.
+ * @param {string} value the word as it appear in the document.
+ * @param {!Array.<number>} loc word positions in the field.
+ * @param {number} score score of the keyword in the document.
+ * @constructor
+ * @struct
+ * @implements {ydn.db.schema.fulltext.Entry}
+ */
+ydn.db.text.Entry = function(store_name, primary_key, key_path, keyword,
+                             value, loc, score) {
+  /**
+   * @final
+   * @type {string}
+   */
+  this.store_name = store_name;
+  /**
+   * @final
+   * @type {IDBKey}
+   */
+  this.primary_key = primary_key;
+  /**
+   * @final
+   * @type {string}
+   */
+  this.key_path = key_path;
+  /**
+   * @final
+   * @type {string}
+   */
+  this.keyword = keyword;
+  /**
+   * @final
+   * @type {string}
+   */
+  this.value = value;
+  /**
+   * @final
+   * @type {!Array.<number>}
+   */
+  this.loc = loc;
+  /**
+   * @final
+   * @type {number}
+   */
+  this.score = score;
+};
+
+
+/**
+ * @return {!Array} primary key of the entry in the catalog store.
+ */
+ydn.db.text.Entry.prototype.getId = function() {
+  return [this.store_name, this.primary_key, this.key_path, this.keyword];
+};
+
+
+/**
+ * @return {!Object} record to store in the catalog store.
+ */
+ydn.db.text.Entry.prototype.toJson = function() {
+  return {
+    'id': this.getId(),
+    'k': this.keyword,
+    'v': this.value,
+    's': this.store_name,
+    'p': this.primary_key,
+    'r': this.key_path,
+    'l': this.loc,
+    'w': this.score
+  };
+};
+
+
+/**
+ * @param {!Object} json record from the catalog store.
+ * @return {!ydn.db.text.Entry} entry.
+ */
+ydn.db.text.Entry.fromJson = function(json) {
+  return new ydn.db.text.Entry(json['s'], json['p'], json['r'], json['k'],
+      json['v'], json['l'] || [], json['w'] || 0);
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.text.Entry.prototype.toString = function() {
+  return 'Entry:' + this.store_name + ':' + this.primary_key + ':' +
+      this.key_path + ':' + this.keyword;
+};
+
+
+
+/**
+ * A keyword of free text query.
+ * @param {string} keyword normalized keyword.
+ * @param {string} value the word as it appear in the query.
+ * @param {number} loc word position in the query.
+ * @constructor
+ * @struct
+ * @implements {ydn.db.schema.fulltext.Entry}
+ */
+ydn.db.text.QueryToken = function(keyword, value, loc) {
+  /**
+   * @final
+   * @type {string}
+   */
+  this.keyword = keyword;
+  /**
+   * @final
+   * @type {string}
+   */
+  this.value = value;
+  /**
+   * @final
+   * @type {number}
+   */
+  this.loc = loc;
+};
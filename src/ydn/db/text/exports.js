@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Exports for ydn-db full text search module.
+ *
+ */
+
+
+goog.provide('ydn.db.text.exports');
+goog.require('ydn.db.crud.Storage.text');
+
+
+goog.exportProperty(ydn.db.crud.Storage.prototype, 'search',
+    ydn.db.crud.Storage.prototype.search);
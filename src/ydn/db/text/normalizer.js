@@ -0,0 +1,227 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Tokenizer and normalizer for full text search.
+ *
+ * A text is split into words, which are lower cased and folded to base
+ * letters. For 'en' and 'fr' catalogs, stop words are dropped and the
+ * remaining words are reduced to their stem by light suffix stripping, so that
+ * 'running' and 'runs' yield the same keyword. Without a language, only
+ * case and diacritics are folded.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.text.Normalizer');
+goog.require('goog.object');
+goog.require('ydn.db.schema.Collation');
+
+
+
+/**
+ * Create a normalizer for a language.
+ * @param {string=} opt_lang language, 'en', 'fr' or empty.
+ * @constructor
+ * @struct
+ */
+ydn.db.text.Normalizer = function(opt_lang) {
+  /**
+   * @final
+   * @type {string}
+   */
+  this.lang = opt_lang || '';
+  /**
+   * @final
+   * @private
+   * @type {!Object.<boolean>}
+   */
+  this.stop_words_ = goog.object.createSet(
+      ydn.db.text.Normalizer.STOP_WORDS[this.lang] || []);
+};
+
+
+/**
+ * A token in a text.
+ * @typedef {{
+ *   keyword: string,
+ *   value: string,
+ *   loc: number
+ * }}
+ */
+ydn.db.text.Normalizer.Token;
+
+
+/**
+ * Word separators. Apostrophe is a separator, so that French elision like
+ * "l'homme" yield the stop word "l" and "homme".
+ * @const
+ * @type {RegExp}
+ */
+ydn.db.text.Normalizer.SEPARATOR = new RegExp('[\\s\\u0000-\\u002f' +
+    '\\u003a-\\u0040\\u005b-\\u0060\\u007b-\\u00bf\\u00d7\\u00f7' +
+    '\\u2000-\\u206f\\u3000-\\u303f]+');
+
+
+/**
+ * Stop words by language, in folded form.
+ * @const
+ * @type {!Object.<!Array.<string>>}
+ */
+ydn.db.text.Normalizer.STOP_WORDS = {
+  'en': ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if',
+    'in', 'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 's', 'such', 't',
+    'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to',
+    'was', 'will', 'with'],
+  'fr': ['a', 'au', 'aux', 'avec', 'c', 'ce', 'ces', 'd', 'dans', 'de', 'des',
+    'du', 'elle', 'en', 'et', 'eux', 'il', 'j', 'je', 'l', 'la', 'le', 'les',
+    'leur', 'lui', 'm', 'ma', 'mais', 'me', 'mes', 'moi', 'mon', 'n', 'ne',
+    'nos', 'notre', 'nous', 'on', 'ou', 'par', 'pas', 'pour', 'qu', 'que',
+    'qui', 's', 'sa', 'se', 'ses', 'son', 'sur', 't', 'ta', 'te', 'tes', 'toi',
+    'ton', 'tu', 'un', 'une', 'vos', 'votre', 'vous', 'y']
+};
+
+
+/**
+ * Lower case and fold diacritics into base letters.
+ * @param {string} text text.
+ * @return {string} folded text.
+ */
+ydn.db.text.Normalizer.fold = function(text) {
+  return ydn.db.schema.Collation.fold(text);
+};
+
+
+/**
+ * Split a text into normalized tokens.
+ * @param {string} text text.
+ * @return {!Array.<ydn.db.text.Normalizer.Token>} tokens in order of
+ * appearance. loc is the word position in the text.
+ */
+ydn.db.text.Normalizer.prototype.tokenize = function(text) {
+  var tokens = [];
+  var words = text.split(ydn.db.text.Normalizer.SEPARATOR);
+  var loc = 0;
+  for (var i = 0; i < words.length; i++) {
+    if (!words[i]) {
+      continue;
+    }
+    var keyword = this.normalize(words[i]);
+    if (keyword) {
+      tokens.push({
+        keyword: keyword,
+        value: words[i],
+        loc: loc
+      });
+    }
+    loc++;
+  }
+  return tokens;
+};
+
+
+/**
+ * Normalize a word into keyword.
+ * @param {string} word a word.
+ * @return {?string} keyword, null if the word is a stop word.
+ */
+ydn.db.text.Normalizer.prototype.normalize = function(word) {
+  var folded = ydn.db.text.Normalizer.fold(word);
+  if (!folded || this.stop_words_[folded]) {
+    return null;
+  }
+  if (this.lang == 'en') {
+    return ydn.db.text.Normalizer.stemEn(folded);
+  } else if (this.lang == 'fr') {
+    return ydn.db.text.Normalizer.stemFr(folded);
+  }
+  return folded;
+};
+
+
+/**
+ * Strip the first matching suffix, leaving a stem of at least given length.
+ * @param {string} word folded word.
+ * @param {!Array.<!Array.<string>>} rules list of suffix and replacement.
+ * @param {number} min_stem minimum length of stem.
+ * @return {string} stemmed word.
+ * @private
+ */
+ydn.db.text.Normalizer.strip_ = function(word, rules, min_stem) {
+  for (var i = 0; i < rules.length; i++) {
+    var suffix = rules[i][0];
+    var n = word.length - suffix.length;
+    if (n >= min_stem && word.substr(n) == suffix) {
+      return word.substr(0, n) + rules[i][1];
+    }
+  }
+  return word;
+};
+
+
+/**
+ * Light English stemmer, after Porter step 1 and common derivational
+ * suffixes.
+ * @param {string} word folded word.
+ * @return {string} stem.
+ */
+ydn.db.text.Normalizer.stemEn = function(word) {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+  var strip = ydn.db.text.Normalizer.strip_;
+  word = strip(word, [['sses', 'ss'], ['ies', 'y'], ['ss', 'ss'], ['us', 'us'],
+    ['is', 'is'], ['s', '']], 2);
+  var stem = strip(word, [['eed', 'ee'], ['ingly', ''], ['edly', ''],
+    ['ing', ''], ['ed', '']], 3);
+  if (stem != word) {
+    // undouble consonant of 'running', 'stopped'.
+    var n = stem.length;
+    if (n > 3 && stem.charAt(n - 1) == stem.charAt(n - 2) &&
+        !/[aeiouslz]/.test(stem.charAt(n - 1))) {
+      stem = stem.substr(0, n - 1);
+    }
+    word = stem;
+  }
+  word = strip(word, [['ational', 'ate'], ['ization', 'ize'],
+    ['fulness', 'ful'], ['ousness', 'ous'], ['iveness', 'ive'],
+    ['ation', 'ate'], ['ness', ''], ['ment', ''], ['ly', '']], 3);
+  if (word.length > 3 && word.charAt(word.length - 1) == 'e') {
+    word = word.substr(0, word.length - 1);
+  }
+  return word.replace(/y$/, 'i');
+};
+
+
+/**
+ * Light French stemmer, removing plural, feminine and common derivational
+ * suffixes.
+ * @param {string} word folded word.
+ * @return {string} stem.
+ */
+ydn.db.text.Normalizer.stemFr = function(word) {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+  var strip = ydn.db.text.Normalizer.strip_;
+  word = strip(word, [['aux', 'al'], ['eux', 'eu'], ['s', ''], ['x', '']], 3);
+  word = strip(word, [['issements', ''], ['issement', ''], ['atrices', ''],
+    ['atrice', ''], ['ateurs', ''], ['ateur', ''], ['ations', ''],
+    ['ation', ''], ['ellement', 'el'], ['eurs', ''], ['eur', ''],
+    ['ements', ''], ['ement', ''], ['ments', ''], ['ment', ''], ['euses', ''],
+    ['euse', ''], ['ites', ''], ['ite', ''], ['ives', 'if'], ['ive', 'if'],
+    ['elles', 'el'], ['elle', 'el'], ['ennes', 'en'], ['enne', 'en'],
+    ['ees', ''], ['ee', '']], 3);
+  return strip(word, [['er', ''], ['ir', ''], ['e', '']], 3);
+};
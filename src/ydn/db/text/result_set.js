@@ -0,0 +1,267 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Result set of a free text query.
+ *
+ * Each query keyword is looked up from the keyword index of the catalog
+ * store. When all lookups are returned, entries are grouped by document and
+ * scored as:
+ * <pre>
+ *   score = coverage * sum(idf(keyword) * entry score)
+ * </pre>
+ * where coverage is the fraction of query keywords found in the document and
+ * idf = 1 / (1 + ln(number of documents having the keyword)), so that
+ * documents matching more and rarer keywords rank first.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.text.Hit');
+goog.provide('ydn.db.text.ResultSet');
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.schema.fulltext.ResultSet');
+goog.require('ydn.db.text.Entry');
+goog.require('ydn.db.text.QueryToken');
+goog.require('ydn.json');
+
+
+
+/**
+ * Create a result set.
+ * @param {!ydn.db.schema.fulltext.Catalog} catalog catalog.
+ * @param {!Array.<!ydn.db.text.QueryToken>} tokens query tokens, without
+ * duplicate keyword.
+ * @param {number} limit maximum number of hits.
+ * @param {number} threshold minimum score of hits.
+ * @constructor
+ * @struct
+ * @implements {ydn.db.schema.fulltext.ResultSet}
+ */
+ydn.db.text.ResultSet = function(catalog, tokens, limit, threshold) {
+  /**
+   * @final
+   * @private
+   * @type {!ydn.db.schema.fulltext.Catalog}
+   */
+  this.catalog_ = catalog;
+  /**
+   * @final
+   * @private
+   * @type {!Array.<!ydn.db.text.QueryToken>}
+   */
+  this.tokens_ = tokens;
+  /**
+   * @final
+   * @private
+   * @type {number}
+   */
+  this.limit_ = limit;
+  /**
+   * @final
+   * @private
+   * @type {number}
+   */
+  this.threshold_ = threshold;
+  /**
+   * Index of next token to lookup.
+   * @private
+   * @type {number}
+   */
+  this.next_ = 0;
+  /**
+   * Lookup results by token index.
+   * @final
+   * @private
+   * @type {!Array.<!Array.<!ydn.db.text.Entry>>}
+   */
+  this.results_ = [];
+  /**
+   * @private
+   * @type {number}
+   */
+  this.done_count_ = 0;
+};
+
+
+/**
+ * @return {boolean} true if query has no keyword, hence nothing to lookup.
+ */
+ydn.db.text.ResultSet.prototype.isEmpty = function() {
+  return this.tokens_.length == 0;
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.text.ResultSet.prototype.getStoreList = function() {
+  return this.catalog_.getSourceNames();
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.text.ResultSet.prototype.nextLookup = function(cb) {
+  if (this.next_ < this.tokens_.length) {
+    var token = this.tokens_[this.next_++];
+    cb(this.catalog_.getName(), 'k', ydn.db.KeyRange.only(token.keyword),
+        token);
+  }
+};
+
+
+/**
+ * @inheritDoc
+ */
+ydn.db.text.ResultSet.prototype.addResult = function(query, results) {
+  var idx = goog.array.indexOf(this.tokens_, query);
+  goog.asserts.assert(idx >= 0, 'unknown query token');
+  this.results_[idx] = goog.array.map(results, function(x) {
+    return ydn.db.text.Entry.fromJson(x);
+  });
+  this.done_count_++;
+  if (this.next_ < this.tokens_.length) {
+    return true;
+  }
+  return this.done_count_ == this.tokens_.length ? false : null;
+};
+
+
+/**
+ * @inheritDoc
+ * @return {!Array.<!ydn.db.text.Hit>} hits in descending score.
+ */
+ydn.db.text.ResultSet.prototype.collect = function() {
+  var hits = {};
+  var n = this.tokens_.length;
+  for (var i = 0; i < n; i++) {
+    var entries = this.results_[i] || [];
+    var docs = {};
+    var df = 0;
+    for (var j = 0; j < entries.length; j++) {
+      var doc_id = ydn.json.stringify([entries[j].store_name,
+        entries[j].primary_key]);
+      if (!docs[doc_id]) {
+        docs[doc_id] = true;
+        df++;
+      }
+    }
+    var idf = 1 / (1 + Math.log(Math.max(df, 1)));
+    for (var j = 0; j < entries.length; j++) {
+      var entry = entries[j];
+      var doc_id = ydn.json.stringify([entry.store_name, entry.primary_key]);
+      var hit = hits[doc_id];
+      if (!hit) {
+        hit = new ydn.db.text.Hit(entry.store_name, entry.primary_key);
+        hits[doc_id] = hit;
+      }
+      hit.add(i, entry, idf);
+    }
+  }
+  var out = [];
+  for (var doc_id in hits) {
+    var hit = hits[doc_id];
+    hit.score = hit.score * hit.countMatched() / n;
+    if (hit.score >= this.threshold_) {
+      out.push(hit);
+    }
+  }
+  out.sort(function(a, b) {
+    return b.score - a.score;
+  });
+  return out.slice(0, this.limit_);
+};
+
+
+
+/**
+ * A document matching the query.
+ * @param {string} store_name source store name.
+ * @param {IDBKey} primary_key primary key of the document.
+ * @constructor
+ * @struct
+ * @implements {ydn.db.schema.fulltext.Entry}
+ */
+ydn.db.text.Hit = function(store_name, primary_key) {
+  /**
+   * @final
+   * @type {string}
+   */
+  this.store_name = store_name;
+  /**
+   * @final
+   * @type {IDBKey}
+   */
+  this.primary_key = primary_key;
+  /**
+   * @type {number}
+   */
+  this.score = 0;
+  /**
+   * Matching entries.
+   * @final
+   * @type {!Array.<!ydn.db.text.Entry>}
+   */
+  this.tokens = [];
+  /**
+   * Index of matched query tokens.
+   * @final
+   * @private
+   * @type {!Array.<number>}
+   */
+  this.matched_ = [];
+};
+
+
+/**
+ * @param {number} token_idx index of query token.
+ * @param {!ydn.db.text.Entry} entry matching entry.
+ * @param {number} idf inverse document frequency of the keyword.
+ */
+ydn.db.text.Hit.prototype.add = function(token_idx, entry, idf) {
+  this.tokens.push(entry);
+  this.score += idf * entry.score;
+  goog.array.insert(this.matched_, token_idx);
+};
+
+
+/**
+ * @return {number} number of distinct query keywords matched.
+ */
+ydn.db.text.Hit.prototype.countMatched = function() {
+  return this.matched_.length;
+};
+
+
+/**
+ * @return {!FullTextSearchResult} hit in JSON format.
+ */
+ydn.db.text.Hit.prototype.toJson = function() {
+  return /** @type {!FullTextSearchResult} */ ({
+    'storeName': this.store_name,
+    'primaryKey': this.primary_key,
+    'score': this.score,
+    'tokens': goog.array.map(this.tokens, function(x) {
+      return {
+        'keyPath': x.key_path,
+        'value': x.value,
+        'loc': x.loc
+      };
+    })
+  });
+};
@@ -0,0 +1,333 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Install full text indexers on source stores of full text
+ * catalogs and free text search.
+ *
+ * A store hook on each source store re-indexes documents after they are
+ * written and drops their entries after they are removed. Index entries are
+ * written in the transaction of the request, before the request resolves,
+ * so that a search never sees a stale index. If updating the index fails,
+ * the request fails. Encrypted stores cannot be a source store, since index
+ * entries are kept in clear text.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+goog.provide('ydn.db.crud.Storage.text');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.async.DeferredList');
+goog.require('goog.log');
+goog.require('ydn.db.KeyRange');
+goog.require('ydn.db.Request');
+goog.require('ydn.db.base');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.text.Engine');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+/**
+ * Installed indexers by catalog and store name.
+ * @type {Object.<boolean>}
+ * @private
+ */
+ydn.db.crud.Storage.prototype.text_indexers_ = null;
+
+
+/**
+ * @const
+ * @type {number} number of index entries read at a time.
+ * @private
+ */
+ydn.db.crud.Storage.TEXT_BATCH_SIZE_ = 200;
+
+
+/**
+ * @param {!ydn.db.schema.Store} store source store.
+ * @param {!ydn.db.schema.fulltext.Catalog} catalog full text catalog.
+ * @override
+ */
+ydn.db.crud.Storage.prototype.addFullTextIndexer = function(store, catalog) {
+  if (store.isEncrypted()) {
+    throw new ydn.debug.error.ArgumentException('encrypted store "' +
+        store.getName() + '" cannot be indexed by full text catalog "' +
+        catalog.getName() + '"');
+  }
+  if (!catalog.engine) {
+    catalog.engine = new ydn.db.text.Engine(catalog);
+  }
+  if (!this.text_indexers_) {
+    this.text_indexers_ = {};
+  }
+  // catalog may index more than one field of the store.
+  var id = catalog.getName() + ':' + store.getName();
+  if (this.text_indexers_[id]) {
+    return;
+  }
+  this.text_indexers_[id] = true;
+  var engine = /** @type {!ydn.db.text.Engine} */ (catalog.engine);
+  var store_name = store.getName();
+  var me = this;
+  store.addHook(function(req, args) {
+    me.textIndexHook_(engine, store_name, req, args);
+  }, [catalog.getName()]);
+};
+
+
+/**
+ * Maximum number of records removed by index, whose index entries are
+ * dropped. This is the maximum count of IndexedDB key listing.
+ * @const
+ * @type {number}
+ * @private
+ */
+ydn.db.crud.Storage.TEXT_MAX_REMOVE_READ_ = 4294967295;
+
+
+/**
+ * Store hook to maintain inverted index in the transaction of the request.
+ * @param {!ydn.db.text.Engine} engine full text engine.
+ * @param {string} store_name source store name.
+ * @param {!ydn.db.Request} req request.
+ * @param {goog.array.ArrayLike} args request arguments.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.textIndexHook_ = function(engine, store_name,
+                                                        req, args) {
+  var Method = ydn.db.Request.Method;
+  var method = req.getMethod();
+  var me = this;
+  /**
+   * Update index entries when the request success.
+   * @param {function(*): (!goog.async.Deferred|undefined)} update_index
+   * update index entries from result of the request.
+   * @param {boolean=} opt_partial update for a failed batch request, since
+   * successful records of the batch are written.
+   */
+  var update = function(update_index, opt_partial) {
+    req.await(function(result, is_error, cb) {
+      if (is_error && !(opt_partial && goog.isArray(result))) {
+        cb(result, true);
+        return;
+      }
+      goog.async.Deferred.when(update_index(result), function() {
+        cb(result, is_error);
+      }).addErrback(function(e) {
+        goog.log.warning(me.logger, 'updating full text catalog "' +
+            engine.getCatalog().getName() + '" failed: ' + e);
+        cb(e, true);
+      });
+    });
+  };
+  if (method == Method.PUT || method == Method.ADD) {
+    var value = args[1];
+    update(function(key) {
+      return me.updateTextIndex_(req, engine, store_name, [key], [value]);
+    });
+  } else if (method == Method.PUTS || method == Method.ADDS) {
+    var values = args[1];
+    update(function(keys) {
+      return me.updateTextIndex_(req, engine, store_name, keys, values);
+    }, true);
+  } else if (method == Method.PUT_KEYS || method == Method.REMOVE_KEYS) {
+    var keys = [];
+    var objs = [];
+    for (var i = 0; i < args[0].length; i++) {
+      if (args[0][i].getStoreName() == store_name) {
+        keys.push(args[0][i].getId());
+        objs.push(method == Method.PUT_KEYS ? args[1][i] : undefined);
+      }
+    }
+    update(function() {
+      return me.updateTextIndex_(req, engine, store_name, keys, objs);
+    });
+  } else if (method == Method.REMOVE_ID) {
+    var id = args[1];
+    update(function(cnt) {
+      return cnt ? me.updateTextIndex_(req, engine, store_name, [id],
+          [undefined]) : undefined;
+    });
+  } else if (method == Method.REMOVE || method == Method.CLEAR) {
+    var kr = /** @type {IDBKeyRange} */ (args[1]);
+    update(function() {
+      var rq = req.copy();
+      me.getCoreOperator().getCrudExecutor().removeByKeyRange(rq,
+          engine.getCatalog().getName(),
+          ydn.db.crud.Storage.textKeyRange_(store_name, kr || null));
+      return rq;
+    });
+  } else if (method == Method.REMOVE_INDEX) {
+    var removed = new goog.async.Deferred();
+    // primary keys are read before the removal, which is queued after this
+    // transaction callback.
+    req.addTxback(function() {
+      var rq = req.copy();
+      this.getCoreOperator().getCrudExecutor().list(rq,
+          ydn.db.base.QueryMethod.LIST_PRIMARY_KEY, store_name, args[1],
+          args[2] || null, ydn.db.crud.Storage.TEXT_MAX_REMOVE_READ_, 0, false,
+          false);
+      rq.chainDeferred(removed);
+    }, this);
+    update(function() {
+      return removed.addCallback(function(ids) {
+        return me.updateTextIndex_(req, engine, store_name, ids,
+            goog.array.repeat(undefined, ids.length));
+      });
+    });
+  }
+};
+
+
+/**
+ * Convert primary key range of source store to key range of index entries.
+ * @param {string} store_name source store name.
+ * @param {IDBKeyRange} kr primary key range, null for all.
+ * @return {!IDBKeyRange} key range in catalog store.
+ * @private
+ */
+ydn.db.crud.Storage.textKeyRange_ = function(store_name, kr) {
+  var lower = [store_name];
+  var upper = [store_name, '\uffff'];
+  var lower_open = false;
+  var upper_open = false;
+  if (kr) {
+    if (goog.isDefAndNotNull(kr.lower)) {
+      lower = kr.lowerOpen ? [store_name, kr.lower, '\uffff'] :
+          [store_name, kr.lower];
+      lower_open = !!kr.lowerOpen;
+    }
+    if (goog.isDefAndNotNull(kr.upper)) {
+      upper = kr.upperOpen ? [store_name, kr.upper] :
+          [store_name, kr.upper, '\uffff'];
+      upper_open = !!kr.upperOpen;
+    }
+  }
+  return /** @type {!IDBKeyRange} */ (ydn.db.KeyRange.bound(lower, upper,
+      lower_open, upper_open).toIDBKeyRange());
+};
+
+
+/**
+ * Replace index entries of documents in the transaction of a request.
+ * @param {!ydn.db.Request} req request having active transaction.
+ * @param {!ydn.db.text.Engine} engine full text engine.
+ * @param {string} store_name source store name.
+ * @param {!Array.<IDBKey>} keys primary keys of documents. Failed keys of a
+ * batch request are skipped.
+ * @param {!Array} values documents, undefined for removed documents.
+ * @return {!goog.async.Deferred} resolve when index entries are written.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.updateTextIndex_ = function(req, engine,
+    store_name, keys, values) {
+  var executor = this.getCoreOperator().getCrudExecutor();
+  var catalog_name = engine.getCatalog().getName();
+  var entries = [];
+  var dfs = [];
+  for (var i = 0; i < keys.length; i++) {
+    if (!goog.isDefAndNotNull(keys[i]) || keys[i] instanceof Error) {
+      continue;
+    }
+    var rq = req.copy();
+    executor.removeByKeyRange(rq, catalog_name, ydn.db.KeyRange.starts(
+        [store_name, keys[i]]).toIDBKeyRange());
+    dfs.push(rq);
+    if (goog.isObject(values[i])) {
+      var arr = engine.analyze(store_name, keys[i], values[i]);
+      for (var j = 0; j < arr.length; j++) {
+        entries.push(arr[j].toJson());
+      }
+    }
+  }
+  if (entries.length > 0) {
+    var w_rq = req.copy();
+    executor.insertObjects(w_rq, true, false, catalog_name, entries);
+    dfs.push(w_rq);
+  }
+  return goog.async.DeferredList.gatherResults(dfs);
+};
+
+
+/**
+ * List all index entries in a key range.
+ * @param {string} store_name catalog store name.
+ * @param {string} index_name index name.
+ * @param {ydn.db.KeyRange} kr key range.
+ * @param {!Array=} opt_out result accumulator.
+ * @return {!goog.async.Deferred} list of index entries.
+ * @private
+ */
+ydn.db.crud.Storage.prototype.listTextEntries_ = function(store_name,
+    index_name, kr, opt_out) {
+  var out = opt_out || [];
+  var limit = ydn.db.crud.Storage.TEXT_BATCH_SIZE_;
+  var df = this.getCoreOperator().listInternal(store_name, index_name, kr,
+      false, limit, out.length);
+  return df.addCallback(function(records) {
+    out.push.apply(out, records);
+    if (records.length < limit) {
+      return out;
+    } else {
+      return this.listTextEntries_(store_name, index_name, kr, out);
+    }
+  }, this);
+};
+
+
+/**
+ * Free text search.
+ * @param {string} catalog_name full text catalog name.
+ * @param {string} query free text query.
+ * @param {number=} opt_limit maximum number of hits, default to 10.
+ * @param {number=} opt_threshold minimum score of hits, default to 0.
+ * @return {!ydn.db.Request} resolve to list of hits, in descending score,
+ * as {@link FullTextSearchResult}.
+ */
+ydn.db.crud.Storage.prototype.search = function(catalog_name, query,
+    opt_limit, opt_threshold) {
+  var catalog = this.schema.getFullTextSchema(catalog_name);
+  if (!catalog || !catalog.engine) {
+    throw new ydn.debug.error.ArgumentException('full text catalog "' +
+        catalog_name + '" not found');
+  }
+  if (!goog.isString(query)) {
+    throw new ydn.debug.error.ArgumentException('query must be string, but ' +
+        typeof query + ' found');
+  }
+  var rs = /** @type {!ydn.db.text.ResultSet} */ (catalog.engine.query(
+      catalog_name, query, opt_limit, opt_threshold));
+  var req = new ydn.db.Request(ydn.db.Request.Method.SEARCH);
+  if (rs.isEmpty()) {
+    req.callback([]);
+    return req;
+  }
+  var lookup = function(store_name, index_name, kr, token) {
+    this.listTextEntries_(store_name, index_name, kr).addCallbacks(
+        function(records) {
+          var next = rs.addResult(token, records);
+          if (next) {
+            rs.nextLookup(goog.bind(lookup, this));
+          } else if (next === false) {
+            req.callback(goog.array.map(rs.collect(), function(hit) {
+              return hit.toJson();
+            }));
+          }
+        }, function(e) {
+          req.errback(e);
+        }, this);
+  };
+  rs.nextLookup(goog.bind(lookup, this));
+  return req;
+};
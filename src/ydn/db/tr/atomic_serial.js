@@ -70,7 +70,7 @@ ydn.db.tr.AtomicSerial.prototype.request = function(method, scope, opt_mode) {
    */
   var onComplete = function(t, e) {
     // console.log('onComplete', t, result);
-    req.removeTx();
+    req.removeTx(t);
     if (req_setDbValue) {
       if (t != ydn.db.base.TxEventTypes.COMPLETE) {
         is_error = true;
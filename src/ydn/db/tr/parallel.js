@@ -192,6 +192,8 @@ ydn.db.tr.Parallel.prototype.processTx = function(callback, store_names,
     if (pl_tx_ex) {
       // if transaction_process was not called due to database fail
       pl_tx_ex.onCompleted(type, event);
+    } else if (on_completed) {
+      on_completed(type, event);
     }
     me.r_no_ = 0;
   };
@@ -226,7 +228,7 @@ ydn.db.tr.Parallel.prototype.processTx = function(callback, store_names,
           'Exceed maximum number of transactions of ' + this.max_tx_no);
     }
     this.getStorage().transaction(transaction_process, store_names, mode,
-        completed_handler);
+        completed_handler, this);
   }
 
 };
@@ -253,20 +255,27 @@ ydn.db.tr.Parallel.prototype.request = function(method, store_names, opt_mode,
    * @param {*} e
    */
   var onComplete = function(t, e) {
-    req.removeTx();
+    if (isReplayed(t, e)) {
+      return;
+    }
+    req.removeTx(t);
     if (opt_on_complete) {
       opt_on_complete(t, e);
     }
   };
 
-  this.processTx(function(tx) {
-    if (ydn.db.tr.Parallel.DEBUG) {
-      goog.global.console.log(me + ' executing ' + rdn);
-    }
-    me.r_no_++;
-    var rq_label = me.getLabel() + 'R' + me.r_no_;
-    req.setTx(tx, rq_label);
-  }, store_names, mode, onComplete);
+  var replay = function() {
+    me.processTx(function(tx) {
+      if (ydn.db.tr.Parallel.DEBUG) {
+        goog.global.console.log(me + ' executing ' + rdn);
+      }
+      me.r_no_++;
+      var rq_label = me.getLabel() + 'R' + me.r_no_;
+      req.setTx(tx, rq_label);
+    }, store_names, mode, onComplete);
+  };
+  var isReplayed = this.replayable(req, replay);
+  replay();
   return req;
 };
 
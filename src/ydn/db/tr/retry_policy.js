@@ -0,0 +1,146 @@
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS-IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * @fileoverview Retry policy for transactions failing for a transient reason.
+ *
+ * Transactions may be aborted by a competing version change, a locked WebSQL
+ * database or a connection lost while the browser was in background. With
+ * the 'retry' storage option, a request opening its own transaction is
+ * replayed in a new transaction and a transaction function of
+ * ydn.db.tr.Storage#run is invoked again, after a delay doubling on each
+ * attempt. Transaction functions are replayed as they are, so that they must
+ * be idempotent. A 'retry' event is dispatched before each replay.
+ *
+ * @author kyawtun@yathit.com (Kyaw Tun)
+ */
+
+
+goog.provide('ydn.db.tr.RetryPolicy');
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('ydn.db.error');
+goog.require('ydn.debug.error.ArgumentException');
+
+
+
+/**
+ * Create a retry policy.
+ * @param {!RetryOptions} options retry options.
+ * @constructor
+ * @struct
+ */
+ydn.db.tr.RetryPolicy = function(options) {
+  if (!goog.isObject(options)) {
+    throw new ydn.debug.error.ArgumentException('retry option must be an ' +
+        'object, but ' + typeof options + ' found');
+  }
+  var max_attempts = goog.isDef(options.maxAttempts) ? options.maxAttempts :
+      ydn.db.tr.RetryPolicy.DEFAULT_MAX_ATTEMPTS;
+  if (!goog.isNumber(max_attempts) || !(max_attempts >= 1) ||
+      max_attempts % 1 != 0) {
+    throw new ydn.debug.error.ArgumentException('maxAttempts must be a ' +
+        'positive integer, but ' + max_attempts + ' found');
+  }
+  var backoff = goog.isDef(options.backoff) ? options.backoff :
+      ydn.db.tr.RetryPolicy.DEFAULT_BACKOFF;
+  if (!goog.isNumber(backoff) || !(backoff >= 0)) {
+    throw new ydn.debug.error.ArgumentException('backoff must be a ' +
+        'non-negative number, but ' + backoff + ' found');
+  }
+  var retry_on = options.retryOn || [ydn.db.error.Code.ABORT,
+    ydn.db.error.Code.INVALID_STATE, ydn.db.error.Code.TIMEOUT];
+  if (!goog.isArray(retry_on)) {
+    throw new ydn.debug.error.ArgumentException('retryOn must be an array ' +
+        'of error codes');
+  }
+  for (var i = 0; i < retry_on.length; i++) {
+    if (!goog.object.containsValue(ydn.db.error.Code, retry_on[i])) {
+      throw new ydn.debug.error.ArgumentException('invalid error code "' +
+          retry_on[i] + '" in retryOn');
+    }
+  }
+  /**
+   * Maximum number of attempts, including the first one.
+   * @final
+   * @type {number}
+   */
+  this.maxAttempts = max_attempts;
+  /**
+   * Delay in milliseconds before the first replay.
+   * @final
+   * @type {number}
+   */
+  this.backoff = backoff;
+  /**
+   * @final
+   * @type {!Array.<string>}
+   */
+  this.retryOn = retry_on;
+};
+
+
+/**
+ * @const
+ * @type {number}
+ */
+ydn.db.tr.RetryPolicy.DEFAULT_MAX_ATTEMPTS = 3;
+
+
+/**
+ * @const
+ * @type {number}
+ */
+ydn.db.tr.RetryPolicy.DEFAULT_BACKOFF = 50;
+
+
+/**
+ * Test a failure is transient. A failure of multiple records is transient if
+ * any of the record errors is.
+ * @param {*} error normalized error or array of record results.
+ * @return {boolean} true if the failed attempt should be replayed.
+ */
+ydn.db.tr.RetryPolicy.prototype.isRetryable = function(error) {
+  if (goog.isArray(error)) {
+    return goog.array.some(error, function(e) {
+      return this.isRetryable(e);
+    }, this);
+  }
+  if (!ydn.db.error.isNormalized(error)) {
+    return false;
+  }
+  if (goog.isArray(error.failures)) {
+    return goog.array.some(error.failures, function(x) {
+      return goog.array.contains(this.retryOn, x['code']);
+    }, this);
+  }
+  return goog.array.contains(this.retryOn, error.code);
+};
+
+
+/**
+ * @param {number} attempt number of the failed attempt, starting from 1.
+ * @return {boolean} true if another attempt is allowed.
+ */
+ydn.db.tr.RetryPolicy.prototype.canRetry = function(attempt) {
+  return attempt < this.maxAttempts;
+};
+
+
+/**
+ * @param {number} attempt number of the failed attempt, starting from 1.
+ * @return {number} delay in milliseconds before the next attempt.
+ */
+ydn.db.tr.RetryPolicy.prototype.getDelay = function(attempt) {
+  return this.backoff * Math.pow(2, attempt - 1);
+};
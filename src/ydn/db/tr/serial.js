@@ -386,7 +386,7 @@ ydn.db.tr.Serial.prototype.processTx = function(trFn, store_names, opt_mode,
 
     this.has_tx_started_ = true;
     this.getStorage().transaction(transaction_process, names, mode,
-        completed_handler);
+        completed_handler, this);
   }
 
 };
@@ -415,7 +415,7 @@ ydn.db.tr.Serial.prototype.request = function(method, store_names, opt_mode,
    * @param {*} e
    */
   var onComplete = function(t, e) {
-    req.removeTx();
+    req.removeTx(t);
     if (opt_on_complete) {
       opt_on_complete(t, e);
     }
@@ -444,7 +444,20 @@ ydn.db.tr.Serial.prototype.request = function(method, store_names, opt_mode,
       me.r_no_++;
       req.setTx(tx, me.getLabel() + 'R' + me.r_no_);
     };
-    me.processTx(tx_callback, store_names, mode, onComplete);
+    var replay = function() {
+      me.processTx(tx_callback, store_names, mode, onTxComplete);
+    };
+    var isReplayed = this.replayable(req, replay);
+    /**
+     * @param {ydn.db.base.TxEventTypes} t
+     * @param {*} e
+     */
+    var onTxComplete = function(t, e) {
+      if (!isReplayed(t, e)) {
+        onComplete(t, e);
+      }
+    };
+    replay();
   }
   return req;
 };
@@ -19,10 +19,13 @@
 
 goog.provide('ydn.db.tr.Storage');
 goog.require('ydn.db.con.Storage');
+goog.require('ydn.db.error');
+goog.require('ydn.db.events.RetryEvent');
 goog.require('ydn.db.tr.AtomicParallel');
 goog.require('ydn.db.tr.AtomicSerial');
 goog.require('ydn.db.tr.DbOperator');
 goog.require('ydn.db.tr.Parallel');
+goog.require('ydn.db.tr.RetryPolicy');
 goog.require('ydn.db.tr.Serial');
 
 
@@ -44,6 +47,15 @@ ydn.db.tr.Storage = function(opt_dbname, opt_schema, opt_options) {
 
   this.ptx_no = 0;
 
+  /**
+   * Retry policy of transactions failing for a transient reason.
+   * @final
+   * @private
+   * @type {ydn.db.tr.RetryPolicy}
+   */
+  this.retry_policy_ = opt_options && opt_options.retry ?
+      new ydn.db.tr.RetryPolicy(opt_options.retry) : null;
+
   var is_serial = true;
   var req_type = ydn.db.tr.Thread.Policy.SINGLE;
   if (opt_options) {
@@ -75,6 +87,10 @@ ydn.db.tr.Storage = function(opt_dbname, opt_schema, opt_options) {
    */
   this.db_operator = this.newOperator(tx_thread, this.sync_thread);
 
+  if (opt_options && opt_options.migrateFrom) {
+    // migration runs in the sync thread, while other threads are held.
+    this.addMigration(opt_options.migrateFrom);
+  }
 
 };
 goog.inherits(ydn.db.tr.Storage, ydn.db.con.Storage);
@@ -102,6 +118,34 @@ ydn.db.tr.Storage.prototype.db_operator;
 ydn.db.tr.Storage.prototype.ptx_no = 0;
 
 
+/**
+ * @return {ydn.db.tr.RetryPolicy} retry policy, null if failed transactions
+ * are not replayed.
+ */
+ydn.db.tr.Storage.prototype.getRetryPolicy = function() {
+  return this.retry_policy_;
+};
+
+
+/**
+ * Dispatch 'retry' event and replay a failed attempt after the delay of the
+ * retry policy.
+ * @param {ydn.db.Request.Method} method method of the failed request.
+ * @param {number} attempt number of the failed attempt, starting from 1.
+ * @param {*} error error of the failed attempt.
+ * @param {function()} replay invoked to make the next attempt.
+ */
+ydn.db.tr.Storage.prototype.scheduleRetry = function(method, attempt, error,
+                                                     replay) {
+  var delay = this.retry_policy_.getDelay(attempt);
+  goog.log.info(this.logger, method + ' attempt ' + attempt + ' failed, ' +
+      'retry in ' + delay + ' ms');
+  this.dispatchDbEvent(new ydn.db.events.RetryEvent(this, method, attempt,
+      delay, error));
+  setTimeout(replay, delay);
+};
+
+
 /**
  * Create a new db operator.
  * @param {ydn.db.tr.Thread.Policy=} opt_policy thread policy. Default is
@@ -187,7 +231,9 @@ ydn.db.tr.Storage.prototype.newTxQueue = function(request_type, opt_is_serial,
 
 
 /**
- * Run a new transaction.
+ * Run a new transaction. With the retry storage option, the transaction
+ * function is invoked again in a new transaction when the transaction is
+ * aborted for a transient reason, so that it must be idempotent.
  * @param {function(!ydn.db.tr.DbOperator)} trFn function that invoke in the
  * transaction.
  * @param {Array.<string>=} opt_store_names list of store name involved in the
@@ -219,26 +265,46 @@ ydn.db.tr.Storage.prototype.run = function(trFn, opt_store_names, opt_mode) {
     }
   }
 
-  var tx_thread = this.newTxQueue(ydn.db.tr.Thread.Policy.ALL, false,
-      store_names, mode, 1);
-  var db_operator = this.newOperator(tx_thread, this.sync_thread);
+  var me = this;
+  var tx_thread;
+  var attempt = 1;
   var req = new ydn.db.Request(ydn.db.Request.Method.RUN);
   /**
    * @param {ydn.db.base.TxEventTypes} type
    * @param {*} e
    */
   var onComplete = function(type, e) {
-    req.removeTx();
     var success = type === ydn.db.base.TxEventTypes.COMPLETE;
+    // transaction explicitly aborted has no error.
+    var cause = goog.isObject(e) && goog.isObject(e.target) ?
+        e.target.error : e;
+    var policy = me.retry_policy_;
+    if (!success && cause && policy && policy.canRetry(attempt)) {
+      var error = ydn.db.error.normalize(cause, me.getType() || '',
+          ydn.db.Request.Method.RUN);
+      if (policy.isRetryable(error)) {
+        req.retry();
+        me.scheduleRetry(ydn.db.Request.Method.RUN, attempt++, error, begin);
+        return;
+      }
+    }
+    req.removeTx(type);
     req.setDbValue(tx_thread.getTxNo(), !success);
   };
 
-  var me = this;
-  tx_thread.processTx(function(tx) {
-    goog.log.finest(me.logger,  'executing run in transaction on ' + tx_thread);
-    req.setTx(tx, tx_thread.getLabel() + 'R0'); // Request 0
-    trFn(db_operator);
-  }, store_names, mode, onComplete);
+  // a new thread for each attempt, since it is limited to one transaction.
+  var begin = function() {
+    tx_thread = me.newTxQueue(ydn.db.tr.Thread.Policy.ALL, false,
+        store_names, mode, 1);
+    var db_operator = me.newOperator(tx_thread, me.sync_thread);
+    tx_thread.processTx(function(tx) {
+      goog.log.finest(me.logger,  'executing run in transaction on ' +
+          tx_thread);
+      req.setTx(tx, tx_thread.getLabel() + 'R0'); // Request 0
+      trFn(db_operator);
+    }, store_names, mode, onComplete);
+  };
+  begin();
 
   return req;
 };
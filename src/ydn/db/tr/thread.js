@@ -21,6 +21,7 @@
 goog.provide('ydn.db.tr.Thread');
 goog.provide('ydn.db.tr.Thread.Policy');
 goog.require('ydn.db.Request');
+goog.require('ydn.db.error');
 goog.require('goog.log');
 
 
@@ -214,6 +215,60 @@ ydn.db.tr.Thread.prototype.getLabel = function() {
 ydn.db.tr.Thread.prototype.processTx = goog.abstractMethod;
 
 
+/**
+ * Let a request, which opens its own transaction, be replayed in a new
+ * transaction when it fails for a transient reason according to the retry
+ * policy of the storage. Threads limited in number of transactions, as used
+ * by ydn.db.tr.Storage#run, do not replay requests, since the transaction
+ * function is replayed instead.
+ * @param {!ydn.db.Request} req request.
+ * @param {function()} replay open a new transaction for the request.
+ * @return {function(ydn.db.base.TxEventTypes, *): boolean} to be invoked on
+ * transaction completed. It return true if the request is to be replayed, in
+ * which case the completion is not handled further.
+ * @protected
+ */
+ydn.db.tr.Thread.prototype.replayable = function(req, replay) {
+  var me = this;
+  var policy = this.max_tx_no ? null : this.storage_.getRetryPolicy();
+  var attempt = 1;
+  var error = null;
+  var active = true;
+  if (policy) {
+    req.setRetryHandler(function(e) {
+      if (active && !error && policy.canRetry(attempt) &&
+          policy.isRetryable(e)) {
+        error = e;
+        return true;
+      }
+      return false;
+    });
+  }
+  return function(type, event) {
+    if (!error && !req.getTx() && !req.hasFired() &&
+        type != ydn.db.base.TxEventTypes.COMPLETE) {
+      // the transaction was not created, since the connection was lost.
+      var e = ydn.db.error.normalize(event, me.type() || '', req.getMethod());
+      if (policy && policy.canRetry(attempt) && policy.isRetryable(e)) {
+        error = e;
+      } else {
+        active = false;
+        req.setDbValue(e, true);
+      }
+    }
+    if (!error) {
+      active = false;
+      return false;
+    }
+    req.retry();
+    me.storage_.scheduleRetry(req.getMethod(), attempt, error, replay);
+    error = null;
+    attempt++;
+    return true;
+  };
+};
+
+
 /**
  * Request type.
  * @enum {string}
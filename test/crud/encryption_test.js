@@ -0,0 +1,339 @@
+
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.crud.Storage.encryption');
+goog.require('ydn.db.crud.Storage.history');
+goog.require('ydn.debug');
+goog.require('ydn.object');
+
+
+var reachedFinalContinuation, schema, plain_schema, debug_console;
+
+var store_name = 'st';
+var encryption = {
+  secrets: [{
+    name: 'aaaa',
+    key: 'monkey'
+  }]
+};
+
+
+var setUp = function() {
+
+  // ydn.debug.log('ydn.db', 'finest');
+
+  var indexes = [new ydn.db.schema.Index('tag', ydn.db.schema.DataType.TEXT)];
+  var stores = [new ydn.db.schema.Store(store_name, undefined, false,
+      ydn.db.schema.DataType.TEXT, indexes, undefined, undefined, true)];
+  schema = new ydn.db.schema.Database(undefined, stores);
+  var plain_stores = [new ydn.db.schema.Store(store_name, undefined, false,
+      ydn.db.schema.DataType.TEXT, indexes)];
+  plain_schema = new ydn.db.schema.Database(undefined, plain_stores);
+
+};
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+};
+
+
+/**
+ * @param {EncryptionOption} encryption
+ * @return {!StorageOptions}
+ */
+var getOptions = function(encryption) {
+  var opt = ydn.object.clone(options);
+  opt.Encryption = encryption;
+  return opt;
+};
+
+
+var test_encrypted_roundtrip = function() {
+  var db_name = 'test_encryption_roundtrip';
+  var db = new ydn.db.crud.Storage(db_name, schema, getOptions(encryption));
+  var obj = {tag: 'a', value: 'Hello ' + Math.random()};
+
+  var done = false;
+  var result, stored;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertObjectEquals('decrypted', obj, result);
+        assertUndefined('value is not stored in clear', stored.value);
+        assertEquals('index value is stored in clear', 'a', stored.tag);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, obj, 'k1').addCallback(function() {
+    db.get(store_name, 'k1').addCallback(function(x) {
+      result = x;
+      db.close();
+      // open without encryption to see the stored record
+      var db2 = new ydn.db.crud.Storage(db_name, plain_schema, options);
+      db2.get(store_name, 'k1').addBoth(function(x) {
+        stored = x;
+        done = true;
+        db2.close();
+      });
+    });
+  });
+};
+
+
+var test_encrypted_index_query = function() {
+  var db_name = 'test_encryption_index';
+  var db = new ydn.db.crud.Storage(db_name, schema, getOptions(encryption));
+  var objs = [
+    {tag: 'a', value: 1},
+    {tag: 'b', value: 2},
+    {tag: 'b', value: 3}
+  ];
+
+  var done = false;
+  var result;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertArrayEquals('values by index', objs.slice(1), result);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, objs, ['k1', 'k2', 'k3']);
+  db.values(store_name, 'tag', ydn.db.KeyRange.only('b')).addBoth(function(x) {
+    result = x;
+    done = true;
+  });
+};
+
+
+var test_encrypted_inline_key = function() {
+  var db_name = 'test_encryption_inline_key';
+  var stores = [new ydn.db.schema.Store(store_name, 'id', false,
+      ydn.db.schema.DataType.TEXT, undefined, undefined, undefined, true)];
+  var inline_schema = new ydn.db.schema.Database(undefined, stores);
+  var db = new ydn.db.crud.Storage(db_name, inline_schema,
+      getOptions(encryption));
+  var obj = {id: 'k1', value: 'Hello ' + Math.random()};
+
+  var done = false;
+  var key, result;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('key', 'k1', key);
+        assertObjectEquals('decrypted', obj, result);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, obj).addCallback(function(x) {
+    key = x;
+    db.get(store_name, 'k1').addBoth(function(x) {
+      result = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_encrypted_auto_increment = function() {
+  var db_name = 'test_encryption_auto_increment';
+  var stores = [new ydn.db.schema.Store(store_name, 'id', true,
+      undefined, undefined, undefined, undefined, true)];
+  var auto_schema = new ydn.db.schema.Database(undefined, stores);
+  var db = new ydn.db.crud.Storage(db_name, auto_schema,
+      getOptions(encryption));
+  var objs = [{value: 'a'}, {value: 'b'}];
+
+  var done = false;
+  var keys, result;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('two keys', 2, keys.length);
+        assertEquals('two records', 2, result.length);
+        for (var i = 0; i < 2; i++) {
+          assertEquals('generated key ' + i, keys[i], result[i].id);
+          assertEquals('value ' + i, objs[i].value, result[i].value);
+        }
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.add(store_name, objs).addCallback(function(x) {
+    keys = x;
+    db.values(store_name, keys).addBoth(function(x) {
+      result = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_wrong_key = function() {
+  var db_name = 'test_encryption_wrong_key';
+  var db = new ydn.db.crud.Storage(db_name, schema, getOptions(encryption));
+  var wrong = {
+    secrets: [{
+      name: 'aaaa',
+      key: 'monk'
+    }]
+  };
+
+  var done = false;
+  var ready_error, error;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertNotNullNorUndefined('connection fail', ready_error);
+        assertEquals('connection error type', 'SecurityError',
+            ready_error.name);
+        assertNotNullNorUndefined('request fail', error);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name);
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, {tag: 'a', value: 1}, 'k1').addCallback(function() {
+    db.close();
+    db = new ydn.db.crud.Storage(db_name, schema, getOptions(wrong));
+    db.onReady(function(e) {
+      ready_error = e;
+    });
+    db.get(store_name, 'k1').addErrback(function(e) {
+      error = e;
+      done = true;
+      db.close();
+    });
+  });
+};
+
+
+var test_random_salt = function() {
+  var db_names = ['test_encryption_salt_1', 'test_encryption_salt_2'];
+  var dbs = goog.array.map(db_names, function(name) {
+    return new ydn.db.crud.Storage(name, schema, getOptions(encryption));
+  });
+
+  var done = false;
+  var metas = [];
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('secret name', 'aaaa', metas[0].name);
+        assertNotNullNorUndefined('check value', metas[0].check);
+        assertNotEquals('salt is random', metas[0].salt, metas[1].salt);
+
+        reachedFinalContinuation = true;
+        for (var i = 0; i < dbs.length; i++) {
+          ydn.db.deleteDatabase(db_names[i], dbs[i].getType());
+          dbs[i].close();
+        }
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  dbs[0].get(ydn.db.base.SN_CRYPT_META, 'aaaa').addCallback(function(x) {
+    metas[0] = x;
+    dbs[1].get(ydn.db.base.SN_CRYPT_META, 'aaaa').addBoth(function(x) {
+      metas[1] = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_encrypted_history = function() {
+  var db_name = 'test_encryption_history';
+  var history_schema = new ydn.db.schema.Database({
+    stores: [{
+      name: store_name,
+      keyPath: 'id',
+      encrypted: true,
+      history: true
+    }]
+  });
+  var db = new ydn.db.crud.Storage(db_name, history_schema,
+      getOptions(encryption));
+
+  var done = false;
+  var history, logged, reverted;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertObjectEquals('decrypted history', {id: 1, value: 'a'},
+            history[0].value);
+        assertUndefined('history is not logged in clear',
+            logged[0].value.value);
+        assertObjectEquals('reverted', {id: 1, value: 'a'}, reverted);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, {id: 1, value: 'a'});
+  db.put(store_name, {id: 1, value: 'b'});
+  db.getHistory(store_name, 1).addCallback(function(x) {
+    history = x;
+  });
+  db.values(ydn.db.base.SN_ENTITY_HISTORY).addCallback(function(x) {
+    logged = x;
+  });
+  db.revert(store_name, 1).addCallback(function() {
+    db.get(store_name, 1).addBoth(function(x) {
+      reverted = x;
+      done = true;
+    });
+  });
+};
+
+
+var testCase = new goog.testing.ContinuationTestCase();
+testCase.autoDiscoverTests();
+G_testRunner.initialize(testCase);
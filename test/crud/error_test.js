@@ -0,0 +1,157 @@
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.crud.req.RequestExecutor');
+goog.require('ydn.db.error');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_error_1';
+
+var schema = {
+  stores: [
+    {
+      name: 'st',
+      keyPath: 'id',
+      type: 'NUMERIC'
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  db = new ydn.db.Storage(db_name, schema, options);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+var test_add = function() {
+  var done, error;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertTrue('class', error instanceof ydn.db.ConstraintError);
+        assertEquals('name', 'ConstraintError', error.name);
+        assertEquals('code', 'constraint', error.code);
+        assertEquals('store name', 'st', error.storeName);
+        assertEquals('key', 1, error.key);
+        assertEquals('method', ydn.db.Request.Method.ADD, error.method);
+        assertEquals('mechanism', db.getType(), error.mechanism);
+        assertNotUndefined('cause', error.cause);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.add('st', {id: 1});
+  db.add('st', {id: 1}).addErrback(function(e) {
+    error = e;
+    done = true;
+  });
+};
+
+
+var test_add_all = function() {
+  var done, results;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('results', 3, results.length);
+        assertEquals('first', 2, results[0]);
+        assertEquals('code', 'constraint', results[1].code);
+        assertEquals('key', 1, results[1].key);
+        assertEquals('store name', 'st', results[1].storeName);
+        assertEquals('method', ydn.db.Request.Method.ADDS, results[1].method);
+        assertEquals('last', 3, results[2]);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.add('st', {id: 1});
+  db.add('st', [{id: 2}, {id: 1}, {id: 3}]).addErrback(function(x) {
+    results = x;
+    done = true;
+  });
+};
+
+
+var test_normalize = function() {
+  var Method = ydn.db.Request.Method;
+  var e = ydn.db.error.normalize({name: 'QuotaExceededError',
+    message: 'full'}, 'indexeddb', Method.PUT, 'st', 1);
+  assertTrue('quota', e instanceof ydn.db.QuotaError);
+  assertEquals('quota code', 'quota', e.code);
+  assertEquals('quota store name', 'st', e.storeName);
+  assertEquals('quota cause', 'full', e.cause.message);
+
+  e = ydn.db.error.normalize({code: 6, message: 'not unique'}, 'websql',
+      Method.ADD, 'st', 1);
+  assertTrue('sql constraint', e instanceof ydn.db.ConstraintError);
+  assertEquals('sql mechanism', 'websql', e.mechanism);
+
+  e = ydn.db.error.normalize({code: 1, message: 'no such table: st'},
+      'websql', Method.GET, 'st');
+  assertEquals('sql', 'sql', e.code);
+  assertUndefined('no key', e.key);
+
+  e = ydn.db.error.normalize({code: 1, message: 'database is locked'},
+      'websql', Method.GET, 'st');
+  assertEquals('locked', 'timeout', e.code);
+
+  e = ydn.db.error.normalize({name: 'AbortError', message: ''},
+      'indexeddb', Method.RUN);
+  assertTrue('abort', e instanceof ydn.db.TxAbortedError);
+  assertEquals('abort code', 'abort', e.code);
+
+  var ve = new ydn.db.ValidationError('st', 2, []);
+  e = ydn.db.error.normalize(ve, 'memory', Method.PUT, 'other', 3);
+  assertEquals('annotated in place', ve, e);
+  assertEquals('own store name', 'st', e.storeName);
+  assertEquals('own key', 2, e.key);
+  assertNull('no cause', e.cause);
+
+  e = ydn.db.error.normalize(new TypeError('bug'), 'memory', Method.GET);
+  assertEquals('internal', 'internal', e.code);
+  reachedFinalContinuation = true;
+};
+
+
+var test_removal_error = function() {
+  var Method = ydn.db.Request.Method;
+  var executor = new ydn.db.crud.req.RequestExecutor(db_name,
+      db.getSchema(), 'memory');
+  var e1 = ydn.db.error.normalize(new ydn.db.InvalidStateError('x'),
+      'memory', Method.REMOVE_KEYS, 'st', 1);
+  var e2 = ydn.db.error.normalize(new ydn.db.NotFoundError('y'),
+      'memory', Method.REMOVE_KEYS, 'st', 2);
+  var e = executor.toRemovalError([e1, e2]);
+  assertTrue('one error', e instanceof ydn.db.InvalidStateError);
+  assertEquals('first key', 1, e.key);
+  assertEquals('method', Method.REMOVE_KEYS, e.method);
+  assertArrayEquals('failed keys', [1, 2], goog.array.map(e.failures,
+      function(x) {
+        return x.key;
+      }));
+  assertEquals('failure code', 'not_found', e.failures[1].code);
+  assertEquals('failure store name', 'st', e.failures[1].storeName);
+  reachedFinalContinuation = true;
+};
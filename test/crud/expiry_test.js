@@ -0,0 +1,240 @@
+
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_record_expiry_1';
+
+var past = new Date(2013, 0, 1);
+var future = new Date(Date.now() + 24 * 3600 * 1000);
+
+var items = [
+  {id: 1, tag: 'a', expires: past},
+  {id: 2, tag: 'a', expires: future},
+  {id: 3, tag: 'b'},
+  {id: 4, tag: 'b', expires: past.getTime()}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'cache',
+      keyPath: 'id',
+      expiresKeyPath: 'expires',
+      indexes: [
+        {
+          keyPath: 'tag'
+        }]
+    }]
+};
+
+
+var raw_schema = {
+  stores: [
+    {
+      name: 'cache',
+      keyPath: 'id',
+      indexes: [
+        {
+          name: '_ydn_expires',
+          keyPath: '_ydn_expires',
+          type: 'NUMERIC'
+        }, {
+          keyPath: 'tag'
+        }]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+var test_expires_key_path = function() {
+  var done, get1, get2, values, keys, cnt, cnt_tag, list;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertUndefined('get expired', get1);
+        assertEquals('get', 2, get2.id);
+        assertEquals('values', 2, values.length);
+        assertArrayEquals('keys', [2, 3], keys);
+        assertEquals('count', 2, cnt);
+        assertEquals('count by index', 1, cnt_tag);
+        assertEquals('query', 1, list.length);
+        assertEquals('query result', 3, list[0].id);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('cache', items);
+  db.get('cache', 1).addCallback(function(x) {
+    get1 = x;
+  });
+  db.get('cache', 2).addCallback(function(x) {
+    get2 = x;
+  });
+  db.values('cache').addCallback(function(x) {
+    values = x;
+  });
+  db.keys('cache').addCallback(function(x) {
+    keys = x;
+  });
+  db.count('cache').addCallback(function(x) {
+    cnt = x;
+  });
+  db.count('cache', 'tag', ydn.db.KeyRange.only('b')).addCallback(function(x) {
+    cnt_tag = x;
+  });
+  db.from('cache').where('tag', '=', 'b').list().addCallback(function(x) {
+    list = x;
+    done = true;
+  });
+};
+
+
+var test_limit = function() {
+  var done, values, page, index_keys, iter_keys;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        var ids = goog.array.map(values, function(x) {
+          return x.id;
+        });
+        assertArrayEquals('limit', [2, 3], ids);
+        assertArrayEquals('offset', [3], page);
+        assertArrayEquals('index keys', [2, 3], index_keys);
+        assertArrayEquals('iterator keys', ['a', 'b'], iter_keys);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('cache', items);
+  db.values('cache', null, 2).addCallback(function(x) {
+    values = x;
+  });
+  db.keys('cache', null, 2, 1).addCallback(function(x) {
+    page = x;
+  });
+  db.keys('cache', 'tag', null, 2).addCallback(function(x) {
+    index_keys = x;
+  });
+  var iter = new ydn.db.IndexIterator('cache', 'tag');
+  db.keys(iter, 2).addCallback(function(x) {
+    iter_keys = x;
+    done = true;
+  });
+};
+
+
+var test_ttl = function() {
+  var done, before, after, cnt;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('before expiry', 'x', before.value);
+        assertUndefined('after expiry', after);
+        assertEquals('count', 0, cnt);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, {
+    stores: [{name: 'thumb', ttl: 200}]
+  }, options);
+  db.put('thumb', {value: 'x'}, 'k1');
+  db.get('thumb', 'k1').addCallback(function(x) {
+    before = x;
+    setTimeout(function() {
+      db.get('thumb', 'k1').addCallback(function(x) {
+        after = x;
+      });
+      db.count('thumb').addCallback(function(x) {
+        cnt = x;
+        done = true;
+      });
+    }, 400);
+  });
+};
+
+
+var test_sweep = function() {
+  var raw_count;
+  waitForCondition(
+      // Condition
+      function() {
+        return goog.isDef(raw_count);
+      },
+      // Continuation
+      function() {
+        assertEquals('expired records deleted', 2, raw_count);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var old = new ydn.db.Storage(db_name, schema, options);
+  old.put('cache', items).addCallback(function() {
+    old.close();
+    // sweep on connected.
+    var sweeper = new ydn.db.Storage(db_name, schema, options);
+    sweeper.count('cache').addCallback(function() {
+      setTimeout(function() {
+        sweeper.close();
+        // schema without expiry option does not hide expired records.
+        db = new ydn.db.Storage(db_name, raw_schema, options);
+        db.count('cache').addCallback(function(x) {
+          raw_count = x;
+        });
+      }, 500);
+    });
+  });
+};
+
+
+var test_schema = function() {
+  db = new ydn.db.Storage(db_name, schema, options);
+  var store = db.getSchema().stores[0];
+  assertEquals('expiresKeyPath', 'expires', store.expiresKeyPath);
+  var index_names = goog.array.map(store.indexes, function(x) {
+    return x.name;
+  }).sort();
+  assertArrayEquals('expiry index', ['_ydn_expires', 'tag'], index_names);
+  assertThrows('invalid ttl', function() {
+    new ydn.db.Storage(db_name + '_2', {
+      stores: [{name: 'thumb', ttl: -1}]
+    }, options);
+  });
+  reachedFinalContinuation = true;
+};
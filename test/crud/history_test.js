@@ -0,0 +1,219 @@
+
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_record_history_1';
+
+var schema = {
+  stores: [
+    {
+      name: 'doc',
+      keyPath: 'id',
+      history: true,
+      historyLimit: 3,
+      indexes: [
+        {
+          keyPath: 'tag'
+        }]
+    }, {
+      name: 'note',
+      keyPath: 'id'
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+var test_history = function() {
+  var done, history, note_history;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        var actions = goog.array.map(history, function(x) {
+          return x.action;
+        });
+        assertArrayEquals('actions', ['put', 'put', 'remove'], actions);
+        assertEquals('entity', 'doc', history[0].entity);
+        assertEquals('id', 1, history[0].id);
+        assertEquals('first version', 'a', history[0].value.tag);
+        assertEquals('removed value', 'b', history[2].value.tag);
+        assertTrue('sequence', history[1].sequence > history[0].sequence);
+        assertEquals('history not kept', 0, note_history);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('doc', {id: 1, tag: 'a'});
+  db.put('doc', [{id: 1, tag: 'b'}, {id: 2, tag: 'b'}]);
+  db.put('note', {id: 1});
+  db.remove('doc', 1);
+  db.getHistory('doc', 1).addCallback(function(x) {
+    history = x;
+  });
+  db.count('_ydn_sync_history', 'key', ydn.db.KeyRange.starts(['note']))
+      .addCallback(function(x) {
+        note_history = x;
+        done = true;
+      });
+};
+
+
+var test_revert = function() {
+  var done, reverted, restored, by_sequence;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('reverted', 'a', reverted.tag);
+        assertEquals('restored', 'a', restored.tag);
+        assertEquals('by sequence', 'b', by_sequence.tag);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  var b_sequence;
+  db.put('doc', {id: 1, tag: 'a'});
+  db.put('doc', {id: 1, tag: 'b'});
+  db.getHistory('doc', 1).addCallback(function(history) {
+    b_sequence = history[1].sequence;
+  });
+  db.revert('doc', 1).addCallback(function() {
+    db.get('doc', 1).addCallback(function(x) {
+      reverted = x;
+    });
+    db.remove('doc', 1);
+    db.revert('doc', 1).addCallback(function() {
+      db.get('doc', 1).addCallback(function(x) {
+        restored = x;
+      });
+      db.revert('doc', 1, b_sequence).addCallback(function() {
+        db.get('doc', 1).addCallback(function(x) {
+          by_sequence = x;
+          done = true;
+        });
+      });
+    });
+  });
+};
+
+
+var test_remove_by_range = function() {
+  var done, removed, pruned;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('removed', [1, 2], removed);
+        assertEquals('pruned to history limit', 3, pruned);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  for (var i = 0; i < 4; i++) {
+    db.put('doc', {id: 1, tag: 'a', version: i});
+  }
+  db.put('doc', [{id: 2, tag: 'a'}, {id: 3, tag: 'b'}]);
+  db.remove('doc', 'tag', ydn.db.KeyRange.only('a'));
+  db.values('_ydn_sync_history').addCallback(function(x) {
+    removed = goog.array.map(goog.array.filter(x, function(entry) {
+      return entry.action == 'remove';
+    }), function(entry) {
+      return entry.id;
+    });
+    // pruning is done after the transaction is committed.
+    setTimeout(function() {
+      db.count('_ydn_sync_history', 'key', ydn.db.KeyRange.only(['doc', 1]))
+          .addCallback(function(x) {
+            pruned = x;
+            done = true;
+          });
+    }, 200);
+  });
+};
+
+
+var test_remove_over_limit = function() {
+  var done, error, cnt;
+  var max_read = ydn.db.crud.DbOperator.MAX_HISTORY_READ;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        ydn.db.crud.DbOperator.MAX_HISTORY_READ = max_read;
+        assertEquals('error', 'ConstraintError', error.name);
+        assertEquals('nothing removed', 3, cnt);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  ydn.db.crud.DbOperator.MAX_HISTORY_READ = 2;
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('doc', [{id: 1, tag: 'a'}, {id: 2, tag: 'a'}, {id: 3, tag: 'a'}]);
+  db.remove('doc', 'tag', ydn.db.KeyRange.only('a')).addBoth(function(x) {
+    error = x;
+    db.count('doc').addCallback(function(x) {
+      cnt = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_schema = function() {
+  db = new ydn.db.Storage(db_name, schema, options);
+  var store = goog.array.find(db.getSchema().stores, function(x) {
+    return x.name == 'doc';
+  });
+  assertTrue('history', store.history);
+  assertEquals('history limit', 3, store.historyLimit);
+  assertTrue('history store', goog.array.some(db.getSchema().stores,
+      function(x) {
+        return x.name == '_ydn_sync_history';
+      }));
+  assertThrows('store without history', function() {
+    db.getHistory('note', 1);
+  });
+  assertThrows('invalid history limit', function() {
+    new ydn.db.Storage(db_name + '_2', {
+      stores: [{name: 'doc', history: true, historyLimit: 0}]
+    }, options);
+  });
+  reachedFinalContinuation = true;
+};
@@ -0,0 +1,252 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_record_hook_1';
+
+var schema = {
+  stores: [
+    {
+      name: 'note',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'tag'
+        }]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * @param {*} value resolved value.
+ * @param {boolean=} opt_reject reject instead.
+ * @return {!Object} a thenable resolved asynchronously.
+ */
+var later = function(value, opt_reject) {
+  return {
+    then: function(resolve, reject) {
+      setTimeout(function() {
+        if (opt_reject) {
+          reject(value);
+        } else {
+          resolve(value);
+        }
+      }, 10);
+    }
+  };
+};
+
+
+var test_before = function() {
+  var done, results;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('modified', 'a', results[0].tag);
+        assertEquals('modified by promise', 'b', results[1].tag);
+        assertArrayEquals('methods', ['put', 'add'], results[2]);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  var methods = [];
+  db.addHook('note', {
+    before: function(record, key, method) {
+      methods.push(method);
+      if (key == 2) {
+        return later({id: 2, tag: 'b'});
+      }
+      record.tag = 'a';
+    }
+  }, {methods: ['put', 'add']});
+  db.put('note', {id: 1});
+  db.add('note', {id: 2}).addCallback(function() {
+    db.values('note').addCallback(function(x) {
+      results = x;
+      results.push(methods);
+      done = true;
+    });
+  });
+};
+
+
+var test_abort = function() {
+  var done, error, thrown, cnt;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('rejected', 'invalid', error);
+        assertEquals('thrown', 'Error', thrown.name);
+        assertEquals('nothing written', 0, cnt);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.addHook('note', {
+    before: function(record, key) {
+      if (key == 1) {
+        return later('invalid', true);
+      }
+      throw new Error('invalid');
+    }
+  });
+  db.put('note', {id: 1}).addErrback(function(e) {
+    error = e;
+  });
+  db.put('note', [{id: 2}, {id: 3}]).addErrback(function(e) {
+    thrown = e;
+    db.count('note').addCallback(function(x) {
+      cnt = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_after = function() {
+  var done, events = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('events', ['put 1', 'put 2', 'remove 1',
+          'clear null'], events);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.addHook('note', {
+    after: function(record, key, method) {
+      events.push(method + ' ' + key);
+    }
+  });
+  db.put('note', [{id: 1}, {id: 2}]);
+  db.remove('note', 1);
+  db.clear('note').addCallback(function() {
+    // after hook of the clear is invoked after the transaction completed.
+    setTimeout(function() {
+      done = true;
+    }, 100);
+  });
+};
+
+
+var test_patch = function() {
+  var done, result, patched;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('patched value', 'b', result.tag);
+        assertEquals('modified by hook', true, result.patched);
+        assertArrayEquals('patched keys', [1], patched);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  patched = [];
+  db.addHook('note', {
+    before: function(record, key) {
+      record.patched = true;
+      patched.push(key);
+      return record;
+    }
+  }, {methods: ['patch']});
+  db.put('note', [{id: 1, tag: 'a'}, {id: 2, tag: 'c'}]);
+  db.from('note').where('tag', '=', 'a').patch({tag: 'b'}).addCallback(
+      function() {
+        db.get('note', 1).addCallback(function(x) {
+          result = x;
+          done = true;
+        });
+      });
+};
+
+
+var test_patch_async = function() {
+  var done, results;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('patched by hook', 'hooked', results[0].tag);
+        assertEquals('not matched', 'c', results[1].tag);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.addHook('note', {
+    before: function(record) {
+      record.tag = 'hooked';
+      return later(record);
+    }
+  }, {methods: ['patch']});
+  db.put('note', [{id: 1, tag: 'a'}, {id: 2, tag: 'c'}]);
+  db.from('note').where('tag', '=', 'a').patch({tag: 'b'}).addCallback(
+      function() {
+        db.values('note', [1, 2]).addCallback(function(x) {
+          results = x;
+          done = true;
+        });
+      });
+};
+
+
+var test_add_hook = function() {
+  db = new ydn.db.Storage(db_name, schema, options);
+  assertThrows('store not found', function() {
+    db.addHook('nothing', {before: function() {}});
+  });
+  assertThrows('hook function required', function() {
+    db.addHook('note', {});
+  });
+  assertThrows('invalid method', function() {
+    db.addHook('note', {after: function() {}}, {methods: ['get']});
+  });
+  reachedFinalContinuation = true;
+};
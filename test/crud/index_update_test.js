@@ -0,0 +1,210 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_index_update_1';
+var store_name = 'article';
+
+var schema = {
+  stores: [
+    {
+      name: store_name,
+      keyPath: 'id',
+      indexes: [
+        {
+          name: 'tags',
+          keyPath: 'tags',
+          multiEntry: true
+        }, {
+          name: 'author_year',
+          keyPath: ['author', 'year']
+        }, {
+          name: 'slug',
+          keyPath: 'slug',
+          unique: true
+        }, {
+          name: 'lowerTitle',
+          generator: function(obj) {
+            return obj.title.toLowerCase();
+          }
+        }]
+    }]
+};
+
+var articles = [
+  {id: 1, title: 'Hello', slug: 'hello', tags: ['js', 'db'], author: 'kt',
+    year: 2013},
+  {id: 2, title: 'World', slug: 'world', tags: ['js'], author: 'kt',
+    year: 2014},
+  {id: 3, title: 'Again', slug: 'again', tags: 'db', author: 'ab'}
+];
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  db = new ydn.db.crud.Storage(db_name, schema, options);
+  db.clear(store_name);
+  db.put(store_name, articles);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+var test_multi_entry = function() {
+  var done, before, after, db_keys;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('js before', [1, 2], before);
+        assertArrayEquals('js after', [2], after);
+        assertArrayEquals('db after', [1, 3], db_keys);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  var js = ydn.db.KeyRange.only('js');
+  db.keysByIndex(store_name, 'tags', js).addCallback(function(x) {
+    before = x;
+    db.put(store_name, {id: 1, title: 'Hello', slug: 'hello',
+      tags: ['db', 'db'], author: 'kt', year: 2013});
+    db.keysByIndex(store_name, 'tags', js).addCallback(function(x) {
+      after = x;
+    });
+    db.keysByIndex(store_name, 'tags', ydn.db.KeyRange.only('db'))
+        .addCallback(function(x) {
+          db_keys = x;
+          done = true;
+        });
+  });
+};
+
+
+var test_composite = function() {
+  var done, before, after;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('kt before', [1, 2], before);
+        assertArrayEquals('kt after, record 3 not indexed', [2], after);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  var kt = ydn.db.KeyRange.bound(['kt'], ['kt', '\uffff']);
+  db.keysByIndex(store_name, 'author_year', kt).addCallback(function(x) {
+    before = x;
+    db.put(store_name, {id: 1, title: 'Hello', slug: 'hello', tags: [],
+      author: 'ab', year: 2013});
+    db.keysByIndex(store_name, 'author_year', kt).addCallback(function(x) {
+      after = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_unique = function() {
+  var done, add_error, put_key, slugs;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('add error', 'ConstraintError', add_error.name);
+        assertEquals('put same record', 1, put_key);
+        assertArrayEquals('by slug', [3, 1, 2], slugs);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.add(store_name, {id: 4, title: 'Copy', slug: 'world', tags: []})
+      .addErrback(function(e) {
+        add_error = e;
+      });
+  db.put(store_name, {id: 1, title: 'Hi', slug: 'hi', tags: []})
+      .addCallback(function(x) {
+        put_key = x;
+      });
+  db.keysByIndex(store_name, 'slug').addCallback(function(x) {
+    slugs = x;
+    done = true;
+  });
+};
+
+
+var test_generator = function() {
+  var done, keys;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('by lower title', [3, 2, 1], keys);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.put(store_name, {id: 2, title: 'Bye', slug: 'world', tags: []});
+  db.keysByIndex(store_name, 'lowerTitle').addCallback(function(x) {
+    keys = x;
+    done = true;
+  });
+};
+
+
+var test_remove_and_clear = function() {
+  var done, after_remove, after_clear;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('after remove', [1], after_remove);
+        assertArrayEquals('after clear', [], after_clear);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  var js = ydn.db.KeyRange.only('js');
+  db.keysByIndex(store_name, 'tags', js).addCallback(function() {
+    db.remove(store_name, 2);
+    db.keysByIndex(store_name, 'tags', js).addCallback(function(x) {
+      after_remove = x;
+    });
+    db.clear(store_name);
+    db.keysByIndex(store_name, 'tags', js).addCallback(function(x) {
+      after_clear = x;
+      done = true;
+    });
+  });
+};
@@ -0,0 +1,195 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db, old_db;
+var db_name = 'test_mechanism_migration_1';
+
+var todos = [
+  {id: 1, title: 'buy milk', created: new Date(2013, 0, 1)},
+  {id: 2, title: 'write test', created: new Date(2013, 0, 2)},
+  {id: 3, title: 'fix bug', created: new Date(2013, 0, 3)}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'todo',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'title'
+        }]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  ydn.db.deleteDatabase(db_name, 'localstorage');
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+  if (old_db) {
+    ydn.db.deleteDatabase(old_db.getName(), old_db.getType());
+    old_db.close();
+    old_db = null;
+  }
+};
+
+
+/**
+ * Open the database, collecting migration events.
+ * @param {!Array} phases receive migration phases.
+ * @param {Object=} opt_schema schema.
+ */
+var open_db = function(phases, opt_schema) {
+  db = new ydn.db.Storage(db_name, opt_schema, {
+    mechanisms: options.mechanisms,
+    migrateFrom: ['localstorage']
+  });
+  db.addEventListener('migration', function(e) {
+    assertEquals('mechanism', 'localstorage', e.getMechanism());
+    phases.push([e.getPhase(), e.getCount()]);
+  });
+};
+
+
+var test_migrate = function() {
+  var phases = [];
+  var result, old_count;
+  waitForCondition(
+      // Condition
+      function() {
+        return goog.isDef(old_count);
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('phases', [['started', 0], ['copied', 3],
+          ['done', 3]], phases);
+        assertEquals('records', 3, result.length);
+        assertEquals('title', 'fix bug', result[2].title);
+        assertTrue('date', result[2].created instanceof Date);
+        assertEquals('old copy dropped', 0, old_count);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var ls = new ydn.db.Storage(db_name, schema, {
+    mechanisms: ['localstorage']
+  });
+  ls.put('todo', todos).addCallback(function() {
+    ls.close();
+    open_db(phases);
+    db.addEventListener('migration', function(e) {
+      if (e.getPhase() != 'done') {
+        return;
+      }
+      db.values('todo').addCallback(function(x) {
+        result = x;
+        old_db = new ydn.db.Storage(db_name, undefined, {
+          mechanisms: ['localstorage']
+        });
+        old_db.count('todo').addBoth(function(x) {
+          old_count = goog.isNumber(x) ? x : 0;
+        });
+      });
+    });
+  });
+};
+
+
+var test_nothing_to_migrate = function() {
+  var phases = [];
+  var done;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('no migration', 0, phases.length);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  open_db(phases, schema);
+  db.count('todo').addCallback(function() {
+    setTimeout(function() {
+      done = true;
+    }, 500);
+  });
+};
+
+
+var test_fail = function() {
+  var phases = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return phases.length == 2;
+      },
+      // Continuation
+      function() {
+        assertEquals('started', 'started', phases[0][0]);
+        assertEquals('error', 'error', phases[1][0]);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var ls = new ydn.db.Storage(db_name, {
+    stores: [{name: 'note', keyPath: 'id'}]
+  }, {
+    mechanisms: ['localstorage']
+  });
+  ls.put('note', {id: 1}).addCallback(function() {
+    ls.close();
+    // fixed schema without store 'note'
+    open_db(phases, schema);
+  });
+};
+
+
+var test_write_during_migration = function() {
+  var phases = [];
+  var result;
+  waitForCondition(
+      // Condition
+      function() {
+        return goog.isDef(result);
+      },
+      // Continuation
+      function() {
+        assertEquals('done', 'done', phases[phases.length - 1][0]);
+        assertEquals('written by application', 'buy bread', result.title);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var ls = new ydn.db.Storage(db_name, schema, {
+    mechanisms: ['localstorage']
+  });
+  ls.put('todo', todos).addCallback(function() {
+    ls.close();
+    open_db(phases, schema);
+    // held until migration is done, so that it is not overwritten.
+    db.put('todo', {id: 1, title: 'buy bread'});
+    db.get('todo', 1).addBoth(function(x) {
+      result = x;
+    });
+  });
+};
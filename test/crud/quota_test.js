@@ -0,0 +1,175 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_quota_1';
+
+
+/**
+ * @param {number} id record id.
+ * @param {number=} opt_priority eviction priority.
+ * @return {!Object} record of the same size for id less than 10.
+ */
+var make_record = function(id, opt_priority) {
+  return {id: id, priority: opt_priority || 0, data: 'abcdefghij'};
+};
+
+var record_size = 2 * JSON.stringify(make_record(1)).length;
+
+var schema = {
+  stores: [
+    {
+      name: 'cache',
+      keyPath: 'id',
+      maxSize: 3 * record_size,
+      priorityKeyPath: 'priority'
+    }, {
+      name: 'note',
+      keyPath: 'id'
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+var test_usage = function() {
+  var done, usage, usage_after_remove;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('usage', 2 * record_size, usage);
+        assertEquals('usage after remove', record_size, usage_after_remove);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('note', {id: 1, data: 'not tracked'});
+  db.put('cache', [make_record(1), make_record(2)]).addCallback(function() {
+    db.getUsage('cache').addCallback(function(x) {
+      usage = x;
+    });
+  });
+  db.remove('cache', 1).addCallback(function() {
+    db.getUsage().addCallback(function(x) {
+      usage_after_remove = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_lru_eviction = function() {
+  var keys, usage;
+  waitForCondition(
+      // Condition
+      function() {
+        return goog.isDef(usage);
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('least recently used evicted', [1, 3, 4], keys);
+        assertEquals('usage', 3 * record_size, usage);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      5000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('cache', [make_record(1), make_record(2), make_record(3)]);
+  db.get('cache', 1).addCallback(function() {
+    // wait for access time to be written.
+    setTimeout(function() {
+      // records are evicted before the put resolves.
+      db.put('cache', make_record(4)).addCallback(function() {
+        db.keys('cache').addCallback(function(x) {
+          keys = x;
+        });
+        db.getUsage('cache').addCallback(function(x) {
+          usage = x;
+        });
+      });
+    }, ydn.db.crud.QuotaTracker.TOUCH_DELAY + 500);
+  });
+};
+
+
+var test_priority_eviction = function() {
+  var keys;
+  waitForCondition(
+      // Condition
+      function() {
+        return goog.isDef(keys);
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('lowest priority evicted', [1, 3, 4], keys);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('cache', [make_record(1, 2), make_record(2, 1), make_record(3, 2)]);
+  db.put('cache', make_record(4, 2)).addCallback(function() {
+    db.keys('cache').addCallback(function(x) {
+      keys = x;
+    });
+  });
+};
+
+
+var test_quota_error = function() {
+  var e, keys;
+  waitForCondition(
+      // Condition
+      function() {
+        return goog.isDef(keys);
+      },
+      // Continuation
+      function() {
+        assertEquals('name', 'QuotaError', e.name);
+        assertEquals('store name', 'cache', e.storeName);
+        assertEquals('requested', 2 * JSON.stringify(big).length, e.requested);
+        assertArrayEquals('nothing written', [], keys);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  var big = make_record(1);
+  big.data = new Array(4 * record_size).join('x');
+  db.put('cache', big).addErrback(function(x) {
+    e = x;
+    db.keys('cache').addCallback(function(x) {
+      keys = x;
+    });
+  });
+  assertThrows('maxSize must be positive', function() {
+    new ydn.db.Storage(db_name + '_2', {
+      stores: [{name: 'cache', maxSize: 0}]
+    }, options);
+  });
+};
@@ -0,0 +1,119 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.Storage');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db, other;
+var db_name = 'test_remote_events_1';
+
+var schema = {
+  stores: [
+    {
+      name: 'st',
+      keyPath: 'id',
+      dispatchEvents: true
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  var opt = {mechanisms: options.mechanisms, remoteEvents: true};
+  // two instances of the same database behave like two tabs.
+  db = new ydn.db.Storage(db_name, schema, opt);
+  other = new ydn.db.Storage(db_name, schema, opt);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  other.close();
+  db.close();
+  ydn.db.deleteDatabase(db_name, db.getType());
+};
+
+
+var test_record_event = function() {
+  var local = [];
+  var remote = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return remote.length > 0;
+      },
+      // Continuation
+      function() {
+        assertEquals('one remote event', 1, remote.length);
+        assertTrue('remote', remote[0].isRemote());
+        assertEquals('store', 'st', remote[0].getStoreName());
+        assertEquals('key', 1, remote[0].getKey());
+        assertEquals('one local event', 1, local.length);
+        assertFalse('local', local[0].isRemote());
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.addEventListener('updated', function(e) {
+    local.push(e);
+  });
+  other.addEventListener('updated', function(e) {
+    remote.push(e);
+  });
+  db.onReady(function() {
+    other.onReady(function() {
+      // let the other read the change log position.
+      setTimeout(function() {
+        db.put('st', {id: 1, value: 'a'});
+      }, 300);
+    });
+  });
+};
+
+
+var test_store_event = function() {
+  var remote = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return remote.length > 0;
+      },
+      // Continuation
+      function() {
+        assertTrue('remote', remote[0].isRemote());
+        assertEquals('store event', 'StoreEvent', remote[0].name);
+        assertArrayEquals('keys', [2, 3], remote[0].getKeys());
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  other.addEventListener('updated', function(e) {
+    remote.push(e);
+  });
+  db.onReady(function() {
+    other.onReady(function() {
+      setTimeout(function() {
+        db.put('st', [{id: 2, value: 'b'}, {id: 3, value: 'c'}]);
+      }, 300);
+    });
+  });
+};
+
+
+var test_shared_broadcast_channel = function() {
+  var channel = db.getBroadcastChannel();
+  if (channel) {
+    // live queries and remote events share the channel.
+    assertEquals('one channel per storage', channel,
+        db.getBroadcastChannel());
+    db.close();
+    assertNotEquals('closed with storage', channel,
+        db.getBroadcastChannel());
+  }
+  reachedFinalContinuation = true;
+};
@@ -0,0 +1,164 @@
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.tr.RetryPolicy');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_retry_1';
+
+var schema = {
+  stores: [
+    {
+      name: 'st',
+      keyPath: 'id',
+      type: 'NUMERIC'
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  // constraint error is not transient, but it can be produced at will.
+  db = new ydn.db.Storage(db_name, schema, {
+    mechanisms: options.mechanisms,
+    retry: {
+      maxAttempts: 3,
+      backoff: 10,
+      retryOn: ['abort', 'constraint']
+    }
+  });
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+var test_exhausted = function() {
+  var done, error, attempts = [], delays = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('attempts', [1, 2], attempts);
+        assertArrayEquals('delays', [10, 20], delays);
+        assertEquals('code', 'constraint', error.code);
+        assertEquals('key', 1, error.key);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.addEventListener('retry', function(e) {
+    assertEquals('method', ydn.db.Request.Method.ADD, e.getMethod());
+    assertEquals('error', 'constraint', e.getError().code);
+    attempts.push(e.getAttempt());
+    delays.push(e.getDelay());
+  });
+  db.add('st', {id: 1});
+  db.add('st', {id: 1}).addErrback(function(e) {
+    error = e;
+    done = true;
+  });
+};
+
+
+var test_replayed = function() {
+  var done, key, attempts = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('attempts', [1], attempts);
+        assertEquals('key', 1, key);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.addEventListener('retry', function(e) {
+    attempts.push(e.getAttempt());
+    // remove the cause of failure before the request is replayed.
+    db.remove('st', 1);
+  });
+  db.add('st', {id: 1});
+  db.add('st', {id: 1, value: 'replayed'}).addCallback(function(x) {
+    key = x;
+    done = true;
+  });
+};
+
+
+var test_run_aborted = function() {
+  if (db.getType() != 'indexeddb' && db.getType() != 'websql') {
+    reachedFinalContinuation = true;
+    return;
+  }
+  var done, failed, calls = 0, events = 0;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertTrue('failed', failed);
+        assertEquals('explicit abort is not replayed', 1, calls);
+        assertEquals('no retry event', 0, events);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.addEventListener('retry', function(e) {
+    events++;
+  });
+  var req = db.run(function(tdb) {
+    calls++;
+    tdb.put('st', {id: 2}).addBoth(function() {
+      req.abort();
+    });
+  }, ['st'], 'readwrite');
+  req.addBoth(function(x) {
+    failed = req.state() == 'rejected';
+    done = true;
+  });
+};
+
+
+var test_policy = function() {
+  var policy = new ydn.db.tr.RetryPolicy({});
+  assertEquals('default max attempts', 3, policy.maxAttempts);
+  assertTrue('can retry', policy.canRetry(2));
+  assertFalse('exhausted', policy.canRetry(3));
+  assertEquals('first delay', 50, policy.getDelay(1));
+  assertEquals('doubling', 100, policy.getDelay(2));
+  assertTrue('abort', policy.isRetryable(new ydn.db.TxAbortedError()));
+  assertTrue('locked', policy.isRetryable(ydn.db.error.normalize(
+      {code: 1, message: 'database is locked'}, 'websql',
+      ydn.db.Request.Method.PUT)));
+  assertFalse('constraint', policy.isRetryable(new ydn.db.ConstraintError()));
+  assertTrue('record errors', policy.isRetryable([1,
+    new ydn.db.InvalidStateError()]));
+  assertFalse('not normalized', policy.isRetryable({name: 'AbortError'}));
+  assertThrows('invalid max attempts', function() {
+    new ydn.db.tr.RetryPolicy({maxAttempts: 0});
+  });
+  assertThrows('invalid code', function() {
+    new ydn.db.tr.RetryPolicy({retryOn: ['AbortError']});
+  });
+  reachedFinalContinuation = true;
+};
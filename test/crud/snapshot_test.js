@@ -0,0 +1,247 @@
+
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db, target;
+var db_name = 'test_snapshot_1';
+var target_name = 'test_snapshot_target_1';
+
+var notes = [
+  {id: 1, title: 'first', created: new Date(2013, 0, 1), tags: ['a']},
+  {id: 2, title: 'second', created: new Date(2013, 5, 1), tags: ['a', 'b']},
+  {id: 3, title: 'third', created: new Date(2014, 0, 1), tags: []}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'note',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'created'
+        }, {
+          keyPath: 'tags',
+          multiEntry: true
+        }]
+    }, {
+      name: 'file'
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(target_name, options.mechanisms[0]);
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.clear();
+  db.put('note', notes);
+  db.put('file', {'$type': 'not a tag', size: 1}, new Date(2013, 0, 1));
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+  if (target) {
+    ydn.db.deleteDatabase(target.getName(), target.getType());
+    target.close();
+    target = null;
+  }
+};
+
+
+var test_json = function() {
+  var done, result, files, file_keys, index_names;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('imported', 4, result);
+        assertArrayEquals('indexes', ['created', 'tags'], index_names);
+        assertEquals('notes', 3, notes_out.length);
+        assertTrue('date', notes_out[1].created instanceof Date);
+        assertEquals('date value', notes[1].created.getTime(),
+            notes_out[1].created.getTime());
+        assertArrayEquals('tags', ['a', 'b'], notes_out[1].tags);
+        assertTrue('date key', file_keys[0] instanceof Date);
+        assertEquals('own $type attribute', 'not a tag', files[0]['$type']);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var notes_out;
+  db.exportDatabase().addCallback(function(snapshot) {
+    assertTrue('json', goog.isString(snapshot));
+    target = new ydn.db.Storage(target_name, undefined, options);
+    target.importDatabase(snapshot).addCallback(function(cnt) {
+      result = cnt;
+      var store = goog.array.find(target.getSchema().stores, function(x) {
+        return x.name == 'note';
+      });
+      index_names = goog.array.map(store.indexes, function(x) {
+        return x.name;
+      }).sort();
+      target.values('note').addCallback(function(x) {
+        notes_out = x;
+      });
+      target.keys('file').addCallback(function(x) {
+        file_keys = x;
+      });
+      target.values('file').addCallback(function(x) {
+        files = x;
+        done = true;
+      });
+    });
+  });
+};
+
+
+var test_ndjson = function() {
+  var done, lines, notes_out;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('header and records', 5, lines.length);
+        assertEquals('header', 'ydn-db', JSON.parse(lines[0]).format);
+        assertEquals('record', 'note', JSON.parse(lines[1]).store);
+        assertEquals('notes', 3, notes_out.length);
+        assertEquals('title', 'third', notes_out[2].title);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.exportDatabase({format: 'ndjson'}).addCallback(function(snapshot) {
+    lines = snapshot.split('\n');
+    target = new ydn.db.Storage(target_name, undefined, options);
+    target.importDatabase(snapshot).addCallback(function() {
+      target.values('note').addCallback(function(x) {
+        notes_out = x;
+        done = true;
+      });
+    });
+  });
+};
+
+
+var test_stores_option = function() {
+  var done, store_names;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('stores', ['file'], store_names);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.exportDatabase({stores: ['file']}).addCallback(function(snapshot) {
+    store_names = goog.array.map(JSON.parse(snapshot).schema.stores,
+        function(x) {
+          return x.name;
+        });
+    done = true;
+  });
+};
+
+
+var test_merge_and_replace = function() {
+  var done, merged, replaced;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('merge keeps existing records', 4, merged);
+        assertEquals('replace clears the store', 3, replaced);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.exportDatabase({stores: ['note']}).addCallback(function(snapshot) {
+    target = new ydn.db.Storage(target_name, schema, options);
+    target.put('note', {id: 10, title: 'existing', created: new Date(),
+      tags: []});
+    target.importDatabase(snapshot, {mode: 'merge'}).addCallback(function() {
+      target.count('note').addCallback(function(x) {
+        merged = x;
+        target.importDatabase(snapshot, {mode: 'replace'}).addCallback(
+            function() {
+              target.count('note').addCallback(function(x) {
+                replaced = x;
+                done = true;
+              });
+            });
+      });
+    });
+  });
+};
+
+
+var test_blob = function() {
+  if (!window.Blob || db.getType() != 'indexeddb') {
+    reachedFinalContinuation = true;
+    return;
+  }
+  var done, blob_out;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertTrue('blob', blob_out instanceof Blob);
+        assertEquals('blob type', 'text/plain', blob_out.type);
+        assertEquals('blob size', 5, blob_out.size);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var blob = new Blob(['hello'], {type: 'text/plain'});
+  db.put('file', {content: blob}, 'blob').addCallback(function() {
+    db.exportDatabase({stores: ['file']}).addCallback(function(snapshot) {
+      target = new ydn.db.Storage(target_name, undefined, options);
+      target.importDatabase(snapshot).addCallback(function() {
+        target.get('file', 'blob').addCallback(function(x) {
+          blob_out = x.content;
+          done = true;
+        });
+      });
+    });
+  });
+};
+
+
+var test_invalid_snapshot = function() {
+  assertThrows('not a snapshot', function() {
+    db.importDatabase('{"stores": []}');
+  });
+  assertThrows('unknown mode', function() {
+    db.importDatabase('{"format": "ydn-db", "schema": {}}', {mode: 'x'});
+  });
+  reachedFinalContinuation = true;
+};
@@ -0,0 +1,133 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_validation_1';
+
+var schema = {
+  stores: [
+    {
+      name: 'person',
+      keyPath: 'id',
+      type: 'INTEGER',
+      validate: true,
+      indexes: [
+        {
+          keyPath: 'age',
+          type: 'INTEGER'
+        }, {
+          keyPath: 'tags',
+          type: 'TEXT',
+          multiEntry: true
+        }],
+      fields: {
+        'name': {type: 'TEXT', required: true},
+        'address.zip': {type: 'TEXT'}
+      }
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+var test_put = function() {
+  var done, key, error;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('valid record', 1, key);
+        assertEquals('name', 'ValidationError', error.name);
+        assertEquals('store name', 'person', error.storeName);
+        assertEquals('key', 2, error.key);
+        assertEquals('violations', 2, error.violations.length);
+        assertEquals('key path', 'age', error.violations[0].keyPath);
+        assertEquals('expected', 'INTEGER', error.violations[0].expected);
+        assertEquals('actual', 'string', error.violations[0].actual);
+        assertEquals('nested key path', 'address.zip',
+            error.violations[1].keyPath);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('person', {id: 1, name: 'A', age: 20, tags: ['x', 'y']})
+      .addCallback(function(x) {
+        key = x;
+      });
+  db.put('person', {id: 2, name: 'B', age: '20', address: {zip: 12345}})
+      .addBoth(function(x) {
+        error = x;
+        done = true;
+      });
+};
+
+
+var test_put_all = function() {
+  var done, results, cnt;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('results', 3, results.length);
+        assertUndefined('valid record', results[0]);
+        assertEquals('required', 'name', results[1].violations[0].keyPath);
+        assertEquals('required type', 'undefined',
+            results[1].violations[0].actual);
+        assertEquals('multiEntry', 'tags', results[2].violations[0].keyPath);
+        assertEquals('nothing written', 0, cnt);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('person', [
+    {id: 1, name: 'A'},
+    {id: 2},
+    {id: 3, name: 'C', tags: ['x', 1]}
+  ]).addErrback(function(x) {
+    results = x;
+    db.count('person').addCallback(function(x) {
+      cnt = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_schema = function() {
+  db = new ydn.db.Storage(db_name, schema, options);
+  var store = db.getSchema().stores[0];
+  assertTrue('validate', store.validate);
+  assertEquals('fields', 'TEXT', store.fields['name'].type);
+  assertThrows('invalid field type', function() {
+    new ydn.db.Storage(db_name + '_2', {
+      stores: [{name: 'note', fields: {'title': {type: 'STRING'}}}]
+    }, options);
+  });
+  reachedFinalContinuation = true;
+};
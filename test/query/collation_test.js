@@ -0,0 +1,197 @@
+
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_collation_1';
+
+var schema = {
+  stores: [
+    {
+      name: 'person',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'name',
+          collation: {locale: 'de'}
+        }, {
+          keyPath: 'city',
+          collation: {mode: 'contains'}
+        }, {
+          keyPath: 'dish',
+          collation: {mode: 'suffix'}
+        }, {
+          keyPath: 'age'
+        }]
+    }, {
+      name: 'place',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'name',
+          collation: {locale: 'tr'}
+        }]
+    }]
+};
+
+var persons = [
+  {id: 1, name: '\u00c9mile', city: 'S\u00e3o Paulo',
+    dish: 'Cr\u00e8me br\u00fbl\u00e9e', age: 30},
+  {id: 2, name: 'EMILIA', city: 'Paul\u00ednia', dish: 'Pur\u00e9e', age: 20},
+  {id: 3, name: 'Stra\u00dfe', city: 'Lisboa', dish: 'Strudel', age: 30},
+  {id: 4, name: 'STRASSER', city: 'Paris', dish: 'Soupe', age: 40}
+];
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  ydn.db.deleteDatabase(db_name, options.mechanisms[0]);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * @param {!Array} records records.
+ * @return {!Array} ids of the records in ascending order.
+ */
+var ids = function(records) {
+  return goog.array.map(records, function(x) {
+    return x.id;
+  }).sort();
+};
+
+
+var test_prefix = function() {
+  var done, accent, sharp_s, and_age;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('accent and case', [1, 2], ids(accent));
+        assertArrayEquals('sharp s', [3, 4], ids(sharp_s));
+        assertArrayEquals('with other condition', [3], ids(and_age));
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('person', persons);
+  db.from('person').where('name', '~=', 'emil').list().addCallback(
+      function(x) {
+        accent = x;
+      });
+  db.from('person').where('name', '~=', 'STRA\u00df').list().addCallback(
+      function(x) {
+        sharp_s = x;
+      });
+  db.from('person').where('age', '=', 30).where('name', '~=', 'strasse')
+      .list().addCallback(function(x) {
+        and_age = x;
+        done = true;
+      });
+};
+
+
+var test_contains_and_suffix = function() {
+  var done, short_term, long_term, suffix;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('short term', [1, 2, 4], ids(short_term));
+        assertArrayEquals('long term', [2], ids(long_term));
+        assertArrayEquals('suffix', [1, 2], ids(suffix));
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('person', persons);
+  db.from('person').where('city', '~=', 'PA').list().addCallback(function(x) {
+    short_term = x;
+  });
+  db.from('person').where('city', '~=', 'paul\u00ed').list().addCallback(
+      function(x) {
+        long_term = x;
+      });
+  db.from('person').where('dish', '~=', 'EE').list().addCallback(function(x) {
+    suffix = x;
+    done = true;
+  });
+};
+
+
+var test_turkish = function() {
+  var done, dotted, dotless;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('dotted i', [1], ids(dotted));
+        assertArrayEquals('dotless i', [2], ids(dotless));
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.put('place', [{id: 1, name: '\u0130stanbul'}, {id: 2, name: 'Isparta'}]);
+  db.from('place').where('name', '~=', 'is').list().addCallback(function(x) {
+    dotted = x;
+  });
+  db.from('place').where('name', '~=', '\u0131s').list().addCallback(
+      function(x) {
+        dotless = x;
+        done = true;
+      });
+};
+
+
+var test_schema = function() {
+  db = new ydn.db.Storage(db_name, schema, options);
+  var store = db.getSchema().stores[1];
+  var index_names = goog.array.map(store.indexes, function(x) {
+    return x.name;
+  }).sort();
+  assertArrayEquals('generated index', ['_ydn_collate_name', 'name'],
+      index_names);
+  assertEquals('locale', 'tr', store.indexes[0].collation.locale);
+  assertThrows('index without collation', function() {
+    db.from('person').where('age', '~=', '3');
+  });
+  assertThrows('invalid mode', function() {
+    new ydn.db.Storage(db_name + '_2', {
+      stores: [{name: 'note', indexes: [{
+        keyPath: 'title', collation: {mode: 'fuzzy'}}]}]
+    }, options);
+  });
+  assertThrows('multiEntry index', function() {
+    new ydn.db.Storage(db_name + '_2', {
+      stores: [{name: 'note', indexes: [{
+        keyPath: 'tags', multiEntry: true, collation: {}}]}]
+    }, options);
+  });
+  reachedFinalContinuation = true;
+};
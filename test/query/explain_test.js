@@ -0,0 +1,127 @@
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.Query');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_explain_1';
+
+var schema = {
+  stores: [
+    {
+      name: 'animals',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'color'
+        },
+        {
+          keyPath: 'horn'
+        },
+        {
+          keyPath: 'name',
+          unique: true
+        },
+        {
+          keyPath: ['horn', 'name']
+        }]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  db = new ydn.db.Storage(db_name, schema, options);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  db.close();
+};
+
+
+var test_full_scan = function() {
+  var plan = db.from('animals').explain();
+  assertArrayEquals('stores', ['animals'], plan.stores);
+  assertEquals('one scan', 1, plan.scans.length);
+  assertNull('primary key', plan.scans[0].index);
+  assertEquals('access', 'full-scan', plan.scans[0].access);
+  assertNull('key range', plan.scans[0].keyRange);
+  assertFalse('value scan', plan.scans[0].keyOnly);
+  assertNull('no solver', plan.solver);
+  assertFalse('no sorting', plan.inMemorySort);
+  reachedFinalContinuation = true;
+};
+
+
+var test_index_range = function() {
+  var plan = db.from('animals').where('horn', '>', 1).explain();
+  assertEquals('index', 'horn', plan.scans[0].index);
+  assertEquals('access', 'index-range', plan.scans[0].access);
+  assertEquals('lower', 1, plan.scans[0].keyRange.lower);
+  assertTrue('lower open', plan.scans[0].keyRange.lowerOpen);
+  assertTrue('selectivity', plan.scans[0].selectivity < 1);
+
+  var full = db.from('animals').explain();
+  assertTrue('cheaper than full scan', plan.cost < full.cost);
+  reachedFinalContinuation = true;
+};
+
+
+var test_unique_equal = function() {
+  var plan = db.from('animals').where('name', '=', 'cow').explain();
+  assertEquals('index', 'name', plan.scans[0].index);
+  assertEquals('one of default cardinality', 0.001,
+      plan.scans[0].selectivity);
+  reachedFinalContinuation = true;
+};
+
+
+var test_conjunction = function() {
+  var q1 = db.from('animals').where('color', '=', 'spots');
+  var q2 = db.from('animals').where('horn', '=', 2);
+  var plan = q1.and(q2).explain();
+  assertEquals('two scans', 2, plan.scans.length);
+  assertEquals('solver', 'ZigzagMerge', plan.solver);
+  assertEquals('index 1', 'horn', plan.scans[0].index);
+  assertEquals('index 2', 'color', plan.scans[1].index);
+  assertTrue('key only 1', plan.scans[0].keyOnly);
+  assertTrue('key only 2', plan.scans[1].keyOnly);
+  reachedFinalContinuation = true;
+};
+
+
+var test_sql_select = function() {
+  var plan = db.explain('SELECT name FROM animals WHERE horn > 1 ' +
+      'ORDER BY horn LIMIT 5');
+  assertArrayEquals('stores', ['animals'], plan.stores);
+  assertEquals('index', 'horn', plan.scans[0].index);
+  assertEquals('access', 'index-range', plan.scans[0].access);
+  assertArrayEquals('fields', ['name'], plan.fields);
+  assertArrayEquals('order', ['horn'], plan.order);
+  assertEquals('limit', 5, plan.limit);
+  assertNull('no aggregate', plan.aggregate);
+  reachedFinalContinuation = true;
+};
+
+
+var test_sql_count = function() {
+  var plan = db.explain('SELECT COUNT(*) FROM animals WHERE horn = ?', [2]);
+  assertEquals('aggregate', 'COUNT', plan.aggregate);
+  assertEquals('index', 'horn', plan.scans[0].index);
+  assertTrue('key only', plan.scans[0].keyOnly);
+  assertEquals('equal', 2, plan.scans[0].keyRange.lower);
+  reachedFinalContinuation = true;
+};
+
+
+var test_sql_error = function() {
+  assertThrows('store not found', function() {
+    db.explain('SELECT * FROM plants');
+  });
+  reachedFinalContinuation = true;
+};
@@ -0,0 +1,211 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.Query');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_live_query_1';
+
+var todos = [
+  {id: 1, title: 'buy milk', done: 0},
+  {id: 2, title: 'write test', done: 1},
+  {id: 3, title: 'fix bug', done: 0}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'todo',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'done'
+        }]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.clear('todo');
+  db.put('todo', todos);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * Observe undone todo and collect deliveries.
+ * @param {!Array} deliveries receive results and changes.
+ * @return {!ydn.db.query.LiveQuery}
+ */
+var observe_undone = function(deliveries) {
+  return db.from('todo').where('done', '=', 0).observe(function(list, diff) {
+    deliveries.push({list: list, diff: diff});
+  });
+};
+
+
+var test_initial_results = function() {
+  var deliveries = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return deliveries.length == 1;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('results', [todos[0], todos[2]], deliveries[0].list);
+        assertArrayEquals('added', [1, 3], deliveries[0].diff['added']);
+        assertArrayEquals('removed', [], deliveries[0].diff['removed']);
+        live.dispose();
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  var live = observe_undone(deliveries);
+};
+
+
+var test_put = function() {
+  var deliveries = [];
+  var todo = {id: 4, title: 'release', done: 0};
+  waitForCondition(
+      // Condition
+      function() {
+        return deliveries.length == 2;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('results', [todos[0], todos[2], todo],
+            deliveries[1].list);
+        assertArrayEquals('added', [4], deliveries[1].diff['added']);
+        assertArrayEquals('updated', [], deliveries[1].diff['updated']);
+        live.dispose();
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      2000); // maxTimeout
+
+  var live = observe_undone(deliveries);
+  db.put('todo', todo);
+};
+
+
+var test_unrelated_put = function() {
+  var deliveries = [];
+  var done;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('not re-delivered', 1, deliveries.length);
+        live.dispose();
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      2000); // maxTimeout
+
+  var live = observe_undone(deliveries);
+  db.put('todo', {id: 5, title: 'done already', done: 1}).addCallback(
+      function() {
+        setTimeout(function() {
+          done = true;
+        }, 200);
+      });
+};
+
+
+var test_update_and_remove = function() {
+  var deliveries = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return deliveries.length == 3;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('updated', [1], deliveries[1].diff['updated']);
+        assertEquals('updated value', 'buy bread',
+            deliveries[1].list[0].title);
+        assertArrayEquals('removed', [3], deliveries[2].diff['removed']);
+        assertEquals('one left', 1, deliveries[2].list.length);
+        live.dispose();
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      2000); // maxTimeout
+
+  var live = observe_undone(deliveries);
+  db.put('todo', {id: 1, title: 'buy bread', done: 0}).addCallback(
+      function() {
+        setTimeout(function() {
+          db.remove('todo', 3);
+        }, 100);
+      });
+};
+
+
+var test_cursor_update = function() {
+  var deliveries = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return deliveries.length == 2;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('removed', [1, 3], deliveries[1].diff['removed']);
+        assertArrayEquals('results', [], deliveries[1].list);
+        live.dispose();
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      2000); // maxTimeout
+
+  var live = observe_undone(deliveries);
+  db.from('todo').where('done', '=', 0).patch({done: 1});
+};
+
+
+var test_dispose = function() {
+  var deliveries = [];
+  var done;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('no delivery after dispose', 1, deliveries.length);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      2000); // maxTimeout
+
+  var live = observe_undone(deliveries);
+  db.count('todo').addCallback(function() {
+    live.dispose();
+    db.put('todo', {id: 6, title: 'ignored', done: 0}).addCallback(
+        function() {
+          setTimeout(function() {
+            done = true;
+          }, 200);
+        });
+  });
+};
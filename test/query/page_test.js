@@ -0,0 +1,203 @@
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.Query');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_page_1';
+
+var animals = [
+  {id: 0, name: 'worm', legs: 0},
+  {id: 1, name: 'rat', legs: 4},
+  {id: 2, name: 'leopard', legs: 4},
+  {id: 3, name: 'galon', legs: 2},
+  {id: 4, name: 'tiger', legs: 4},
+  {id: 5, name: 'snake', legs: 0},
+  {id: 6, name: 'rhino', legs: 4},
+  {id: 7, name: 'chicken', legs: 2},
+  {id: 8, name: 'leotri', legs: 3},
+  {id: 9, name: 'human', legs: 2}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'animals',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'legs'
+        }]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.clear('animals');
+  db.put('animals', animals);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * @param {!Object} page query page.
+ * @return {!Array} ids of the page items.
+ */
+var ids = function(page) {
+  return goog.array.map(page.items, function(x) {
+    return x.id;
+  });
+};
+
+
+var test_primary_key = function() {
+  var done, pages = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('first', [0, 1, 2, 3], ids(pages[0]));
+        assertNull('no prev of first', pages[0].prev);
+        assertArrayEquals('second', [4, 5, 6, 7], ids(pages[1]));
+        assertArrayEquals('last', [8, 9], ids(pages[2]));
+        assertNull('no next of last', pages[2].next);
+        assertArrayEquals('back to second', [4, 5, 6, 7], ids(pages[3]));
+        assertArrayEquals('back to first', [0, 1, 2, 3], ids(pages[4]));
+        assertNull('no prev of first again', pages[4].prev);
+        assertNotNull('next of first again', pages[4].next);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var q = db.from('animals');
+  q.page(4).addCallback(function(x) {
+    pages.push(x);
+    q.page(4, x.next).addCallback(function(x) {
+      pages.push(x);
+      q.page(4, x.next).addCallback(function(x) {
+        pages.push(x);
+        q.page(4, x.prev).addCallback(function(x) {
+          pages.push(x);
+          q.page(4, x.prev).addCallback(function(x) {
+            pages.push(x);
+            done = true;
+          });
+        });
+      });
+    });
+  });
+};
+
+
+var test_index = function() {
+  var done, pages = [];
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        // records of the same key are ordered by primary key.
+        assertArrayEquals('first', [3, 7, 9], ids(pages[0]));
+        assertArrayEquals('second', [8, 1, 2], ids(pages[1]));
+        assertArrayEquals('last', [4, 6], ids(pages[2]));
+        assertNull('no next of last', pages[2].next);
+        assertArrayEquals('back', [8, 1, 2], ids(pages[3]));
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var q = db.from('animals').where('legs', '>=', 2).order('legs');
+  q.page(3).addCallback(function(x) {
+    pages.push(x);
+    q.page(3, x.next).addCallback(function(x) {
+      pages.push(x);
+      q.page(3, x.next).addCallback(function(x) {
+        pages.push(x);
+        q.page(3, x.prev).addCallback(function(x) {
+          pages.push(x);
+          done = true;
+        });
+      });
+    });
+  });
+};
+
+
+var test_reverse_unique = function() {
+  var done, first, second, back;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('first', [4, 3], first.items);
+        assertArrayEquals('second', [2, 0], second.items);
+        assertNull('no next', second.next);
+        assertArrayEquals('back', [4, 3], back.items);
+        assertNull('no prev', back.prev);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var q = db.from('animals').select('legs').unique(true).reverse();
+  q.page(2).addCallback(function(x) {
+    first = x;
+    q.page(2, x.next).addCallback(function(x) {
+      second = x;
+      q.page(2, x.prev).addCallback(function(x) {
+        back = x;
+        done = true;
+      });
+    });
+  });
+};
+
+
+var test_token = function() {
+  var done, token;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertTrue('url safe', /^[a-z0-9.]+$/.test(token));
+        assertThrows('invalid token', function() {
+          db.from('animals').page(2, 'x.1.');
+        });
+        assertThrows('invalid size', function() {
+          db.from('animals').page(0);
+        });
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.from('animals').where('legs', '=', 4).page(2).addCallback(function(x) {
+    token = x.next;
+    done = true;
+  });
+};
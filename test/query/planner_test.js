@@ -0,0 +1,217 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.Query');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_planner_1';
+
+var animals = [
+  {id: 0, name: 'worm', color: 'brown', horn: 0, legs: 0},
+  {id: 1, name: 'rat', color: 'brown', horn: 0, legs: 4},
+  {id: 2, name: 'leopard', color: 'spots', horn: 2, legs: 4},
+  {id: 3, name: 'galon', color: 'gold', horn: 10, legs: 2},
+  {id: 4, name: 'tiger', color: 'spots', horn: 2, legs: 4},
+  {id: 5, name: 'snake', color: 'spots', horn: 0, legs: 0},
+  {id: 6, name: 'rhino', color: 'spots', horn: 1, legs: 4},
+  {id: 7, name: 'ox', color: 'black', horn: 2, legs: 4},
+  {id: 8, name: 'cow', color: 'spots', horn: 2, legs: 4},
+  {id: 9, name: 'chicken', color: 'red', horn: 0, legs: 2},
+  {id: 10, name: 'unicon', color: 'pink', horn: 1, legs: 4},
+  {id: 11, name: 'cat', color: 'spots', horn: 0, legs: 4},
+  {id: 12, name: 'human', color: 'pink', horn: 0, legs: 2},
+  {id: 13, name: 'leotri', color: 'spots', horn: 2, legs: 3}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'animals',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'color'
+        },
+        {
+          keyPath: 'horn'
+        },
+        {
+          keyPath: 'name'
+        },
+        {
+          keyPath: ['horn', 'name']
+        }]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  // ydn.db.Query.DEBUG = true;
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.clear('animals');
+  db.put('animals', animals);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * List query result and compare with expected primary keys.
+ * @param {ydn.db.Query} q query.
+ * @param {!Array} exp expected primary keys.
+ */
+var list_test = function(q, exp) {
+  var done, result;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertArrayEquals('result', exp, result);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  q.list().addBoth(function(x) {
+    result = x.map(function(obj) {
+      return goog.isObject(obj) ? obj.id : obj;
+    });
+    done = true;
+  });
+};
+
+
+var test_composite_prefix = function() {
+  var q = db.from('animals').where('horn', '=', 2).where('name', '>', 'leo');
+  var plan = q.explain();
+  assertEquals('index', 'horn, name', plan.scans[0].index);
+  assertEquals('no filter', 0, plan.filters.length);
+  list_test(q, [2, 13, 7, 4]);
+};
+
+
+var test_two_equal = function() {
+  var q = db.from('animals').where('color', '=', 'spots').
+      where('horn', '=', 2);
+  var plan = q.explain();
+  assertEquals('one index scanned', 1, plan.scans.length);
+  assertEquals('other tested on values', 1, plan.filters.length);
+  list_test(q, [2, 4, 8, 13]);
+};
+
+
+var test_residual_filter = function() {
+  var q = db.from('animals').where('color', '=', 'spots').
+      where('legs', '=', 4);
+  var plan = q.explain();
+  assertEquals('index', 'color', plan.scans[0].index);
+  assertArrayEquals('filter', ['legs in [4, 4]'], plan.filters);
+  list_test(q, [2, 4, 6, 8, 11]);
+};
+
+
+var test_order_with_filter = function() {
+  var q = db.from('animals').where('horn', '>', 1).order('name');
+  var plan = q.explain();
+  assertEquals('index serving order', 'name', plan.scans[0].index);
+  assertArrayEquals('order', ['name'], plan.order);
+  assertFalse('no sorting', plan.inMemorySort);
+  list_test(q, [8, 3, 2, 13, 7, 4]);
+};
+
+
+var test_primary_key_range = function() {
+  var q = db.from('animals', '>=', 10).where('color', '=', 'pink');
+  list_test(q, [10, 12]);
+};
+
+
+var test_count_filter = function() {
+  var done, result;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('count', 5, result);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.from('animals').where('color', '=', 'spots').where('legs', '=', 4).
+      count().addBoth(function(x) {
+        result = x;
+        done = true;
+      });
+};
+
+
+var test_three_equal_count = function() {
+  var done, result;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('count', 1, result);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  // the planner may choose intersection of indexes.
+  var q = db.from('animals').where('color', '=', 'spots').
+      where('horn', '=', 2).where('name', '=', 'tiger');
+  assertTrue('query', q instanceof ydn.db.Query);
+  q.count().addBoth(function(x) {
+    result = x;
+    done = true;
+  });
+};
+
+
+var test_analyze = function() {
+  var done;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        var stats = db.getStatistics();
+        assertEquals('count', 14, stats.getCount('animals'));
+        assertEquals('distinct color', 6, stats.getDistinct('animals',
+            'color'));
+        assertEquals('distinct horn', 4, stats.getDistinct('animals', 'horn'));
+        // horn = 2 has 1/4 selectivity, color = 'black' 1/6.
+        var plan = db.from('animals').where('horn', '=', 2).
+            where('color', '=', 'black').explain();
+        assertEquals('more selective index', 'color', plan.scans[0].index);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.analyze('animals').addBoth(function() {
+    done = true;
+  });
+};
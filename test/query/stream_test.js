@@ -0,0 +1,149 @@
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.Query');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_stream_1';
+
+var animals = [
+  {id: 0, name: 'worm', legs: 0},
+  {id: 1, name: 'rat', legs: 4},
+  {id: 2, name: 'leopard', legs: 4},
+  {id: 3, name: 'galon', legs: 2},
+  {id: 4, name: 'tiger', legs: 4},
+  {id: 5, name: 'snake', legs: 0},
+  {id: 6, name: 'rhino', legs: 4},
+  {id: 7, name: 'chicken', legs: 2},
+  {id: 8, name: 'leotri', legs: 3},
+  {id: 9, name: 'human', legs: 2}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'animals',
+      keyPath: 'id',
+      indexes: [
+        {
+          keyPath: 'legs'
+        }]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.clear('animals');
+  db.put('animals', animals);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * Consume a stream, pausing between results.
+ * @param {!ydn.db.query.Stream} stream stream.
+ * @param {!Array} out receive record ids.
+ * @param {function(*)} cb called with error, if any, on completion.
+ */
+var consume = function(stream, out, cb) {
+  stream.next().addCallbacks(function(x) {
+    if (x.done) {
+      cb(null);
+      return;
+    }
+    out.push(x.value.id);
+    // longer than a transaction lives.
+    setTimeout(function() {
+      consume(stream, out, cb);
+    }, 10);
+  }, cb);
+};
+
+
+var test_stream = function() {
+  var done, ids = [], error;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNull('no error', error);
+        assertArrayEquals('all records', [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], ids);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  consume(db.from('animals').stream({batch: 3}), ids, function(e) {
+    error = e;
+    done = true;
+  });
+};
+
+
+var test_where = function() {
+  var done, ids = [], error;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNull('no error', error);
+        assertArrayEquals('index order', [3, 7, 9, 8, 1, 2, 4, 6], ids);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var q = db.from('animals').where('legs', '>=', 2).order('legs');
+  consume(q.stream({batch: 2}), ids, function(e) {
+    error = e;
+    done = true;
+  });
+};
+
+
+var test_return = function() {
+  var done, first, last;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('first', 0, first.value.id);
+        assertTrue('done after return', last.done);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  var stream = db.from('animals').stream({batch: 2});
+  stream.next().addCallback(function(x) {
+    first = x;
+    stream['return']();
+    stream.next().addCallback(function(x) {
+      last = x;
+      done = true;
+    });
+  });
+  assertThrows('invalid batch', function() {
+    db.from('animals').stream({batch: 0});
+  });
+};
@@ -0,0 +1,177 @@
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_sql_group_1';
+
+var items = [
+  {id: 1, category: 'fruit', name: 'apple', price: 5},
+  {id: 2, category: 'fruit', name: 'banana', price: 3},
+  {id: 3, category: 'fruit', name: 'apple', price: 4},
+  {id: 4, category: 'nut', name: 'almond', price: 10},
+  {id: 5, category: 'veg', name: 'bean', price: 2},
+  {id: 6, category: 'veg', name: 'corn'},
+  {id: 7, name: 'salt', price: 1}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'items',
+      keyPath: 'id',
+      indexes: [{keyPath: 'category'}]
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.clear();
+  db.put('items', items);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * Execute SQL and compare with expected result.
+ * @param {string} sql SQL statement.
+ * @param {!Array} exp expected result.
+ * @param {Array=} opt_params SQL parameters.
+ */
+var sql_test = function(sql, exp, opt_params) {
+  var done, result;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertObjectEquals('result of ' + sql, exp, result);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.executeSql(sql, opt_params).addBoth(function(x) {
+    result = x;
+    done = true;
+  });
+};
+
+
+var test_group_by = function() {
+  sql_test('SELECT category, COUNT(*), SUM(price) FROM items ' +
+      'GROUP BY category', [
+        {'category': null, 'COUNT(*)': 1, 'SUM(price)': 1},
+        {'category': 'fruit', 'COUNT(*)': 3, 'SUM(price)': 12},
+        {'category': 'nut', 'COUNT(*)': 1, 'SUM(price)': 10},
+        {'category': 'veg', 'COUNT(*)': 2, 'SUM(price)': 2}
+      ]);
+};
+
+
+var test_null_group_in_memory = function() {
+  // price is not indexed.
+  sql_test('SELECT price, COUNT(*) AS n FROM items WHERE id > 4 ' +
+      'GROUP BY price', [
+        {'price': null, 'n': 1},
+        {'price': 1, 'n': 1},
+        {'price': 2, 'n': 1}
+      ]);
+};
+
+
+var test_min_max = function() {
+  sql_test('SELECT category, MIN(name) AS lo, MAX(name) AS hi FROM items ' +
+      'GROUP BY category', [
+        {'category': null, 'lo': 'salt', 'hi': 'salt'},
+        {'category': 'fruit', 'lo': 'apple', 'hi': 'banana'},
+        {'category': 'nut', 'lo': 'almond', 'hi': 'almond'},
+        {'category': 'veg', 'lo': 'bean', 'hi': 'corn'}
+      ]);
+};
+
+
+var test_having = function() {
+  sql_test('SELECT category, COUNT(*) AS n FROM items WHERE price > 2 ' +
+      'GROUP BY category HAVING COUNT(*) > 1', [
+        {'category': 'fruit', 'n': 3}
+      ]);
+};
+
+
+var test_having_hidden = function() {
+  sql_test('SELECT category FROM items GROUP BY category ' +
+      'HAVING MAX(price) >= 5', [
+        {'category': 'fruit'},
+        {'category': 'nut'}
+      ]);
+};
+
+
+var test_aliases = function() {
+  sql_test('SELECT MIN(price) AS lo, MAX(price) AS hi, AVG(price) avg, ' +
+      'COUNT(price) AS n FROM items WHERE category = "veg"', [
+        {'lo': 2, 'hi': 2, 'avg': 2, 'n': 1}
+      ]);
+};
+
+
+var test_count_distinct = function() {
+  sql_test('SELECT COUNT(DISTINCT name) AS names, COUNT(*) AS n ' +
+      'FROM items', [
+        {'names': 6, 'n': 7}
+      ]);
+};
+
+
+var test_empty = function() {
+  sql_test('SELECT COUNT(*) AS n, SUM(price) AS total FROM items ' +
+      'WHERE price > ?', [
+        {'n': 0, 'total': null}
+      ], [100]);
+};
+
+
+var test_group_in_memory = function() {
+  // name is not indexed.
+  sql_test('SELECT name, COUNT(*) AS n FROM items GROUP BY name ' +
+      'HAVING n > 1', [
+        {'name': 'apple', 'n': 2}
+      ]);
+};
+
+
+var test_order_limit = function() {
+  sql_test('SELECT category, SUM(price) AS total FROM items ' +
+      'GROUP BY category ORDER BY total DESC LIMIT 2', [
+        {'category': 'fruit', 'total': 12},
+        {'category': 'nut', 'total': 10}
+      ]);
+};
+
+
+var test_explain = function() {
+  var plan = db.explain('SELECT category, COUNT(*) FROM items ' +
+      'GROUP BY category');
+  assertEquals('index', 'category', plan.scans[0].index);
+  assertNull('scan for NULL group', plan.scans[1].index);
+  assertArrayEquals('group by', ['category'], plan.groupBy);
+  assertFalse('streamed', plan.inMemoryGroup);
+  assertEquals('aggregate', 'COUNT(*)', plan.aggregate);
+
+  plan = db.explain('SELECT name, COUNT(*) FROM items GROUP BY name');
+  assertTrue('in memory', plan.inMemoryGroup);
+  reachedFinalContinuation = true;
+};
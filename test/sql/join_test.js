@@ -0,0 +1,199 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_sql_join_1';
+
+var customers = [
+  {id: 1, name: 'ann', city: 'yangon'},
+  {id: 2, name: 'bob', city: 'mandalay'},
+  {id: 3, name: 'cat', city: 'yangon'}
+];
+
+var orders = [
+  {id: 10, cid: 1, item: 'apple', qty: 2},
+  {id: 11, cid: 2, item: 'banana', qty: 1},
+  {id: 12, cid: 1, item: 'cherry', qty: 5},
+  {id: 13, cid: 9, item: 'apple', qty: 3}
+];
+
+var items = [
+  {code: 'apple', price: 5},
+  {code: 'banana', price: 7},
+  {code: 'cherry', price: 1}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'customers',
+      keyPath: 'id',
+      indexes: [{keyPath: 'name'}]
+    }, {
+      name: 'orders',
+      keyPath: 'id',
+      indexes: [{keyPath: 'cid'}]
+    }, {
+      name: 'items',
+      keyPath: 'code'
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.clear();
+  db.put('customers', customers);
+  db.put('orders', orders);
+  db.put('items', items);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * Execute SQL and compare with expected result.
+ * @param {string} sql SQL statement.
+ * @param {!Array} exp expected result.
+ * @param {Array=} opt_params SQL parameters.
+ */
+var sql_test = function(sql, exp, opt_params) {
+  var done, result;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertObjectEquals('result of ' + sql, exp, result);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.executeSql(sql, opt_params).addBoth(function(x) {
+    result = x;
+    done = true;
+  });
+};
+
+
+var test_inner_join = function() {
+  sql_test('SELECT c.name, o.item FROM customers AS c ' +
+      'INNER JOIN orders AS o ON o.cid = c.id', [
+        {'c.name': 'ann', 'o.item': 'apple'},
+        {'c.name': 'ann', 'o.item': 'cherry'},
+        {'c.name': 'bob', 'o.item': 'banana'}
+      ]);
+};
+
+
+var test_left_join = function() {
+  sql_test('SELECT o.id, c.name FROM orders o ' +
+      'LEFT JOIN customers c ON c.id = o.cid', [
+        {'o.id': 10, 'c.name': 'ann'},
+        {'o.id': 11, 'c.name': 'bob'},
+        {'o.id': 12, 'c.name': 'ann'},
+        {'o.id': 13, 'c.name': null}
+      ]);
+};
+
+
+var test_left_join_no_match = function() {
+  sql_test('SELECT c.name FROM customers c LEFT JOIN orders o ' +
+      'ON o.cid = c.id WHERE c.city = "yangon"', ['ann', 'ann', 'cat']);
+};
+
+
+var test_select_all = function() {
+  sql_test('SELECT * FROM customers c JOIN orders o ON o.cid = c.id ' +
+      'WHERE c.id = 2', [{c: customers[1], o: orders[1]}]);
+};
+
+
+var test_select_table = function() {
+  sql_test('SELECT o.* FROM customers c JOIN orders o ON o.cid = c.id ' +
+      'WHERE c.name = "ann"', [orders[0], orders[2]]);
+};
+
+
+var test_three_tables = function() {
+  sql_test('SELECT o.id, i.price FROM orders o ' +
+      'JOIN items i ON i.code = o.item ' +
+      'JOIN customers c ON c.id = o.cid ' +
+      'WHERE c.city = "yangon" AND i.price > 2', [
+        {'o.id': 10, 'i.price': 5}
+      ]);
+};
+
+
+var test_nested_loop = function() {
+  // orders.item is not indexed.
+  sql_test('SELECT i.code, o.id FROM items i JOIN orders o ' +
+      'ON o.item = i.code', [
+        {'i.code': 'apple', 'o.id': 10},
+        {'i.code': 'apple', 'o.id': 13},
+        {'i.code': 'banana', 'o.id': 11},
+        {'i.code': 'cherry', 'o.id': 12}
+      ]);
+};
+
+
+var test_order_limit = function() {
+  sql_test('SELECT o.qty FROM customers c JOIN orders o ON o.cid = c.id ' +
+      'ORDER BY o.qty DESC LIMIT 2 OFFSET ?', [2, 1], [1]);
+};
+
+
+var test_limit = function() {
+  sql_test('SELECT o.id FROM customers c JOIN orders o ON o.cid = c.id ' +
+      'LIMIT 2 OFFSET 1', [12, 11]);
+};
+
+
+var test_explain = function() {
+  var plan = db.explain('SELECT * FROM customers c JOIN orders o ' +
+      'ON o.cid = c.id JOIN items i ON i.code = o.item');
+  assertEquals('# scans', 3, plan.scans.length);
+  assertEquals('join index', 'cid', plan.scans[1].index);
+  assertNull('join primary key', plan.scans[2].index);
+  assertEquals('solver', 'NestedLoop', plan.solver);
+
+  plan = db.explain('SELECT * FROM items i JOIN orders o ' +
+      'ON o.item = i.code');
+  assertNull('full scan', plan.scans[1].index);
+  assertEquals('solver', 'NestedLoop', plan.solver);
+  reachedFinalContinuation = true;
+};
+
+
+var test_unknown_alias = function() {
+  assertThrows('select field', function() {
+    db.executeSql('SELECT x.id FROM customers c JOIN orders o ' +
+        'ON o.cid = c.id');
+  });
+  assertThrows('join field', function() {
+    db.executeSql('SELECT * FROM customers c JOIN orders o ' +
+        'ON o.cid = x.id');
+  });
+  assertThrows('where field', function() {
+    db.executeSql('SELECT * FROM customers c JOIN orders o ' +
+        'ON o.cid = c.id WHERE x.id = 1');
+  });
+  assertThrows('order by', function() {
+    db.executeSql('SELECT * FROM customers c JOIN orders o ' +
+        'ON o.cid = c.id ORDER BY x.id');
+  });
+  reachedFinalContinuation = true;
+};
@@ -357,4 +357,161 @@ var test_aggregate_field = function() {
   assertArrayEquals('stores', ['st1'], sql.getStoreNames());
   assertEquals('aggregate', 'COUNT', sql.getAggregate());
   assertArrayEquals('fields', ['f2'], sql.getSelList());
-};
\ No newline at end of file
+};
+
+var test_join = function() {
+  var sql = new ydn.db.Sql('SELECT c.name, o.item FROM customers AS c ' +
+      'INNER JOIN orders o ON c.id = o.cid WHERE o.qty > 1');
+  assertEquals('parse ok', '', sql.parse());
+  assertTrue('join', sql.hasJoin());
+  assertArrayEquals('stores', ['customers', 'orders'], sql.getStoreNames());
+  assertArrayEquals('selList', ['c.name', 'o.item'], sql.getSelList());
+  var tables = sql.getTables();
+  assertEquals('# tables', 2, tables.length);
+  assertEquals('first store', 'customers', tables[0].storeName);
+  assertEquals('first alias', 'c', tables[0].alias);
+  assertEquals('join store', 'orders', tables[1].storeName);
+  assertEquals('join alias', 'o', tables[1].alias);
+  assertEquals('type', 'INNER', tables[1].type);
+  assertEquals('field', 'cid', tables[1].field);
+  assertEquals('left alias', 'c', tables[1].leftAlias);
+  assertEquals('left field', 'id', tables[1].leftField);
+  assertEquals('where', 'o.qty', sql.getConditions()[0].getField());
+
+  sql = new ydn.db.Sql('SELECT * FROM orders LEFT OUTER JOIN customers ' +
+      'ON customers.id = orders.cid LEFT JOIN orders AS p ON p.cid = ' +
+      'customers.id');
+  assertEquals('parse ok', '', sql.parse());
+  assertArrayEquals('distinct stores', ['orders', 'customers'],
+      sql.getStoreNames());
+  tables = sql.getTables();
+  assertEquals('# tables', 3, tables.length);
+  assertEquals('alias default to store name', 'orders', tables[0].alias);
+  assertEquals('left join', 'LEFT', tables[1].type);
+  assertEquals('self join', 'p', tables[2].alias);
+  assertEquals('self join left', 'customers', tables[2].leftAlias);
+};
+
+
+var test_join_error = function() {
+  var sql = new ydn.db.Sql('SELECT * FROM customers c JOIN orders o');
+  assertNotEquals('ON required', '', sql.parse());
+
+  sql = new ydn.db.Sql('SELECT * FROM customers c JOIN orders o ' +
+      'ON o.cid = x.id');
+  assertNotEquals('unknown alias', '', sql.parse());
+
+  sql = new ydn.db.Sql('SELECT * FROM customers c JOIN orders c ' +
+      'ON c.cid = c.id');
+  assertNotEquals('duplicate alias', '', sql.parse());
+};
+
+
+var test_group_by = function() {
+  var sql = new ydn.db.Sql('SELECT category, COUNT(*), SUM(price) AS total ' +
+      'FROM items WHERE price > 2 GROUP BY category HAVING COUNT(*) > 5 ' +
+      'ORDER BY total DESC LIMIT 3');
+  assertEquals('parse ok', '', sql.parse());
+  assertTrue('grouped', sql.isGrouped());
+  assertUndefined('no legacy aggregate', sql.getAggregate());
+  assertArrayEquals('stores', ['items'], sql.getStoreNames());
+  assertArrayEquals('group by', ['category'], sql.getGroupBy());
+  assertEquals('where', 'price', sql.getConditions()[0].getField());
+  assertEquals('limit', 3, sql.getLimit());
+  var columns = sql.getColumns();
+  assertEquals('# columns', 3, columns.length);
+  assertEquals('plain column', 'category', columns[0].expr);
+  assertEquals('aggregate', 'COUNT', columns[1].aggregate);
+  assertEquals('count all', '*', columns[1].field);
+  assertEquals('alias', 'total', columns[2].alias);
+  assertEquals('having', 'c1', sql.getHaving()[0].getField());
+  assertEquals('order column', 2, sql.getOrderColumn());
+  assertTrue('reverse', sql.isReversed());
+
+  sql = new ydn.db.Sql('SELECT COUNT(DISTINCT name) FROM items');
+  assertEquals('parse ok', '', sql.parse());
+  assertTrue('distinct is grouped', sql.isGrouped());
+  columns = sql.getColumns();
+  assertTrue('distinct', columns[0].distinct);
+  assertEquals('expr', 'COUNT(DISTINCT name)', columns[0].expr);
+
+  sql = new ydn.db.Sql('SELECT category FROM items GROUP BY category ' +
+      'HAVING MAX(price) > 5');
+  assertEquals('parse ok', '', sql.parse());
+  columns = sql.getColumns();
+  assertEquals('# columns', 2, columns.length);
+  assertTrue('hidden column', columns[1].hidden);
+
+  sql = new ydn.db.Sql('SELECT COUNT(x) FROM st');
+  assertEquals('parse ok', '', sql.parse());
+  assertFalse('single aggregate', sql.isGrouped());
+  assertEquals('legacy aggregate', 'COUNT', sql.getAggregate());
+};
+
+
+var test_group_by_error = function() {
+  var sql = new ydn.db.Sql('SELECT category, name, COUNT(*) FROM items ' +
+      'GROUP BY category');
+  assertNotEquals('not grouped column', '', sql.parse());
+
+  sql = new ydn.db.Sql('SELECT category FROM items GROUP BY category ' +
+      'HAVING price > 1');
+  assertNotEquals('not aggregate in having', '', sql.parse());
+
+  sql = new ydn.db.Sql('SELECT SUM(DISTINCT *) FROM items');
+  assertNotEquals('invalid aggregate', '', sql.parse());
+
+  sql = new ydn.db.Sql('SELECT MAX(price) AS x, MIN(price) AS x FROM items');
+  assertNotEquals('duplicate column', '', sql.parse());
+};
+
+
+var test_insert = function() {
+  var sql = new ydn.db.Sql('INSERT INTO st1 (id, "name", qty) VALUES ' +
+      '(?, ?, 3), (2, \'b, c\', NULL)');
+  assertEquals('parse ok', '', sql.parse([1, 'a']));
+  assertEquals('action', 'INSERT', sql.getAction());
+  assertEquals('mode', ydn.db.base.TransactionMode.READ_WRITE, sql.getMode());
+  assertArrayEquals('stores', ['st1'], sql.getStoreNames());
+  assertArrayEquals('fields', ['id', 'name', 'qty'], sql.getFields());
+  assertObjectEquals('values', [[1, 'a', 3], [2, 'b, c', null]],
+      sql.getValues());
+
+  sql = new ydn.db.Sql('INSERT INTO st1 (id, name) VALUES (1)');
+  assertNotEquals('value count', '', sql.parse());
+
+  sql = new ydn.db.Sql('INSERT INTO st1 VALUES (1)');
+  assertNotEquals('column list required', '', sql.parse());
+
+  sql = new ydn.db.Sql('INSERT INTO st1 (id) VALUES (x)');
+  assertNotEquals('invalid value', '', sql.parse());
+};
+
+
+var test_update = function() {
+  var sql = new ydn.db.Sql('UPDATE st1 SET name = ?, qty = 0 ' +
+      'WHERE x BETWEEN ? AND ? AND y = ?');
+  assertEquals('parse ok', '', sql.parse(['a b', 2, 4, 'AND']));
+  assertEquals('action', 'UPDATE', sql.getAction());
+  assertArrayEquals('fields', ['name', 'qty'], sql.getFields());
+  assertObjectEquals('values', [['a b', 0]], sql.getValues());
+  var wheres = sql.getConditions();
+  assertEquals('# wheres', 2, wheres.length);
+  assertEquals('between', 'x', wheres[0].getField());
+  assertEquals('lower', 2, wheres[0].getKeyRange().lower);
+  assertEquals('upper', 4, wheres[0].getKeyRange().upper);
+  assertEquals('bound string', 'AND', wheres[1].getKeyRange().lower);
+};
+
+
+var test_delete = function() {
+  var sql = new ydn.db.Sql('DELETE FROM "st1" WHERE x > 1');
+  assertEquals('parse ok', '', sql.parse());
+  assertEquals('action', 'DELETE', sql.getAction());
+  assertArrayEquals('stores', ['st1'], sql.getStoreNames());
+  assertEquals('where', 'x', sql.getConditions()[0].getField());
+
+  sql = new ydn.db.Sql('DELETE FROM st1');
+  assertEquals('parse ok', '', sql.parse());
+  assertEquals('# wheres', 0, sql.getConditions().length);
+};
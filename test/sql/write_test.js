@@ -0,0 +1,235 @@
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+
+
+var reachedFinalContinuation, db;
+var db_name = 'test_sql_write_1';
+
+var items = [
+  {id: 1, name: 'apple', qty: 2},
+  {id: 2, name: 'banana', qty: 5},
+  {id: 3, name: 'cherry', qty: 7},
+  {id: 4, name: 'durian', qty: 1}
+];
+
+var schema = {
+  stores: [
+    {
+      name: 'items',
+      keyPath: 'id',
+      indexes: [{keyPath: 'qty'}, {keyPath: 'name'}]
+    }, {
+      name: 'fixed',
+      keyPath: 'id',
+      fixed: true,
+      indexes: [{keyPath: 'name'}]
+    }, {
+      name: 'out_of_line'
+    }, {
+      name: 'compound',
+      keyPath: ['a', 'b'],
+      fixed: true
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  db = new ydn.db.Storage(db_name, schema, options);
+  db.clear();
+  db.put('items', items);
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+  ydn.db.deleteDatabase(db.getName(), db.getType());
+  db.close();
+};
+
+
+/**
+ * Execute a write statement, then compare number of affected records and
+ * records in the store.
+ * @param {string} sql SQL statement.
+ * @param {Array} params SQL parameters.
+ * @param {number} exp_count expected number of affected records.
+ * @param {!Array} exp_records expected records in the store.
+ */
+var write_test = function(sql, params, exp_count, exp_records) {
+  var done, count, records;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertEquals('affected by ' + sql, exp_count, count);
+        assertObjectEquals('records after ' + sql, exp_records, records);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.executeSql(sql, params).addBoth(function(x) {
+    count = x;
+    db.values('items').addBoth(function(x) {
+      records = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_insert = function() {
+  write_test('INSERT INTO items (id, name, qty) VALUES (?, ?, ?), ' +
+      '(6, "fig, dried", NULL)', [5, 'elder', 3], 2, items.concat([
+        {id: 5, name: 'elder', qty: 3},
+        {id: 6, name: 'fig, dried', qty: null}
+      ]));
+};
+
+
+var test_insert_duplicate = function() {
+  var done, result;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNotNull('error', result);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.executeSql('INSERT INTO items (id, name) VALUES (?, ?)', [1, 'x']).
+      addCallbacks(function(x) {
+        result = null;
+        done = true;
+      }, function(e) {
+        result = e;
+        done = true;
+      });
+};
+
+
+var test_insert_rollback = function() {
+  var done, error, records;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNotNull('error', error);
+        assertObjectEquals('no row inserted', items, records);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.executeSql('INSERT INTO items (id, name) VALUES (7, "x"), (1, "y")')
+      .addErrback(function(e) {
+        error = e;
+        db.values('items').addBoth(function(x) {
+          records = x;
+          done = true;
+        });
+      });
+};
+
+
+var test_update_hook = function() {
+  var done, records;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertTrue('hooked', records[0].hooked);
+        assertEquals('updated', 0, records[0].qty);
+        assertUndefined('not matched', records[1].hooked);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      1000); // maxTimeout
+
+  db.addHook('items', {
+    before: function(record) {
+      record.hooked = true;
+    }
+  }, {methods: ['put']});
+  db.executeSql('UPDATE items SET qty = 0 WHERE id = 1').addBoth(function() {
+    db.values('items').addBoth(function(x) {
+      records = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_update = function() {
+  write_test('UPDATE items SET name = ?, qty = 0 WHERE qty BETWEEN ? AND ?',
+      ['sold', 2, 5], 2, [
+        {id: 1, name: 'sold', qty: 0},
+        {id: 2, name: 'sold', qty: 0},
+        items[2],
+        items[3]
+      ]);
+};
+
+
+var test_update_filter = function() {
+  write_test('UPDATE items SET qty = 9 WHERE id > 1 AND name < ?',
+      ['d'], 2, [
+        items[0],
+        {id: 2, name: 'banana', qty: 9},
+        {id: 3, name: 'cherry', qty: 9},
+        items[3]
+      ]);
+};
+
+
+var test_delete = function() {
+  write_test('DELETE FROM items WHERE qty >= ?', [5], 2, [items[0], items[3]]);
+};
+
+
+var test_delete_all = function() {
+  write_test('DELETE FROM items', null, 4, []);
+};
+
+
+var test_validation = function() {
+  assertThrows('unknown store', function() {
+    db.executeSql('DELETE FROM nothing');
+  });
+  assertThrows('primary key cannot be updated', function() {
+    db.executeSql('UPDATE items SET id = 5');
+  });
+  assertThrows('primary key required', function() {
+    db.executeSql('INSERT INTO items (name) VALUES ("x")');
+  });
+  assertThrows('out-of-line key', function() {
+    db.executeSql('INSERT INTO out_of_line (name) VALUES ("x")');
+  });
+  assertThrows('part of compound primary key required', function() {
+    db.executeSql('INSERT INTO compound (a) VALUES (1)');
+  });
+  assertThrows('unknown field of fixed store', function() {
+    db.executeSql('INSERT INTO fixed (id, color) VALUES (1, "red")');
+  });
+  assertThrows('column count', function() {
+    db.executeSql('INSERT INTO items (id, name) VALUES (1)');
+  });
+  reachedFinalContinuation = true;
+};
@@ -0,0 +1,325 @@
+// schema migration script test
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.debug');
+goog.require('ydn.db');
+goog.require('ydn.db.crud.Storage');
+
+
+var reachedFinalContinuation;
+
+var contacts = [
+  {id: 1, name: 'Kyaw Tun'},
+  {id: 2, name: 'John Smith'}
+];
+
+var schema_v1 = {
+  version: 1,
+  stores: [
+    {
+      name: 'contact',
+      keyPath: 'id'
+    }, {
+      name: 'note'
+    }]
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+};
+
+
+/**
+ * Create version 1 database with data and then open it with the given
+ * version 2 schema.
+ * @param {string} db_name database name.
+ * @param {!DatabaseSchema} schema_v2 schema.
+ * @param {function(!ydn.db.crud.Storage, Error)} cb receive version 2 database
+ * and connection error.
+ */
+var upgrade = function(db_name, schema_v2, cb) {
+  var db = new ydn.db.crud.Storage(db_name, schema_v1, options);
+  db.put('contact', contacts);
+  db.put('note', [{text: 'a'}, {text: 'b'}], ['k1', 'k2']);
+  db.count('contact').addBoth(function() {
+    db.close();
+    setTimeout(function() {
+      var db2 = new ydn.db.crud.Storage(db_name, schema_v2, options);
+      db2.onReady(function(e) {
+        cb(db2, e || null);
+      });
+    }, 100);
+  });
+};
+
+
+var test_rewrite_records = function() {
+  var db_name = 'test_migration_rewrite_' + Math.random();
+  var schema_v2 = {
+    version: 2,
+    stores: [
+      {
+        name: 'contact',
+        keyPath: 'id',
+        indexes: [{keyPath: 'last'}]
+      }, {
+        name: 'note'
+      }],
+    migrations: {
+      2: function(op, old_version, version) {
+        versions = [old_version, version];
+        return op.values('contact').addCallback(function(list) {
+          var dfs = [];
+          for (var i = 0; i < list.length; i++) {
+            var names = list[i].name.split(' ');
+            list[i].first = names[0];
+            list[i].last = names[1];
+            delete list[i].name;
+            dfs.push(op.put('contact', list[i]));
+          }
+          return dfs[dfs.length - 1];
+        });
+      }
+    }
+  };
+  var done, result, error, versions;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNull('no error', error);
+        assertArrayEquals('versions', [1, 2], versions);
+        assertArrayEquals('rewritten by last name', [
+          {id: 2, first: 'John', last: 'Smith'},
+          {id: 1, first: 'Kyaw', last: 'Tun'}], result);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  upgrade(db_name, schema_v2, function(db, e) {
+    error = e;
+    db.values('contact', 'last', null).addBoth(function(x) {
+      result = x;
+      done = true;
+      ydn.db.deleteDatabase(db.getName(), db.getType());
+      db.close();
+    });
+  });
+};
+
+
+var test_move_records = function() {
+  var db_name = 'test_migration_move_' + Math.random();
+  var schema_v2 = {
+    version: 2,
+    stores: [
+      {
+        name: 'contact',
+        keyPath: 'id'
+      }, {
+        name: 'memo',
+        keyPath: 'id'
+      }],
+    migrations: {
+      2: function(op) {
+        // note store is removed after migration.
+        return op.keys('note').addCallback(function(keys) {
+          return op.values('note').addCallback(function(list) {
+            var df;
+            for (var i = 0; i < list.length; i++) {
+              list[i].id = keys[i];
+              df = op.put('memo', list[i]);
+            }
+            return df;
+          });
+        });
+      }
+    }
+  };
+  var done, result, error, has_note;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNull('no error', error);
+        assertFalse('note store removed', has_note);
+        assertArrayEquals('moved', [
+          {id: 'k1', text: 'a'},
+          {id: 'k2', text: 'b'}], result);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  upgrade(db_name, schema_v2, function(db, e) {
+    error = e;
+    has_note = db.getSchema().hasStore('note');
+    db.values('memo').addBoth(function(x) {
+      result = x;
+      done = true;
+      ydn.db.deleteDatabase(db.getName(), db.getType());
+      db.close();
+    });
+  });
+};
+
+
+var test_skip_applied = function() {
+  var db_name = 'test_migration_skip_' + Math.random();
+  var run = [];
+  var schema_v3 = {
+    version: 3,
+    stores: schema_v1.stores,
+    migrations: {
+      1: function(op) {
+        run.push(1);
+      },
+      3: function(op) {
+        run.push(3);
+        return op.count('contact').addCallback(function(n) {
+          run.push(n);
+        });
+      },
+      2: function(op) {
+        run.push(2);
+      }
+    }
+  };
+  var done, error;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNull('no error', error);
+        assertArrayEquals('run in order', [2, 3, 2], run);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  upgrade(db_name, schema_v3, function(db, e) {
+    error = e;
+    done = true;
+    ydn.db.deleteDatabase(db.getName(), db.getType());
+    db.close();
+  });
+};
+
+
+var test_promise = function() {
+  var db_name = 'test_migration_promise_' + Math.random();
+  var run = [];
+  var schema_v3 = {
+    version: 3,
+    stores: schema_v1.stores,
+    migrations: {
+      2: function(op) {
+        // thenable resolved by a request of the operator.
+        return {
+          then: function(resolve, reject) {
+            op.count('contact').addCallbacks(function(n) {
+              run.push(n);
+              resolve(n);
+            }, reject);
+          }
+        };
+      },
+      3: function(op) {
+        run.push(3);
+      }
+    }
+  };
+  var done, error;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNull('no error', error);
+        assertArrayEquals('waited', [2, 3], run);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  upgrade(db_name, schema_v3, function(db, e) {
+    error = e;
+    done = true;
+    ydn.db.deleteDatabase(db.getName(), db.getType());
+    db.close();
+  });
+};
+
+
+var test_failed_migration = function() {
+  var db_name = 'test_migration_fail_' + Math.random();
+  var schema_v2 = {
+    version: 2,
+    stores: schema_v1.stores,
+    migrations: {
+      2: function(op) {
+        return op.put('contact', {id: 3, name: 'Foo'}).addCallback(
+            function() {
+              throw new Error('migration error');
+            });
+      }
+    }
+  };
+  var done, error;
+  waitForCondition(
+      // Condition
+      function() {
+        return done;
+      },
+      // Continuation
+      function() {
+        assertNotNull('connection fail', error);
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  upgrade(db_name, schema_v2, function(db, e) {
+    error = e;
+    done = true;
+    db.close();
+    ydn.db.deleteDatabase(db_name);
+  });
+};
+
+
+var test_invalid_migration = function() {
+  assertThrows('auto version', function() {
+    new ydn.db.schema.Database({
+      stores: [],
+      migrations: {2: function() {}}
+    });
+  });
+  assertThrows('larger than version', function() {
+    new ydn.db.schema.Database({
+      version: 2,
+      stores: [],
+      migrations: {3: function() {}}
+    });
+  });
+  reachedFinalContinuation = true;
+};
@@ -0,0 +1,183 @@
+
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.Storage');
+goog.require('ydn.db.con.simple.PagedIndex');
+goog.require('ydn.db.req.InMemoryStorage');
+goog.require('ydn.debug');
+
+
+
+var reachedFinalContinuation, storage, records, build_count;
+var key_base = 'test_paged_index^st^id';
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+  storage = new ydn.db.req.InMemoryStorage();
+  records = [];
+  for (var i = 0; i < 250; i++) {
+    records.push(2 * i);
+  }
+  build_count = 0;
+  reachedFinalContinuation = false;
+};
+
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+};
+
+
+/**
+ * @param {string=} opt_signature index definition.
+ * @return {!ydn.db.con.simple.PagedIndex}
+ */
+var createIndex = function(opt_signature) {
+  return new ydn.db.con.simple.PagedIndex(storage, key_base,
+      opt_signature || '"id"', function() {
+        build_count++;
+        return goog.array.map(records, function(key) {
+          return new ydn.db.con.simple.Node(key);
+        });
+      });
+};
+
+
+/**
+ * @param {!ydn.db.con.simple.PagedIndex} index
+ * @param {boolean=} opt_reverse
+ * @param {IDBKey=} opt_start
+ * @return {!Array} traversed keys.
+ */
+var listKeys = function(index, opt_reverse, opt_start) {
+  var keys = [];
+  var start = goog.isDef(opt_start) ?
+      new ydn.db.con.simple.Node(opt_start) : undefined;
+  var fn = function(node) {
+    if (node) {
+      keys.push(node.getKey());
+    }
+  };
+  if (opt_reverse) {
+    index.reverseTraverse(fn, start);
+  } else {
+    index.traverse(fn, start);
+  }
+  return keys;
+};
+
+
+var test_build_once = function() {
+  var keys = listKeys(createIndex());
+  assertEquals('built', 1, build_count);
+  assertArrayEquals('all keys', records, keys);
+  var index = createIndex();
+  assertEquals('count', 250, index.getCount());
+  assertArrayEquals('from 101', goog.array.slice(records, 51),
+      listKeys(index, false, 101));
+  assertArrayEquals('reverse from 100', goog.array.slice(records, 0, 51).
+      reverse(), listKeys(index, true, 100));
+  assertEquals('loaded from storage', 1, build_count);
+  reachedFinalContinuation = true;
+};
+
+
+var test_add_remove = function() {
+  var index = createIndex();
+  index.getCount();
+  for (var i = 0; i < 150; i++) {
+    index.add(new ydn.db.con.simple.Node(2 * i + 1));
+  }
+  index.add(new ydn.db.con.simple.Node(1));
+  for (var i = 0; i < 20; i++) {
+    index.remove(new ydn.db.con.simple.Node(i));
+  }
+  var expected = [];
+  for (var i = 20; i < 300; i++) {
+    expected.push(i);
+  }
+  expected = expected.concat(goog.array.slice(records, 150));
+  var reloaded = createIndex();
+  assertEquals('count', expected.length, reloaded.getCount());
+  assertArrayEquals('keys', expected, listKeys(reloaded));
+  assertEquals('built', 1, build_count);
+  reachedFinalContinuation = true;
+};
+
+
+var test_corrupted_page = function() {
+  createIndex().getCount();
+  var page_key = key_base + ydn.db.con.simple.PagedIndex.SEP + '1';
+  assertNotNull('page exist', storage.getItem(page_key));
+  storage.setItem(page_key, '[["1",null]]');
+  assertArrayEquals('rebuilt', records, listKeys(createIndex()));
+  assertEquals('built again', 2, build_count);
+  reachedFinalContinuation = true;
+};
+
+
+var test_changed_definition = function() {
+  createIndex().getCount();
+  assertEquals('other definition', 250, createIndex('"key"').getCount());
+  assertEquals('built again', 2, build_count);
+  reachedFinalContinuation = true;
+};
+
+
+var test_drop = function() {
+  var index = createIndex();
+  index.getCount();
+  index.drop();
+  assertEquals('removed from storage', 0, storage.length);
+  reachedFinalContinuation = true;
+};
+
+
+var test_reopen_storage = function() {
+  var db_name = 'test_paged_index_1';
+  var schema = {
+    stores: [{
+      name: 'st',
+      keyPath: 'id',
+      indexes: [{
+        keyPath: 'tag'
+      }]
+    }]
+  };
+  var objs = [];
+  for (var i = 0; i < 230; i++) {
+    objs.push({id: i, tag: 'tag' + (i % 3)});
+  }
+  var result;
+  waitForCondition(
+      // Condition
+      function() {
+        return goog.isDef(result);
+      },
+      // Continuation
+      function() {
+        assertEquals('tag1', 77, result.length);
+        assertEquals('first', 1, result[0].id);
+        ydn.db.deleteDatabase(db_name, 'localstorage');
+        reachedFinalContinuation = true;
+      },
+      100, // interval
+      2000); // maxTimeout
+
+  var db = new ydn.db.Storage(db_name, schema, options);
+  db.clear('st');
+  db.put('st', objs).addCallback(function() {
+    db.valuesByIndex('st', 'tag', ydn.db.KeyRange.only('tag0'), 1).addCallback(
+        function() {
+          db.close();
+          var db2 = new ydn.db.Storage(db_name, schema, options);
+          db2.valuesByIndex('st', 'tag', ydn.db.KeyRange.only('tag1'), 100)
+              .addCallback(function(x) {
+                result = x;
+                db2.close();
+              });
+        });
+  });
+};
@@ -0,0 +1,324 @@
+
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.crud.Storage.sync');
+goog.require('ydn.debug');
+
+
+var reachedFinalContinuation, debug_console;
+
+var store_name = 'todo';
+var base_uri = '/api/todo';
+
+
+
+/**
+ * In memory REST server.
+ * @constructor
+ */
+var MockServer = function() {
+  this.records = {};
+  this.etags = {};
+  this.version = 0;
+};
+
+
+/**
+ * @param {Object} record
+ */
+MockServer.prototype.save = function(record) {
+  this.version++;
+  this.records[record.id] = record;
+  this.etags[record.id] = '"' + this.version + '"';
+};
+
+
+/**
+ * Transport interface.
+ * @param {Object} args
+ * @return {Object}
+ */
+MockServer.prototype.request = function(args) {
+  var me = this;
+  return {
+    execute: function(cb) {
+      setTimeout(function() {
+        var res = me.handle(args);
+        var raw = {gapiRequest: {data: {
+          status: res.status,
+          headers: res.headers || {},
+          body: JSON.stringify(res.body)
+        }}};
+        cb(res.body, JSON.stringify(raw));
+      }, 1);
+    }
+  };
+};
+
+
+/**
+ * @param {Object} args
+ * @return {{status: number, headers: Object, body: *}}
+ */
+MockServer.prototype.handle = function(args) {
+  var headers = args.headers || {};
+  if (args.path == base_uri) {
+    var etag = '"c' + this.version + '"';
+    if (headers['If-None-Match'] == etag) {
+      return {status: 304};
+    }
+    var items = [];
+    for (var id in this.records) {
+      items.push(this.records[id]);
+    }
+    return {status: 200, headers: {ETag: etag}, body: items};
+  }
+  var id = decodeURIComponent(args.path.substr(base_uri.length + 1));
+  if (args.method == 'GET') {
+    if (!this.records[id]) {
+      return {status: 404};
+    }
+    return {status: 200, headers: {ETag: this.etags[id]},
+      body: this.records[id]};
+  }
+  if (headers['If-Match'] && headers['If-Match'] != this.etags[id]) {
+    return {status: 412};
+  }
+  if (args.method == 'PUT') {
+    this.save(JSON.parse(args.body));
+    return {status: 200, headers: {ETag: this.etags[id]}};
+  } else if (args.method == 'DELETE') {
+    delete this.records[id];
+    delete this.etags[id];
+    return {status: 204};
+  }
+  return {status: 405};
+};
+
+
+/**
+ * @param {MockServer} server
+ * @param {*=} opt_conflict
+ * @return {!DatabaseSchema}
+ */
+var getSchema = function(server, opt_conflict) {
+  return {
+    stores: [{
+      name: store_name,
+      keyPath: 'id',
+      Sync: {
+        format: 'rest',
+        baseUri: base_uri,
+        transport: server,
+        conflict: opt_conflict
+      }
+    }]
+  };
+};
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+};
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+};
+
+
+var test_push = function() {
+  var db_name = 'test_sync_push';
+  var server = new MockServer();
+  var db = new ydn.db.crud.Storage(db_name, getSchema(server), options);
+
+  var done = false;
+  var result, phases = [];
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('pushed', 1, result.pushed);
+        assertObjectEquals('server record', {id: 'a', title: 'A'},
+            server.records['a']);
+        assertEquals('done event', 'done', phases[phases.length - 1]);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.addEventListener('sync', function(e) {
+    phases.push(e.getPhase());
+  });
+  db.put(store_name, {id: 'a', title: 'A'}).addCallback(function() {
+    db.sync(store_name).addBoth(function(x) {
+      result = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_pull = function() {
+  var db_name = 'test_sync_pull';
+  var server = new MockServer();
+  server.save({id: 'b', title: 'B'});
+  var db = new ydn.db.crud.Storage(db_name, getSchema(server), options);
+
+  var done = false;
+  var result, record;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('pulled', 1, result.pulled);
+        assertEquals('nothing to push', 0, result.pushed);
+        assertObjectEquals('local record', {id: 'b', title: 'B'}, record);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.sync(store_name).addBoth(function(x) {
+    result = x;
+    db.get(store_name, 'b').addBoth(function(x) {
+      record = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_conflict_server_wins = function() {
+  var db_name = 'test_sync_server_wins';
+  var server = new MockServer();
+  server.save({id: 'c', title: 'server'});
+  var db = new ydn.db.crud.Storage(db_name, getSchema(server), options);
+
+  var done = false;
+  var result, record;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('conflicts', 1, result.conflicts);
+        assertObjectEquals('local record', {id: 'c', title: 'server'}, record);
+        assertObjectEquals('server record', {id: 'c', title: 'server'},
+            server.records['c']);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, {id: 'c', title: 'client'}).addCallback(function() {
+    db.sync(store_name).addBoth(function(x) {
+      result = x;
+      db.get(store_name, 'c').addBoth(function(x) {
+        record = x;
+        done = true;
+      });
+    });
+  });
+};
+
+
+var test_conflict_merge = function() {
+  var db_name = 'test_sync_merge';
+  var server = new MockServer();
+  server.save({id: 'd', title: 'server', done: true});
+  var merge = function(client, server, key) {
+    return {id: key, title: client.title, done: server.done};
+  };
+  var db = new ydn.db.crud.Storage(db_name, getSchema(server, merge), options);
+
+  var done = false;
+  var result, record;
+  var expected = {id: 'd', title: 'client', done: true};
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('conflicts', 1, result.conflicts);
+        assertEquals('pushed', 1, result.pushed);
+        assertObjectEquals('local record', expected, record);
+        assertObjectEquals('server record', expected, server.records['d']);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, {id: 'd', title: 'client'}).addCallback(function() {
+    db.sync(store_name).addBoth(function(x) {
+      result = x;
+      db.get(store_name, 'd').addBoth(function(x) {
+        record = x;
+        done = true;
+      });
+    });
+  });
+};
+
+
+var test_push_clear = function() {
+  var db_name = 'test_sync_push_clear';
+  var server = new MockServer();
+  var db = new ydn.db.crud.Storage(db_name, getSchema(server), options);
+
+  var done = false;
+  var dirty, result;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('marked before the put resolves', 2, dirty);
+        assertEquals('removals pushed', 2, result.pushed);
+        assertObjectEquals('server records removed', {}, server.records);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, [{id: 'a'}, {id: 'b'}]).addCallback(function() {
+    db.count('_ydn_sync_meta').addCallback(function(x) {
+      dirty = x;
+    });
+    db.sync(store_name).addCallback(function() {
+      db.clear(store_name).addCallback(function() {
+        db.sync(store_name).addBoth(function(x) {
+          result = x;
+          done = true;
+        });
+      });
+    });
+  });
+};
+
+
+var testCase = new goog.testing.ContinuationTestCase();
+testCase.autoDiscoverTests();
+G_testRunner.initialize(testCase);
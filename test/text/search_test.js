@@ -0,0 +1,272 @@
+
+goog.require('goog.array');
+goog.require('goog.debug.Console');
+goog.require('goog.testing.jsunit');
+goog.require('ydn.db.crud.Storage');
+goog.require('ydn.db.crud.Storage.encryption');
+goog.require('ydn.db.crud.Storage.text');
+goog.require('ydn.debug');
+goog.require('ydn.object');
+
+
+var reachedFinalContinuation, debug_console;
+
+var store_name = 'article';
+var catalog_name = 'article-text';
+
+
+/**
+ * @param {string} lang
+ * @return {!DatabaseSchema}
+ */
+var getSchema = function(lang) {
+  return {
+    fullTextCatalogs: [{
+      name: catalog_name,
+      lang: lang,
+      sources: [
+        {storeName: store_name, keyPath: 'title', weight: 2},
+        {storeName: store_name, keyPath: 'body'}
+      ]
+    }],
+    stores: [{
+      name: store_name,
+      keyPath: 'id',
+      indexes: [{keyPath: 'tag'}]
+    }]
+  };
+};
+
+
+var articles = [
+  {id: 1, title: 'Running shoes', body: 'Shoes for runners who run daily.'},
+  {id: 2, title: 'Cooking pasta',
+    body: 'Boil water and cook the pasta. Running water is fine.'},
+  {id: 3, title: 'Marathon', body: 'A marathon is a long run.'}
+];
+
+
+var setUp = function() {
+  // ydn.debug.log('ydn.db', 'finest');
+};
+
+var tearDown = function() {
+  assertTrue('The final continuation was not reached', reachedFinalContinuation);
+};
+
+
+var test_search_ranked = function() {
+  var db_name = 'test_search_ranked';
+  var db = new ydn.db.crud.Storage(db_name, getSchema('en'), options);
+
+  var done = false;
+  var hits;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('number of hits', 3, hits.length);
+        assertEquals('best hit', 1, hits[0].primaryKey);
+        assertEquals('store name', store_name, hits[0].storeName);
+        assertTrue('score', hits[0].score > hits[1].score);
+        assertTrue('score', hits[1].score >= hits[2].score);
+        var title = goog.array.find(hits[0].tokens, function(x) {
+          return x.keyPath == 'title' && x.value == 'Running';
+        });
+        assertNotNull('title token', title);
+        assertArrayEquals('location', [0], title.loc);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, articles).addCallback(function() {
+    db.search(catalog_name, 'running shoe').addBoth(function(x) {
+      hits = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_search_limit_threshold = function() {
+  var db_name = 'test_search_limit';
+  var db = new ydn.db.crud.Storage(db_name, getSchema('en'), options);
+
+  var done = false;
+  var limited, none, stop_words;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('limit', 1, limited.length);
+        assertEquals('best hit', 1, limited[0].primaryKey);
+        assertEquals('threshold', 0, none.length);
+        assertEquals('stop words only', 0, stop_words.length);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, articles).addCallback(function() {
+    db.search(catalog_name, 'run', 1).addCallback(function(x) {
+      limited = x;
+    });
+    db.search(catalog_name, 'run', 10, 100).addCallback(function(x) {
+      none = x;
+    });
+    db.search(catalog_name, 'the and of').addBoth(function(x) {
+      stop_words = x;
+      done = true;
+    });
+  });
+};
+
+
+var test_index_update_and_remove = function() {
+  var db_name = 'test_search_update';
+  var db = new ydn.db.crud.Storage(db_name, getSchema('en'), options);
+
+  var done = false;
+  var old_hits, new_hits, removed_hits;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('old keyword', 0, old_hits.length);
+        assertEquals('new keyword', 1, new_hits.length);
+        assertEquals('new keyword hit', 3, new_hits[0].primaryKey);
+        assertEquals('removed', 0, removed_hits.length);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, articles).addCallback(function() {
+    var update = {id: 3, title: 'Triathlon', body: 'Swim, bike, run.'};
+    db.put(store_name, update).addCallback(function() {
+      db.search(catalog_name, 'marathon').addCallback(function(x) {
+        old_hits = x;
+      });
+      db.search(catalog_name, 'triathlon').addCallback(function(x) {
+        new_hits = x;
+        db.remove(store_name, 3).addCallback(function() {
+          db.search(catalog_name, 'triathlon').addBoth(function(x) {
+            removed_hits = x;
+            done = true;
+          });
+        });
+      });
+    });
+  });
+};
+
+
+var test_remove_by_index = function() {
+  var db_name = 'test_search_remove_index';
+  var db = new ydn.db.crud.Storage(db_name, getSchema('en'), options);
+
+  var done = false;
+  var put_hits, removed_hits, kept_hits;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('indexed before put resolved', 2, put_hits.length);
+        assertEquals('removed by index', 0, removed_hits.length);
+        assertEquals('not removed', 1, kept_hits.length);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, [
+    {id: 1, tag: 'a', title: 'Marathon'},
+    {id: 2, tag: 'b', title: 'Marathon'},
+    {id: 3, tag: 'b', title: 'Triathlon'}
+  ]);
+  db.search(catalog_name, 'marathon').addCallback(function(x) {
+    put_hits = x;
+  });
+  db.remove(store_name, 'tag', ydn.db.KeyRange.only('b'));
+  db.search(catalog_name, 'triathlon').addCallback(function(x) {
+    removed_hits = x;
+  });
+  db.search(catalog_name, 'marathon').addBoth(function(x) {
+    kept_hits = x;
+    done = true;
+  });
+};
+
+
+var test_encrypted_source = function() {
+  var schema = getSchema('en');
+  schema.stores[0].encrypted = true;
+  var opt = ydn.object.clone(options);
+  opt.Encryption = {secrets: [{name: 'a', key: 'monkey'}]};
+  assertThrows('encrypted source store', function() {
+    new ydn.db.crud.Storage('test_search_encrypted', schema, opt);
+  });
+  reachedFinalContinuation = true;
+};
+
+
+var test_search_fr = function() {
+  var db_name = 'test_search_fr';
+  var db = new ydn.db.crud.Storage(db_name, getSchema('fr'), options);
+
+  var done = false;
+  var hits;
+
+  waitForCondition(
+      // Condition
+      function() { return done; },
+      // Continuation
+      function() {
+        assertEquals('number of hits', 1, hits.length);
+        assertEquals('hit', 'b', hits[0].primaryKey);
+
+        reachedFinalContinuation = true;
+        ydn.db.deleteDatabase(db_name, db.getType());
+        db.close();
+      },
+      100, // interval
+      3000); // maxTimeout
+
+  db.put(store_name, [
+    {id: 'a', title: 'Les chevaux', body: 'Un cheval dans le pré.'},
+    {id: 'b', title: 'L\'élève', body: 'Les élèves ' +
+          'chantent rapidement.'}
+  ]).addCallback(function() {
+    db.search(catalog_name, 'ELEVES rapide').addBoth(function(x) {
+      hits = x;
+      done = true;
+    });
+  });
+};
+
+
+
+var testCase = new goog.testing.ContinuationTestCase();
+testCase.autoDiscoverTests();
+G_testRunner.initialize(testCase);